@@ -0,0 +1,250 @@
+/**
+ * Engine benchmark
+ * Renders a reference arrangement through the built worklet processor in Node (no browser) and
+ * reports how long each 128-frame block takes against its real-time budget, and how much of that
+ * the mixer and effects take.
+ *
+ * Usage: node scripts/benchmark-engine.js [--seconds 30] [--tracks 8] [--sample-rate 48000]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+const processorPath = path.join(projectRoot, 'static/EngineWorkletProcessor.js');
+
+const BLOCK_SIZE = 128;
+const WARMUP_BLOCKS = 1000; // Long enough for the JIT to settle on every code path
+
+/**
+ * Read --name value options
+ */
+function parseOptions(argv) {
+	const options = { seconds: 30, tracks: 8, sampleRate: 48000 };
+	for (let i = 0; i < argv.length; i++) {
+		const value = Number(argv[i + 1]);
+		if (argv[i] === '--seconds' && value > 0) options.seconds = value;
+		if (argv[i] === '--tracks' && value > 0) options.tracks = Math.floor(value);
+		if (argv[i] === '--sample-rate' && value > 0) options.sampleRate = value;
+	}
+	return options;
+}
+
+/**
+ * Load the built processor into this script's global scope, standing in for AudioWorkletGlobalScope
+ * A vm context would put every global lookup (Math, the engine's own classes) behind the sandbox's
+ * interceptors and measure the engine several times slower than a worklet runs it.
+ */
+function loadProcessorClass(sampleRate) {
+	const code = fs.readFileSync(processorPath, 'utf8');
+	const scope = globalThis;
+	let registeredClass = null;
+	Object.assign(scope, {
+		sampleRate,
+		currentFrame: 0,
+		currentTime: 0,
+		AudioWorkletProcessor: class {
+			constructor() {
+				this.port = { postMessage() {}, onmessage: null };
+			}
+		},
+		registerProcessor(name, processorClass) {
+			registeredClass = processorClass;
+		}
+	});
+	vm.runInThisContext(code, { filename: processorPath });
+	if (!registeredClass) {
+		throw new Error('The built worklet did not register a processor');
+	}
+	return { ProcessorClass: registeredClass, scope };
+}
+
+/**
+ * A dense arrangement: drums and synths on their own timeline tracks, inserts on every track,
+ * a reverb and a delay on an effect track, and automation on the reverb
+ */
+function createReferenceProject(trackCount, lengthBeats) {
+	const instrumentTypes = ['kick', 'snare', 'hihat', 'bass', 'subtractive', 'pluck', 'fm', 'supersaw'];
+	const insertTypes = ['equalizer', 'compressor', 'filter', 'saturator', 'chorus', 'distortion'];
+
+	const tracks = [];
+	const events = [];
+	const timelineTracks = [];
+	const clips = [];
+	const patterns = [];
+	const patternToTrackId = [];
+	const timelineTrackToAudioTracks = [];
+	const effects = [];
+	const timelineEffects = [];
+
+	for (let i = 0; i < trackCount; i++) {
+		const instrumentType = instrumentTypes[i % instrumentTypes.length];
+		const patternId = `bench-pattern-${i}`;
+		const trackId = `__pattern_${patternId}_inst${i}`;
+		const timelineTrackId = `bench-track-${i}`;
+		const isDrum = i % instrumentTypes.length < 3;
+
+		tracks.push({
+			id: trackId,
+			instrumentType,
+			patternTree: { division: 4, children: [] },
+			settings: {},
+			instrumentSettings: {},
+			volume: 0.8,
+			pan: ((i % 5) - 2) / 4,
+			mute: false,
+			solo: false
+		});
+		patterns.push({ id: patternId, baseMeter: 4 });
+		patternToTrackId.push([`${patternId}_inst${i}`, trackId]);
+		timelineTracks.push({ id: timelineTrackId, type: 'pattern', name: instrumentType, volume: 1, mute: false, solo: false });
+		timelineTrackToAudioTracks.push([timelineTrackId, [trackId]]);
+		clips.push({ id: `bench-clip-${i}`, trackId: timelineTrackId, patternId, startBeat: 0, duration: lengthBeats });
+
+		// Drums on eighths, synths on quarters with a moving pitch
+		const step = isDrum ? 0.5 : 1;
+		for (let beat = 0; beat < lengthBeats; beat += step) {
+			events.push({
+				time: beat,
+				velocity: 0.8,
+				pitch: isDrum ? 60 : 36 + ((beat * 7 + i * 5) % 24),
+				instrumentId: trackId,
+				patternId,
+				duration: step
+			});
+		}
+
+		const insertType = insertTypes[i % insertTypes.length];
+		const effectId = `bench-insert-${i}`;
+		effects.push({ id: effectId, name: insertType, type: insertType, settings: {} });
+		timelineEffects.push({ id: `bench-insert-instance-${i}`, effectId, targetTrackId: timelineTrackId, startBeat: 0, duration: lengthBeats });
+	}
+
+	// Effect track: reverb and delay over everything
+	const effectTrackId = 'bench-effect-track';
+	timelineTracks.push({ id: effectTrackId, type: 'effect', name: 'Effects', volume: 1, mute: false, solo: false });
+	effects.push({ id: 'bench-reverb', name: 'Reverb', type: 'reverb', settings: { roomSize: 0.7, dampening: 0.5, wet: 0.3, dry: 0.9 } });
+	effects.push({ id: 'bench-delay', name: 'Delay', type: 'delay', settings: { time: 0.375, feedback: 0.4, wet: 0.2, dry: 1 } });
+	timelineEffects.push({ id: 'bench-reverb-instance', effectId: 'bench-reverb', trackId: effectTrackId, startBeat: 0, duration: lengthBeats });
+	timelineEffects.push({ id: 'bench-delay-instance', effectId: 'bench-delay', trackId: effectTrackId, startBeat: 0, duration: lengthBeats });
+
+	const automation = {
+		'bench-reverb-wet': {
+			targetType: 'effect',
+			targetId: 'bench-reverb',
+			timelineInstanceId: 'bench-reverb-instance',
+			parameterKey: 'wet',
+			min: 0,
+			max: 1,
+			points: [
+				{ beat: 0, value: 0.1 },
+				{ beat: lengthBeats / 2, value: 0.6 },
+				{ beat: lengthBeats, value: 0.1 }
+			]
+		}
+	};
+
+	events.sort((a, b) => a.time - b.time);
+
+	return {
+		type: 'loadProject',
+		tracks,
+		bpm: 120,
+		events,
+		baseMeterTrackId: tracks[0]?.id,
+		timeline: {
+			clips,
+			audioClips: [],
+			tracks: timelineTracks,
+			buses: [],
+			effects: timelineEffects,
+			envelopes: [],
+			totalLength: lengthBeats,
+			loopRegion: null,
+			tempoMap: null
+		},
+		patterns,
+		effects,
+		envelopes: [],
+		automation,
+		viewMode: 'arrangement',
+		patternToTrackId,
+		timelineTrackToAudioTracks
+	};
+}
+
+/**
+ * Value at a fraction of the way through sorted timings
+ */
+function percentile(sorted, fraction) {
+	return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function runBenchmark() {
+	const options = parseOptions(process.argv.slice(2));
+
+	// Always measure the current sources
+	execFileSync(process.execPath, [path.join(__dirname, 'build-worklet.js')], { stdio: 'ignore' });
+	const { ProcessorClass, scope } = loadProcessorClass(options.sampleRate);
+
+	const processor = new ProcessorClass();
+	const lengthBeats = Math.max(4, Math.ceil((options.seconds * 120) / 60));
+	processor.messageHandler.handle(createReferenceProject(options.tracks, lengthBeats));
+	processor.messageHandler.handle({ type: 'setTransport', state: 'play', position: 0 });
+
+	const outputs = [[new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE)]];
+	const totalBlocks = Math.ceil((options.seconds * options.sampleRate) / BLOCK_SIZE);
+	const timings = new Float64Array(totalBlocks);
+	let peak = 0;
+
+	// Time the mixer on its own too: voices render before it, frame by frame
+	const mixer = processor.audioMixer;
+	const mixBlock = mixer.mixBlock.bind(mixer);
+	let mixElapsed = 0;
+	mixer.mixBlock = (...args) => {
+		const start = process.hrtime.bigint();
+		const mixed = mixBlock(...args);
+		mixElapsed = Number(process.hrtime.bigint() - start) / 1000;
+		return mixed;
+	};
+	const mixTimings = new Float64Array(totalBlocks);
+
+	for (let block = 0; block < WARMUP_BLOCKS + totalBlocks; block++) {
+		scope.currentFrame = block * BLOCK_SIZE;
+		scope.currentTime = scope.currentFrame / options.sampleRate;
+		const start = process.hrtime.bigint();
+		processor.process([], outputs, {});
+		const elapsed = Number(process.hrtime.bigint() - start) / 1000;
+		if (block >= WARMUP_BLOCKS) {
+			timings[block - WARMUP_BLOCKS] = elapsed;
+			mixTimings[block - WARMUP_BLOCKS] = mixElapsed;
+			for (let i = 0; i < BLOCK_SIZE; i++) {
+				peak = Math.max(peak, Math.abs(outputs[0][0][i]), Math.abs(outputs[0][1][i]));
+			}
+		}
+	}
+
+	const sorted = Array.from(timings).sort((a, b) => a - b);
+	const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+	const mixSorted = Array.from(mixTimings).sort((a, b) => a - b);
+	const mixMean = mixSorted.reduce((sum, value) => sum + value, 0) / mixSorted.length;
+	const budget = (BLOCK_SIZE / options.sampleRate) * 1e6;
+
+	console.log(`Engine benchmark: ${options.tracks} tracks, ${options.seconds}s at ${options.sampleRate} Hz (${totalBlocks} blocks of ${BLOCK_SIZE})`);
+	console.log(`  Budget per block: ${budget.toFixed(1)} µs`);
+	console.log(`  Mean: ${mean.toFixed(1)} µs (${((mean / budget) * 100).toFixed(1)}% of budget)`);
+	console.log(`  p50:  ${percentile(sorted, 0.5).toFixed(1)} µs`);
+	console.log(`  p95:  ${percentile(sorted, 0.95).toFixed(1)} µs`);
+	console.log(`  p99:  ${percentile(sorted, 0.99).toFixed(1)} µs`);
+	console.log(`  Max:  ${sorted[sorted.length - 1].toFixed(1)} µs`);
+	console.log(`  Blocks over budget: ${sorted.filter((value) => value > budget).length}`);
+	console.log(`  Mixing and effects: mean ${mixMean.toFixed(1)} µs (${((mixMean / budget) * 100).toFixed(1)}% of budget), p99 ${percentile(mixSorted, 0.99).toFixed(1)} µs`);
+	console.log(`  Output peak: ${peak.toFixed(3)}`);
+}
+
+runBenchmark();
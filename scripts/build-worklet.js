@@ -20,7 +20,9 @@ const outputPath = path.join(projectRoot, 'static/EngineWorkletProcessor.js');
 // Module files in order (dependencies first)
 // Note: Utility files and effect handlers must come before EffectsProcessor
 const utilityFiles = [
-	'utils/FilterUtils.js'
+	'utils/FilterUtils.js',
+	'utils/GrooveUtils.js',
+	'utils/TempoMap.js'
 ];
 
 const effectHandlerFiles = [
@@ -36,6 +38,8 @@ const moduleFiles = [
 	'ProjectManager.js',
 	'SynthManager.js',
 	'AudioMixer.js',
+	'AudioClipPlayer.js',
+	'Metronome.js',
 	'AudioProcessor.js',
 	'MessageHandler.js',
 	'SynthFactory.js'
@@ -1,29 +1,47 @@
-import type { StandaloneInstrument, AudioEvent, Pattern, Instrument } from '$lib/types/pattern';
-import type { TimelineClip, Timeline } from '$lib/stores/projectStore.types';
+import type { StandaloneInstrument, AudioEvent, Pattern, PatternNode, Instrument, InstrumentInsert, GrooveSettings } from '$lib/types/pattern';
+import type { TimelineClip, TimelineAudioClip, Timeline, LoopRegion, TimelineTrack, MixerBus } from '$lib/stores/projectStore.types';
 import type { Effect, Envelope } from '$lib/types/effects';
-import { flattenTrackPattern } from '../utils/eventFlatten';
+import type { MetronomeSettings } from '$lib/types/transport';
+import { flattenTrackPattern, expandClipEvents, getEffectiveGroove } from '../utils/eventFlatten';
 import { getPatternInstruments } from '$lib/utils/patternUtils';
-import { loadSampleAudio } from '$lib/utils/sampleStorage';
-import { loadSampleToEngine } from '$lib/utils/sampleLoader';
+import { loadSampleAudio, getSampleAudio } from '$lib/utils/sampleStorage';
+import { loadSampleToEngine, loadAudioClipSampleToEngine } from '$lib/utils/sampleLoader';
+import { TempoConverter } from '$lib/utils/tempoMap';
 
 /**
  * Main AudioWorklet class for managing the audio engine
  * Handles communication between UI and audio processor
  */
 export class EngineWorklet {
-	private audioContext: AudioContext;
+	private audioContext: AudioContext | OfflineAudioContext;
 	private workletNode: AudioWorkletNode | null = null;
 	private analyserNode: AnalyserNode | null = null;
 	private isInitialized = false;
+	private nextSyncId = 0;
+	private pendingSyncs = new Map<number, () => void>();
+	private transportState: 'play' | 'stop' | 'pause' = 'stop';
+	private bpm = 120;
+	// Beats <-> seconds for the playhead estimate (follows the arrangement's tempo map)
+	private tempo = new TempoConverter(120);
+	private tempoMap: Timeline['tempoMap'] | null = null;
+	// Last playback position reported by the worklet (beats) and when it arrived (performance.now ms)
+	private lastPosition = 0;
+	private lastPositionAt = 0;
+	// Samples already sent to the worklet for audio clips (it keeps them across project reloads)
+	private loadedAudioClipSamples = new Set<string>();
 
-	constructor() {
-		this.audioContext = new AudioContext({ sampleRate: 44100 });
+	/**
+	 * @param audioContext - Optional context to run the engine in (e.g. an OfflineAudioContext for export).
+	 * A real-time 44.1kHz AudioContext is created when omitted.
+	 */
+	constructor(audioContext?: AudioContext | OfflineAudioContext) {
+		this.audioContext = audioContext ?? new AudioContext({ sampleRate: 44100 });
 	}
 
 	/**
 	 * Get the AudioContext (for recording/export)
 	 */
-	getAudioContext(): AudioContext {
+	getAudioContext(): AudioContext | OfflineAudioContext {
 		return this.audioContext;
 	}
 
@@ -64,17 +82,35 @@ export class EngineWorklet {
 
 			this.isInitialized = true;
 			this.sendMessage({ type: 'ready' });
+			if (this.gainReductionCallbacks.size > 0) {
+				this.sendGainReductionMeters();
+			}
 		} catch (error) {
 			console.error('Failed to initialize audio worklet:', error);
 			throw error;
 		}
 	}
 
-	private handleMessage(message: { type: string; time?: number; eventIds?: string[]; duration?: number; message?: string; data?: any }) {
+	private handleMessage(message: { type: string; id?: number; time?: number; eventIds?: string[]; duration?: number; beats?: number; frame?: number; beat?: number; message?: string; data?: any; values?: Array<[string, number]> }) {
 		// Handle messages from worklet to UI
 		if (message.type === 'playbackUpdate' || message.type === 'playbackPosition') {
 			// message.time is in beats
-			this.notifyPlaybackUpdate(message.time, message.eventIds || []);
+			this.lastPosition = message.time ?? this.lastPosition;
+			this.lastPositionAt = performance.now();
+			this.notifyPlaybackUpdate(message.time ?? this.lastPosition, message.eventIds || []);
+		} else if (message.type === 'countIn') {
+			// Transport waits for the count-in, so the heard position starts that many beats early
+			this.lastPosition -= message.beats ?? 0;
+		} else if (message.type === 'transportStarted') {
+			for (const callback of this.transportStartCallbacks) {
+				callback(message.frame ?? 0, message.beat ?? 0);
+			}
+		} else if (message.type === 'gainReduction') {
+			for (const [effectId, reductionDb] of message.values || []) {
+				for (const callback of this.gainReductionCallbacks.get(effectId) || []) {
+					callback(reductionDb);
+				}
+			}
 		} else if (message.type === 'quietPeriod') {
 			// Dispatch custom event for quiet period detection
 			window.dispatchEvent(new CustomEvent('quietPeriodDetected', {
@@ -83,6 +119,13 @@ export class EngineWorklet {
 					duration: message.duration
 				}
 			}));
+		} else if (message.type === 'synced') {
+			// Worklet has processed every message sent before the matching sync request
+			const resolve = this.pendingSyncs.get(message.id as number);
+			if (resolve) {
+				this.pendingSyncs.delete(message.id as number);
+				resolve();
+			}
 		} else if (message.type === 'debug') {
 			// Log debug messages from worklet
 			console.log(`🔧 [Worklet] ${message.message || 'Debug'}:`, message.data || {});
@@ -102,17 +145,23 @@ export class EngineWorklet {
 		// Load sample audio buffers for sample instruments before sending to worklet
 		await this.loadSamplesForInstruments(standaloneInstruments, patterns);
 		await this.ensureInitialized();
+		this.bpm = bpm;
+		this.tempoMap = null;
+		this.tempo = new TempoConverter(bpm);
+
+		// If timeline exists, use timeline-based scheduling with patterns and audio clips
+		const audioClips: TimelineAudioClip[] = timeline?.audioClips || [];
+		if (timeline && ((timeline.clips && timeline.clips.length > 0) || audioClips.length > 0) && patterns) {
+			await this.loadSamplesForAudioClips(audioClips);
 
-		// If timeline exists, use timeline-based scheduling with patterns
-		if (timeline && timeline.clips && timeline.clips.length > 0 && patterns) {
 			// Timeline mode: schedule events from pattern clips
 			const allEvents: AudioEvent[] = [];
 			const patternMap = new Map(patterns.map((p) => [p.id, p]));
 			
 			// Determine a safe timeline length (fallback to clips max or 4 beats)
-			const timelineClips = timeline.clips || [];
+			const timelineClips: Array<TimelineClip | TimelineAudioClip> = [...(timeline.clips || []), ...audioClips];
 			const clipsMaxEnd = timelineClips.length > 0
-				? Math.max(...timelineClips.map((clip: TimelineClip) => clip.startBeat + clip.duration))
+				? Math.max(...timelineClips.map((clip) => clip.startBeat + clip.duration))
 				: 0;
 			const safeTimelineLength = Math.max(timeline.totalLength || 0, clipsMaxEnd, 4);
 
@@ -125,7 +174,7 @@ export class EngineWorklet {
 				const pattern = patternMap.get(clip.patternId);
 				if (!pattern) continue;
 				
-				// Get all instruments from pattern (handles both new and legacy formats)
+				// Get all instruments from pattern
 				const patternInstruments = getPatternInstruments(pattern);
 				
 				// Create a track for each instrument in the pattern
@@ -163,7 +212,8 @@ export class EngineWorklet {
 								pan: instrument.pan ?? 0.0,
 								color: instrument.color || '#7ab8ff',
 								mute: (pattern.mute ?? false) || (instrument.mute ?? false), // Pattern or instrument muted
-								solo: instrument.solo ?? false
+								solo: instrument.solo ?? false,
+								inserts: instrument.inserts || []
 							});
 						} else {
 						}
@@ -176,7 +226,7 @@ export class EngineWorklet {
 				const pattern = patternMap.get(clip.patternId);
 				if (!pattern) continue;
 				
-				// Get all instruments from pattern (handles both new and legacy formats)
+				// Get all instruments from pattern
 				const patternInstruments = getPatternInstruments(pattern);
 				
 				// Schedule events for each instrument in the pattern (all play simultaneously)
@@ -205,40 +255,16 @@ export class EngineWorklet {
 					// Pattern length = baseMeter, which preserves structure when baseMeter = root.division
 					const patternLength = baseMeter;
 					
-					const patternEvents = flattenTrackPattern(patternTree, trackId, baseMeter);
-					
-					// Apply offset if specified
-					const offset = clip.offsetBeats || 0;
+					const patternEvents = flattenTrackPattern(patternTree, trackId, baseMeter, getEffectiveGroove(pattern, instrument));
 					
 					// Schedule pattern events at clip's start time, repeating if clip duration > pattern length
 					// All instruments in the pattern play simultaneously
-					let clipTime = clip.startBeat;
-					while (clipTime < clip.startBeat + clip.duration) {
-						for (const event of patternEvents) {
-							// Calculate event time relative to pattern start (0 to patternLength)
-							// Apply offset and wrap within pattern length if needed
-							let relativeEventTime = event.time + offset;
-							// Normalize to pattern length (wrap if offset pushes it beyond pattern)
-							if (relativeEventTime >= patternLength) {
-								relativeEventTime = relativeEventTime % patternLength;
-							} else if (relativeEventTime < 0) {
-								relativeEventTime = patternLength + (relativeEventTime % patternLength);
-							}
-							
-							// Add to clip time to get absolute timeline position
-							const absoluteEventTime = clipTime + relativeEventTime;
-							
-							// Only add if event is within clip bounds
-							if (absoluteEventTime >= clip.startBeat && absoluteEventTime < clip.startBeat + clip.duration) {
-								allEvents.push({
-									...event,
-									time: absoluteEventTime,
-									instrumentId: trackId, // Use track ID for engine
-									patternId: clip.patternId // Store pattern ID for effect/envelope assignment
-								});
-							}
-						}
-						clipTime += patternLength;
+					for (const event of expandClipEvents(patternEvents, clip, patternLength)) {
+						allEvents.push({
+							...event,
+							instrumentId: trackId, // Use track ID for engine
+							patternId: clip.patternId // Store pattern ID for effect/envelope assignment
+						});
 					}
 				}
 			}
@@ -253,6 +279,11 @@ export class EngineWorklet {
 			const timelineTrackToAudioTracks = new Map<string, string[]>();
 			if (timeline?.tracks) {
 				for (const timelineTrack of timeline.tracks) {
+					// Audio tracks mix as one engine track (see AudioClipPlayer)
+					if (timelineTrack.type === 'audio') {
+						timelineTrackToAudioTracks.set(timelineTrack.id, [`__audio_${timelineTrack.id}`]);
+						continue;
+					}
 					const audioTrackIds: string[] = [];
 					// Find all clips on this timeline track
 					const clipsOnTrack = timeline.clips.filter((c: any) => c.trackId === timelineTrack.id);
@@ -278,6 +309,10 @@ export class EngineWorklet {
 				}
 			}
 			
+			// Tempo and meter changes only apply to the arrangement
+			this.tempoMap = timeline.tempoMap ?? null;
+			this.tempo = new TempoConverter(bpm, this.tempoMap);
+
 			// Send to worklet with timeline, pattern tracks, effects, and envelopes
 			// Also send pattern-to-track mapping for effect/envelope assignment
 			this.sendMessage({
@@ -287,11 +322,15 @@ export class EngineWorklet {
 				events: allEvents,
 				baseMeterTrackId: patternTracks[0]?.id,
 				timeline: {
-					clips: timeline.clips,
+					clips: timeline.clips || [],
+					audioClips,
 					tracks: timeline.tracks, // Send timeline tracks with volumes
+					buses: timeline.buses || [],
 					effects: timeline.effects || [],
 					envelopes: timeline.envelopes || [],
-					totalLength: safeTimelineLength
+					totalLength: safeTimelineLength,
+					loopRegion: timeline.loopRegion ?? null,
+					tempoMap: timeline.tempoMap ?? null
 				},
 				patterns: patterns || [], // Send patterns so EventScheduler can access baseMeter
 				effects: effects || [],
@@ -308,27 +347,10 @@ export class EngineWorklet {
 		// Create pattern map for looking up baseMeter
 		const patternMap = patterns ? new Map(patterns.map((p) => [p.id, p])) : new Map();
 		
-		// Find base meter instrument to determine pattern length
+		// Base meter instrument (its pattern length is the loop length)
 		const baseMeterId = baseMeterTrackId || standaloneInstruments[0]?.id;
-		const baseMeterInstrument = standaloneInstruments.find(i => i.id === baseMeterId);
-		
-		// Determine baseMeter for the base meter instrument
-		let baseMeterForBaseTrack = 4;
-		if (baseMeterInstrument?.id?.startsWith('__pattern_')) {
-			const lastUnderscore = baseMeterInstrument.id.lastIndexOf('_');
-			if (lastUnderscore > '__pattern_'.length) {
-				const patternId = baseMeterInstrument.id.substring('__pattern_'.length, lastUnderscore);
-				const pattern = patternMap.get(patternId);
-				if (pattern) {
-					baseMeterForBaseTrack = pattern.baseMeter || 4;
-				}
-			}
-		}
-		
-		// Base meter length = baseMeter, which preserves structure when baseMeter = root.division
-		const baseMeterLength = baseMeterForBaseTrack;
 
-		// Flatten all pattern trees, repeating shorter patterns
+		// Flatten each pattern tree once; the worklet repeats patterns shorter than the base meter
 		const allEvents: AudioEvent[] = [];
 		for (const instrument of standaloneInstruments) {
 			const instrumentPatternLength = instrument.patternTree?.division;
@@ -337,6 +359,7 @@ export class EngineWorklet {
 			// Determine baseMeter for this instrument (for flattening, though it's not used for scaling anymore)
 			// If it's a pattern instrument (ID starts with __pattern_), extract pattern ID and use pattern's baseMeter
 			let baseMeter = 4; // Default for standalone instruments
+			let groove: GrooveSettings | undefined;
 			if (instrument.id.startsWith('__pattern_')) {
 				// Extract pattern ID from track ID format: __pattern_{patternId}_{instrumentId}
 				// Pattern ID is everything between __pattern_ and the last _ (instrument ID is after last _)
@@ -346,42 +369,15 @@ export class EngineWorklet {
 					const pattern = patternMap.get(patternId);
 					if (pattern) {
 						baseMeter = pattern.baseMeter || 4;
+						const patternInstrumentId = instrument.id.substring(lastUnderscore + 1);
+						groove = getEffectiveGroove(pattern, getPatternInstruments(pattern).find((inst) => inst.id === patternInstrumentId));
 					}
 				}
 			}
 			
-			// Pattern length = baseMeter, which preserves structure when baseMeter = root.division
-			const patternLength = baseMeter;
-			
-			// If instrument's pattern is shorter than base meter, repeat it until base meter loops
-			if (patternLength < baseMeterLength) {
-				// Generate pattern once, then repeat with offsets until we reach base meter length
-				const baseEvents = flattenTrackPattern(instrument.patternTree, instrument.id, baseMeter);
-				
-				if (baseEvents.length > 0) {
-					// Keep repeating until we've covered the entire base meter length
-					// This may result in a partial repetition at the end
-					let offset = 0;
-					while (offset < baseMeterLength) {
-						// Add events with time offset, but only if they're within base meter length
-						for (const event of baseEvents) {
-							const eventTime = event.time + offset;
-							if (eventTime < baseMeterLength) {
-								allEvents.push({
-									...event,
-									time: eventTime
-								});
-							}
-						}
-						offset += patternLength;
-					}
-				}
-			} else {
-				// Pattern is same length or longer, just flatten once
-				const events = flattenTrackPattern(instrument.patternTree, instrument.id, baseMeter);
-				if (events.length > 0) {
-					allEvents.push(...events);
-				}
+			const events = flattenTrackPattern(instrument.patternTree, instrument.id, baseMeter, groove);
+			if (events.length > 0) {
+				allEvents.push(...events);
 			}
 		}
 
@@ -404,7 +400,38 @@ export class EngineWorklet {
 		});
 	}
 
+	/**
+	 * Resolve once the worklet has handled every message sent before this call.
+	 * Port messages are processed in order, so this is a barrier for loadProject/loadSample/setTransport.
+	 * @param timeoutMs - Reject if the worklet hasn't answered by then (it only answers while its context runs)
+	 */
+	sync(timeoutMs?: number): Promise<void> {
+		if (!this.workletNode) {
+			return Promise.resolve();
+		}
+		const id = this.nextSyncId++;
+		return new Promise<void>((resolve, reject) => {
+			let timeout: ReturnType<typeof setTimeout> | undefined;
+			this.pendingSyncs.set(id, () => {
+				clearTimeout(timeout);
+				resolve();
+			});
+			if (timeoutMs !== undefined) {
+				timeout = setTimeout(() => {
+					this.pendingSyncs.delete(id);
+					reject(new Error('The audio engine did not respond'));
+				}, timeoutMs);
+			}
+			this.sendMessage({ type: 'sync', id });
+		});
+	}
+
 	setTransport(state: 'play' | 'stop' | 'pause', position?: number) {
+		this.transportState = state;
+		if (position !== undefined) {
+			this.lastPosition = position;
+		}
+		this.lastPositionAt = performance.now();
 		this.sendMessage({
 			type: 'setTransport',
 			state,
@@ -412,37 +439,128 @@ export class EngineWorklet {
 		});
 	}
 
+	/**
+	 * Whether the transport was last set to play
+	 */
+	isTransportPlaying(): boolean {
+		return this.transportState === 'play';
+	}
+
+	/**
+	 * Estimate the beat the listener is hearing right now
+	 * Extrapolates from the last position update (sent every 50ms) and subtracts output latency,
+	 * so it lines up with what a player hears when playing along (e.g. MIDI recording).
+	 * In pattern view the value can run past the loop end until the next update; wrap it with the pattern length.
+	 * Negative while a count-in is playing.
+	 */
+	getPlaybackBeat(): number {
+		if (this.transportState !== 'play') {
+			return this.lastPosition;
+		}
+		const elapsedSeconds = (performance.now() - this.lastPositionAt) / 1000;
+		const context = this.audioContext as AudioContext;
+		const latencySeconds = (context.outputLatency || 0) + (context.baseLatency || 0);
+		const seconds = this.tempo.beatToSeconds(this.lastPosition) + elapsedSeconds - latencySeconds;
+		return this.tempo.secondsToBeat(seconds);
+	}
+
 	setTempo(bpm: number) {
+		this.bpm = bpm;
+		this.tempo = new TempoConverter(bpm, this.tempoMap);
 		this.sendMessage({
 			type: 'setTempo',
 			bpm
 		});
 	}
 
-	updatePatternTree(trackId: string, patternTree: Pattern['patternTree'], baseMeter: number = 4) {
+	/**
+	 * Metronome click, accent, volume and count-in bars (count-in applies when play starts)
+	 */
+	setMetronome(settings: Partial<MetronomeSettings>) {
+		this.sendMessage({
+			type: 'setMetronome',
+			settings
+		});
+	}
+
+	/**
+	 * Arrangement loop region (takes effect immediately, including during playback)
+	 * @param loopRegion - Region to loop, or null to clear it
+	 */
+	setLoopRegion(loopRegion: LoopRegion | null) {
+		this.sendMessage({
+			type: 'setLoopRegion',
+			loopRegion
+		});
+	}
+
+	/**
+	 * Start a note on an instrument that sustains until noteOff (audition / MIDI input)
+	 * Plays whether or not the transport is running
+	 * @param trackId - Engine track ID (standalone instrument ID or __pattern_{patternId}_{instrumentId})
+	 * @param pitch - MIDI pitch (0-127)
+	 * @param velocity - Velocity (0-1)
+	 */
+	noteOn(trackId: string, pitch: number, velocity: number = 1) {
+		this.sendMessage({
+			type: 'noteOn',
+			trackId,
+			pitch,
+			velocity
+		});
+	}
+
+	/**
+	 * Release a note started with noteOn
+	 */
+	noteOff(trackId: string, pitch: number) {
+		this.sendMessage({
+			type: 'noteOff',
+			trackId,
+			pitch
+		});
+	}
+
+	/**
+	 * Release every held note, or only those on one track
+	 */
+	allNotesOff(trackId?: string) {
+		this.sendMessage({
+			type: 'allNotesOff',
+			trackId: trackId ?? null
+		});
+	}
+
+	/**
+	 * Turn fill mode on or off (for nodes with a fill / not fill trig condition)
+	 */
+	setFillMode(active: boolean) {
+		this.sendMessage({
+			type: 'setFillMode',
+			active
+		});
+	}
+
+	updatePatternTree(trackId: string, patternTree: PatternNode, baseMeter: number = 4, groove?: GrooveSettings) {
 		// Update the pattern tree in the worklet
 		this.sendMessage({
 			type: 'updatePatternTree',
 			trackId,
 			patternTree,
-			baseMeter
+			baseMeter,
+			groove: groove ?? null
 		});
 		
 		// Re-flatten events for this track and update the worklet
-		this.updateTrackEvents(trackId, patternTree, baseMeter);
+		this.updateTrackEvents(trackId, patternTree, baseMeter, groove);
 	}
 	
-	private updateTrackEvents(trackId: string, patternTree: Pattern['patternTree'], baseMeter: number = 4) {
-		// Re-flatten events for this track with baseMeter scaling
-		const newEvents = flattenTrackPattern(patternTree, trackId, baseMeter);
+	private updateTrackEvents(trackId: string, patternTree: PatternNode, baseMeter: number = 4, groove?: GrooveSettings) {
+		// Re-flatten events for this track with baseMeter scaling and groove
+		const newEvents = flattenTrackPattern(patternTree, trackId, baseMeter, groove);
 		
-		// For pattern mode, we need to handle base meter repetition if the pattern is shorter than base meter
-		// But we don't have access to base meter info here, so we'll just send the events as-is
-		// The worklet's EventScheduler will handle looping based on pattern length
-		// Note: Base meter repetition is only needed when loading the entire project to align all tracks
-		// For single track updates, we just replace that track's events and let the scheduler handle looping
-		
-		// Send updated events to worklet
+		// Send updated events to worklet (it lays them out as loadProject does: over the clips in
+		// arrangement view, repeated through the base meter in pattern view)
 		this.sendMessage({
 			type: 'updateTrackEvents',
 			trackId,
@@ -522,6 +640,17 @@ export class EngineWorklet {
 		});
 	}
 
+	/**
+	 * Replace a track's insert effect chain (pattern instrument inserts) without reloading
+	 */
+	updateTrackInserts(trackId: string, inserts: InstrumentInsert[]) {
+		this.sendMessage({
+			type: 'updateTrackInserts',
+			trackId,
+			inserts
+		});
+	}
+
 	updateTimelineTrackVolume(trackId: string, volume: number) {
 		this.sendMessage({
 			type: 'updateTimelineTrackVolume',
@@ -546,6 +675,27 @@ export class EngineWorklet {
 		});
 	}
 
+	/**
+	 * Update the mixer buses and the timeline tracks' bus routing and sends without reloading
+	 */
+	updateMixerRouting(buses: MixerBus[], tracks: TimelineTrack[]) {
+		this.sendMessage({
+			type: 'updateMixerRouting',
+			buses,
+			tracks: tracks.map((track) => ({ id: track.id, busId: track.busId, sends: track.sends }))
+		});
+	}
+
+	/**
+	 * Only mix the given audio track IDs (stem export). Pass null to mix all tracks again.
+	 */
+	setStemFilter(trackIds: string[] | null) {
+		this.sendMessage({
+			type: 'setStemFilter',
+			trackIds
+		});
+	}
+
 	// Callback for playback position updates
 	private playbackCallbacks: Array<(time: number, eventIds: string[]) => void> = [];
 
@@ -559,6 +709,59 @@ export class EngineWorklet {
 		}
 	}
 
+	// Callbacks for when the transport starts moving (after any count-in)
+	private transportStartCallbacks: Array<(frame: number, beat: number) => void> = [];
+
+	/**
+	 * Get told the context frame and beat the transport starts moving on (used to line up audio recordings)
+	 * @returns Function that removes the callback
+	 */
+	onTransportStart(callback: (frame: number, beat: number) => void): () => void {
+		this.transportStartCallbacks.push(callback);
+		return () => {
+			this.transportStartCallbacks = this.transportStartCallbacks.filter((cb) => cb !== callback);
+		};
+	}
+
+	/**
+	 * Have transport-start callbacks told the frame and beat of the next block the transport moves in,
+	 * even if it is already moving (so a recording armed mid-playback has a start to line up with)
+	 */
+	announceTransport() {
+		this.sendMessage({ type: 'announceTransport' });
+	}
+
+	// Callbacks for open compressor/ducker gain reduction readouts, by effect ID
+	private gainReductionCallbacks = new Map<string, Set<(reductionDb: number) => void>>();
+
+	/**
+	 * Get told how far a compressor or ducker pulls its signal down (dB, positive) while playing
+	 * The worklet only measures effects that have a callback.
+	 * @returns Function that removes the callback
+	 */
+	onGainReduction(effectId: string, callback: (reductionDb: number) => void): () => void {
+		let callbacks = this.gainReductionCallbacks.get(effectId);
+		if (!callbacks) {
+			callbacks = new Set();
+			this.gainReductionCallbacks.set(effectId, callbacks);
+			this.sendGainReductionMeters();
+		}
+		callbacks.add(callback);
+		return () => {
+			const current = this.gainReductionCallbacks.get(effectId);
+			if (!current) return;
+			current.delete(callback);
+			if (current.size === 0) {
+				this.gainReductionCallbacks.delete(effectId);
+				this.sendGainReductionMeters();
+			}
+		};
+	}
+
+	private sendGainReductionMeters() {
+		this.sendMessage({ type: 'setGainReductionMeters', effectIds: Array.from(this.gainReductionCallbacks.keys()) });
+	}
+
 	private async ensureInitialized() {
 		if (!this.isInitialized) {
 			await this.initialize();
@@ -566,7 +769,8 @@ export class EngineWorklet {
 	}
 
 	async resume() {
-		if (this.audioContext.state === 'suspended') {
+		// Offline contexts are driven by startRendering(), not resume()
+		if (this.audioContext instanceof AudioContext && this.audioContext.state === 'suspended') {
 			await this.audioContext.resume();
 		}
 	}
@@ -596,7 +800,8 @@ export class EngineWorklet {
 			this.workletNode.disconnect();
 			this.workletNode = null;
 		}
-		if (this.audioContext.state !== 'closed') {
+		this.pendingSyncs.clear();
+		if (this.audioContext instanceof AudioContext && this.audioContext.state !== 'closed') {
 			this.audioContext.close();
 		}
 	}
@@ -630,6 +835,28 @@ export class EngineWorklet {
 		}
 	}
 
+	/**
+	 * Send the samples used by audio clips to the worklet (each sample once per engine)
+	 */
+	private async loadSamplesForAudioClips(audioClips: TimelineAudioClip[]): Promise<void> {
+		const sampleIds = new Set(audioClips.map((clip) => clip.sampleId));
+		for (const sampleId of sampleIds) {
+			if (this.loadedAudioClipSamples.has(sampleId)) continue;
+			try {
+				const audioBuffer = await getSampleAudio(sampleId);
+				if (!audioBuffer) {
+					console.warn(`Failed to load sample audio ${sampleId} for audio clips`);
+					continue;
+				}
+				if (loadAudioClipSampleToEngine(this, sampleId, audioBuffer)) {
+					this.loadedAudioClipSamples.add(sampleId);
+				}
+			} catch (error) {
+				console.error(`Error loading sample ${sampleId} for audio clips:`, error);
+			}
+		}
+	}
+
 	/**
 	 * Load a single sample for an instrument
 	 */
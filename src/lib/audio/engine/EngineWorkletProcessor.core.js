@@ -13,6 +13,8 @@
  * - ProjectManager: Manages project state, tracks, timeline, effects, and envelopes
  * - SynthManager: Manages synth instances lifecycle
  * - AudioMixer: Handles audio mixing with panning, effects, and envelopes
+ * - AudioClipPlayer: Plays the sample clips on audio tracks
+ * - Metronome: Click track and count-in
  * - AudioProcessor: Handles the main audio processing loop
  * - MessageHandler: Routes incoming messages
  * - SynthFactory: Creates synth instances
@@ -36,6 +38,8 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 		this.projectManager = new ProjectManager(this);
 		this.synthManager = new SynthManager(this);
 		this.playbackController = new PlaybackController(this);
+		this.audioClipPlayer = new AudioClipPlayer(this);
+		this.metronome = new Metronome(this);
 		this.audioProcessor = new AudioProcessor(this);
 		
 		this.port.onmessage = (event) => {
@@ -59,6 +63,11 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 		
 		// Delegate to ProjectManager
 		this.projectManager.loadProject(tracks, bpm, events, baseMeterTrackId, timeline, effects, envelopes, viewMode, patternToTrackId, timelineTrackToAudioTracks, automation, patterns);
+		this.audioClipPlayer.setClips(this.projectManager.isArrangementView ? this.projectManager.timeline.audioClips : null);
+		
+		// Tempo and meter changes only apply to the arrangement
+		const isArrangementView = this.projectManager.isArrangementView && this.projectManager.timeline && this.projectManager.timeline.totalLength;
+		this.playbackController.setTempoMap(isArrangementView ? this.projectManager.timeline.tempoMap : null);
 		
 		// Initialize track state
 		this.trackState.initializeTracks(tracks);
@@ -75,7 +84,7 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 		
 		if (wasPlaying && this.currentTime > 0) {
 			// Calculate current beat position before changing BPM
-			currentBeat = this.currentTime / this.playbackController.samplesPerBeat;
+			currentBeat = this.playbackController.getCurrentBeat();
 		}
 		
 		// Update BPM
@@ -83,7 +92,7 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 		
 		// If playing, adjust currentTime to maintain the same beat position
 		if (wasPlaying && currentBeat > 0) {
-			this.currentTime = currentBeat * this.playbackController.samplesPerBeat;
+			this.currentTime = this.playbackController.beatToSample(currentBeat);
 		}
 		
 		// Clear scheduled events and reset scheduler state
@@ -115,8 +124,52 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 		this.playbackController.setTransport(state, finalPosition);
 	}
 
-	updatePatternTree(trackId, patternTree, baseMeter = 4) {
-		this.projectManager.updatePatternTree(trackId, patternTree, baseMeter);
+	/**
+	 * Start a held note outside the schedule (audition / MIDI input)
+	 * @param {string} trackId
+	 * @param {number} pitch
+	 * @param {number} velocity
+	 */
+	noteOn(trackId, pitch, velocity = 1) {
+		this.synthManager.noteOn(trackId, pitch, velocity);
+	}
+
+	/**
+	 * @param {string} trackId
+	 * @param {number} pitch
+	 */
+	noteOff(trackId, pitch) {
+		this.synthManager.noteOff(trackId, pitch);
+	}
+
+	/**
+	 * Fill mode for fill / not fill trig conditions, picked up by events scheduled from now on
+	 * @param {boolean} active
+	 */
+	setFillMode(active) {
+		this.eventScheduler.fillActive = !!active;
+	}
+
+	/**
+	 * Metronome settings (enabled, volume, accent, countInBars)
+	 * @param {*} settings
+	 */
+	setMetronome(settings) {
+		this.metronome.setSettings(settings);
+	}
+
+	/**
+	 * Arrangement loop region (startBeat, endBeat, enabled), or null to clear it
+	 * @param {*} loopRegion
+	 */
+	setLoopRegion(loopRegion) {
+		if (this.projectManager.timeline) {
+			this.projectManager.timeline.loopRegion = loopRegion;
+		}
+	}
+
+	updatePatternTree(trackId, patternTree, baseMeter = 4, groove = undefined) {
+		this.projectManager.updatePatternTree(trackId, patternTree, baseMeter, groove);
 	}
 
 	updateTrackSettings(trackId, settings) {
@@ -129,6 +182,11 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 
 	updateTrack(trackId, updatedTrack) {
 		const oldTrack = this.projectManager.updateTrack(trackId, updatedTrack);
+		// Updates that don't carry the insert chain (e.g. instrument type changes) keep the old one
+		if (oldTrack && updatedTrack.inserts === undefined && oldTrack.inserts) {
+			updatedTrack.inserts = oldTrack.inserts;
+		}
+		this.effectsProcessor.invalidateInserts(trackId);
 		if (oldTrack) {
 			// Update track state
 			this.trackState.updateTrack(trackId, updatedTrack);
@@ -232,6 +290,16 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 		// This allows the same pattern on multiple tracks to be muted independently
 	}
 
+	/**
+	 * @param {Array<*>} buses - Timeline buses
+	 * @param {Array<*>} tracks - Bus routing and sends per timeline track
+	 */
+	updateMixerRouting(buses, tracks) {
+		this.projectManager.updateMixerRouting(buses, tracks);
+		// Pick the new routing up on the next sample
+		this.audioMixer.clearCaches();
+	}
+
 	updateTimelineTrackSolo(trackId, solo) {
 		this.projectManager.updateTimelineTrackSolo(trackId, solo);
 		// Don't set solo on audio tracks - AudioMixer will check timeline track solo state based on active clips
@@ -242,14 +310,14 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 		// Remove old events for this track
 		this.projectManager.events = this.projectManager.events.filter(e => e.instrumentId !== trackId);
 		
-		// Add new events
-		this.projectManager.events.push(...events);
+		// Add new events (laid out as loadProject does, see ProjectManager.arrangeTrackEvents)
+		this.projectManager.events.push(...this.projectManager.arrangeTrackEvents(trackId, events));
 		
 		// Re-sort events by time
 		this.projectManager.events.sort((a, b) => a.time - b.time);
 		
 		// Clear scheduled events for this track in the future
-		const currentBeat = this.currentTime / this.playbackController.samplesPerBeat;
+		const currentBeat = this.playbackController.getCurrentBeat();
 		const currentSampleTime = Math.floor(this.currentTime);
 		
 		// Remove scheduled events that are in the future
@@ -311,10 +379,30 @@ class EngineWorkletProcessor extends AudioWorkletProcessor {
 		this.effectsProcessor.updateEffect(effectId, settings);
 	}
 
+	/**
+	 * Replace a track's insert effect chain
+	 * @param {string} trackId
+	 * @param {Array<*>} inserts - Insert slots ({id, effectId, bypass}) in processing order
+	 */
+	updateTrackInserts(trackId, inserts) {
+		const track = this.projectManager.getTrack(trackId);
+		if (track) {
+			track.inserts = inserts || [];
+		}
+		this.effectsProcessor.invalidateInserts(trackId);
+	}
+
 	updateEnvelope(envelopeId, settings) {
 		this.envelopesProcessor.updateEnvelope(envelopeId, settings);
 	}
 
+	/**
+	 * @param {string[] | null} trackIds - Audio tracks to mix when rendering a stem (null = all)
+	 */
+	setStemFilter(trackIds) {
+		this.audioMixer.setStemFilter(trackIds);
+	}
+
 	loadSample(trackId, sampleData, sampleRate) {
 		// Convert ArrayBuffer to Float32Array
 		const audioBuffer = new Float32Array(sampleData);
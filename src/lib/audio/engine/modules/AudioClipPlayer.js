@@ -0,0 +1,198 @@
+/**
+ * Plays the sample clips on the arrangement's audio tracks
+ * Each audio track mixes as one engine track (__audio_{timelineTrackId}) whose output is read
+ * straight from the transport's sample position, so clips start on the exact sample their beat
+ * falls on and pick up mid-clip after a seek or loop. Samples always play at their own speed;
+ * tempo changes only move where clips start and end. Clips play in stereo: each voice returns its
+ * left sample and leaves the right one in `right` for the mixer.
+ */
+
+// Note: This file is concatenated with other modules, so we use a global class
+class AudioClipPlayer {
+	static get TRACK_PREFIX() {
+		return '__audio_';
+	}
+
+	/**
+	 * @param {*} processor - The EngineWorkletProcessor
+	 */
+	constructor(processor) {
+		this.processor = processor;
+		/** @type {Map<string, { channels: Float32Array[], sampleRate: number }>} */
+		this.samples = new Map(); // sampleId -> decoded audio per channel (kept across project reloads)
+		/** @type {Array<*>} */
+		this.clips = [];
+		/** @type {Map<string, { isActive: boolean, right: number, process: () => number }>} */
+		this.voices = new Map(); // engine track ID -> voice read by the mixer
+		/** @type {Map<string, Array<*>>} */
+		this._clipsByTrack = new Map(); // engine track ID -> clips with their sample range
+		// Tempo map the clip sample ranges were worked out for
+		/** @type {*} */
+		this._tempoMap = null;
+		// Transport sample being rendered (null while stopped)
+		/** @type {number | null} */
+		this.position = null;
+	}
+
+	/**
+	 * Engine track ID of an audio timeline track
+	 * @param {string} timelineTrackId
+	 * @returns {string}
+	 */
+	static getTrackId(timelineTrackId) {
+		return AudioClipPlayer.TRACK_PREFIX + timelineTrackId;
+	}
+
+	/**
+	 * Store a sample's audio (one array per channel, at its own sample rate)
+	 * Mono samples play on both sides; past two channels only the front left and right are used.
+	 * @param {string} sampleId
+	 * @param {Float32Array[]} channels
+	 * @param {number} sampleRate
+	 */
+	loadSample(sampleId, channels, sampleRate) {
+		if (channels.length === 0) return;
+		this.samples.set(sampleId, { channels, sampleRate });
+	}
+
+	/**
+	 * Use the audio clips of a newly loaded timeline
+	 * @param {Array<*> | null | undefined} audioClips
+	 */
+	setClips(audioClips) {
+		this.clips = Array.isArray(audioClips) ? audioClips : [];
+		this.voices.clear();
+		for (const clip of this.clips) {
+			const trackId = AudioClipPlayer.getTrackId(clip.trackId);
+			if (!this.voices.has(trackId)) {
+				this.voices.set(trackId, this._createVoice(trackId));
+			}
+		}
+		this._tempoMap = null;
+	}
+
+	/**
+	 * Set the transport sample the next process() calls render
+	 * @param {number | null} sampleTime - null silences every clip (transport stopped)
+	 */
+	setPosition(sampleTime) {
+		this.position = sampleTime;
+	}
+
+	/**
+	 * Voices for the mixer, one per audio track
+	 * @returns {Map<string, { isActive: boolean, right: number, process: () => number }>}
+	 */
+	getVoices() {
+		return this.voices;
+	}
+
+	/**
+	 * @param {string} trackId - Engine track ID
+	 * @returns {{ isActive: boolean, right: number, process: () => number }}
+	 */
+	_createVoice(trackId) {
+		const player = this;
+		return {
+			isActive: false,
+			right: 0,
+			process() {
+				const left = player._renderTrack(trackId, this);
+				this.isActive = left !== 0 || this.right !== 0;
+				return left;
+			}
+		};
+	}
+
+	/**
+	 * Work out each clip's sample range again if the tempo map changed
+	 */
+	_updateClipRanges() {
+		const playbackController = this.processor.playbackController;
+		if (this._tempoMap === playbackController.tempoMap) return;
+		this._tempoMap = playbackController.tempoMap;
+		this._clipsByTrack.clear();
+		for (const clip of this.clips) {
+			const startSample = playbackController.beatToSample(clip.startBeat || 0);
+			const endSample = playbackController.beatToSample((clip.startBeat || 0) + (clip.duration || 0));
+			if (endSample <= startSample) continue;
+			const trackId = AudioClipPlayer.getTrackId(clip.trackId);
+			let trackClips = this._clipsByTrack.get(trackId);
+			if (!trackClips) {
+				trackClips = [];
+				this._clipsByTrack.set(trackId, trackClips);
+			}
+			trackClips.push({
+				sampleId: clip.sampleId,
+				startSample,
+				endSample,
+				trimStart: Math.max(0, clip.trimStart || 0),
+				fadeIn: Math.max(0, clip.fadeIn || 0),
+				fadeOut: Math.max(0, clip.fadeOut || 0),
+				gain: clip.gain !== undefined ? clip.gain : 1
+			});
+		}
+	}
+
+	/**
+	 * Sum of a track's clips at the current position
+	 * @param {string} trackId - Engine track ID
+	 * @param {{ right: number }} voice - Receives the right channel
+	 * @returns {number} Left channel
+	 */
+	_renderTrack(trackId, voice) {
+		voice.right = 0;
+		if (this.position === null) return 0;
+		this._updateClipRanges();
+		const clips = this._clipsByTrack.get(trackId);
+		if (!clips) return 0;
+		const sampleRate = this.processor.sampleRate;
+		const position = this.position;
+		let left = 0;
+		let right = 0;
+		for (const clip of clips) {
+			if (position < clip.startSample || position >= clip.endSample) continue;
+			const sample = this.samples.get(clip.sampleId);
+			if (!sample) continue;
+
+			// Seconds into the clip, and into the sample once the trimmed start is skipped
+			const elapsed = (position - clip.startSample) / sampleRate;
+			const index = (clip.trimStart + elapsed) * sample.sampleRate;
+			const i = Math.floor(index);
+			const leftData = sample.channels[0];
+			const rightData = sample.channels.length > 1 ? sample.channels[1] : leftData;
+			if (i >= leftData.length) continue;
+			const fraction = index - i;
+			let gain = clip.gain;
+
+			// Linear fades, shortened so fade-in and fade-out never overlap
+			const remaining = (clip.endSample - position) / sampleRate;
+			const length = elapsed + remaining;
+			const fadeScale = clip.fadeIn + clip.fadeOut > length ? length / (clip.fadeIn + clip.fadeOut) : 1;
+			const fadeIn = clip.fadeIn * fadeScale;
+			const fadeOut = clip.fadeOut * fadeScale;
+			if (elapsed < fadeIn) {
+				gain *= elapsed / fadeIn;
+			}
+			if (remaining < fadeOut) {
+				gain *= remaining / fadeOut;
+			}
+			left += AudioClipPlayer._interpolate(leftData, i, fraction) * gain;
+			right += AudioClipPlayer._interpolate(rightData, i, fraction) * gain;
+		}
+		voice.right = right;
+		return left;
+	}
+
+	/**
+	 * Linear interpolation between a channel's frames i and i + 1 (silence past the end)
+	 * @param {Float32Array} data
+	 * @param {number} i
+	 * @param {number} fraction
+	 * @returns {number}
+	 */
+	static _interpolate(data, i, fraction) {
+		const next = i + 1 < data.length ? data[i + 1] : 0;
+		return data[i] * (1 - fraction) + next * fraction;
+	}
+}
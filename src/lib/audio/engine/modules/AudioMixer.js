@@ -1,6 +1,9 @@
 /**
  * Handles audio mixing with per-track volume, pan, mute, solo, effects, and envelopes
  * Applies constant power panning for smooth stereo imaging
+ * Mixes a block at a time: voices render into a buffer per track, then each track's envelopes,
+ * pan, inserts and volume run over the whole block. In arrangement view the tracks on a timeline
+ * track then sum into one block, which that track's effects and fader run on once.
  */
 
 /**
@@ -12,6 +15,13 @@
  */
 
 class AudioMixer {
+	/**
+	 * Chain key of the global effects on the mix
+	 */
+	static get MASTER_CHAIN() {
+		return '__master';
+	}
+
 	/**
 	 * @param {*} trackStateManager
 	 * @param {*} effectsProcessor
@@ -35,182 +45,211 @@ class AudioMixer {
 		// Performance optimization caches
 		this._trackToTimelineTracks = new Map(); // trackId -> timelineTrack[]
 		this._trackToPatternId = new Map(); // trackId -> patternId
-		this._trackToTimelineVolume = new Map(); // trackId -> volume multiplier
 		this._activeClipsCache = new Map(); // patternId -> {beat: number, clips: clip[]}
 		this._lastCacheUpdateBeat = -1;
 		this._cacheUpdateInterval = 0.1; // Update cache every 0.1 beats (~100ms at 120 BPM)
 		this._panGainsCache = new Map(); // trackId -> {pan: number, leftGain: number, rightGain: number}
+		this._trackGains = new Map(); // trackId -> {leftGain, rightGain, volume} the last block ended on
+
+		// Block buffers: voices render into a buffer per track, tracks mix into the master buffers
+		this._blockSize = 128;
+		this._frameCount = 128;
+		this._trackBlocks = new Map(); // trackId -> {samples: Float32Array, right: Float32Array | null, active: boolean}
+		this._trackLeft = new Float32Array(this._blockSize);
+		this._trackRight = new Float32Array(this._blockSize);
+		this._mixLeft = new Float32Array(this._blockSize);
+		this._mixRight = new Float32Array(this._blockSize);
+		this._mixOutput = { left: this._mixLeft, right: this._mixRight };
 
 		// Cache biquad coefficients per track to avoid recompute every sample
 		this._filterCoeffCache = new Map(); // trackId -> {cutoff, q, sampleRate, coeffs}
+
+		// Stem export: only mix these audio track IDs (null = mix everything)
+		this.stemFilter = null;
+
+		// Arrangement buses: group buses take routed tracks, return buses take sends
+		this._busStates = new Map(); // busId -> {bus, left: Float32Array, right: Float32Array, effects, active}
+		this._trackRouting = new Map(); // timelineTrackId -> {busId, sends}
+		
+		// Timeline tracks: their tracks sum into one block, which their effects and fader run on once
+		this._timelineTrackBlocks = new Map(); // timelineTrackId -> {id, track, left, right, active, volume}
+		
+		// Effect chains stop running once their input and output have been silent for their tail
+		this._chainSilence = new Map(); // chain key -> frames its input and output have been silent
+		this._silenceThreshold = 1e-5; // About -100 dB
+		/** @type {Array<*>} */
+		this._noEffects = [];
+
+		// Sidechain keys: pre-fader copies of the tracks compressors listen to, mixed before the others
+		this._sidechainSources = new Set(); // Engine track IDs some compressor keys from
+		this._sidechainKeys = new Map(); // source -> {left: Float32Array, right: Float32Array, block: number}
+		/** @type {string[]} */
+		this._trackOrder = []; // Active track IDs in mixing order
+		this._blockIndex = 0;
+	}
+
+	/**
+	 * Restrict the mix to a set of audio tracks (used when rendering stems)
+	 * @param {string[] | null} trackIds - Audio track IDs to keep, or null to mix all tracks
+	 */
+	setStemFilter(trackIds) {
+		this.stemFilter = Array.isArray(trackIds) ? new Set(trackIds) : null;
+	}
+
+	/**
+	 * Start a block: clear the buffers tracks wrote into during the last one
+	 * @param {number} frameCount - Frames in the block
+	 */
+	beginBlock(frameCount) {
+		if (frameCount > this._blockSize) {
+			// Hosts render 128 frames; grow every buffer if one asks for more
+			this._blockSize = frameCount;
+			this._trackBlocks.clear();
+			this._trackLeft = new Float32Array(frameCount);
+			this._trackRight = new Float32Array(frameCount);
+			this._mixLeft = new Float32Array(frameCount);
+			this._mixRight = new Float32Array(frameCount);
+			this._sidechainKeys.clear();
+			for (const busState of this._busStates.values()) {
+				busState.left = new Float32Array(frameCount);
+				busState.right = new Float32Array(frameCount);
+			}
+			for (const timelineTrackBlock of this._timelineTrackBlocks.values()) {
+				timelineTrackBlock.left = new Float32Array(frameCount);
+				timelineTrackBlock.right = new Float32Array(frameCount);
+			}
+		}
+		this._frameCount = frameCount;
+		for (const trackBlock of this._trackBlocks.values()) {
+			if (trackBlock.active) {
+				trackBlock.samples.fill(0);
+				if (trackBlock.right) trackBlock.right.fill(0);
+				trackBlock.active = false;
+			}
+		}
 	}
 
 	/**
+	 * Render one frame of every track's voices into its block buffer
+	 * Voices still run frame by frame so events start notes on their exact sample; everything
+	 * after the voices runs once per block in mixBlock. A voice with a `right` property (audio clips)
+	 * is stereo: process() returns its left sample and leaves the right one in `right`.
 	 * @param {Map<string, any>} synths
+	 * @param {number} index - Frame within the block
+	 * @param {boolean} isArrangementView
+	 */
+	renderVoices(synths, index, isArrangementView) {
+		for (const [trackId, synthOrVoices] of synths.entries()) {
+			// Stem export - skip tracks outside the stem being rendered
+			if (this.stemFilter && !this.stemFilter.has(trackId)) {
+				continue;
+			}
+			
+			// Early mute check - muted tracks don't run their voices (pattern view only)
+			if (!isArrangementView && this.trackStateManager.isMuted(trackId)) {
+				continue;
+			}
+			
+			// Handle voice pools (polyphonic) vs single synth (monophonic)
+			let trackSample = 0;
+			let rightSample;
+			let hasActiveVoice = false;
+			if (Array.isArray(synthOrVoices)) {
+				for (const synth of synthOrVoices) {
+					if (synth && synth.process) {
+						trackSample += synth.process();
+					}
+					if (synth && synth.isActive) hasActiveVoice = true;
+				}
+			} else if (synthOrVoices) {
+				if (synthOrVoices.process) {
+					trackSample = synthOrVoices.process();
+				}
+				rightSample = synthOrVoices.right;
+				hasActiveVoice = !!synthOrVoices.isActive;
+			}
+			
+			// Silent tracks stay out of the block
+			if (trackSample === 0 && !hasActiveVoice) {
+				continue;
+			}
+			
+			let trackBlock = this._trackBlocks.get(trackId);
+			if (!trackBlock) {
+				trackBlock = { samples: new Float32Array(this._blockSize), right: null, active: false };
+				this._trackBlocks.set(trackId, trackBlock);
+			}
+			trackBlock.samples[index] = trackSample;
+			if (rightSample !== undefined) {
+				if (!trackBlock.right) trackBlock.right = new Float32Array(this._blockSize);
+				trackBlock.right[index] = rightSample;
+			}
+			trackBlock.active = true;
+		}
+	}
+
+	/**
+	 * Mix the block's tracks: envelopes, pan, inserts and volume per track, then (in arrangement
+	 * view) the effects, fader and routing of each timeline track on the sum of its tracks, then
+	 * buses, then global effects
+	 * Volume and pan ramp from the previous block's values so changes don't step.
 	 * @param {number} masterGain
-	 * @param {number} currentBeat
+	 * @param {number} startBeat - Beat at the block's first frame
+	 * @param {number} beatsPerSample - Beats per frame (0 while the transport is stopped)
 	 * @param {boolean} isArrangementView
+	 * @returns {{left: Float32Array, right: Float32Array}} Master buffers (valid until the next block)
 	 */
-	mixSynths(synths, masterGain = 0.3, currentBeat = 0, isArrangementView = false) {
-		let leftSample = 0;
-		let rightSample = 0;
+	mixBlock(masterGain, startBeat, beatsPerSample, isArrangementView) {
+		const frameCount = this._frameCount;
+		const endBeat = startBeat + beatsPerSample * frameCount;
+		const mixLeft = this._mixLeft;
+		const mixRight = this._mixRight;
+		mixLeft.fill(0);
+		mixRight.fill(0);
+		this._blockIndex++;
+		if (this.effectsProcessor) {
+			this.effectsProcessor.setBlockPosition(startBeat, beatsPerSample);
+		}
+		this._updateSidechainSources();
 		
-		// Update caches periodically (not every sample)
-		const shouldUpdateCache = Math.abs(currentBeat - this._lastCacheUpdateBeat) >= this._cacheUpdateInterval;
+		// Update caches periodically (not every block)
+		const shouldUpdateCache = Math.abs(startBeat - this._lastCacheUpdateBeat) >= this._cacheUpdateInterval;
 		if (shouldUpdateCache) {
 			this._updateCaches(isArrangementView);
-			this._lastCacheUpdateBeat = currentBeat;
+			this._lastCacheUpdateBeat = startBeat;
 		}
 		
 		// Check if any timeline track is soloed (for arrangement view)
 		let hasSoloedTimelineTrack = false;
 		if (isArrangementView && this.processor && this.processor.projectManager && this.processor.projectManager.timeline && this.processor.projectManager.timeline.tracks) {
-			hasSoloedTimelineTrack = this.processor.projectManager.timeline.tracks.some((t) => t.type === 'pattern' && t.solo === true);
+			hasSoloedTimelineTrack = this.processor.projectManager.timeline.tracks.some((t) => (t.type === 'pattern' || t.type === 'audio') && t.solo === true);
 		}
 		
 		const hasSoloedTrack = this.trackStateManager.hasAnySoloedTrack();
+		const trackLeft = this._trackLeft;
+		const trackRight = this._trackRight;
+		const rampStep = 1 / frameCount;
 		
-		for (const [trackId, synthOrVoices] of synths.entries()) {
-			// Handle voice pools (polyphonic) vs single synth (monophonic)
-			const isVoicePool = Array.isArray(synthOrVoices);
-			const voices = isVoicePool ? synthOrVoices : [synthOrVoices];
+		const trackOrder = this._getTrackOrder();
+		for (let t = 0; t < trackOrder.length; t++) {
+			const trackId = trackOrder[t];
+			const trackBlock = this._trackBlocks.get(trackId);
 			
-			// Early mute check - skip expensive lookups if already muted (pattern view only)
-			const isMuted = this.trackStateManager.isMuted(trackId);
-			if (isMuted && !isArrangementView) {
-				continue; // Skip muted tracks in pattern view
-			}
+			// Silent tracks (zeroed blocks) still run their inserts until their tails have rung out
+			const inserts = this.effectsProcessor ? this.effectsProcessor.getInsertEffects(trackId) : this._noEffects;
+			if (!trackBlock.active && (inserts.length === 0 || this._isChainIdle(trackId, inserts))) continue;
 			
-			// Mix all voices for this track
-			let trackSample = 0;
-			for (const synth of voices) {
-				if (synth && synth.process) {
-					trackSample += synth.process();
-				}
-			}
-			
-			// Skip if no active voices
-			if (trackSample === 0 && voices.every(v => !v || !v.isActive)) {
-				continue;
-			}
-			
-			// Use cached timeline tracks lookup
-			const timelineTracks = this._trackToTimelineTracks.get(trackId) || [];
-				
-			// Check timeline track mute/solo state (for arrangement view)
-			// For mute: Check if there's at least one active clip on a non-muted timeline track
-			// For solo: Check if there's at least one active clip on a soloed timeline track
-			let isTimelineMuted = false;
-			let isTimelineSoloed = false;
-			if (isArrangementView && timelineTracks.length > 0) {
-				// Use cached pattern ID
-				const patternId = this._trackToPatternId.get(trackId);
-				
-				// Cache timeline reference to avoid repeated property access
-				const timeline = this.processor?.projectManager?.timeline;
-				const timelineTracksArray = timeline?.tracks;
-				
-				// Use cached active clips (updated periodically)
-				let activeClips = [];
-				if (patternId) {
-					const cached = this._activeClipsCache.get(patternId);
-					if (cached && Math.abs(currentBeat - cached.beat) < this._cacheUpdateInterval * 2) {
-						activeClips = cached.clips;
-					} else if (timeline?.clips) {
-						// Fallback: calculate if cache is stale
-						activeClips = timeline.clips.filter((clip) => {
-							return clip.patternId === patternId &&
-							       currentBeat >= clip.startBeat &&
-							       currentBeat < clip.startBeat + clip.duration;
-						});
-					}
-					
-					if (activeClips.length > 0 && timelineTracksArray) {
-						// Check if all active clips are on muted timeline tracks
-						const allClipsMuted = activeClips.every((clip) => {
-							const clipTrack = timelineTracksArray.find((t) => t.id === clip.trackId);
-							return clipTrack?.mute === true;
-						});
-						
-						// If any timeline track is soloed, play if ANY active clip is on a soloed track
-						// This allows soloed tracks to play even if other non-soloed clips are active
-						if (hasSoloedTimelineTrack) {
-							// Solo mode: play if ANY active clip is on a soloed track
-							const hasSoloedClip = activeClips.some((clip) => {
-								const clipTrack = timelineTracksArray.find((t) => t.id === clip.trackId);
-								return clipTrack?.solo === true;
-							});
-							isTimelineSoloed = hasSoloedClip;
-						} else {
-							// No solo mode: check if any active clip is on a soloed timeline track (shouldn't happen, but for safety)
-							const hasSoloedClip = activeClips.some((clip) => {
-								const clipTrack = timelineTracksArray.find((t) => t.id === clip.trackId);
-								return clipTrack?.solo === true;
-							});
-							isTimelineSoloed = hasSoloedClip;
-						}
-						
-						isTimelineMuted = allClipsMuted;
-						
-						// Debug: Log mute/solo decision for this track (track-specific, throttled)
-						const debugKey = `${trackId}_${patternId}`;
-						const lastDebugState = (this._lastDebugStates) ? this._lastDebugStates.get(debugKey) : null;
-						const stateChanged = !lastDebugState || 
-						                    lastDebugState.muted !== isTimelineMuted || 
-						                    lastDebugState.soloed !== isTimelineSoloed ||
-						                    (currentBeat - lastDebugState.beat) > 1.0; // Log at most once per beat per track
-						
-						if (stateChanged) {
-							if (!this._lastDebugStates) {
-								this._lastDebugStates = new Map();
-							}
-							this._lastDebugStates.set(debugKey, {
-								muted: isTimelineMuted,
-								soloed: isTimelineSoloed,
-								beat: currentBeat
-							});
-							
-							const clipInfo = activeClips.map((clip) => {
-								const clipTrack = timelineTracksArray?.find((t) => t.id === clip.trackId);
-								return {
-									clipId: clip.id,
-									trackId: clip.trackId,
-									trackName: clipTrack?.name || 'unknown',
-									mute: clipTrack?.mute || false,
-									solo: clipTrack?.solo || false,
-									startBeat: clip.startBeat,
-									duration: clip.duration,
-									clipEndBeat: clip.startBeat + clip.duration
-								};
-							});
-							
-						}
-					} else {
-						// No active clips - mute this audio track
-						isTimelineMuted = true;
-					}
-				} else {
-					// Fallback: If any timeline track is muted, mute this audio track
-					isTimelineMuted = timelineTracks.some((t) => t.mute === true);
-					// If any timeline track is soloed, this audio track is soloed
-					isTimelineSoloed = timelineTracks.some((t) => t.solo === true);
-				}
-			}
-			
-			// Get solo state (isMuted already declared above)
-			const isSoloed = this.trackStateManager.isSoloed(trackId);
+			const isMuted = this.trackStateManager.isMuted(trackId);
+			const timelineState = this._getTimelineMuteSolo(trackId, startBeat, isArrangementView, hasSoloedTimelineTrack);
 			
 			// Combine mute states: muted if audio track is muted OR any timeline track is muted
-			const shouldMute = isMuted || isTimelineMuted;
-			
-			// Skip if muted
-			if (shouldMute) continue;
+			if (isMuted || timelineState.muted) continue;
 			
 			// Solo logic: if any timeline track is soloed, only play if this audio track belongs to a soloed timeline track
 			// Otherwise, use audio track solo state
 			if (isArrangementView && hasSoloedTimelineTrack) {
-				if (!isTimelineSoloed) continue;
-			} else if (hasSoloedTrack && !isSoloed) {
+				if (!timelineState.soloed) continue;
+			} else if (hasSoloedTrack && !this.trackStateManager.isSoloed(trackId)) {
 				continue;
 			}
 			
@@ -218,96 +257,67 @@ class AudioMixer {
 			let trackVolume = this.trackStateManager.getVolume(trackId);
 			let trackPan = this.trackStateManager.getPan(trackId);
 			
-			// Apply cached timeline track volume
-			const timelineVolume = this._trackToTimelineVolume.get(trackId);
-			if (timelineVolume !== undefined) {
-				trackVolume *= timelineVolume;
-			}
-			
-			// Use cached pattern ID
-			let patternId = this._trackToPatternId.get(trackId);
-			// Fallback: check if first voice has a stored patternId (from event)
-			if (!patternId && voices[0] && voices[0]._patternId) {
-				patternId = voices[0]._patternId;
-			}
-			
-			// Get envelope values for this track at current position
-			// Initialize with default values
-			let envelopeValues = {
-				volume: 1.0,
-				filter: 1.0,
-				pitch: 1.0,
-				pan: 0.0
-			};
-			
+			// Envelope values at the block's start
+			let filterEnvelope = 1.0;
+			let pitchEnvelope = 1.0;
 			if (this.envelopesProcessor) {
-				envelopeValues = this.envelopesProcessor.getActiveEnvelopeValues(
+				const envelopeValues = this.envelopesProcessor.getActiveEnvelopeValues(
 					trackId,
-					currentBeat,
+					startBeat,
 					isArrangementView
 				);
-
-				// Apply envelope values
 				trackVolume *= envelopeValues.volume;
-				trackPan += envelopeValues.pan;
-				trackPan = Math.max(-1, Math.min(1, trackPan)); // Clamp pan
+				trackPan = Math.max(-1, Math.min(1, trackPan + envelopeValues.pan)); // Clamp pan
+				filterEnvelope = envelopeValues.filter;
+				pitchEnvelope = envelopeValues.pitch;
 			}
 			
-			// Use the mixed track sample (already calculated above)
-			let synthSample = trackSample;
+			const samples = trackBlock.samples;
+			// Stereo tracks (audio clips) carry their right channel separately; mono tracks feed both sides
+			const rightSamples = trackBlock.right;
 			
 			// Apply filter envelope (if active)
-			if (envelopeValues.filter !== 1.0) {
-					// Filter envelope modulates filter cutoff
-					// envelopeValues.filter is 0-1, map to cutoff frequency
-					// Lower filter value = lower cutoff (darker sound)
-					const baseCutoff = 20000; // Full frequency range
-					const cutoff = baseCutoff * envelopeValues.filter;
-					
-					// Initialize filter state if needed
-					if (!this.filterStates.has(trackId)) {
-						this.filterStates.set(trackId, { x1: 0, x2: 0, y1: 0, y2: 0 });
+			if (filterEnvelope !== 1.0) {
+				// envelope is 0-1, mapped onto the cutoff (lower = darker)
+				const cutoff = 20000 * filterEnvelope;
+				if (!this.filterStates.has(trackId)) {
+					this.filterStates.set(trackId, { x1: 0, x2: 0, y1: 0, y2: 0 });
+				}
+				const filterState = this.filterStates.get(trackId);
+				for (let i = 0; i < frameCount; i++) {
+					samples[i] = this.applyLowpassFilter(samples[i], cutoff, 0.5, filterState, trackId);
+				}
+				if (rightSamples) {
+					const rightKey = trackId + ':R';
+					if (!this.filterStates.has(rightKey)) {
+						this.filterStates.set(rightKey, { x1: 0, x2: 0, y1: 0, y2: 0 });
+					}
+					const rightState = this.filterStates.get(rightKey);
+					for (let i = 0; i < frameCount; i++) {
+						rightSamples[i] = this.applyLowpassFilter(rightSamples[i], cutoff, 0.5, rightState, trackId);
 					}
-					const filterState = this.filterStates.get(trackId);
-					
-					// Apply simple lowpass filter
-					synthSample = this.applyLowpassFilter(synthSample, cutoff, 0.5, filterState, trackId);
-					
 				}
+			}
 			
 			// Apply pitch envelope (if active)
-			if (envelopeValues.pitch !== 1.0) {
-					// Pitch envelope modulates pitch
-					// envelopeValues.pitch is a multiplier (0.5 = down octave, 2.0 = up octave)
-					// Apply as simple frequency modulation
-					synthSample = this.applyPitchShift(synthSample, envelopeValues.pitch, trackId);
-					
+			if (pitchEnvelope !== 1.0) {
+				// Multiplier (0.5 = down octave, 2.0 = up octave)
+				for (let i = 0; i < frameCount; i++) {
+					samples[i] = this.applyPitchShift(samples[i], pitchEnvelope, trackId);
+				}
+				if (rightSamples) {
+					const rightKey = trackId + ':R';
+					for (let i = 0; i < frameCount; i++) {
+						rightSamples[i] = this.applyPitchShift(rightSamples[i], pitchEnvelope, rightKey);
+					}
 				}
-			
-			// Apply effects to this track's audio
-			if (this.effectsProcessor) {
-				
-				const activeEffects = this.effectsProcessor.getActiveEffects(
-					trackId,
-					currentBeat,
-					isArrangementView
-				);
-				
-				
-				synthSample = this.effectsProcessor.processSample(synthSample, activeEffects);
 			}
-				
-			// Apply track volume
-			synthSample *= trackVolume;
 			
 			// Pan calculation using constant power panning
 			// -1 = full left, 0 = center, 1 = full right
 			// This maintains constant perceived volume across the pan range
-			// Cache pan calculations per track to avoid recalculating every sample
-			let panGains = this._panGainsCache?.get(trackId);
-			if (!this._panGainsCache) {
-				this._panGainsCache = new Map();
-			}
+			// (on a stereo track the same gains balance its two channels)
+			let panGains = this._panGainsCache.get(trackId);
 			if (!panGains || panGains.pan !== trackPan) {
 				const panRadians = (trackPan + 1) * (Math.PI / 4); // Map -1..1 to 0..π/2
 				panGains = {
@@ -318,15 +328,504 @@ class AudioMixer {
 				this._panGainsCache.set(trackId, panGains);
 			}
 			
-			leftSample += synthSample * panGains.leftGain;
-			rightSample += synthSample * panGains.rightGain;
+			// Ramp from the gains the last block ended on
+			let lastGains = this._trackGains.get(trackId);
+			if (!lastGains) {
+				lastGains = { leftGain: panGains.leftGain, rightGain: panGains.rightGain, volume: trackVolume };
+				this._trackGains.set(trackId, lastGains);
+			}
+			
+			// Inserts run on the panned stereo block, before the fader
+			const leftStep = (panGains.leftGain - lastGains.leftGain) * rampStep;
+			const rightStep = (panGains.rightGain - lastGains.rightGain) * rampStep;
+			const sourceRight = rightSamples || samples;
+			for (let i = 0; i < frameCount; i++) {
+				trackLeft[i] = samples[i] * (lastGains.leftGain + leftStep * i);
+				trackRight[i] = sourceRight[i] * (lastGains.rightGain + rightStep * i);
+			}
+			lastGains.leftGain = panGains.leftGain;
+			lastGains.rightGain = panGains.rightGain;
+			
+			if (inserts.length > 0) {
+				this._processScaled(trackId, trackLeft, trackRight, frameCount, inserts, !trackBlock.active);
+			}
+			
+			// This is the pre-fader signal
+			if (this._sidechainSources.has(trackId)) {
+				this._storeSidechainKey(trackId, trackLeft, trackRight, frameCount);
+			}
+			
+			// Apply track volume
+			const volumeStep = (trackVolume - lastGains.volume) * rampStep;
+			for (let i = 0; i < frameCount; i++) {
+				const volume = lastGains.volume + volumeStep * i;
+				trackLeft[i] *= volume;
+				trackRight[i] *= volume;
+			}
+			lastGains.volume = trackVolume;
+			
+			// In arrangement view the track joins the other tracks on its timeline track
+			// (a pattern on several timeline tracks follows the first one)
+			const timelineTracks = isArrangementView ? this._trackToTimelineTracks.get(trackId) : undefined;
+			const target = timelineTracks ? this._getTimelineTrackBlock(timelineTracks[0]) : null;
+			const targetLeft = target ? target.left : mixLeft;
+			const targetRight = target ? target.right : mixRight;
+			for (let i = 0; i < frameCount; i++) {
+				targetLeft[i] += trackLeft[i];
+				targetRight[i] += trackRight[i];
+			}
+			if (target) target.active = true;
+		}
+		
+		// Timeline tracks: their effects, sends and fader run once on the sum of their tracks
+		if (isArrangementView) {
+			for (const timelineTrackBlock of this._timelineTrackBlocks.values()) {
+				this._mixTimelineTrack(timelineTrackBlock, startBeat, endBeat, rampStep, hasSoloedTimelineTrack);
+			}
 		}
 
-		return {
-			left: leftSample * masterGain,
-			right: rightSample * masterGain,
-			mono: (leftSample + rightSample) * 0.5 * masterGain
-		};
+		// Buses run even without input, until their effect tails have rung out
+		if (isArrangementView && this._busStates.size > 0) {
+			for (const [busId, busState] of this._busStates) {
+				const busLeft = busState.left;
+				const busRight = busState.right;
+				if (!busState.bus.mute) {
+					if (this.effectsProcessor && busState.effects.length > 0 &&
+						(busState.active || !this._isChainIdle(busId, busState.effects))) {
+						this._processChain(busId, busLeft, busRight, frameCount, busState.effects, !busState.active);
+					}
+					const busVolume = busState.bus.volume ?? 1.0;
+					for (let i = 0; i < frameCount; i++) {
+						mixLeft[i] += busLeft[i] * busVolume;
+						mixRight[i] += busRight[i] * busVolume;
+					}
+				}
+				busLeft.fill(0);
+				busRight.fill(0);
+				busState.active = false;
+			}
+		}
+
+		// Global effects run once on the whole mix
+		if (isArrangementView && this.effectsProcessor) {
+			const globalEffects = this.effectsProcessor.getGlobalEffects(startBeat, endBeat);
+			const mixSilent = this._isSilent(mixLeft, mixRight, frameCount);
+			if (globalEffects.length > 0 && (!mixSilent || !this._isChainIdle(AudioMixer.MASTER_CHAIN, globalEffects))) {
+				this._processScaled(AudioMixer.MASTER_CHAIN, mixLeft, mixRight, frameCount, globalEffects, mixSilent);
+			}
+		}
+
+		for (let i = 0; i < frameCount; i++) {
+			mixLeft[i] *= masterGain;
+			mixRight[i] *= masterGain;
+		}
+		this._mixOutput.left = mixLeft;
+		this._mixOutput.right = mixRight;
+		return this._mixOutput;
+	}
+
+	/**
+	 * Finish a timeline track's block and route it: its targeted effects, pre-fader sends, fader,
+	 * post-fader sends, then its group bus or the mix
+	 * @param {*} timelineTrackBlock - From _getTimelineTrackBlock
+	 * @param {number} startBeat
+	 * @param {number} endBeat
+	 * @param {number} rampStep - 1 / frameCount
+	 * @param {boolean} hasSoloedTimelineTrack
+	 */
+	_mixTimelineTrack(timelineTrackBlock, startBeat, endBeat, rampStep, hasSoloedTimelineTrack) {
+		const frameCount = this._frameCount;
+		const { id, track, left, right, active } = timelineTrackBlock;
+		
+		// Muting or soloing another track cuts this one's effect tails too
+		if (track.mute || (hasSoloedTimelineTrack && !track.solo)) {
+			if (active) {
+				left.fill(0);
+				right.fill(0);
+				timelineTrackBlock.active = false;
+			}
+			return;
+		}
+		
+		const effects = this.effectsProcessor ? this.effectsProcessor.getTrackEffects(id, startBeat, endBeat) : this._noEffects;
+		if (!active && (effects.length === 0 || this._isChainIdle(id, effects))) return;
+		
+		if (effects.length > 0) {
+			this._processScaled(id, left, right, frameCount, effects, !active);
+		}
+		
+		const routing = this._trackRouting.get(id);
+		if (routing) {
+			for (const send of routing.sends) {
+				if (send.preFader) this._addToBus(send.busId, left, right, send.level, frameCount);
+			}
+		}
+		
+		const volume = track.volume ?? 1.0;
+		const volumeStep = (volume - timelineTrackBlock.volume) * rampStep;
+		for (let i = 0; i < frameCount; i++) {
+			const gain = timelineTrackBlock.volume + volumeStep * i;
+			left[i] *= gain;
+			right[i] *= gain;
+		}
+		timelineTrackBlock.volume = volume;
+		
+		let routed = false;
+		if (routing) {
+			for (const send of routing.sends) {
+				if (!send.preFader) this._addToBus(send.busId, left, right, send.level, frameCount);
+			}
+			routed = !!routing.busId && this._addToBus(routing.busId, left, right, 1, frameCount);
+		}
+		if (!routed) {
+			const mixLeft = this._mixLeft;
+			const mixRight = this._mixRight;
+			for (let i = 0; i < frameCount; i++) {
+				mixLeft[i] += left[i];
+				mixRight[i] += right[i];
+			}
+		}
+		
+		left.fill(0);
+		right.fill(0);
+		timelineTrackBlock.active = false;
+	}
+
+	/**
+	 * The block a timeline track's tracks sum into, created the first time one plays on it
+	 * @param {*} timelineTrack
+	 * @returns {{id: string, track: *, left: Float32Array, right: Float32Array, active: boolean, volume: number}}
+	 */
+	_getTimelineTrackBlock(timelineTrack) {
+		let timelineTrackBlock = this._timelineTrackBlocks.get(timelineTrack.id);
+		if (!timelineTrackBlock) {
+			timelineTrackBlock = {
+				id: timelineTrack.id,
+				track: timelineTrack,
+				left: new Float32Array(this._blockSize),
+				right: new Float32Array(this._blockSize),
+				active: false,
+				volume: timelineTrack.volume ?? 1.0 // Fader level the last block ended on
+			};
+			this._timelineTrackBlocks.set(timelineTrack.id, timelineTrackBlock);
+		}
+		timelineTrackBlock.track = timelineTrack;
+		return timelineTrackBlock;
+	}
+
+	/**
+	 * Run a chain on a panned block (a track, a timeline track or the mix)
+	 * The block is scaled up by √2 around the chain so a centred source reaches the effects at its
+	 * unpanned level, as it did when effects ran mono.
+	 * @param {string} key - Chain key for _processChain
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} frameCount
+	 * @param {Array<*>} effects
+	 * @param {boolean} inputSilent
+	 */
+	_processScaled(key, left, right, frameCount, effects, inputSilent) {
+		for (let i = 0; i < frameCount; i++) {
+			left[i] *= Math.SQRT2;
+			right[i] *= Math.SQRT2;
+		}
+		this._processChain(key, left, right, frameCount, effects, inputSilent);
+		for (let i = 0; i < frameCount; i++) {
+			left[i] *= Math.SQRT1_2;
+			right[i] *= Math.SQRT1_2;
+		}
+	}
+
+	/**
+	 * Run an effect chain over a block and note whether it has gone quiet
+	 * @param {string} key - Engine track, timeline track or bus the chain belongs to
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} frameCount
+	 * @param {Array<*>} effects
+	 * @param {boolean} inputSilent - Whether nothing reached the chain this block
+	 */
+	_processChain(key, left, right, frameCount, effects, inputSilent) {
+		this.effectsProcessor.processBlock(left, right, frameCount, effects);
+		const silentFrames = inputSilent && this._isSilent(left, right, frameCount)
+			? (this._chainSilence.get(key) || 0) + frameCount
+			: 0;
+		this._chainSilence.set(key, silentFrames);
+	}
+
+	/**
+	 * Whether a chain with no input can be skipped: its input and output have stayed silent for
+	 * longer than the chain's tail, so nothing is left ringing in it
+	 * @param {string} key
+	 * @param {Array<*>} effects
+	 * @returns {boolean}
+	 */
+	_isChainIdle(key, effects) {
+		const silentFrames = this._chainSilence.get(key) || 0;
+		if (silentFrames === 0) return false;
+		const sampleRate = this.processor ? this.processor.sampleRate : 44100;
+		return silentFrames > this.effectsProcessor.getTailSeconds(effects) * sampleRate;
+	}
+
+	/**
+	 * Whether a stereo block stays below the silence threshold
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} frameCount
+	 * @returns {boolean}
+	 */
+	_isSilent(left, right, frameCount) {
+		const threshold = this._silenceThreshold;
+		for (let i = 0; i < frameCount; i++) {
+			if (left[i] > threshold || left[i] < -threshold || right[i] > threshold || right[i] < -threshold) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Tracks in mixing order: sidechain sources first, so their key is ready for the compressors
+	 * listening to them. Silent tracks are included so their effect tails can ring out.
+	 * @returns {string[]} Reused array
+	 */
+	_getTrackOrder() {
+		const order = this._trackOrder;
+		order.length = 0;
+		const sources = this._sidechainSources;
+		for (const trackId of this._trackBlocks.keys()) {
+			if (sources.has(trackId)) order.push(trackId);
+		}
+		for (const trackId of this._trackBlocks.keys()) {
+			if (!sources.has(trackId)) order.push(trackId);
+		}
+		return order;
+	}
+
+	/**
+	 * Work out which engine tracks compressors key from (a timeline track keys from all of its tracks)
+	 */
+	_updateSidechainSources() {
+		this._sidechainSources.clear();
+		/** @type {Array<*>} */
+		const effectDefs = this.effectsProcessor ? this.effectsProcessor.effects : [];
+		const timelineTrackToAudioTracks = this.processor && this.processor.projectManager ? this.processor.projectManager.timelineTrackToAudioTracks : null;
+		for (const effectDef of effectDefs) {
+			const source = effectDef.type === 'compressor' && effectDef.settings ? effectDef.settings.sidechain : null;
+			if (!source) continue;
+			const audioTrackIds = timelineTrackToAudioTracks ? timelineTrackToAudioTracks.get(source) : null;
+			if (audioTrackIds) {
+				for (const audioTrackId of audioTrackIds) this._sidechainSources.add(audioTrackId);
+			} else {
+				this._sidechainSources.add(source);
+			}
+		}
+	}
+
+	/**
+	 * Copy a source track's pre-fader block for the compressors keyed from it
+	 * @param {string} source
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} frameCount
+	 */
+	_storeSidechainKey(source, left, right, frameCount) {
+		let key = this._sidechainKeys.get(source);
+		if (!key) {
+			key = { left: new Float32Array(this._blockSize), right: new Float32Array(this._blockSize), block: 0 };
+			this._sidechainKeys.set(source, key);
+		}
+		key.left.set(left.subarray(0, frameCount));
+		key.right.set(right.subarray(0, frameCount));
+		key.block = this._blockIndex;
+	}
+
+	/**
+	 * A sidechain source's pre-fader signal for the block being mixed
+	 * Timeline tracks key from the sum of their tracks.
+	 * @param {string} source - Engine track ID or timeline track ID
+	 * @returns {{left: Float32Array, right: Float32Array} | null} Null when the source is silent this block
+	 */
+	getSidechainKey(source) {
+		let key = this._sidechainKeys.get(source);
+		if (key && key.block === this._blockIndex) return key;
+		
+		const timelineTrackToAudioTracks = this.processor && this.processor.projectManager ? this.processor.projectManager.timelineTrackToAudioTracks : null;
+		/** @type {string[] | undefined} */
+		const audioTrackIds = timelineTrackToAudioTracks ? timelineTrackToAudioTracks.get(source) : undefined;
+		if (!audioTrackIds) return null;
+		
+		const frameCount = this._frameCount;
+		let hasSignal = false;
+		for (const audioTrackId of audioTrackIds) {
+			const trackKey = this._sidechainKeys.get(audioTrackId);
+			if (!trackKey || trackKey.block !== this._blockIndex) continue;
+			if (!hasSignal) {
+				if (!key) {
+					key = { left: new Float32Array(this._blockSize), right: new Float32Array(this._blockSize), block: 0 };
+					this._sidechainKeys.set(source, key);
+				}
+				key.left.fill(0);
+				key.right.fill(0);
+				key.block = this._blockIndex;
+				hasSignal = true;
+			}
+			for (let i = 0; i < frameCount; i++) {
+				key.left[i] += trackKey.left[i];
+				key.right[i] += trackKey.right[i];
+			}
+		}
+		return hasSignal && key ? key : null;
+	}
+
+	/**
+	 * Render and mix a block with no events in it (auditioned notes and release tails while stopped)
+	 * @param {Map<string, any>} synths
+	 * @param {number} masterGain
+	 * @param {number} currentBeat
+	 * @param {number} frameCount
+	 * @param {boolean} isArrangementView
+	 * @returns {{left: Float32Array, right: Float32Array}}
+	 */
+	renderBlock(synths, masterGain, currentBeat, frameCount, isArrangementView) {
+		this.beginBlock(frameCount);
+		for (let i = 0; i < frameCount; i++) {
+			this.renderVoices(synths, i, isArrangementView);
+		}
+		return this.mixBlock(masterGain, currentBeat, 0, isArrangementView);
+	}
+
+	/**
+	 * Add a track's block into a bus
+	 * @param {string} busId
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} level
+	 * @param {number} frameCount
+	 * @returns {boolean} Whether the bus exists
+	 */
+	_addToBus(busId, left, right, level, frameCount) {
+		const busState = this._busStates.get(busId);
+		if (!busState) return false;
+		busState.active = true;
+		for (let i = 0; i < frameCount; i++) {
+			busState.left[i] += left[i] * level;
+			busState.right[i] += right[i] * level;
+		}
+		return true;
+	}
+
+	/**
+	 * Mute and solo state a track gets from the timeline tracks its active clips sit on
+	 * @param {string} trackId
+	 * @param {number} currentBeat
+	 * @param {boolean} isArrangementView
+	 * @param {boolean} hasSoloedTimelineTrack
+	 * @returns {{muted: boolean, soloed: boolean}}
+	 */
+	_getTimelineMuteSolo(trackId, currentBeat, isArrangementView, hasSoloedTimelineTrack) {
+		// Use cached timeline tracks lookup
+		const timelineTracks = this._trackToTimelineTracks.get(trackId) || [];
+			
+		// Check timeline track mute/solo state (for arrangement view)
+		// For mute: Check if there's at least one active clip on a non-muted timeline track
+		// For solo: Check if there's at least one active clip on a soloed timeline track
+		let isTimelineMuted = false;
+		let isTimelineSoloed = false;
+		if (isArrangementView && timelineTracks.length > 0) {
+			// Use cached pattern ID
+			const patternId = this._trackToPatternId.get(trackId);
+			
+			// Cache timeline reference to avoid repeated property access
+			const timeline = this.processor?.projectManager?.timeline;
+			const timelineTracksArray = timeline?.tracks;
+			
+			// Use cached active clips (updated periodically)
+			let activeClips = [];
+			if (patternId) {
+				const cached = this._activeClipsCache.get(patternId);
+				if (cached && Math.abs(currentBeat - cached.beat) < this._cacheUpdateInterval * 2) {
+					activeClips = cached.clips;
+				} else if (timeline?.clips) {
+					// Fallback: calculate if cache is stale
+					activeClips = timeline.clips.filter((clip) => {
+						return clip.patternId === patternId &&
+						       currentBeat >= clip.startBeat &&
+						       currentBeat < clip.startBeat + clip.duration;
+					});
+				}
+				
+				if (activeClips.length > 0 && timelineTracksArray) {
+					// Check if all active clips are on muted timeline tracks
+					const allClipsMuted = activeClips.every((clip) => {
+						const clipTrack = timelineTracksArray.find((t) => t.id === clip.trackId);
+						return clipTrack?.mute === true;
+					});
+					
+					// If any timeline track is soloed, play if ANY active clip is on a soloed track
+					// This allows soloed tracks to play even if other non-soloed clips are active
+					if (hasSoloedTimelineTrack) {
+						// Solo mode: play if ANY active clip is on a soloed track
+						const hasSoloedClip = activeClips.some((clip) => {
+							const clipTrack = timelineTracksArray.find((t) => t.id === clip.trackId);
+							return clipTrack?.solo === true;
+						});
+						isTimelineSoloed = hasSoloedClip;
+					} else {
+						// No solo mode: check if any active clip is on a soloed timeline track (shouldn't happen, but for safety)
+						const hasSoloedClip = activeClips.some((clip) => {
+							const clipTrack = timelineTracksArray.find((t) => t.id === clip.trackId);
+							return clipTrack?.solo === true;
+						});
+						isTimelineSoloed = hasSoloedClip;
+					}
+					
+					isTimelineMuted = allClipsMuted;
+					
+					// Debug: Log mute/solo decision for this track (track-specific, throttled)
+					const debugKey = `${trackId}_${patternId}`;
+					const lastDebugState = (this._lastDebugStates) ? this._lastDebugStates.get(debugKey) : null;
+					const stateChanged = !lastDebugState || 
+					                    lastDebugState.muted !== isTimelineMuted || 
+					                    lastDebugState.soloed !== isTimelineSoloed ||
+					                    (currentBeat - lastDebugState.beat) > 1.0; // Log at most once per beat per track
+					
+					if (stateChanged) {
+						if (!this._lastDebugStates) {
+							this._lastDebugStates = new Map();
+						}
+						this._lastDebugStates.set(debugKey, {
+							muted: isTimelineMuted,
+							soloed: isTimelineSoloed,
+							beat: currentBeat
+						});
+						
+						const clipInfo = activeClips.map((clip) => {
+							const clipTrack = timelineTracksArray?.find((t) => t.id === clip.trackId);
+							return {
+								clipId: clip.id,
+								trackId: clip.trackId,
+								trackName: clipTrack?.name || 'unknown',
+								mute: clipTrack?.mute || false,
+								solo: clipTrack?.solo || false,
+								startBeat: clip.startBeat,
+								duration: clip.duration,
+								clipEndBeat: clip.startBeat + clip.duration
+							};
+						});
+						
+					}
+				} else {
+					// No active clips - mute this audio track
+					isTimelineMuted = true;
+				}
+			} else {
+				// Fallback: If any timeline track is muted, mute this audio track
+				isTimelineMuted = timelineTracks.some((t) => t.mute === true);
+				// If any timeline track is soloed, this audio track is soloed
+				isTimelineSoloed = timelineTracks.some((t) => t.solo === true);
+			}
+		}
+		
+		return { muted: isTimelineMuted, soloed: isTimelineSoloed };
 	}
 
 	/**
@@ -335,12 +834,12 @@ class AudioMixer {
 	clearCaches() {
 		this._trackToTimelineTracks.clear();
 		this._trackToPatternId.clear();
-		this._trackToTimelineVolume.clear();
 		this._activeClipsCache.clear();
 		this._lastCacheUpdateBeat = -1;
 		if (this._panGainsCache) {
 			this._panGainsCache.clear();
 		}
+		this._trackGains.clear();
 	}
 
 	/**
@@ -354,7 +853,8 @@ class AudioMixer {
 		// Clear old caches
 		this._trackToTimelineTracks.clear();
 		this._trackToPatternId.clear();
-		this._trackToTimelineVolume.clear();
+		
+		this._trackRouting.clear();
 		
 		if (!this.processor || !this.processor.projectManager) {
 			return;
@@ -362,14 +862,16 @@ class AudioMixer {
 		
 		const projectManager = this.processor.projectManager;
 		const synths = this.processor.synthManager.getAllSynths();
-		const currentBeat = this.processor.currentTime / this.processor.playbackController.samplesPerBeat;
+		const currentBeat = this.processor.playbackController.getCurrentBeat();
+		
+		this._updateBuses(projectManager.timeline);
 		
 		// Build reverse lookup: audioTrackId -> timelineTracks[]
 		if (isArrangementView && projectManager.timelineTrackToAudioTracks) {
 			for (const [timelineTrackId, audioTrackIds] of projectManager.timelineTrackToAudioTracks.entries()) {
 				const timeline = projectManager.timeline;
 				const timelineTrack = (timeline && timeline.tracks) ? timeline.tracks.find((t) => t.id === timelineTrackId) : null;
-				if (timelineTrack && timelineTrack.type === 'pattern') {
+				if (timelineTrack && (timelineTrack.type === 'pattern' || timelineTrack.type === 'audio')) {
 					for (const audioTrackId of audioTrackIds) {
 						if (!this._trackToTimelineTracks.has(audioTrackId)) {
 							this._trackToTimelineTracks.set(audioTrackId, []);
@@ -380,7 +882,23 @@ class AudioMixer {
 			}
 		}
 		
-		// Build trackId -> patternId map and trackId -> timelineVolume map
+		// Build timelineTrackId -> routing map
+		/** @type {Array<*>} */
+		const timelineTracks = projectManager.timeline && projectManager.timeline.tracks ? projectManager.timeline.tracks : [];
+		if (isArrangementView && this._busStates.size > 0) {
+			for (const timelineTrack of timelineTracks) {
+				if (timelineTrack.type !== 'pattern' && timelineTrack.type !== 'audio') continue;
+				const busId = timelineTrack.busId && this._busStates.get(timelineTrack.busId)?.bus.type === 'group' ? timelineTrack.busId : null;
+				/** @type {Array<*>} */
+				const trackSends = timelineTrack.sends || [];
+				const sends = trackSends.filter((send) => this._busStates.get(send.busId)?.bus.type === 'return' && send.level > 0);
+				if (busId || sends.length > 0) {
+					this._trackRouting.set(timelineTrack.id, { busId, sends });
+				}
+			}
+		}
+		
+		// Build trackId -> patternId map
 		for (const [trackId] of synths.entries()) {
 			// Extract pattern ID from track ID
 			let patternId = null;
@@ -402,20 +920,7 @@ class AudioMixer {
 					}
 				}
 			}
-			
-			// Build timeline volume cache
-			if (isArrangementView && projectManager.timelineTrackToAudioTracks) {
-				for (const [timelineTrackId, audioTrackIds] of projectManager.timelineTrackToAudioTracks.entries()) {
-					if (audioTrackIds.includes(trackId)) {
-						const timeline = projectManager.timeline;
-						const timelineTrack = (timeline && timeline.tracks) ? timeline.tracks.find((t) => t.id === timelineTrackId) : null;
-						if (timelineTrack && timelineTrack.volume !== undefined) {
-							this._trackToTimelineVolume.set(trackId, timelineTrack.volume);
-						}
-						break;
-					}
-				}
-			}
+
 		}
 		
 		// Cache active clips per pattern (for current beat)
@@ -440,6 +945,40 @@ class AudioMixer {
 		}
 	}
 
+	/**
+	 * Sync bus states with the timeline's buses, keeping the state of buses that remain
+	 * (so effect tails carry on) and rebuilding insert chains so effect edits apply
+	 * @param {*} timeline
+	 */
+	_updateBuses(timeline) {
+		/** @type {Array<*>} */
+		const buses = (timeline && Array.isArray(timeline.buses)) ? timeline.buses : [];
+		const busIds = new Set(buses.map((bus) => bus.id));
+		for (const busId of this._busStates.keys()) {
+			if (!busIds.has(busId)) this._busStates.delete(busId);
+		}
+		/** @type {Array<*>} */
+		const effectDefs = this.effectsProcessor ? this.effectsProcessor.effects : [];
+		for (const bus of buses) {
+			let busState = this._busStates.get(bus.id);
+			if (!busState) {
+				busState = { bus, left: new Float32Array(this._blockSize), right: new Float32Array(this._blockSize), effects: [], active: false };
+				this._busStates.set(bus.id, busState);
+			}
+			busState.bus = bus;
+			busState.effects = [];
+			/** @type {string[]} */
+			const effectIds = bus.effectIds || [];
+			effectIds.forEach((effectId, index) => {
+				const effectDef = effectDefs.find((e) => e.id === effectId);
+				if (!effectDef) return;
+				// Each insert keeps its own effect state
+				const key = 'bus_' + bus.id + '_' + index;
+				busState.effects.push(Object.assign({}, effectDef, { timelineEffectId: key }));
+			});
+		}
+	}
+
 	/**
 	 * Apply a simple lowpass filter
 	 * @param {number} input - Input sample
@@ -24,6 +24,17 @@ class AudioProcessor {
 		this._quietPeriodSamples = 0;
 		this._lastQuietPeriodReport = 0;
 		this._quietPeriodCooldown = processor.sampleRate * 5; // Don't report more than once every 5 seconds (increased for slow songs)
+		// Whether the transport moved in the last block (to report the frame it starts moving on)
+		this._transportMoving = false;
+		// Report the transport's frame and beat again on the next moving block (recording armed mid-playback)
+		this._announceTransport = false;
+	}
+
+	/**
+	 * Report the transport as starting on the next block it moves in, even if it is already moving
+	 */
+	announceTransport() {
+		this._announceTransport = true;
 	}
 
 	/**
@@ -34,27 +45,58 @@ class AudioProcessor {
 	 * @returns {boolean} Whether to keep processing
 	 */
 	process(inputs, outputs, parameters) {
+		const output = outputs[0];
+		// Audio clips only sound while the transport moves
+		const audioClipPlayer = this.processor.audioClipPlayer;
+		audioClipPlayer.setPosition(null);
 		if (!this.processor.playbackController.isTransportPlaying()) {
+			this._transportMoving = false;
+			// Auditioned notes (noteOn) and release tails keep sounding while stopped
+			if (this.processor.synthManager.hasActiveSynths()) {
+				this.processStopped(output);
+			}
 			return true;
 		}
 
-		const output = outputs[0];
+		// Count-in: clicks only, the transport starts moving once it's done
+		if (this.processor.metronome.isCountingIn()) {
+			this._transportMoving = false;
+			this.processCountIn(output);
+			return true;
+		}
+
+		if (!this._transportMoving || this._announceTransport) {
+			// Audio recording lines its take up with the context frame the transport starts moving on
+			this._transportMoving = true;
+			this._announceTransport = false;
+			this.processor.port.postMessage({
+				type: 'transportStarted',
+				frame: currentFrame,
+				beat: this.processor.playbackController.getCurrentBeat()
+			});
+		}
+
 		const bufferLength = output[0].length;
 
-		// Pre-calculate samples per beat for efficiency
-		const samplesPerBeat = this.processor.playbackController.samplesPerBeat;
+		// Beats at the block's start and end; tempo changes are slow enough to interpolate linearly within a block
+		const playbackController = this.processor.playbackController;
 		const startTime = this.processor.currentTime;
+		const startBeat = playbackController.getCurrentBeat();
+		const beatsPerSample = (playbackController.sampleToBeat(startTime + bufferLength) - startBeat) / bufferLength;
 		
 		// Schedule events ahead of time (do this AFTER getting startTime to ensure we schedule for the current position)
 		// This ensures events are scheduled before we process the buffer
 		this.processor.eventScheduler.scheduleEvents();
 		
-		// Process audio
+		// Render voices frame by frame so events land on their exact sample
+		const audioMixer = this.processor.audioMixer;
+		const isArrangementView = this.processor.projectManager.isArrangementView;
+		let synths = this.processor.synthManager.getAllSynths();
+		audioMixer.beginBlock(bufferLength);
 		for (let i = 0; i < bufferLength; i++) {
 			// Use Math.floor to match how events are scheduled (eventSampleTime = Math.floor(...))
 			const sampleTime = Math.floor(startTime + i);
-			// Calculate currentBeat more efficiently (avoid division every sample)
-			const currentBeat = (startTime + i) / samplesPerBeat;
+			audioClipPlayer.setPosition(startTime + i);
 
 			// Check for events at this sample time
 			const eventsAtTime = this.processor.eventScheduler.getEventsAtTime(sampleTime);
@@ -71,23 +113,27 @@ class AudioProcessor {
 					this._batchedEventIds.push(event.instrumentId + ':' + normalizedTime.toFixed(6));
 				}
 				this.processor.eventScheduler.removeEventsAtTime(sampleTime);
+				// A track's first note creates its voice pool
+				synths = this.processor.synthManager.getAllSynths();
 			}
 
-			// Mix all synths with per-track volume, pan, effects, and envelopes
-			const mixed = this.processor.audioMixer.mixSynths(
-				this.processor.synthManager.getAllSynths(),
-				0.3, // master gain
-				currentBeat,
-				this.processor.projectManager.isArrangementView
-			);
+			audioMixer.renderVoices(synths, i, isArrangementView);
+		}
+		audioClipPlayer.setPosition(null);
+
+		// Mix the block with per-track volume, pan, effects, and envelopes
+		const mixed = audioMixer.mixBlock(0.3, startBeat, beatsPerSample, isArrangementView);
+		
+		// Check if any synths are active - if so, don't consider it a quiet period
+		// This prevents reloads during long sustained notes even if volume is low
+		const hasActiveSynths = this.processor.synthManager.hasActiveSynths();
+		
+		for (let i = 0; i < bufferLength; i++) {
+			const currentBeat = startBeat + i * beatsPerSample;
 
 			// Track peak levels for quiet period detection
 			// Track overall mixed output level (sum of left and right channels)
-			const mixedLevel = Math.abs(mixed.left) + Math.abs(mixed.right);
-			
-			// Check if any synths are active - if so, don't consider it a quiet period
-			// This prevents reloads during long sustained notes even if volume is low
-			const hasActiveSynths = this.processor.synthManager.hasActiveSynths();
+			const mixedLevel = Math.abs(mixed.left[i]) + Math.abs(mixed.right[i]);
 			
 			// Only count as quiet if:
 			// 1. Volume is below threshold (near-silence)
@@ -105,13 +151,16 @@ class AudioProcessor {
 				this._lastQuietPeriodCheck = startTime + i;
 			}
 
+			// Metronome click goes straight to the output, after the mix and its effects
+			const click = this.processor.metronome.process(currentBeat);
+
 			// Write to output
 			if (output.length >= 2) {
-				output[0][i] = mixed.left;
-				output[1][i] = mixed.right;
+				output[0][i] = mixed.left[i] + click;
+				output[1][i] = mixed.right[i] + click;
 			} else {
 				// Mono output
-				output[0][i] = mixed.mono;
+				output[0][i] = (mixed.left[i] + mixed.right[i]) * 0.5 + click;
 			}
 		}
 
@@ -120,7 +169,7 @@ class AudioProcessor {
 		// Send batched playback updates periodically
 		const timeSinceLastBatch = this.processor.currentTime - this._lastBatchedSampleTime;
 		if (this._batchedEventIds.length > 0 && timeSinceLastBatch >= this._batchInterval) {
-			const currentBeat = this.processor.currentTime / this.processor.playbackController.samplesPerBeat;
+			const currentBeat = this.processor.playbackController.getCurrentBeat();
 			this.processor.port.postMessage({
 				type: 'playbackUpdate',
 				time: currentBeat,
@@ -132,20 +181,64 @@ class AudioProcessor {
 
 		// Send periodic playback position updates
 		if (this.processor.currentTime - this.lastPlaybackUpdateTime >= this.playbackUpdateInterval) {
-			const currentBeat = this.processor.currentTime / this.processor.playbackController.samplesPerBeat;
+			const currentBeat = this.processor.playbackController.getCurrentBeat();
 			this.processor.port.postMessage({
 				type: 'playbackPosition',
 				time: currentBeat
 			});
+			// Gain reduction for the compressor/ducker meters open in the UI (nothing is collected otherwise)
+			const gainReduction = this.processor.effectsProcessor.takeGainReduction();
+			if (gainReduction) {
+				this.processor.port.postMessage({
+					type: 'gainReduction',
+					values: gainReduction
+				});
+			}
 			this.lastPlaybackUpdateTime = this.processor.currentTime;
 		}
 
 		// Check for loop reset
-		this.processor.eventScheduler.checkLoopReset();
+		this.processor.eventScheduler.checkLoopReset(startTime);
 
 		return true;
 	}
 	
+	/**
+	 * Mix active synths without advancing the transport or scheduling events
+	 * @param {Array<Float32Array>} output - Output channels
+	 */
+	processStopped(output) {
+		const currentBeat = this.processor.playbackController.getCurrentBeat();
+		const synths = this.processor.synthManager.getAllSynths();
+		const frameCount = output[0].length;
+		// Not arrangement mixing: auditioned instruments aren't tied to clips under the playhead
+		const mixed = this.processor.audioMixer.renderBlock(synths, 0.3, currentBeat, frameCount, false);
+		for (let i = 0; i < frameCount; i++) {
+			if (output.length >= 2) {
+				output[0][i] = mixed.left[i];
+				output[1][i] = mixed.right[i];
+			} else {
+				output[0][i] = (mixed.left[i] + mixed.right[i]) * 0.5;
+			}
+		}
+	}
+	
+	/**
+	 * Play the count-in clicks over any sounding synths without advancing the transport
+	 * @param {Array<Float32Array>} output - Output channels
+	 */
+	processCountIn(output) {
+		if (this.processor.synthManager.hasActiveSynths()) {
+			this.processStopped(output);
+		}
+		for (let i = 0; i < output[0].length && this.processor.metronome.isCountingIn(); i++) {
+			const click = this.processor.metronome.processCountIn();
+			for (let channel = 0; channel < output.length; channel++) {
+				output[channel][i] += click;
+			}
+		}
+	}
+	
 	/**
 	 * Check if we're in a quiet period suitable for reloading
 	 * Sends a message to main thread when quiet periods are detected
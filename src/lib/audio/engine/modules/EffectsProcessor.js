@@ -1,6 +1,8 @@
 /**
  * Handles effect processing based on timeline position and pattern assignments
- * Applies effects to audio samples based on active timeline effects and their pattern assignments
+ * Applies effects to stereo blocks: each track's own insert chain (pattern instrument inserts,
+ * applied in every view), then the timeline effects targeted at its timeline track, then global
+ * effects on the mix
  */
 
 class EffectsProcessor {
@@ -13,18 +15,29 @@ class EffectsProcessor {
 		this.processor = null; // Reference to processor for accessing ProjectManager
 		this.automation = null; // Project automation data
 		
-		// Performance optimization caches
-		this._trackToTimelineTrackId = new Map(); // trackId -> timelineTrackId
-		this._activeEffectsCache = new Map(); // trackId_patternId_beat -> activeEffects[]
-		this._globalEffectsCache = null; // Cached global effects (beat -> activeEffects[])
-		this._lastGlobalCacheBeat = -1;
-		this._lastCacheUpdateBeat = -1;
-		this._cacheUpdateInterval = 0.1; // Update cache every 0.1 beats (~100ms at 120 BPM)
+		// Active effects are worked out once per block; the arrays and effect instances are reused
+		this._effectInstances = new Map(); // timelineEffectId -> active effect (settings, ramps, progress)
+		this._globalEffects = []; // Global effects for the block starting at _globalEffectsBeat
+		this._globalEffectsBeat = NaN;
+		this._timelineTrackEffects = new Map(); // timelineTrackId -> active effects for the current block
+		this._insertChains = new Map(); // trackId -> the track's insert effects, rebuilt when the chain changes
 		
 		// Automation optimization caches
 		this._automationByEffectInstance = new Map(); // timelineEffectId -> automation[]
 		this._sortedPointsCache = new Map(); // automationId -> sortedPoints[]
-		this._automationSettingsCache = new Map(); // timelineEffectId_beat -> settings
+		this._automationStep = 16; // Frames between automation updates within a block
+		
+		// Dry copy of a block while an effect fades in
+		this._dryLeft = new Float32Array(128);
+		this._dryRight = new Float32Array(128);
+		
+		// Transport position of the block being mixed (tempo-synced effects)
+		this._blockStartBeat = 0;
+		this._beatsPerSample = 0;
+		
+		// effectId -> lowest gain applied since the last report (compressor, ducker), for open meters only
+		this._gainReduction = new Map();
+		this._gainReductionMeters = new Set();
 	}
 
 	/**
@@ -57,14 +70,13 @@ class EffectsProcessor {
 	 * Clear all performance caches (call when project changes)
 	 */
 	clearCaches() {
-		this._trackToTimelineTrackId.clear();
-		this._activeEffectsCache.clear();
-		this._globalEffectsCache = null;
-		this._lastGlobalCacheBeat = -1;
-		this._lastCacheUpdateBeat = -1;
+		this._effectInstances.clear();
+		this._globalEffects = [];
+		this._globalEffectsBeat = NaN;
+		this._timelineTrackEffects.clear();
+		this._insertChains.clear();
 		this._automationByEffectInstance.clear();
 		this._sortedPointsCache.clear();
-		this._automationSettingsCache.clear();
 	}
 	
 	/**
@@ -118,17 +130,24 @@ class EffectsProcessor {
 			// If this is an equalizer effect, invalidate EQ state cache to force recalculation
 			// This ensures immediate updates when EQ bands are changed
 			if (effect.type === 'equalizer' && this._eqStates) {
-				// Find all timeline effects using this effect ID and invalidate their EQ states
+				// Find all timeline effects and inserts using this effect ID and invalidate their EQ states
 				const timelineEffectIds = this.timelineEffects
 					.filter(te => te.effectId === effectId)
 					.map(te => te.id);
+				for (const chain of this._insertChains.values()) {
+					for (const insertEffect of chain) {
+						if (insertEffect.id === effectId) timelineEffectIds.push(insertEffect.timelineEffectId);
+					}
+				}
 				
 				// Clear EQ states for this effect (both global and timeline-specific)
 				// The EQ processor will recreate states with new settings on next process call
 				for (const [key, state] of this._eqStates.entries()) {
 					// Invalidate if it's the global state or matches a timeline effect using this effect
-					const isGlobal = key === 'global';
-					const isTimelineEffect = timelineEffectIds.includes(key);
+					// (keys carry a :L / :R channel suffix)
+					const effectKey = key.slice(0, key.lastIndexOf(':'));
+					const isGlobal = effectKey === 'global';
+					const isTimelineEffect = timelineEffectIds.includes(effectKey);
 					
 					if (isGlobal || isTimelineEffect) {
 						// Invalidate cached values to force recalculation
@@ -147,81 +166,170 @@ class EffectsProcessor {
 	}
 
 	/**
-	 * Get active effects for a track at a specific timeline position (track-based only)
-	 * @param {string} trackId - The audio track ID to get effects for
-	 * @param {number} currentBeat - Current playback position in beats
-	 * @param {boolean} isArrangementView - Whether we're in arrangement view
-	 * @returns {Array} Array of active effect definitions with their settings
+	 * Where the block being mixed sits on the transport
+	 * @param {number} startBeat - Beat at the block's first frame
+	 * @param {number} beatsPerSample - Beats per frame (0 while the transport is stopped)
 	 */
-	getActiveEffects(trackId, currentBeat, isArrangementView) {
-		if (!isArrangementView) {
-			// No per-track timeline effects outside arrangement view (for now)
-			return [];
-		}
+	setBlockPosition(startBeat, beatsPerSample) {
+		this._blockStartBeat = startBeat;
+		this._beatsPerSample = beatsPerSample;
+	}
 
-		// Update caches periodically (not every sample)
-		const shouldUpdateCache = Math.abs(currentBeat - this._lastCacheUpdateBeat) >= this._cacheUpdateInterval;
-		if (shouldUpdateCache) {
-			this._updateCaches(currentBeat);
-			this._lastCacheUpdateBeat = currentBeat;
-		}
+	/**
+	 * Pre-fader signal of a sidechain source for the current block
+	 * @param {string} source - Engine track ID or timeline track ID
+	 * @returns {{left: Float32Array, right: Float32Array} | null} Null when the source is silent
+	 */
+	getSidechainKey(source) {
+		const mixer = this.processor ? this.processor.audioMixer : null;
+		return mixer ? mixer.getSidechainKey(source) : null;
+	}
 
-		// Check cache first (track-specific)
-		const cacheKey = trackId + '_' + Math.floor(currentBeat / this._cacheUpdateInterval);
-		const cached = this._activeEffectsCache.get(cacheKey);
-		if (cached && Math.abs(currentBeat - cached.beat) < this._cacheUpdateInterval * 2) {
-			return cached.effects;
+	/**
+	 * Note the gain an effect applied this block, for the gain reduction readout
+	 * @param {string} effectId - Effect definition ID
+	 * @param {number} gain - Lowest gain applied (1 = no reduction)
+	 */
+	reportGainReduction(effectId, gain) {
+		if (!this._gainReductionMeters.has(effectId)) return;
+		const lowest = this._gainReduction.get(effectId);
+		if (lowest === undefined || gain < lowest) {
+			this._gainReduction.set(effectId, gain);
 		}
+	}
 
-		// Optimize: For global effects, calculate once and reuse
-		// Check if we need to recalculate global effects
-		const beatBucket = Math.floor(currentBeat / this._cacheUpdateInterval);
-		const shouldRecalcGlobal = !this._globalEffectsCache || 
-		                           Math.abs(currentBeat - this._lastGlobalCacheBeat) >= this._cacheUpdateInterval;
-		
-		let globalEffects = [];
-		if (shouldRecalcGlobal) {
-			// Calculate global effects once (effects with no trackId and no patternId)
-			globalEffects = this._calculateGlobalEffects(currentBeat);
-			this._globalEffectsCache = {
-				beat: currentBeat,
-				beatBucket: beatBucket,
-				effects: globalEffects
-			};
-			this._lastGlobalCacheBeat = currentBeat;
-		} else {
-			// Reuse cached global effects
-			globalEffects = this._globalEffectsCache.effects;
+	/**
+	 * Choose the effects whose gain reduction is collected (the meters open in the UI)
+	 * @param {string[]} effectIds
+	 */
+	setGainReductionMeters(effectIds) {
+		this._gainReductionMeters = new Set(effectIds || []);
+		this._gainReduction.clear();
+	}
+
+	/**
+	 * Gain reduction per effect since the last call, in dB, then start over
+	 * @returns {Array<[string, number]> | null} Null when nothing reported
+	 */
+	takeGainReduction() {
+		if (this._gainReduction.size === 0) return null;
+		/** @type {Array<[string, number]>} */
+		const values = [];
+		for (const [effectId, gain] of this._gainReduction) {
+			values.push([effectId, gain > 0 ? -20 * Math.log10(gain) : 60]);
 		}
+		this._gainReduction.clear();
+		return values;
+	}
 
-		// Calculate track-specific effects (track-targeted only)
-		const trackSpecificEffects = this._calculateTrackSpecificEffects(trackId, currentBeat);
+	/**
+	 * Drop a track's cached insert chain so it is rebuilt from the track on the next block
+	 * @param {string} trackId
+	 */
+	invalidateInserts(trackId) {
+		this._insertChains.delete(trackId);
+	}
 
-		// Combine global and track-specific effects
-		const activeEffects = globalEffects.concat(trackSpecificEffects);
+	/**
+	 * Get the timeline effects targeted at a timeline track over a block (arrangement view)
+	 * They run once on the sum of the track's instruments, so their state advances one block per block.
+	 * Settings hold the automation values at the block's start; each automated parameter also
+	 * gets a ramp to its value at the block's end.
+	 * @param {string} timelineTrackId
+	 * @param {number} startBeat - Beat at the block's first frame
+	 * @param {number} endBeat - Beat after the block's last frame
+	 * @returns {Array<*>} Active effects (reused by the next call for this timeline track)
+	 */
+	getTrackEffects(timelineTrackId, startBeat, endBeat) {
+		let activeEffects = this._timelineTrackEffects.get(timelineTrackId);
+		if (!activeEffects) {
+			activeEffects = [];
+			this._timelineTrackEffects.set(timelineTrackId, activeEffects);
+		}
+		activeEffects.length = 0;
+		for (const timelineEffect of this.timelineEffects) {
+			if (timelineEffect.targetTrackId !== timelineTrackId) {
+				continue;
+			}
+			const effectStart = timelineEffect.startBeat || 0;
+			const effectEnd = effectStart + (timelineEffect.duration || 0);
+			if (startBeat >= effectStart && startBeat < effectEnd) {
+				const effect = this._getEffectInstance(timelineEffect, startBeat, endBeat);
+				if (effect) {
+					activeEffects.push(effect);
+				}
+			}
+		}
+		return activeEffects;
+	}
 
-		// Store in cache
-		this._activeEffectsCache.set(cacheKey, {
-			beat: currentBeat,
-			effects: activeEffects
-		});
+	/**
+	 * Get the global effects over a block (no target track, or on an effect track)
+	 * They run once on the summed mix, so their delay lines, tails and envelopes see every track
+	 * and advance one block per block.
+	 * @param {number} startBeat - Beat at the block's first frame
+	 * @param {number} endBeat - Beat after the block's last frame
+	 * @returns {Array<*>} Active effects (reused by the next call)
+	 */
+	getGlobalEffects(startBeat, endBeat) {
+		if (this._globalEffectsBeat !== startBeat) {
+			this._globalEffects.length = 0;
+			this._calculateGlobalEffects(startBeat, endBeat, this._globalEffects);
+			this._globalEffectsBeat = startBeat;
+		}
+		return this._globalEffects;
+	}
 
-		return activeEffects;
+	/**
+	 * A track's insert chain: its non-bypassed inserts whose effect definitions exist, in order
+	 * Inserts play in every view, on the instrument alone. They aren't automated and don't fade in;
+	 * they follow their definition's settings.
+	 * @param {string} trackId - Engine track ID
+	 * @returns {Array<*>} Insert effects (reused until the chain changes)
+	 */
+	getInsertEffects(trackId) {
+		let chain = this._insertChains.get(trackId);
+		if (!chain) {
+			chain = [];
+			const track = this.processor && this.processor.projectManager ? this.processor.projectManager.getTrack(trackId) : null;
+			/** @type {Array<*>} */
+			const inserts = track && Array.isArray(track.inserts) ? track.inserts : [];
+			for (const insert of inserts) {
+				if (insert.bypass) continue;
+				const effectDef = this.effects.find((/** @type {*} */ e) => e.id === insert.effectId);
+				if (!effectDef) continue;
+				chain.push(Object.assign({}, effectDef, {
+					definition: effectDef,
+					timelineEffectId: `insert:${trackId}:${insert.id}`, // Own state, apart from timeline uses of the effect
+					settings: effectDef.settings || {},
+					ramps: [],
+					rampCount: 0
+				}));
+			}
+			this._insertChains.set(trackId, chain);
+		}
+		
+		// Edits replace the definition's settings object
+		for (const effect of chain) {
+			effect.settings = effect.definition.settings || {};
+		}
+		return chain;
 	}
 
 	/**
 	 * Calculate global effects (effects with no trackId/patternId OR effects on effect tracks)
 	 * These apply to all tracks, so we calculate once and reuse
+	 * @param {number} startBeat
+	 * @param {number} endBeat
+	 * @param {Array<*>} globalEffects - Filled with the active effects
 	 */
-	_calculateGlobalEffects(currentBeat) {
-		const globalEffects = [];
-		
+	_calculateGlobalEffects(startBeat, endBeat, globalEffects) {
 		for (const timelineEffect of this.timelineEffects) {
-			const startBeat = timelineEffect.startBeat || 0;
-			const endBeat = startBeat + (timelineEffect.duration || 0);
+			const effectStart = timelineEffect.startBeat || 0;
+			const effectEnd = effectStart + (timelineEffect.duration || 0);
 			
 			// Check if effect is active at current position
-			if (currentBeat >= startBeat && currentBeat < endBeat) {
+			if (startBeat >= effectStart && startBeat < effectEnd) {
 				// Skip effects with targetTrackId - those are track-specific, not global
 				if (timelineEffect.targetTrackId) {
 					continue;
@@ -233,343 +341,171 @@ class EffectsProcessor {
 					isGlobal = true;
 				} else if (timelineEffect.trackId) {
 					// Check if it's on an effect track (which makes it global)
-					const effectTimelineTrack = this.timelineTracks.find(t => t.id === timelineEffect.trackId);
+					const effectTimelineTrack = this.timelineTracks.find((/** @type {*} */ t) => t.id === timelineEffect.trackId);
 					if (effectTimelineTrack && effectTimelineTrack.type === 'effect') {
 						isGlobal = true;
 					}
 				}
 				
 				if (isGlobal) {
-					const effectDef = this.effects.find(e => e.id === timelineEffect.effectId);
-					if (effectDef) {
-						// Apply automation to effect settings
-						const automatedSettings = this.applyAutomationToEffect(
-							effectDef,
-							timelineEffect.id,
-							currentBeat,
-							startBeat,
-							endBeat
-						);
-						
-						globalEffects.push(Object.assign({}, effectDef, {
-							settings: automatedSettings,
-							progress: (currentBeat - startBeat) / (endBeat - startBeat),
-							timelineEffectId: timelineEffect.id // Include timeline effect ID for buffer isolation
-						}));
+					const effect = this._getEffectInstance(timelineEffect, startBeat, endBeat);
+					if (effect) {
+						globalEffects.push(effect);
 					}
 				}
 			}
 		}
-		
-		return globalEffects;
 	}
 	
 	/**
-	 * Calculate track-specific effects (track-targeted only)
+	 * The active effect for a timeline effect over a block, with automation applied
+	 * @param {*} timelineEffect - Timeline effect instance
+	 * @param {number} startBeat
+	 * @param {number} endBeat
+	 * @returns {*} Active effect, or null if its definition is missing
 	 */
-	_calculateTrackSpecificEffects(trackId, currentBeat) {
-		const trackSpecificEffects = [];
+	_getEffectInstance(timelineEffect, startBeat, endBeat) {
+		const effectDef = this.effects.find((/** @type {*} */ e) => e.id === timelineEffect.effectId);
+		if (!effectDef) return null;
 		
-		// Use cached timeline track ID lookup
-		let timelineTrackId = this._trackToTimelineTrackId.get(trackId);
-		if (timelineTrackId === undefined && this.timelineTrackToAudioTracks) {
-			// Fallback: calculate if not cached
-			const entries = this.timelineTrackToAudioTracks.entries();
-			for (let entry = entries.next(); !entry.done; entry = entries.next()) {
-				const tId = entry.value[0];
-				const audioTrackIds = entry.value[1];
-				if (audioTrackIds.includes(trackId)) {
-					timelineTrackId = tId;
-					this._trackToTimelineTrackId.set(trackId, tId);
-					break;
-				}
-			}
+		let effect = this._effectInstances.get(timelineEffect.id);
+		if (!effect || effect.definition !== effectDef) {
+			effect = Object.assign({}, effectDef, {
+				definition: effectDef,
+				timelineEffectId: timelineEffect.id, // Include timeline effect ID for buffer isolation
+				baseSettings: null,
+				settings: null,
+				ramps: [],
+				rampCount: 0,
+				progress: 0,
+				progressEnd: 0
+			});
+			this._effectInstances.set(timelineEffect.id, effect);
 		}
 		
-		// Find timeline effects that are active at this position and targeted to a track
-		for (const timelineEffect of this.timelineEffects) {
-			const startBeat = timelineEffect.startBeat || 0;
-			const endBeat = startBeat + (timelineEffect.duration || 0);
-			
-			// Check if effect is active at current position
-			if (currentBeat >= startBeat && currentBeat < endBeat) {
-				// Only process effects with targetTrackId (track-specific inserts)
-				// Global effects are handled in _calculateGlobalEffects
-				if (!timelineEffect.targetTrackId) {
-					continue;
-				}
-				
-				// Check track assignment (per-track insert)
-				let shouldApply = false;
-				if (timelineTrackId && timelineEffect.targetTrackId === timelineTrackId) {
-					shouldApply = true;
-				}
-				
-				if (shouldApply) {
-					const effectDef = this.effects.find(e => e.id === timelineEffect.effectId);
-					if (effectDef) {
-						// Apply automation to effect settings
-						const automatedSettings = this.applyAutomationToEffect(
-							effectDef,
-							timelineEffect.id,
-							currentBeat,
-							startBeat,
-							endBeat
-						);
-						
-						trackSpecificEffects.push(Object.assign({}, effectDef, {
-							settings: automatedSettings,
-							progress: (currentBeat - startBeat) / (endBeat - startBeat),
-							timelineEffectId: timelineEffect.id // Include timeline effect ID for buffer isolation
-						}));
-					}
-				}
-			}
-		}
+		// 0-1 progress through the effect at the block's start and end
+		const effectStart = timelineEffect.startBeat || 0;
+		const effectLength = timelineEffect.duration || 0;
+		effect.progress = (startBeat - effectStart) / effectLength;
+		effect.progressEnd = (endBeat - effectStart) / effectLength;
 		
-		return trackSpecificEffects;
+		this.applyAutomationToEffect(effect, startBeat, endBeat);
+		return effect;
 	}
-	
+
 	/**
-	 * Calculate active effects (uncached version) - DEPRECATED
+	 * Apply effects to a stereo block, in place
+	 * Each effect runs over the whole block; automated parameters step along their ramps every
+	 * few frames.
+	 * @param {Float32Array} left - Left channel
+	 * @param {Float32Array} right - Right channel
+	 * @param {number} frameCount - Frames in the block
+	 * @param {Array<*>} activeEffects - Array of active effects to apply
 	 */
-	_calculateActiveEffects(trackId, currentBeat) {
-		const activeEffects = [];
-
-		// Use cached timeline track ID lookup
-		let timelineTrackId = this._trackToTimelineTrackId.get(trackId);
-		if (timelineTrackId === undefined && this.timelineTrackToAudioTracks) {
-			// Fallback: calculate if not cached
-			const entries = this.timelineTrackToAudioTracks.entries();
-			for (let entry = entries.next(); !entry.done; entry = entries.next()) {
-				const tId = entry.value[0];
-				const audioTrackIds = entry.value[1];
-				if (audioTrackIds.includes(trackId)) {
-					timelineTrackId = tId;
-					this._trackToTimelineTrackId.set(trackId, tId);
-					break;
-				}
+	processBlock(left, right, frameCount, activeEffects) {
+		for (const effect of activeEffects) {
+			const handler = this._getEffectHandler(effect);
+			if (!handler) continue;
+			
+			// Smooth fade-in for effects (prevent clicks when effect starts)
+			// Fade in over the first 1% of the effect's length
+			const fadeStart = effect.progress !== undefined ? effect.progress / 0.01 : 1;
+			const isFadingIn = fadeStart < 1;
+			if (isFadingIn) {
+				this._saveDry(left, right, frameCount);
 			}
-		}
-
-		// Debug: Log effect matching details (occasionally)
-		if (this.processor && this.processor.port && (!this._lastEffectDebugTime || (currentBeat - this._lastEffectDebugTime) > 8)) {
-			this._lastEffectDebugTime = currentBeat;
-			const matchingDetails = this.timelineEffects.map(te => {
-				const startBeat = te.startBeat || 0;
-				const endBeat = startBeat + (te.duration || 0);
-				const isActive = currentBeat >= startBeat && currentBeat < endBeat;
-				let matchStatus = 'not active';
-				if (isActive) {
-					if (te.targetTrackId) {
-						matchStatus = te.targetTrackId === timelineTrackId ? 'MATCH (targetTrackId)' : 'NO MATCH: targetTrackId mismatch (effect=' + te.targetTrackId + ', audioTrack=' + timelineTrackId + ')';
-					} else if (te.trackId) {
-						matchStatus = 'GLOBAL (effect track)';
-					} else {
-						matchStatus = 'MATCH (global effect)';
-					}
-				}
-				return {
-					effectId: te.effectId,
-					trackId: te.trackId,
-					targetTrackId: te.targetTrackId,
-					startBeat,
-					duration: te.duration,
-					endBeat,
-					isActive,
-					matchStatus
-				};
-			});
-		}
-
-		// Find timeline effects that are active at this position
-		for (const timelineEffect of this.timelineEffects) {
-			const startBeat = timelineEffect.startBeat || 0;
-			const endBeat = startBeat + (timelineEffect.duration || 0);
-
-			// Check if effect is active at current position
-			if (currentBeat >= startBeat && currentBeat < endBeat) {
-				let shouldApply = false;
-				let matchReason = '';
-
-				if (timelineEffect.trackId) {
-					// Effect is assigned to a specific timeline track
-					// Effects can ONLY be on effect tracks (not pattern or envelope tracks)
-					const effectTimelineTrack = this.timelineTracks.find(t => t.id === timelineEffect.trackId);
-					if (effectTimelineTrack) {
-						if (effectTimelineTrack.type === 'effect') {
-							// Effect is on an effect track - apply globally to all tracks
-							shouldApply = true;
-							matchReason = 'effect track (global)';
-						} else {
-							// Effect is incorrectly placed on a non-effect track (shouldn't happen, but handle gracefully)
-							matchReason = 'effect on wrong track type: effect=' + timelineEffect.trackId + ' (type=' + effectTimelineTrack.type + ', should be \'effect\')';
-						}
-					} else {
-						// Timeline track not found - this shouldn't happen but handle gracefully
-						matchReason = 'trackId mismatch: effect=' + timelineEffect.trackId + ' (track not found), audioTrack=' + timelineTrackId;
-					}
-				} else if (timelineEffect.targetTrackId) {
-					// Per-track insert
-					if (timelineEffect.targetTrackId === timelineTrackId) {
-						shouldApply = true;
-						matchReason = 'targetTrackId match';
-					} else {
-						matchReason = 'targetTrackId mismatch: effect=' + timelineEffect.targetTrackId + ', audioTrack=' + timelineTrackId;
+			
+			if (effect.rampCount > 0) {
+				const step = this._automationStep;
+				for (let start = 0; start < frameCount; start += step) {
+					const position = start / frameCount;
+					for (let r = 0; r < effect.rampCount; r++) {
+						const ramp = effect.ramps[r];
+						effect.settings[ramp.key] = ramp.start + (ramp.end - ramp.start) * position;
 					}
-				} else {
-					// Global effect (no trackId or patternId) - applies to all tracks
-					shouldApply = true;
-					matchReason = 'global effect';
+					handler.processBlock(left, right, start, Math.min(frameCount, start + step), effect.settings, effect);
 				}
-
-				if (shouldApply) {
-					const effectDef = this.effects.find(e => e.id === timelineEffect.effectId);
-					if (effectDef) {
-						// Apply automation to effect settings
-						const automatedSettings = this.applyAutomationToEffect(
-							effectDef,
-							timelineEffect.id,
-							currentBeat,
-							startBeat,
-							endBeat
-						);
-						
-						activeEffects.push(Object.assign({}, effectDef, {
-							settings: automatedSettings,
-							progress: (currentBeat - startBeat) / (endBeat - startBeat) // 0-1 progress through effect
-						}));
-					} else {
-						// Debug: Effect definition not found (throttled to avoid spam)
-						if (this.processor && this.processor.port) {
-						// Track last log time per effect ID to avoid spam
-						const lastLogKey = 'missing_effect_' + timelineEffect.effectId;
-						if (!this._missingEffectLogTimes) {
-							this._missingEffectLogTimes = {};
-						}
-						const lastLogTime = (this._missingEffectLogTimes && this._missingEffectLogTimes[lastLogKey]) ? this._missingEffectLogTimes[lastLogKey] : 0;
-							
-							// Only log once every 4 beats to avoid infinite loops
-							if (currentBeat - lastLogTime > 4) {
-								this._missingEffectLogTimes[lastLogKey] = currentBeat;
-							}
-						}
-					}
+			} else {
+				handler.processBlock(left, right, 0, frameCount, effect.settings, effect);
+			}
+			
+			// Crossfade between dry and wet to prevent clicks
+			if (isFadingIn) {
+				const fadeStep = (effect.progressEnd / 0.01 - fadeStart) / frameCount;
+				for (let i = 0; i < frameCount; i++) {
+					const effectMix = Math.max(0, Math.min(1, fadeStart + fadeStep * i));
+					left[i] = this._dryLeft[i] * (1 - effectMix) + left[i] * effectMix;
+					right[i] = this._dryRight[i] * (1 - effectMix) + right[i] * effectMix;
 				}
 			}
+			
+			// Safety: prevent NaN/Infinity from propagating and killing audio
+			for (let i = 0; i < frameCount; i++) {
+				left[i] = Number.isFinite(left[i]) ? this._flushDenormals(left[i]) : 0;
+				right[i] = Number.isFinite(right[i]) ? this._flushDenormals(right[i]) : 0;
+			}
 		}
 
-		return activeEffects;
+		// Hard clamp to [-2, 2] to avoid runaway values
+		for (let i = 0; i < frameCount; i++) {
+			if (left[i] > 2) left[i] = 2;
+			else if (left[i] < -2) left[i] = -2;
+			if (right[i] > 2) right[i] = 2;
+			else if (right[i] < -2) right[i] = -2;
+		}
 	}
 
 	/**
-	 * Update performance caches to avoid expensive lookups per-sample
-	 * Called periodically (every ~0.1 beats) instead of every sample
+	 * How long a chain can hold sound that hasn't reached its output yet (its delay lines)
+	 * Once a chain's input and output have been silent this long, nothing is left ringing in it.
+	 * @param {Array<*>} activeEffects
+	 * @returns {number} Seconds
 	 */
-	_updateCaches(currentBeat) {
-		// Build trackId -> timelineTrackId map (only if not already built)
-		if (this._trackToTimelineTrackId.size === 0 && this.timelineTrackToAudioTracks) {
-			const entries = this.timelineTrackToAudioTracks.entries();
-			for (let entry = entries.next(); !entry.done; entry = entries.next()) {
-				const timelineTrackId = entry.value[0];
-				const audioTrackIds = entry.value[1];
-				for (let i = 0; i < audioTrackIds.length; i++) {
-					const audioTrackId = audioTrackIds[i];
-					if (!this._trackToTimelineTrackId.has(audioTrackId)) {
-						this._trackToTimelineTrackId.set(audioTrackId, timelineTrackId);
-					}
-				}
-			}
-		}
-
-		// Clear old cache entries (keep only recent ones)
-		const cacheKeysToDelete = [];
-		const cacheEntries = this._activeEffectsCache.entries();
-		for (let entry = cacheEntries.next(); !entry.done; entry = cacheEntries.next()) {
-			const key = entry.value[0];
-			const cached = entry.value[1];
-			if (Math.abs(currentBeat - cached.beat) > this._cacheUpdateInterval * 4) {
-				cacheKeysToDelete.push(key);
-			}
-		}
-		for (const key of cacheKeysToDelete) {
-			this._activeEffectsCache.delete(key);
+	getTailSeconds(activeEffects) {
+		let seconds = 0;
+		for (const effect of activeEffects) {
+			const handler = this._getEffectHandler(effect);
+			if (handler) seconds += handler.getTailSeconds(effect.settings);
 		}
+		return seconds;
 	}
 
 	/**
-	 * Apply effects to an audio sample
-	 * @param {number} sample - Input audio sample
-	 * @param {Array} activeEffects - Array of active effects to apply
-	 * @returns {number} Processed audio sample
+	 * Keep a copy of the block before an effect that is fading in
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} frameCount
 	 */
-	processSample(sample, activeEffects) {
-		let processed = Number.isFinite(sample) ? sample : 0;
-		processed = this._flushDenormals(processed);
-
-		if (activeEffects && activeEffects.length > 0) {
-			for (const effect of activeEffects) {
-				// Smooth fade-in for effects (prevent clicks when effect starts)
-				// Use progress (0-1) to fade in over first ~10ms (0.01 beats at 120 BPM)
-				let effectMix = 1.0;
-				if (effect.progress !== undefined && effect.progress < 0.01) {
-					// Fade in over first 0.01 beats (~10ms at 120 BPM)
-					effectMix = Math.min(1.0, effect.progress / 0.01);
-				}
-				
-				const effectOutput = this._flushDenormals(this.applyEffect(processed, effect));
-				// Crossfade between dry and wet to prevent clicks
-				processed = processed * (1 - effectMix) + effectOutput * effectMix;
-				processed = this._flushDenormals(processed);
-				
-				// Safety: prevent NaN/Infinity from propagating and killing audio
-				if (!Number.isFinite(processed)) {
-					processed = 0;
-				}
-			}
-		}
-
-		// Final safety clamp
-		if (!Number.isFinite(processed)) {
-			return 0;
+	_saveDry(left, right, frameCount) {
+		if (this._dryLeft.length < frameCount) {
+			this._dryLeft = new Float32Array(frameCount);
+			this._dryRight = new Float32Array(frameCount);
 		}
-
-		// Flush denormals before clamp (keeps state clean)
-		processed = this._flushDenormals(processed);
-
-		// Hard clamp to [-2, 2] to avoid runaway values
-		if (processed > 2) processed = 2;
-		if (processed < -2) processed = -2;
-
-		return processed;
+		this._dryLeft.set(left.subarray(0, frameCount));
+		this._dryRight.set(right.subarray(0, frameCount));
 	}
 
 	/**
-	 * Apply automation curves to effect settings
-	 * @param {Object} effectDef - Effect definition
-	 * @param {string} timelineEffectId - Timeline effect instance ID
-	 * @param {number} currentBeat - Current playback position
-	 * @param {number} startBeat - Effect start beat
-	 * @param {number} endBeat - Effect end beat
-	 * @returns {Object} Effect settings with automation applied
+	 * Apply automation curves to an active effect's settings over a block
+	 * Settings get the values at the block's start; ramps hold where each automated parameter
+	 * starts and ends.
+	 * @param {*} effect - Active effect from _getEffectInstance
+	 * @param {number} startBeat - Beat at the block's first frame
+	 * @param {number} endBeat - Beat after the block's last frame
 	 */
-	applyAutomationToEffect(effectDef, timelineEffectId, currentBeat, startBeat, endBeat) {
-		if (!this.automation || !effectDef) {
-			return effectDef.settings || {};
-		}
-
-		// Check cache first (cache per 0.1 beats to reduce recalculations)
-		const cacheKey = timelineEffectId + '_' + Math.floor(currentBeat / 0.1);
-		const cached = this._automationSettingsCache.get(cacheKey);
-		if (cached && Math.abs(currentBeat - cached.beat) < 0.15) {
-			return cached.settings;
+	applyAutomationToEffect(effect, startBeat, endBeat) {
+		const effectDef = effect.definition;
+		
+		// Start with base settings (copied again when the definition's settings change)
+		if (effect.baseSettings !== effectDef.settings) {
+			effect.baseSettings = effectDef.settings;
+			effect.settings = Object.assign({}, effectDef.settings || {});
 		}
-
-		// Start with base settings
-		const automatedSettings = Object.assign({}, effectDef.settings || {});
+		effect.rampCount = 0;
+		if (!this.automation) return;
 
 		// Use pre-built automation map for fast lookup
-		const automations = this._automationByEffectInstance.get(timelineEffectId);
+		const automations = this._automationByEffectInstance.get(effect.timelineEffectId);
 		if (automations && automations.length > 0) {
 			for (const auto of automations) {
 				// Verify this automation is for this effect (should already be filtered, but double-check)
@@ -577,44 +513,33 @@ class EffectsProcessor {
 					// Get cached sorted points or sort if not cached
 					let sortedPoints = this._sortedPointsCache.get(auto.id || '');
 					if (!sortedPoints && auto.points && auto.points.length > 0) {
-						sortedPoints = auto.points.slice().sort((a, b) => a.beat - b.beat);
+						sortedPoints = auto.points.slice().sort((/** @type {*} */ a, /** @type {*} */ b) => a.beat - b.beat);
 						if (auto.id) {
 							this._sortedPointsCache.set(auto.id, sortedPoints);
 						}
 					}
 					
-					// Get automation value at current beat (using cached sorted points)
-					const value = this.getAutomationValueAtBeatFast(sortedPoints || [], currentBeat, auto.min || 0, auto.max || 1);
+					const min = auto.min || 0;
+					const max = auto.max || 1;
+					const start = this.getAutomationValueAtBeatFast(sortedPoints || [], startBeat, min, max);
+					const end = this.getAutomationValueAtBeatFast(sortedPoints || [], endBeat, min, max);
 					
 					// Apply to the parameter
-					automatedSettings[auto.parameterKey] = value;
-				}
-			}
-		}
-		
-		// Cache the result
-		this._automationSettingsCache.set(cacheKey, {
-			beat: currentBeat,
-			settings: automatedSettings
-		});
-		
-		// Clean old cache entries (keep only recent ones)
-		if (this._automationSettingsCache.size > 100) {
-			const keysToDelete = [];
-			const cacheEntries = this._automationSettingsCache.entries();
-			for (let entry = cacheEntries.next(); !entry.done; entry = cacheEntries.next()) {
-				const key = entry.value[0];
-				const cached = entry.value[1];
-				if (Math.abs(currentBeat - cached.beat) > 1.0) {
-					keysToDelete.push(key);
+					effect.settings[auto.parameterKey] = start;
+					if (end !== start) {
+						let ramp = effect.ramps[effect.rampCount];
+						if (!ramp) {
+							ramp = { key: '', start: 0, end: 0 };
+							effect.ramps.push(ramp);
+						}
+						ramp.key = auto.parameterKey;
+						ramp.start = start;
+						ramp.end = end;
+						effect.rampCount++;
+					}
 				}
 			}
-			for (const key of keysToDelete) {
-				this._automationSettingsCache.delete(key);
-			}
 		}
-
-		return automatedSettings;
 	}
 
 	/**
@@ -680,16 +605,13 @@ class EffectsProcessor {
 	}
 
 	/**
-	 * Apply a single effect to a sample
-	 * @param {number} sample - Input audio sample
-	 * @param {Object} effect - Effect definition with settings
-	 * @returns {number} Processed audio sample
+	 * Handler for an effect's type, created on first use
+	 * @param {*} effect - Effect definition with settings
+	 * @returns {*} Handler, or null for unknown types and effects without settings
 	 */
-	applyEffect(sample, effect) {
-		if (!effect || !effect.settings) return sample;
+	_getEffectHandler(effect) {
+		if (!effect || !effect.settings) return null;
 
-		const settings = effect.settings;
-		
 		// Use effect handlers (always available after build)
 		if (typeof EffectHandlers !== 'undefined' && EffectHandlers[effect.type]) {
 			const HandlerClass = EffectHandlers[effect.type];
@@ -699,11 +621,10 @@ class EffectsProcessor {
 			if (!this._effectHandlerInstances.has(effect.type)) {
 				this._effectHandlerInstances.set(effect.type, new HandlerClass(this));
 			}
-			const handler = this._effectHandlerInstances.get(effect.type);
-			return handler.process(sample, settings, effect);
+			return this._effectHandlerInstances.get(effect.type);
 		}
 
 		// Unknown effect type
-		return sample;
+		return null;
 	}
 }
@@ -19,10 +19,17 @@ class EventScheduler {
 		this._cleanupThresholdSamples = processor.sampleRate * 0.5; // 500ms lookback
 		// Track event count to adapt scheduling interval
 		this._lastEventCount = 0;
+		// Trig conditions: pattern loops completed since playback started, and fill mode
+		this.loopCount = 0;
+		this.fillActive = false;
+		// Seed for trig probability - choices depend only on the seed and the event,
+		// so live playback and offline export make the same choices
+		this.randomSeed = 0x2545f491;
 	}
 
 	scheduleEvents() {
-		const currentBeat = this.processor.currentTime / this.processor.playbackController.samplesPerBeat;
+		const playbackController = this.processor.playbackController;
+		const currentBeat = playbackController.getCurrentBeat();
 		const currentSampleTime = this.processor.currentTime;
 		
 		const epsilon = 0.0001;
@@ -66,7 +73,7 @@ class EventScheduler {
 		
 		// Use longer lookahead when starting from the beginning to ensure early events are scheduled
 		const lookaheadTime = isAtStart ? 0.5 : 0.15; // 500ms at start, 150ms otherwise
-		const lookaheadBeat = currentBeat + lookaheadTime * this.processor.playbackController.beatsPerSecond;
+		const lookaheadBeat = playbackController.sampleToBeat(currentSampleTime + lookaheadTime * this.processor.sampleRate);
 		
 		// Get pattern length for looping
 		const patternLength = this.getPatternLength();
@@ -80,6 +87,10 @@ class EventScheduler {
 			extendedLookahead = currentBeat + timelineWindow;
 		}
 
+		// Events at or past the loop region's end won't play before playback jumps back to its start
+		const loopRegion = isTimelineMode ? this.getLoopRegion() : null;
+		const loopEndBeat = loopRegion && currentBeat < loopRegion.endBeat ? loopRegion.endBeat : Infinity;
+
 		// Use events already declared above (line 32)
 		if (!events || events.length === 0) return;
 
@@ -157,9 +168,13 @@ class EventScheduler {
 				eventInWindow = eventTime >= currentBeat - epsilon && eventTime <= checkLookahead + epsilon;
 			}
 			
+			if (eventInWindow && eventTime >= loopEndBeat - epsilon) {
+				continue;
+			}
+			
 			if (eventInWindow) {
 				// Convert event time to sample time, ensuring we don't get negative sample times
-				const eventSampleTime = Math.max(0, Math.floor(eventTime * this.processor.playbackController.samplesPerBeat));
+				const eventSampleTime = Math.max(0, Math.floor(playbackController.beatToSample(eventTime)));
 				const eventKey = `${eventIndex}_${eventSampleTime}`;
 				
 				// Skip if already scheduled
@@ -167,6 +182,14 @@ class EventScheduler {
 					continue;
 				}
 				
+				// Trig conditions and probability (arrangement counts repetitions within the clip)
+				const cycle = isTimelineMode
+					? (event.iteration || 0)
+					: this.loopCount * (event.iterationsPerLoop || 1) + (event.iteration || 0);
+				if (!this.shouldTrigger(event, cycle)) {
+					continue;
+				}
+				
 				if (!this.scheduledEvents.has(eventSampleTime)) {
 					this.scheduledEvents.set(eventSampleTime, []);
 				}
@@ -203,6 +226,59 @@ class EventScheduler {
 		// }
 	}
 
+	/**
+	 * Whether an event plays on this pass, from its trig condition and probability
+	 * @param {*} event - Event to check
+	 * @param {number} cycle - Pattern repetition the event falls in (0 = first since playback started)
+	 * @returns {boolean}
+	 */
+	shouldTrigger(event, cycle) {
+		const condition = event.condition;
+		if (condition) {
+			let passes = true;
+			if (condition.type === 'ratio') {
+				const length = Math.max(1, Math.round(condition.b || 1));
+				const position = Math.max(1, Math.min(length, Math.round(condition.a || 1)));
+				passes = cycle % length === position - 1;
+			} else if (condition.type === 'first') {
+				passes = cycle === 0;
+			} else if (condition.type === 'fill') {
+				passes = this.fillActive;
+			}
+			if (condition.negate) passes = !passes;
+			if (!passes) return false;
+		}
+		
+		if (event.probability === undefined || event.probability === null || event.probability >= 1) {
+			return true;
+		}
+		return this.getTriggerRandom(event, cycle) < event.probability;
+	}
+
+	/**
+	 * Seeded random value (0-1) for an event on a given pass
+	 * Hashes the event's track, position and pitch with the pass instead of drawing from a
+	 * running generator, so the result doesn't depend on when or how often it's scheduled
+	 * @param {*} event - Event to roll for
+	 * @param {number} cycle - Pattern repetition the event falls in
+	 * @returns {number}
+	 */
+	getTriggerRandom(event, cycle) {
+		const key = `${event.instrumentId}:${Math.round(event.time * 960)}:${event.pitch}:${cycle}`;
+		// FNV-1a over the key, then a murmur3 finalizer to spread the bits
+		let hash = (2166136261 ^ this.randomSeed) >>> 0;
+		for (let i = 0; i < key.length; i++) {
+			hash ^= key.charCodeAt(i);
+			hash = Math.imul(hash, 16777619);
+		}
+		hash ^= hash >>> 16;
+		hash = Math.imul(hash, 0x85ebca6b);
+		hash ^= hash >>> 13;
+		hash = Math.imul(hash, 0xc2b2ae35);
+		hash ^= hash >>> 16;
+		return (hash >>> 0) / 4294967296;
+	}
+
 	getEventsAtTime(sampleTime) {
 		return this.scheduledEvents.get(sampleTime);
 	}
@@ -231,7 +307,7 @@ class EventScheduler {
 		// Find all sample times that are too old
 		// But don't clean up events at time 0 or very early times when we're just starting playback
 		// This ensures events at the start of playback aren't accidentally removed
-		const isNearStart = currentSampleTime < this.processor.playbackController.samplesPerBeat * 0.1; // Within first 0.1 beats
+		const isNearStart = currentSampleTime < this.processor.playbackController.beatToSample(0.1); // Within first 0.1 beats
 		for (const sampleTime of this.scheduledEvents.keys()) {
 			// Only clean up if it's old AND we're not near the start of playback
 			if (sampleTime < cleanupThreshold && (!isNearStart || sampleTime < -this._cleanupThresholdSamples)) {
@@ -308,33 +384,48 @@ class EventScheduler {
 		return patternLength;
 	}
 
-	checkLoopReset() {
+	/**
+	 * Enabled arrangement loop region, clamped to the timeline
+	 * @returns {{ startBeat: number, endBeat: number } | null} Null when there is no usable loop region
+	 */
+	getLoopRegion() {
+		const timeline = this.processor.projectManager.timeline;
+		const loopRegion = timeline ? timeline.loopRegion : null;
+		if (!loopRegion || !loopRegion.enabled) return null;
+		const startBeat = Math.max(0, loopRegion.startBeat || 0);
+		const endBeat = Math.min(loopRegion.endBeat || 0, timeline.totalLength);
+		return endBeat > startBeat ? { startBeat, endBeat } : null;
+	}
+
+	/**
+	 * Jump back when playback passes the end of the pattern, the timeline or the loop region
+	 * The loop region only applies when playback reaches its end from inside (playing past it after a seek doesn't loop)
+	 * @param {number} previousTime - Sample time at the start of the block just processed
+	 */
+	checkLoopReset(previousTime) {
 		const patternLength = this.getPatternLength();
-		const patternLengthSamples = patternLength * this.processor.playbackController.samplesPerBeat;
+		const playbackController = this.processor.playbackController;
+		const patternLengthSamples = playbackController.beatToSample(patternLength);
 		const isTimelineMode = this.processor.projectManager.isArrangementView && this.processor.projectManager.timeline && this.processor.projectManager.timeline.totalLength;
 		
+		const loopRegion = isTimelineMode ? this.getLoopRegion() : null;
+		if (loopRegion) {
+			const loopEndSamples = playbackController.beatToSample(loopRegion.endBeat);
+			if (previousTime < loopEndSamples && this.processor.currentTime >= loopEndSamples) {
+				this._restartTimeline(Math.floor(playbackController.beatToSample(loopRegion.startBeat)));
+				return;
+			}
+		}
+		
 		if (this.processor.currentTime >= patternLengthSamples) {
 			if (isTimelineMode) {
 				// In arrangement view, loop based on timeline length
-				// Reset to 0 and clear scheduled events for next loop
-				this.processor.currentTime = 0;
-				this._lastScheduledBeat = -1;
-				if (this.processor.audioProcessor) {
-					// Reset playback update timers so visual updates keep firing after loop
-					this.processor.audioProcessor.lastPlaybackUpdateTime = 0;
-					if (typeof this.processor.audioProcessor._lastBatchedSampleTime === 'number') {
-						this.processor.audioProcessor._lastBatchedSampleTime = 0;
-					}
-				}
-				this.scheduledEvents.clear();
-				this._scheduledEventKeys.clear();
-				this._lastCheckedEventIndex = -1;
-				// Re-schedule events for next loop
-				this.scheduleEvents();
+				this._restartTimeline(0);
 			} else {
 				// Pattern mode: reset to 0 but let notes ring out naturally
 				// Don't stop all synths - let them finish their release phase for smooth looping
 				this.processor.currentTime = 0;
+				this.loopCount++;
 				// Reset _lastScheduledBeat to -1 to force immediate scheduling of events at time 0
 				this._lastScheduledBeat = -1;
 				if (this.processor.audioProcessor) {
@@ -354,6 +445,28 @@ class EventScheduler {
 		}
 	}
 
+	/**
+	 * Move arrangement playback to a sample time and schedule from there
+	 * Clears scheduled events so nothing from before the jump plays
+	 * @param {number} sampleTime - Where playback continues
+	 */
+	_restartTimeline(sampleTime) {
+		this.processor.currentTime = sampleTime;
+		this._lastScheduledBeat = -1;
+		if (this.processor.audioProcessor) {
+			// Reset playback update timers so visual updates keep firing after loop
+			this.processor.audioProcessor.lastPlaybackUpdateTime = sampleTime;
+			if (typeof this.processor.audioProcessor._lastBatchedSampleTime === 'number') {
+				this.processor.audioProcessor._lastBatchedSampleTime = sampleTime;
+			}
+		}
+		this.scheduledEvents.clear();
+		this._scheduledEventKeys.clear();
+		this._lastCheckedEventIndex = -1;
+		// Re-schedule events for next loop
+		this.scheduleEvents();
+	}
+
 		clear() {
 		this.scheduledEvents.clear();
 		this._scheduledEventKeys.clear();
@@ -19,8 +19,26 @@ class MessageHandler {
 			case 'setTempo':
 				this.processor.setTempo(message.bpm);
 				break;
+			case 'noteOn':
+				this.processor.noteOn(message.trackId, message.pitch, message.velocity);
+				break;
+			case 'noteOff':
+				this.processor.noteOff(message.trackId, message.pitch);
+				break;
+			case 'allNotesOff':
+				this.processor.synthManager.allNotesOff(message.trackId ?? null);
+				break;
+			case 'setFillMode':
+				this.processor.setFillMode(message.active);
+				break;
+			case 'setMetronome':
+				this.processor.setMetronome(message.settings);
+				break;
+			case 'setLoopRegion':
+				this.processor.setLoopRegion(message.loopRegion ?? null);
+				break;
 		case 'updatePatternTree':
-			this.processor.updatePatternTree(message.trackId, message.patternTree, message.baseMeter);
+			this.processor.updatePatternTree(message.trackId, message.patternTree, message.baseMeter, message.groove);
 			break;
 			case 'updateTrackSettings':
 				this.processor.updateTrackSettings(message.trackId, message.settings);
@@ -46,6 +64,9 @@ class MessageHandler {
 		case 'removeTrack':
 			this.processor.removeTrack(message.trackId);
 			break;
+		case 'updateTrackInserts':
+			this.processor.updateTrackInserts(message.trackId, message.inserts);
+			break;
 		case 'updateTimelineTrackVolume':
 			this.processor.updateTimelineTrackVolume(message.trackId, message.volume);
 			break;
@@ -55,6 +76,9 @@ class MessageHandler {
 		case 'updateTimelineTrackSolo':
 			this.processor.updateTimelineTrackSolo(message.trackId, message.solo);
 			break;
+		case 'updateMixerRouting':
+			this.processor.updateMixerRouting(message.buses, message.tracks);
+			break;
 		case 'updateEffect':
 			this.processor.updateEffect(message.effectId, message.settings);
 			break;
@@ -64,6 +88,26 @@ class MessageHandler {
 		case 'loadSample':
 			this.processor.loadSample(message.trackId, message.sampleData, message.sampleRate);
 			break;
+		case 'loadAudioClipSample':
+			this.processor.audioClipPlayer.loadSample(
+				message.sampleId,
+				message.channelData.map(/** @param {ArrayBuffer} data */ (data) => new Float32Array(data)),
+				message.sampleRate
+			);
+			break;
+		case 'setGainReductionMeters':
+			this.processor.effectsProcessor.setGainReductionMeters(message.effectIds);
+			break;
+		case 'setStemFilter':
+			this.processor.setStemFilter(message.trackIds);
+			break;
+		case 'announceTransport':
+			this.processor.audioProcessor.announceTransport();
+			break;
+		case 'sync':
+			// Acknowledge so the main thread knows all earlier messages have been applied
+			this.processor.port.postMessage({ type: 'synced', id: message.id });
+			break;
 		}
 	}
 }
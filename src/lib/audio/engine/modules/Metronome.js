@@ -0,0 +1,178 @@
+/**
+ * Metronome click and count-in
+ * Clicks on every beat, accenting the first beat of each bar. A bar is the pattern's
+ * baseMeter in pattern view and a bar of the tempo map's meter in arrangement view,
+ * where the click follows the meter's denominator (e.g. eighth notes in 7/8).
+ * The count-in plays bars of clicks after play is pressed, before the transport moves,
+ * in the meter and tempo at the start position.
+ */
+
+class Metronome {
+	/**
+	 * @param {*} processor - The EngineWorkletProcessor
+	 */
+	constructor(processor) {
+		this.processor = processor;
+		this.enabled = false;
+		this.volume = 0.5;
+		this.accent = true;
+		this.countInBars = 0;
+		// Click sound: short decaying sine, higher and louder on downbeats
+		this._clickLength = processor.sampleRate * 0.05;
+		this._clickDecay = 0.008; // Envelope time constant in seconds
+		this._clickFrequency = 1000;
+		this._accentFrequency = 1500;
+		this._beatGain = 0.6;
+		this._accentGain = 1.0;
+		// Count-in progress in samples (0 = not counting in)
+		this.countInSamples = 0;
+		this.countInPosition = 0;
+		this._countInBarLength = 4;
+		this._countInUnit = 1;
+		this._countInSamplesPerBeat = 0;
+		// Beat of the last click (null = none yet) and the bar it fell in
+		/** @type {number | null} */
+		this._lastClickBeat = null;
+		/** @type {{ barStart: number, barLength: number, unit: number } | null} */
+		this._bar = null;
+		// Click currently sounding (sample index into the click, -1 = silent)
+		this._clickSample = -1;
+		this._currentFrequency = this._clickFrequency;
+		this._currentGain = 0;
+	}
+
+	/**
+	 * Apply settings from the main thread (missing fields keep their value)
+	 * @param {*} settings - { enabled, volume, accent, countInBars }
+	 */
+	setSettings(settings) {
+		if (!settings) return;
+		if (settings.enabled !== undefined) this.enabled = !!settings.enabled;
+		if (settings.volume !== undefined) this.volume = Math.max(0, Math.min(1, settings.volume));
+		if (settings.accent !== undefined) this.accent = !!settings.accent;
+		if (settings.countInBars !== undefined) this.countInBars = Math.max(0, Math.round(settings.countInBars) || 0);
+	}
+
+	/**
+	 * Bar containing a transport position for the current view
+	 * @param {number} beat
+	 * @returns {{ barStart: number, barLength: number, unit: number }} unit is the clicked beat length
+	 */
+	getBarAt(beat) {
+		const projectManager = this.processor.projectManager;
+		if (projectManager.isArrangementView && projectManager.timeline && projectManager.timeline.totalLength) {
+			const bar = this.processor.playbackController.tempoMap.getBarAt(beat);
+			return { barStart: bar.barStart, barLength: bar.barLength, unit: 4 / bar.denominator };
+		}
+		const barLength = Math.max(1, Math.round(this.processor.eventScheduler.getPatternLength()));
+		return { barStart: Math.floor(beat / barLength) * barLength, barLength, unit: 1 };
+	}
+
+	/**
+	 * Start the count-in (called when the transport starts playing)
+	 * Tells the main thread how many beats it lasts so its playhead estimate can start that far back
+	 */
+	startCountIn() {
+		this.reset();
+		if (this.countInBars <= 0) return;
+		const playbackController = this.processor.playbackController;
+		const startBeat = playbackController.getCurrentBeat();
+		const bar = this.getBarAt(startBeat);
+		const fullBarLength = bar.unit === 1 ? bar.barLength : playbackController.tempoMap.getMeterAt(startBeat).numerator * bar.unit;
+		this._countInBarLength = fullBarLength;
+		this._countInUnit = bar.unit;
+		this._countInSamplesPerBeat = this.processor.sampleRate * 60 / playbackController.tempoMap.getTempoAt(startBeat);
+		const beats = this.countInBars * fullBarLength;
+		this.countInSamples = Math.round(beats * this._countInSamplesPerBeat);
+		this.countInPosition = 0;
+		this.processor.port.postMessage({ type: 'countIn', beats });
+	}
+
+	isCountingIn() {
+		return this.countInSamples > 0;
+	}
+
+	/**
+	 * Stop any count-in and forget the last clicked beat (transport stop or seek)
+	 */
+	reset() {
+		this.countInSamples = 0;
+		this.countInPosition = 0;
+		this._lastClickBeat = null;
+		this._bar = null;
+	}
+
+	/**
+	 * Advance the count-in by one sample
+	 * Count-in clicks play even when the metronome itself is off
+	 * @returns {number} Click sample
+	 */
+	processCountIn() {
+		const beat = this.countInPosition / this._countInSamplesPerBeat;
+		const barLength = this._countInBarLength;
+		const bar = { barStart: Math.floor(beat / barLength + 1e-9) * barLength, barLength, unit: this._countInUnit };
+		const sample = this._process(beat, bar, this._countInSamplesPerBeat);
+		this.countInPosition++;
+		this.countInSamples--;
+		if (this.countInSamples <= 0) {
+			// The transport starts on its own beat, which must click again
+			this._lastClickBeat = null;
+			this._bar = null;
+		}
+		return sample;
+	}
+
+	/**
+	 * Click sample for the transport position
+	 * @param {number} beat - Current transport position in beats
+	 * @returns {number}
+	 */
+	process(beat) {
+		if (!this.enabled) {
+			return this._clickSample >= 0 ? this._renderClick() : 0;
+		}
+		// The bar only needs looking up again once playback leaves it (or loops back)
+		let bar = this._bar;
+		if (!bar || beat < bar.barStart - 1e-9 || beat >= bar.barStart + bar.barLength - 1e-9) {
+			bar = this._bar = this.getBarAt(beat);
+		}
+		return this._process(beat, bar, 0);
+	}
+
+	/**
+	 * @param {number} beat
+	 * @param {{ barStart: number, barLength: number, unit: number }} bar - Bar containing the beat
+	 * @param {number} samplesPerBeat - Samples per beat here (0 = look up the tempo at the playhead)
+	 * @returns {number}
+	 */
+	_process(beat, bar, samplesPerBeat) {
+		const clickIndex = Math.floor((beat - bar.barStart) / bar.unit + 1e-9);
+		const clickBeat = bar.barStart + clickIndex * bar.unit;
+		if (clickBeat !== this._lastClickBeat) {
+			this._lastClickBeat = clickBeat;
+			// Only click on the beat itself (not when playback starts or seeks mid-beat)
+			const beatSamples = samplesPerBeat || this.processor.sampleRate * 60 / this.processor.playbackController.getBPM();
+			const samplesIntoBeat = (beat - clickBeat) * beatSamples;
+			if (samplesIntoBeat < 1) {
+				const isDownbeat = this.accent && clickIndex === 0;
+				this._clickSample = 0;
+				this._currentFrequency = isDownbeat ? this._accentFrequency : this._clickFrequency;
+				this._currentGain = isDownbeat ? this._accentGain : this._beatGain;
+			}
+		}
+		return this._clickSample >= 0 ? this._renderClick() : 0;
+	}
+
+	/**
+	 * Next sample of the current click: a short decaying sine blip
+	 * @returns {number}
+	 */
+	_renderClick() {
+		const t = this._clickSample / this.processor.sampleRate;
+		this._clickSample++;
+		if (this._clickSample >= this._clickLength) {
+			this._clickSample = -1;
+		}
+		return Math.sin(2 * Math.PI * this._currentFrequency * t) * Math.exp(-t / this._clickDecay) * this._currentGain * this.volume;
+	}
+}
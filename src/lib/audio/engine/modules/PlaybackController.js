@@ -1,6 +1,7 @@
 /**
  * Manages playback state, tempo, and transport control
  * Handles play/stop/pause and tempo changes
+ * Beats convert to samples through the arrangement's tempo map (a constant tempo otherwise)
  */
 
 class PlaybackController {
@@ -10,19 +11,47 @@ class PlaybackController {
 		this.bpm = 120;
 		this.beatsPerSecond = this.bpm / 60;
 		this.samplesPerBeat = this.processor.sampleRate / this.beatsPerSecond;
+		this.tempoChanges = null;
+		this.tempoMap = new TempoMap(this.bpm, null);
 	}
 
 	setTempo(bpm) {
 		this.bpm = bpm;
 		this.beatsPerSecond = bpm / 60;
 		this.samplesPerBeat = this.processor.sampleRate / this.beatsPerSecond;
+		this.tempoMap = new TempoMap(bpm, this.tempoChanges);
+	}
+
+	/**
+	 * Use the arrangement's tempo and meter changes (null for a constant tempo, e.g. pattern view)
+	 * @param {*} tempoChanges - { tempos, meters } from the timeline
+	 */
+	setTempoMap(tempoChanges) {
+		this.tempoChanges = tempoChanges || null;
+		this.tempoMap = new TempoMap(this.bpm, this.tempoChanges);
+	}
+
+	/**
+	 * @param {number} beat
+	 * @returns {number} Sample time of the beat (fractional)
+	 */
+	beatToSample(beat) {
+		return this.tempoMap.beatToSeconds(beat) * this.processor.sampleRate;
+	}
+
+	/**
+	 * @param {number} sampleTime
+	 * @returns {number} Beat at the sample time
+	 */
+	sampleToBeat(sampleTime) {
+		return this.tempoMap.secondsToBeat(sampleTime / this.processor.sampleRate);
 	}
 
 	setTransport(state, position = 0) {
 		const wasPlaying = this.isPlaying;
 		this.isPlaying = state === 'play';
-		const newPosition = position * this.samplesPerBeat;
-		const isStartingFromBeginning = newPosition === 0 || newPosition < this.samplesPerBeat * 0.1;
+		const newPosition = this.beatToSample(position);
+		const isStartingFromBeginning = newPosition === 0 || position < 0.1;
 		
 		// When starting playback from the beginning (not resuming), stop all synths for a clean start
 		// This ensures no lingering sounds interfere with the first notes
@@ -38,6 +67,15 @@ class PlaybackController {
 		
 		this.processor.currentTime = newPosition;
 		
+		// Count in when playback starts; any stop or seek cancels the count-in
+		if (this.processor.metronome) {
+			if (state === 'play' && !wasPlaying) {
+				this.processor.metronome.startCountIn();
+			} else {
+				this.processor.metronome.reset();
+			}
+		}
+		
 		// When starting playback, force immediate scheduling of events at the start position
 		// This ensures events at time 0 (or the start position) are scheduled before the first buffer is processed
 		if (state === 'play' && !wasPlaying && this.processor.eventScheduler) {
@@ -47,17 +85,31 @@ class PlaybackController {
 			this.processor.eventScheduler.scheduledEvents.clear();
 			this.processor.eventScheduler._scheduledEventKeys.clear();
 			this.processor.eventScheduler._lastCheckedEventIndex = -1;
+			// Trig conditions count loops from the start of playback
+			this.processor.eventScheduler.loopCount = 0;
 			// Schedule events immediately for the start position
 			this.processor.eventScheduler.scheduleEvents();
 		}
 	}
 
 	getCurrentBeat() {
-		return this.processor.currentTime / this.samplesPerBeat;
+		return this.sampleToBeat(this.processor.currentTime);
 	}
 
+	/**
+	 * Tempo at the current position (follows the tempo map)
+	 * @returns {number}
+	 */
 	getBPM() {
-		return this.bpm;
+		return this.tempoMap.isConstant() ? this.bpm : this.tempoMap.getTempoAt(this.getCurrentBeat());
+	}
+
+	/**
+	 * Slowest tempo anywhere in the tempo map (sizes tempo-synced delay lines)
+	 * @returns {number}
+	 */
+	getMinBPM() {
+		return this.tempoMap.getMinTempo();
 	}
 
 	isTransportPlaying() {
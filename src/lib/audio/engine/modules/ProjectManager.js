@@ -9,9 +9,9 @@
  * - PATTERN: Currently stores a single instrument (future: container for multiple instruments)
  *   - Patterns can be loaded into timeline tracks
  *   - All instruments in a pattern play simultaneously (when pattern supports multiple)
- * - TRACK (TimelineTrack): Where patterns, effects, and envelopes are arranged
+ * - TRACK (TimelineTrack): Where patterns, samples, effects, and envelopes are arranged
  *   - Exists ONLY in arrangement view timeline
- *   - Can be type 'pattern', 'effect', or 'envelope'
+ *   - Can be type 'pattern', 'effect', 'envelope', or 'audio'
  */
 
 class ProjectManager {
@@ -37,7 +37,8 @@ class ProjectManager {
 		this.patterns = patterns || []; // Store patterns to access baseMeter
 		this.effects = effects || [];
 		this.envelopes = envelopes || [];
-		this.isArrangementView = viewMode === 'arrangement' && timelineData && timelineData.clips && timelineData.clips.length > 0;
+		this.isArrangementView = viewMode === 'arrangement' && !!timelineData &&
+			((timelineData.clips && timelineData.clips.length > 0) || (timelineData.audioClips && timelineData.audioClips.length > 0));
 		
 		// Build timeline track to audio tracks mapping
 		this.timelineTrackToAudioTracks.clear();
@@ -50,6 +51,25 @@ class ProjectManager {
 		// Set base meter track (defaults to first track if not specified)
 		this.baseMeterTrackId = baseMeterTrackId || ((tracks && tracks.length > 0 && tracks[0] && tracks[0].id) ? tracks[0].id : null);
 		
+		// Pattern view: the main thread sends one pattern length of events per track
+		if (!this.isArrangementView) {
+			/** @type {Map<string, Array<*>>} */
+			const eventsByTrack = new Map();
+			for (const event of this.events) {
+				let trackEvents = eventsByTrack.get(event.instrumentId);
+				if (!trackEvents) {
+					trackEvents = [];
+					eventsByTrack.set(event.instrumentId, trackEvents);
+				}
+				trackEvents.push(event);
+			}
+			this.events = [];
+			for (const [trackId, trackEvents] of eventsByTrack) {
+				this.events.push(...this.loopTrackEvents(trackEvents, this.getTrackBaseMeter(trackId)));
+			}
+			this.events.sort((a, b) => a.time - b.time);
+		}
+		
 		// Build pattern to track ID mapping for effect/envelope assignment
 		this.patternToTrackId.clear();
 		if (this.isArrangementView) {
@@ -88,15 +108,42 @@ class ProjectManager {
 		return null;
 	}
 
-	updatePatternTree(trackId, patternTree, baseMeter = 4) {
+	updatePatternTree(trackId, patternTree, baseMeter = 4, groove = undefined) {
 		const track = this.getTrack(trackId);
 		if (track) {
 			track.patternTree = patternTree;
+			// Main thread sends the resolved groove with each tree so it wins over the loaded patterns
+			if (groove !== undefined) {
+				track.groove = groove;
+			}
 			// Re-flatten events for this track in real-time
 			this.updateTrackEvents(trackId, baseMeter);
 		}
 	}
 	
+	/**
+	 * Groove for a track: the one sent with its last tree update, otherwise the
+	 * pattern instrument's own groove, falling back to the pattern's
+	 * @param {string} trackId - Engine track ID
+	 * @param {*} track - Engine track
+	 * @returns {*}
+	 */
+	getTrackGroove(trackId, track) {
+		if (track && track.groove !== undefined) return track.groove;
+		if (!trackId || !trackId.startsWith('__pattern_') || !this.patterns) return null;
+		
+		const lastUnderscore = trackId.lastIndexOf('_');
+		if (lastUnderscore <= '__pattern_'.length) return null;
+		const patternId = trackId.substring('__pattern_'.length, lastUnderscore);
+		const instrumentId = trackId.substring(lastUnderscore + 1);
+		const pattern = this.patterns.find(p => p.id === patternId);
+		if (!pattern) return null;
+		/** @type {Array<*>} */
+		const instruments = pattern.instruments || [];
+		const instrument = instruments.find(i => i.id === instrumentId);
+		return GrooveUtils.getEffectiveGroove(pattern, instrument);
+	}
+	
 	updateTrackEvents(trackId, baseMeter = 4) {
 		// Remove old events for this track
 		this.events = this.events.filter(e => e.instrumentId !== trackId);
@@ -115,17 +162,27 @@ class ProjectManager {
 				if (startTime === 0 && node.velocity === undefined && node.pitch === undefined) {
 					return [];
 				}
-				// Real leaf node - create event
-				return [{
-					time: startTime,
-					velocity: node.velocity !== undefined ? node.velocity : 1.0,
-					pitch: node.pitch !== undefined ? node.pitch : 60,
-					instrumentId,
-					attack: node.attack,
-					decay: node.decay,
-					sustain: node.sustain,
-					release: node.release
-				}];
+				// Real leaf node - create event(s), repeating ratchets inside the leaf's duration
+				// Same clamping as getRatchetCount in eventFlatten.ts (1-8 hits)
+				const ratchet = Math.max(1, Math.min(8, Math.round(node.ratchet !== undefined ? node.ratchet : 1) || 1));
+				const ratchetDecay = Math.max(0, Math.min(1, node.ratchetDecay || 0));
+				const velocity = node.velocity !== undefined ? node.velocity : 1.0;
+				const hits = [];
+				for (let index = 0; index < ratchet; index++) {
+					hits.push({
+						time: startTime + (parentDuration / ratchet) * index,
+						velocity: velocity * Math.pow(1 - ratchetDecay, index),
+						pitch: node.pitch !== undefined ? node.pitch : 60,
+						instrumentId,
+						attack: node.attack,
+						decay: node.decay,
+						sustain: node.sustain,
+						release: node.release,
+						probability: node.probability,
+						condition: node.condition
+					});
+				}
+				return hits;
 			}
 			
 			// Calculate total division sum for proportional distribution
@@ -149,7 +206,7 @@ class ProjectManager {
 			return events;
 		};
 		
-		const flattenTrackPattern = (rootNode, trackId, baseMeter = 4) => {
+		const flattenTrackPattern = (rootNode, trackId, baseMeter = 4, groove = null) => {
 			// Pattern length is always baseMeter
 			const patternLength = baseMeter;
 			
@@ -172,8 +229,11 @@ class ProjectManager {
 				time: event.time * scaleFactor
 			}));
 			
+			// Groove before durations so notes still end where the next one starts
+			const groovedEvents = GrooveUtils.apply(scaledEvents, groove, patternLength);
+			
 			// Calculate note duration: time until next note starts, or pattern length if last note
-			const sortedEvents = [...scaledEvents].sort((a, b) => a.time - b.time);
+			const sortedEvents = [...groovedEvents].sort((a, b) => a.time - b.time);
 			
 			return sortedEvents.map((event, index) => {
 				// Find next event for the same instrument
@@ -192,22 +252,13 @@ class ProjectManager {
 		};
 		
 		// Determine baseMeter for this track
-		let finalBaseMeter = 4; // Default for standalone instruments
-		if (trackId && trackId.startsWith('__pattern_')) {
-			// Extract pattern ID and get baseMeter from patterns
-			const lastUnderscore = trackId.lastIndexOf('_');
-			if (lastUnderscore > '__pattern_'.length) {
-				const patternId = trackId.substring('__pattern_'.length, lastUnderscore);
-				if (this.patterns) {
-					const pattern = this.patterns.find(p => p.id === patternId);
-					if (pattern) {
-						finalBaseMeter = pattern.baseMeter || 4;
-					}
-				}
-			}
-		}
+		const finalBaseMeter = this.getTrackBaseMeter(trackId);
 		
-		const newEvents = flattenTrackPattern(track.patternTree, trackId, finalBaseMeter);
+		const newEvents = this.arrangeTrackEvents(
+			trackId,
+			flattenTrackPattern(track.patternTree, trackId, finalBaseMeter, this.getTrackGroove(trackId, track)),
+			finalBaseMeter
+		);
 		
 		// Add new events
 		this.events.push(...newEvents);
@@ -218,7 +269,7 @@ class ProjectManager {
 		// Notify processor to clear future scheduled events and re-schedule
 		if (this.processor && this.processor.eventScheduler) {
 			// Clear scheduled events for future times (keep past ones that are already playing)
-			const currentBeat = this.processor.currentTime / this.processor.playbackController.samplesPerBeat;
+			const currentBeat = this.processor.playbackController.getCurrentBeat();
 			const currentSampleTime = Math.floor(this.processor.currentTime);
 			
 			// Remove scheduled events that are in the future
@@ -236,6 +287,134 @@ class ProjectManager {
 		}
 	}
 
+	/**
+	 * Base meter (pattern length in beats) of an engine track: its pattern's baseMeter, or 4 for
+	 * standalone instruments
+	 * @param {string} trackId - Engine track ID
+	 * @returns {number}
+	 */
+	getTrackBaseMeter(trackId) {
+		if (!trackId || !trackId.startsWith('__pattern_') || !this.patterns) return 4;
+		const lastUnderscore = trackId.lastIndexOf('_');
+		if (lastUnderscore <= '__pattern_'.length) return 4;
+		const patternId = trackId.substring('__pattern_'.length, lastUnderscore);
+		const pattern = this.patterns.find(p => p.id === patternId);
+		return (pattern && pattern.baseMeter) || 4;
+	}
+	
+	/**
+	 * Repeat a track's events (one pattern length, in pattern time) until the base meter loops,
+	 * as pattern view plays them. Each repetition is tagged with its iteration, since trig
+	 * conditions count repetitions rather than base meter loops. Patterns at least as long as
+	 * the base meter are returned as-is.
+	 * @param {Array<*>} events - Flattened pattern events
+	 * @param {number} patternLength - Pattern length in beats
+	 * @returns {Array<*>}
+	 */
+	loopTrackEvents(events, patternLength) {
+		const baseMeterLength = this.processor.eventScheduler.getPatternLength();
+		if (events.length === 0 || patternLength <= 0 || patternLength >= baseMeterLength) {
+			return events;
+		}
+		
+		// The last repetition may be cut short at the end of the base meter
+		const iterationsPerLoop = Math.ceil(baseMeterLength / patternLength);
+		const looped = [];
+		for (let iteration = 0; iteration < iterationsPerLoop; iteration++) {
+			const offset = iteration * patternLength;
+			for (const event of events) {
+				const time = event.time + offset;
+				if (time < baseMeterLength) {
+					looped.push(Object.assign({}, event, { time, iteration, iterationsPerLoop }));
+				}
+			}
+		}
+		return looped;
+	}
+	
+	/**
+	 * Lay a track's events (in pattern time) out the way loadProject did, so live edits land
+	 * where the loaded events were: over the timeline clips that play its pattern in arrangement
+	 * view, repeated through the base meter in pattern view
+	 * @param {string} trackId - Engine track ID (__pattern_{patternId}_{instrumentId})
+	 * @param {Array<*>} events - Flattened pattern events
+	 * @param {number} [patternLength] - Pattern length in beats (the pattern's baseMeter when omitted)
+	 * @returns {Array<*>}
+	 */
+	arrangeTrackEvents(trackId, events, patternLength) {
+		const length = patternLength !== undefined ? patternLength : this.getTrackBaseMeter(trackId);
+		if (!this.isArrangementView || !this.timeline) {
+			return this.loopTrackEvents(events, length);
+		}
+		if (!trackId || !trackId.startsWith('__pattern_')) return events;
+		const lastUnderscore = trackId.lastIndexOf('_');
+		if (lastUnderscore <= '__pattern_'.length) return events;
+		const patternId = trackId.substring('__pattern_'.length, lastUnderscore);
+		
+		/** @type {Array<*>} */
+		const clips = this.timeline.clips || [];
+		const arranged = [];
+		for (const clip of clips) {
+			if (clip.patternId !== patternId) continue;
+			for (const event of this.expandClipEvents(events, clip, length)) {
+				arranged.push(Object.assign(event, { instrumentId: trackId, patternId }));
+			}
+		}
+		return arranged;
+	}
+	
+	/**
+	 * Place a pattern's events inside a timeline clip, honoring the clip's loop length,
+	 * reverse, rate and offset (mirrors expandClipEvents in eventFlatten.ts)
+	 * @param {Array<*>} patternEvents - Events relative to the pattern start
+	 * @param {*} clip - Timeline clip
+	 * @param {number} patternLength - Pattern length in beats
+	 * @returns {Array<*>} Events with absolute timeline times
+	 */
+	expandClipEvents(patternEvents, clip, patternLength) {
+		/** @type {Array<*>} */
+		const events = [];
+		if (patternLength <= 0) return events;
+		
+		const rate = Number.isFinite(clip.rate) && clip.rate > 0 ? clip.rate : 1;
+		const loopLength = Number.isFinite(clip.loopLength) && clip.loopLength > 0 ? clip.loopLength : patternLength;
+		const loopBeats = loopLength / rate;
+		const clipEnd = clip.startBeat + clip.duration;
+		
+		// One loop of events, in timeline beats from the loop start
+		const loopEvents = [];
+		for (const event of patternEvents) {
+			let time = event.time;
+			if (time >= patternLength) {
+				time = time % patternLength;
+			} else if (time < 0) {
+				time = patternLength + (time % patternLength);
+			}
+			if (time >= loopLength) continue;
+			
+			const duration = Math.min(event.duration !== undefined ? event.duration : loopLength - time, loopLength - time);
+			const loopTime = clip.reverse ? loopLength - time - duration : time;
+			loopEvents.push(Object.assign({}, event, { time: loopTime / rate, duration: duration / rate }));
+		}
+		
+		const offset = clip.offsetBeats || 0;
+		const phase = ((offset % loopBeats) + loopBeats) % loopBeats;
+		let loopStart = clip.startBeat - phase;
+		let iteration = Math.max(0, Math.floor(offset / loopBeats));
+		while (loopStart < clipEnd) {
+			for (const event of loopEvents) {
+				const time = loopStart + event.time;
+				if (time >= clip.startBeat && time < clipEnd) {
+					events.push(Object.assign({}, event, { time, iteration }));
+				}
+			}
+			loopStart += loopBeats;
+			iteration++;
+		}
+		
+		return events;
+	}
+
 	updateTrackSettings(trackId, settings) {
 		const track = this.getTrack(trackId);
 		if (track) {
@@ -308,6 +487,25 @@ class ProjectManager {
 		}
 	}
 
+	/**
+	 * Replace the mixer buses and each timeline track's bus routing and sends
+	 * @param {Array<*>} buses - Timeline buses
+	 * @param {Array<{id: string, busId?: string, sends?: Array<*>}>} tracks - Routing per timeline track
+	 */
+	updateMixerRouting(buses, tracks) {
+		if (!this.timeline) return;
+		this.timeline.buses = Array.isArray(buses) ? buses : [];
+		if (this.timeline.tracks && Array.isArray(tracks)) {
+			for (const track of this.timeline.tracks) {
+				const routing = tracks.find((r) => r.id === track.id);
+				if (routing) {
+					track.busId = routing.busId;
+					track.sends = routing.sends;
+				}
+			}
+		}
+	}
+
 	getTimelineTrackVolume(trackId) {
 		if (this.timeline && this.timeline.tracks) {
 			const track = this.timeline.tracks.find(t => t.id === trackId);
@@ -343,6 +541,14 @@ class ProjectManager {
 			}
 		}
 		
+		if (Array.isArray(timeline.audioClips)) {
+			for (const clip of timeline.audioClips) {
+				if (clip) {
+					updateMaxLength(clip.startBeat || 0, clip.duration || 0);
+				}
+			}
+		}
+		
 		if (Array.isArray(timeline.effects)) {
 			for (const effect of timeline.effects) {
 				if (effect) {
@@ -16,6 +16,7 @@ class SynthManager {
 		this.sampleBuffers = new Map(); // Store sample buffers by trackId
 		this.voicePools = new Map(); // Map of trackId -> array of synth voices for polyphony
 		this.maxVoices = 8; // Maximum number of simultaneous voices per track
+		this.heldNotes = new Map(); // "trackId:pitch" -> voice held by noteOn until noteOff
 	}
 	
 	/**
@@ -192,11 +193,12 @@ class SynthManager {
 	 * @param {number} duration - Optional note duration in beats
 	 * @param {number|null} eventChoke - DEPRECATED: Choke functionality removed
 	 * @param {Object|null} adsrParams - Optional per-note ADSR parameters
+	 * @returns {*} The voice that was triggered, or null
 	 */
 	triggerNote(trackId, velocity, pitch, patternId = null, duration = null, eventChoke = null, adsrParams = null) {
 		const track = this.processor.projectManager.getTrack(trackId);
 		if (!track) {
-			return;
+			return null;
 		}
 		
 		// Always use polyphonic voices (overlap always enabled)
@@ -213,12 +215,12 @@ class SynthManager {
 			// The track object is updated by reference, but we want to be explicit
 			const freshTrack = this.processor.projectManager.getTrack(trackId);
 			if (!freshTrack) {
-				return;
+				return null;
 			}
 			
 			const instrumentType = freshTrack.instrumentType || track.instrumentType;
 			if (!instrumentType) {
-				return;
+				return null;
 			}
 			
 			// Get settings - prioritize instrumentSettings[instrumentType] over base settings
@@ -281,8 +283,66 @@ class SynthManager {
 					voice.updateSettings(latestSettings);
 				}
 				
+				// A stolen held voice now belongs to this note, so a later noteOff must not cut it
+				voice.heldNoteKey = null;
+				
 				// Pass ADSR params if provided, otherwise pass duration (for backward compatibility)
 				voice.trigger(velocity, pitch, adsrParams || duration);
+				return voice;
+			}
+			return null;
+		}
+	}
+
+	/**
+	 * Start a held note (live audition / MIDI input) that sustains until noteOff
+	 * @param {string} trackId - The instrument ID
+	 * @param {number} pitch - MIDI pitch
+	 * @param {number} velocity - Note velocity (0-1)
+	 */
+	noteOn(trackId, pitch, velocity) {
+		const key = `${trackId}:${pitch}`;
+		// Retriggering a held key releases the previous voice first
+		this.noteOff(trackId, pitch);
+		
+		// Infinite duration keeps melodic synths in their hold phase; drums and samples are one-shots anyway
+		const voice = this.triggerNote(trackId, velocity, pitch, undefined, Infinity);
+		if (voice) {
+			voice.heldNoteKey = key;
+			this.heldNotes.set(key, voice);
+		}
+	}
+
+	/**
+	 * Release a held note started by noteOn
+	 * @param {string} trackId - The instrument ID
+	 * @param {number} pitch - MIDI pitch
+	 */
+	noteOff(trackId, pitch) {
+		const key = `${trackId}:${pitch}`;
+		const voice = this.heldNotes.get(key);
+		this.heldNotes.delete(key);
+		if (!voice || voice.heldNoteKey !== key) return;
+		
+		voice.heldNoteKey = null;
+		if (typeof voice.envelopePhase === 'number') {
+			// End the hold phase at the current envelope position so the synth moves into its release
+			// Synths convert noteDuration (beats) to samples with their own settings.bpm
+			const bpm = (voice.settings && voice.settings.bpm) || 120;
+			voice.noteDuration = (voice.envelopePhase / this.processor.sampleRate) * (bpm / 60);
+		}
+	}
+
+	/**
+	 * Release every held note (optionally only for one instrument)
+	 * @param {string|null} trackId - The instrument ID, or null for all
+	 */
+	allNotesOff(trackId = null) {
+		for (const key of Array.from(this.heldNotes.keys())) {
+			const separator = key.lastIndexOf(':');
+			const heldTrackId = key.substring(0, separator);
+			if (trackId === null || heldTrackId === trackId) {
+				this.noteOff(heldTrackId, Number(key.substring(separator + 1)));
 			}
 		}
 	}
@@ -300,6 +360,13 @@ class SynthManager {
 			allSynths.set(trackId, voicePool);
 		}
 		
+		// Audio tracks mix like instruments, one voice each
+		if (this.processor.audioClipPlayer) {
+			for (const [trackId, voice] of this.processor.audioClipPlayer.getVoices().entries()) {
+				allSynths.set(trackId, voice);
+			}
+		}
+		
 		return allSynths;
 	}
 
@@ -308,6 +375,7 @@ class SynthManager {
 	 * Useful for pattern editor mode where we want to stop all sounds when stopping playback
 	 */
 	stopAllSynths() {
+		this.heldNotes.clear();
 		// Stop regular synths
 		for (const synth of this.synths.values()) {
 			if (synth && synth.isActive !== undefined) {
@@ -343,6 +411,14 @@ class SynthManager {
 				}
 			}
 		}
+		// Check audio clips
+		if (this.processor.audioClipPlayer) {
+			for (const voice of this.processor.audioClipPlayer.getVoices().values()) {
+				if (voice.isActive === true) {
+					return true;
+				}
+			}
+		}
 		return false;
 	}
 
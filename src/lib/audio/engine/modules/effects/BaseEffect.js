@@ -17,11 +17,10 @@ class BaseEffect {
 	}
 
 	/**
-	 * Process a single sample through the effect
+	 * Process a stereo frame ({left, right}) through the effect, in place
 	 * Must be implemented by subclasses
 	 */
-	process(sample, settings, effect) {
-		return sample;
+	process(frame, settings, effect) {
 	}
 }
 
@@ -6,11 +6,35 @@
 
 /**
  * Base effect handler with common functionality
+ * Handlers process stereo frames in place. Effects without any interplay between the sides only
+ * implement processChannel, which runs once per side with separate state for each.
+ * The processor hands over whole blocks; processBlock runs process over each frame of a range.
  */
 class EffectHandler {
 	constructor(effectsProcessor) {
 		this.effectsProcessor = effectsProcessor;
 		this._flushDenormals = (x) => (x > -1e-20 && x < 1e-20) ? 0 : x;
+		this._frame = { left: 0, right: 0 };
+	}
+
+	/**
+	 * Process a range of a stereo block in place
+	 * @param {Float32Array} left - Left channel
+	 * @param {Float32Array} right - Right channel
+	 * @param {number} start - First frame
+	 * @param {number} end - Frame after the last
+	 * @param {*} settings - Effect settings (with automation applied)
+	 * @param {*} effect - Effect instance
+	 */
+	processBlock(left, right, start, end, settings, effect) {
+		const frame = this._frame;
+		for (let i = start; i < end; i++) {
+			frame.left = left[i];
+			frame.right = right[i];
+			this.process(frame, settings, effect);
+			left[i] = frame.left;
+			right[i] = frame.right;
+		}
 	}
 
 	getSampleRate() {
@@ -18,18 +42,127 @@ class EffectHandler {
 			? this.effectsProcessor.processor.sampleRate 
 			: 44100;
 	}
+
+	/**
+	 * Process one stereo frame in place
+	 * @param {{left: number, right: number}} frame - Frame to process
+	 * @param {*} settings - Effect settings (with automation applied)
+	 * @param {*} effect - Effect instance (timelineEffectId keys its state)
+	 */
+	process(frame, settings, effect) {
+		frame.left = this.processChannel(frame.left, settings, effect, 0);
+		frame.right = this.processChannel(frame.right, settings, effect, 1);
+	}
+
+	/**
+	 * Process one side of a frame
+	 * @param {number} sample - Input sample
+	 * @param {*} settings - Effect settings
+	 * @param {*} effect - Effect instance
+	 * @param {number} channel - 0 = left, 1 = right
+	 * @returns {number} Processed sample
+	 */
+	processChannel(sample, settings, effect, channel) {
+		return sample;
+	}
+
+	/**
+	 * Key for the state of one side of an effect instance
+	 * @param {*} effect - Effect instance
+	 * @param {number} channel - 0 = left, 1 = right
+	 * @returns {string}
+	 */
+	getStateKey(effect, channel) {
+		// Built once per instance rather than for every sample
+		if (!effect.stateKeys) {
+			const key = effect.timelineEffectId || 'global';
+			effect.stateKeys = [key + ':L', key + ':R'];
+		}
+		return effect.stateKeys[channel];
+	}
+
+	/**
+	 * How long the effect can hold sound before it reaches the output (its longest delay line)
+	 * @param {*} settings
+	 * @returns {number} Seconds
+	 */
+	getTailSeconds(settings) {
+		return 0;
+	}
+
+	/**
+	 * Stereo width setting (0 = mono, 1 = full width)
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	getWidth(settings) {
+		return settings.width !== undefined ? Math.max(0, Math.min(1, settings.width)) : 1;
+	}
+
+	/**
+	 * Length in beats of the synced note value
+	 * syncNote is the note (4 = quarter, 8 = eighth...); syncFeel 'dotted' adds half, 'tuplet' fits
+	 * syncTuplet notes into the space of the largest power of two below it (3 = triplet, 5 = quintuplet).
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	getSyncedBeats(settings) {
+		const note = settings.syncNote !== undefined ? Math.max(1, Math.min(64, settings.syncNote)) : 8;
+		let beats = 4 / note;
+		if (settings.syncFeel === 'dotted') {
+			beats *= 1.5;
+		} else if (settings.syncFeel === 'tuplet') {
+			const tuplet = settings.syncTuplet !== undefined ? Math.max(3, Math.min(15, Math.round(settings.syncTuplet))) : 3;
+			const space = Math.pow(2, Math.ceil(Math.log2(tuplet)) - 1);
+			beats *= space / tuplet;
+		}
+		return beats;
+	}
+
+	/**
+	 * Length in seconds of the synced note value at the current tempo
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	getSyncedSeconds(settings) {
+		const playbackController = this.effectsProcessor.processor && this.effectsProcessor.processor.playbackController;
+		const bpm = playbackController ? playbackController.getBPM() : 120;
+		return (this.getSyncedBeats(settings) * 60) / (bpm > 0 ? bpm : 120);
+	}
+
+	/**
+	 * Longest the synced note value gets anywhere in the song (at the slowest tempo in the tempo map)
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	getLongestSyncedSeconds(settings) {
+		const playbackController = this.effectsProcessor.processor && this.effectsProcessor.processor.playbackController;
+		const bpm = playbackController ? playbackController.getMinBPM() : 120;
+		return (this.getSyncedBeats(settings) * 60) / (bpm > 0 ? bpm : 120);
+	}
 }
 
 /**
  * Reverb effect handler
+ * Freeverb-style stereo: the mono sum feeds two tanks whose delay lines differ by a fixed spread,
+ * so the two sides decorrelate; width crossfeeds them back towards mono.
  */
 class ReverbEffect extends EffectHandler {
-	process(sample, settings, effect) {
+	/**
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} start
+	 * @param {number} end
+	 * @param {*} settings
+	 * @param {*} effect
+	 */
+	processBlock(left, right, start, end, settings, effect) {
 		const sampleRate = this.getSampleRate();
 		const reverbWet = settings.wet !== undefined ? Math.max(0, Math.min(1, settings.wet)) : 0.5;
 		const reverbDry = settings.dry !== undefined ? Math.max(0, Math.min(1, settings.dry)) : 0.5;
 		const reverbRoomSize = settings.roomSize !== undefined ? Math.max(0, Math.min(1, settings.roomSize)) : 0.5;
 		const reverbDampening = settings.dampening !== undefined ? Math.max(0, Math.min(1, settings.dampening)) : 0.5;
+		const reverbWidth = this.getWidth(settings);
 		
 		// Initialize reverb buffers if needed
 		if (!this.effectsProcessor._reverbBuffers) {
@@ -38,44 +171,97 @@ class ReverbEffect extends EffectHandler {
 		const reverbKey = effect.timelineEffectId || 'global';
 		
 		if (!this.effectsProcessor._reverbBuffers.has(reverbKey)) {
-			const maxReverbTime = 3.0;
-			const reverbBufferSize = Math.floor(sampleRate * maxReverbTime * 1.5);
-			const combDelays = [
-				Math.floor(sampleRate * 0.0297),
-				Math.floor(sampleRate * 0.0371),
-				Math.floor(sampleRate * 0.0411),
-				Math.floor(sampleRate * 0.0437)
-			];
-			const allpassDelays = [
-				Math.floor(sampleRate * 0.005),
-				Math.floor(sampleRate * 0.0017)
-			];
-			
+			// Freeverb's 23-sample spread at 44.1kHz
+			const stereoSpread = Math.round(sampleRate * 23 / 44100);
 			this.effectsProcessor._reverbBuffers.set(reverbKey, {
-				combBuffers: combDelays.map(() => new Float32Array(reverbBufferSize)),
-				combIndices: combDelays.map(() => 0),
-				combDelays: combDelays,
-				allpassBuffers: allpassDelays.map(() => new Float32Array(reverbBufferSize)),
-				allpassIndices: allpassDelays.map(() => 0),
-				allpassDelays: allpassDelays,
-				lowpassStates: combDelays.map(() => 0)
+				left: this._createTank(sampleRate, 0),
+				right: this._createTank(sampleRate, stereoSpread)
 			});
 		}
 		
 		const reverbState = this.effectsProcessor._reverbBuffers.get(reverbKey);
-		if (!reverbState) return sample;
+		if (!reverbState) return;
 		
 		const reverbTime = 0.02 + (reverbRoomSize * 2.98);
+		let dampAlpha = 1;
+		if (reverbDampening > 0) {
+			const cutoff = 20000 * (1 - reverbDampening * 0.975);
+			const rc = 1.0 / (cutoff * 2 * Math.PI / sampleRate);
+			dampAlpha = 1.0 / (1.0 + rc);
+		}
+		const feedbackLeft = this._getTankFeedback(reverbState.left, sampleRate, reverbTime, reverbDampening);
+		const feedbackRight = this._getTankFeedback(reverbState.right, sampleRate, reverbTime, reverbDampening);
+		
+		const wetDirect = reverbWet * (reverbWidth * 0.5 + 0.5);
+		const wetCross = reverbWet * (1 - reverbWidth) * 0.5;
+		for (let i = start; i < end; i++) {
+			const input = (left[i] + right[i]) * 0.5;
+			const wetLeft = this._processTank(reverbState.left, input, feedbackLeft, reverbDampening, dampAlpha);
+			const wetRight = this._processTank(reverbState.right, input, feedbackRight, reverbDampening, dampAlpha);
+			left[i] = left[i] * reverbDry + wetLeft * wetDirect + wetRight * wetCross;
+			right[i] = right[i] * reverbDry + wetRight * wetDirect + wetLeft * wetCross;
+		}
+	}
+
+	/**
+	 * Both allpasses and the longest comb, with the stereo spread
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	getTailSeconds(settings) {
+		return 0.005 + 0.0017 + 0.0437 + 23 / 44100;
+	}
+
+	/**
+	 * One side's comb and allpass network, each line offset by the stereo spread
+	 * @param {number} sampleRate
+	 * @param {number} spread - Extra samples on every line
+	 */
+	_createTank(sampleRate, spread) {
+		const combDelays = [0.0297, 0.0371, 0.0411, 0.0437].map((seconds) => Math.floor(sampleRate * seconds) + spread);
+		const allpassDelays = [0.005, 0.0017].map((seconds) => Math.floor(sampleRate * seconds) + spread);
+		return {
+			combBuffers: combDelays.map((delay) => new Float32Array(delay + 1)),
+			combIndices: combDelays.map(() => 0),
+			combDelays: combDelays,
+			allpassBuffers: allpassDelays.map((delay) => new Float32Array(delay + 1)),
+			allpassIndices: allpassDelays.map(() => 0),
+			allpassDelays: allpassDelays,
+			lowpassStates: combDelays.map(() => 0)
+		};
+	}
+
+	/**
+	 * Comb feedback for a tank's decay time
+	 * @param {*} reverbState - Tank from _createTank
+	 * @param {number} sampleRate
+	 * @param {number} reverbTime - Decay time in seconds
+	 * @param {number} reverbDampening
+	 * @returns {number}
+	 */
+	_getTankFeedback(reverbState, sampleRate, reverbTime, reverbDampening) {
 		const baseFeedback = Math.pow(0.001, reverbState.combDelays[0] / (sampleRate * reverbTime));
-		
-		let processed = sample;
+		return baseFeedback * (1 - reverbDampening * 0.3);
+	}
+
+	/**
+	 * Run a sample through one tank
+	 * @param {*} reverbState - Tank from _createTank
+	 * @param {number} input
+	 * @param {number} feedback - Comb feedback from _getTankFeedback
+	 * @param {number} reverbDampening
+	 * @param {number} dampAlpha - Damping lowpass coefficient
+	 * @returns {number} Wet output of the tank
+	 */
+	_processTank(reverbState, input, feedback, reverbDampening, dampAlpha) {
+		let processed = input;
 		for (let i = 0; i < reverbState.allpassDelays.length; i++) {
 			const delay = reverbState.allpassDelays[i];
 			const readIndex = (reverbState.allpassIndices[i] - delay + reverbState.allpassBuffers[i].length) % reverbState.allpassBuffers[i].length;
 			const delayed = reverbState.allpassBuffers[i][readIndex];
 			const allpassFeedback = 0.5;
 			const output = processed + delayed * allpassFeedback;
-			reverbState.allpassBuffers[i][reverbState.allpassIndices[i]] = processed - delayed * allpassFeedback;
+			reverbState.allpassBuffers[i][reverbState.allpassIndices[i]] = this._flushDenormals(processed - delayed * allpassFeedback);
 			reverbState.allpassIndices[i] = (reverbState.allpassIndices[i] + 1) % reverbState.allpassBuffers[i].length;
 			processed = output;
 		}
@@ -87,63 +273,210 @@ class ReverbEffect extends EffectHandler {
 			let dampened = reverbState.combBuffers[i][readIndex];
 			
 			if (reverbDampening > 0) {
-				const cutoff = 20000 * (1 - reverbDampening * 0.975);
-				const rc = 1.0 / (cutoff * 2 * Math.PI / sampleRate);
-				const alpha = 1.0 / (1.0 + rc);
-				reverbState.lowpassStates[i] = alpha * dampened + (1 - alpha) * reverbState.lowpassStates[i];
+				reverbState.lowpassStates[i] = this._flushDenormals(dampAlpha * dampened + (1 - dampAlpha) * reverbState.lowpassStates[i]);
 				dampened = reverbState.lowpassStates[i];
 			}
 			
-			const feedback = baseFeedback * (1 - reverbDampening * 0.3);
-			reverbState.combBuffers[i][reverbState.combIndices[i]] = processed + dampened * feedback;
+			reverbState.combBuffers[i][reverbState.combIndices[i]] = this._flushDenormals(processed + dampened * feedback);
 			reverbState.combIndices[i] = (reverbState.combIndices[i] + 1) % reverbState.combBuffers[i].length;
 			reverbOutput += dampened;
 		}
 		
-		reverbOutput /= reverbState.combDelays.length;
-		return sample * reverbDry + reverbOutput * reverbWet;
+		return reverbOutput / reverbState.combDelays.length;
 	}
 }
 
 /**
  * Delay effect handler
+ * Stereo mode: each side has its own line; the right one runs up to 12ms longer (scaled by width)
+ * so the repeats of a centred source land at different times on each side.
+ * Ping-pong mode: repeats bounce between the sides. Multi-tap mode: evenly spaced, fading taps
+ * alternate sides, and the last one feeds back.
+ * With sync on, the time is a note value that follows the tempo.
  */
 class DelayEffect extends EffectHandler {
-	process(sample, settings, effect) {
+	/**
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} start
+	 * @param {number} end
+	 * @param {*} settings
+	 * @param {*} effect
+	 */
+	processBlock(left, right, start, end, settings, effect) {
 		const sampleRate = this.getSampleRate();
 		const delayWet = settings.wet !== undefined ? Math.max(0, Math.min(1, settings.wet)) : 0.5;
 		const delayDry = settings.dry !== undefined ? Math.max(0, Math.min(1, settings.dry)) : 0.5;
 		const delayFeedback = settings.feedback !== undefined ? Math.max(0, Math.min(0.99, settings.feedback)) : 0.5;
-		const delayTime = settings.time !== undefined ? Math.max(0, Math.min(2.0, settings.time)) : 0.25;
+		const maxDelayTime = 2.0;
+		const delayTime = this._getDelayTime(settings);
+		const delayWidth = this.getWidth(settings);
+		const delayTaps = this._getTaps(settings);
 		
 		if (!this.effectsProcessor._delayBuffers) {
 			this.effectsProcessor._delayBuffers = new Map();
 		}
 		const delayKey = effect.timelineEffectId || 'global';
-		const maxDelayTime = 2.0;
-		const delayBufferSize = Math.floor(sampleRate * maxDelayTime * 1.5);
-		
-		if (!this.effectsProcessor._delayBuffers.has(delayKey)) {
-			this.effectsProcessor._delayBuffers.set(delayKey, {
-				buffer: new Float32Array(delayBufferSize),
+		// Room for the furthest read: synced times stretch as the tempo drops, multi-tap reads taps x the time
+		const longestTime = settings.sync ? this.getLongestSyncedSeconds(settings) : maxDelayTime;
+		const delayBufferSize = Math.floor(sampleRate * Math.max(maxDelayTime, longestTime * delayTaps) * 1.5);
+		
+		let delayState = this.effectsProcessor._delayBuffers.get(delayKey);
+		if (!delayState || delayState.left.length < delayBufferSize) {
+			// Only grows (on a longer setting or a slower tempo map), so the repeats restart at most then
+			delayState = {
+				left: new Float32Array(delayBufferSize),
+				right: new Float32Array(delayBufferSize),
 				writeIndex: 0
-			});
+			};
+			this.effectsProcessor._delayBuffers.set(delayKey, delayState);
 		}
-		const delayState = this.effectsProcessor._delayBuffers.get(delayKey);
 		
 		const delaySamples = Math.floor(delayTime * sampleRate);
-		const delayReadIndex = (delayState.writeIndex - delaySamples + delayBufferSize) % delayBufferSize;
+		if (settings.mode === 'pingpong') {
+			this._processPingPong(left, right, start, end, delayState, delaySamples, delayFeedback, delayWet, delayDry, delayWidth);
+			return;
+		}
+		if (settings.mode === 'multitap') {
+			this._processMultiTap(left, right, start, end, delayTaps, delayState, delaySamples, delayFeedback, delayWet, delayDry, delayWidth);
+			return;
+		}
+		
+		const lineLength = delayState.left.length;
+		const rightDelaySamples = delaySamples + delayWidth * 0.012 * sampleRate;
+		let writeIndex = delayState.writeIndex;
+		for (let i = start; i < end; i++) {
+			const delayedLeft = this._readDelay(delayState.left, writeIndex, delaySamples);
+			const delayedRight = this._readDelay(delayState.right, writeIndex, rightDelaySamples);
+			
+			delayState.left[writeIndex] = this._flushDenormals(left[i] + delayedLeft * delayFeedback);
+			delayState.right[writeIndex] = this._flushDenormals(right[i] + delayedRight * delayFeedback);
+			writeIndex = (writeIndex + 1) % lineLength;
+			
+			left[i] = left[i] * delayDry + delayedLeft * delayWet;
+			right[i] = right[i] * delayDry + delayedRight * delayWet;
+		}
+		delayState.writeIndex = writeIndex;
+	}
+
+	/**
+	 * The furthest read: the last tap in multi-tap mode, the right line's extra time in stereo mode
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	getTailSeconds(settings) {
+		return this._getDelayTime(settings) * this._getTaps(settings) + 0.012;
+	}
+
+	/**
+	 * Delay time in seconds: the synced note value at the current tempo, or the time setting (up to 2s)
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	_getDelayTime(settings) {
+		if (settings.sync) return this.getSyncedSeconds(settings);
+		return settings.time !== undefined ? Math.max(0, Math.min(2.0, settings.time)) : 0.25;
+	}
+
+	/**
+	 * Number of taps (1 outside multi-tap mode)
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	_getTaps(settings) {
+		if (settings.mode !== 'multitap') return 1;
+		return settings.taps !== undefined ? Math.max(2, Math.min(4, Math.round(settings.taps))) : 3;
+	}
+
+	/**
+	 * Ping-pong: the mono input enters the left line, whose output feeds the right line, whose
+	 * output feeds back into the left; width narrows the bounce towards the centre
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} start
+	 * @param {number} end
+	 * @param {*} delayState
+	 * @param {number} delaySamples
+	 * @param {number} feedback
+	 * @param {number} wet
+	 * @param {number} dry
+	 * @param {number} width
+	 */
+	_processPingPong(left, right, start, end, delayState, delaySamples, feedback, wet, dry, width) {
+		const delayBufferSize = delayState.left.length;
+		const same = 0.5 + width * 0.5;
+		const cross = 0.5 - width * 0.5;
+		let writeIndex = delayState.writeIndex;
+		for (let i = start; i < end; i++) {
+			const delayedLeft = this._readDelay(delayState.left, writeIndex, delaySamples);
+			const delayedRight = this._readDelay(delayState.right, writeIndex, delaySamples);
+			
+			delayState.left[writeIndex] = this._flushDenormals((left[i] + right[i]) * 0.5 + delayedRight * feedback);
+			delayState.right[writeIndex] = this._flushDenormals(delayedLeft);
+			writeIndex = (writeIndex + 1) % delayBufferSize;
+			
+			left[i] = left[i] * dry + (delayedLeft * same + delayedRight * cross) * wet;
+			right[i] = right[i] * dry + (delayedRight * same + delayedLeft * cross) * wet;
+		}
+		delayState.writeIndex = writeIndex;
+	}
+
+	/**
+	 * Multi-tap: taps at 1x, 2x... the delay time on one shared line, each quieter than the last and
+	 * alternating sides (scaled by width); the last tap feeds back into the line
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} start
+	 * @param {number} end
+	 * @param {number} taps
+	 * @param {*} delayState - Line long enough for taps x delaySamples
+	 * @param {number} delaySamples
+	 * @param {number} feedback
+	 * @param {number} wet
+	 * @param {number} dry
+	 * @param {number} width
+	 */
+	_processMultiTap(left, right, start, end, taps, delayState, delaySamples, feedback, wet, dry, width) {
+		const delayBufferSize = delayState.left.length;
+		const tapSpacing = delaySamples;
+		const lastTap = tapSpacing * taps;
+		let writeIndex = delayState.writeIndex;
+		for (let i = start; i < end; i++) {
+			let tappedLeft = 0;
+			let tappedRight = 0;
+			for (let tap = 1; tap <= taps; tap++) {
+				const tapped = this._readDelay(delayState.left, writeIndex, tapSpacing * tap);
+				const gain = (taps - tap + 1) / taps;
+				// Odd taps lean left, even taps lean right
+				const side = tap % 2 === 1 ? -width : width;
+				tappedLeft += tapped * gain * (0.5 - side * 0.5);
+				tappedRight += tapped * gain * (0.5 + side * 0.5);
+			}
+			const feedbackSample = this._readDelay(delayState.left, writeIndex, lastTap);
+			
+			delayState.left[writeIndex] = this._flushDenormals((left[i] + right[i]) * 0.5 + feedbackSample * feedback);
+			writeIndex = (writeIndex + 1) % delayBufferSize;
+			
+			left[i] = left[i] * dry + tappedLeft * wet;
+			right[i] = right[i] * dry + tappedRight * wet;
+		}
+		delayState.writeIndex = writeIndex;
+	}
+
+	/**
+	 * Read a line a (fractional) number of samples behind the write position
+	 * @param {Float32Array} buffer
+	 * @param {number} writeIndex
+	 * @param {number} delaySamples
+	 * @returns {number}
+	 */
+	_readDelay(buffer, writeIndex, delaySamples) {
+		const bufferSize = buffer.length;
+		const delayReadIndex = (writeIndex - delaySamples + bufferSize) % bufferSize;
 		const delayReadIndex1 = Math.floor(delayReadIndex);
-		const delayReadIndex2 = (delayReadIndex1 + 1) % delayBufferSize;
+		const delayReadIndex2 = (delayReadIndex1 + 1) % bufferSize;
 		const delayFrac = delayReadIndex - delayReadIndex1;
-		const delayedSample1 = delayState.buffer[delayReadIndex1];
-		const delayedSample2 = delayState.buffer[delayReadIndex2];
-		const delayedSample = delayedSample1 * (1 - delayFrac) + delayedSample2 * delayFrac;
-		
-		delayState.buffer[delayState.writeIndex] = sample + (delayedSample * delayFeedback);
-		delayState.writeIndex = (delayState.writeIndex + 1) % delayBufferSize;
-		
-		return sample * delayDry + delayedSample * delayWet;
+		return buffer[delayReadIndex1] * (1 - delayFrac) + buffer[delayReadIndex2] * delayFrac;
 	}
 }
 
@@ -151,7 +484,13 @@ class DelayEffect extends EffectHandler {
  * Filter effect handler
  */
 class FilterEffect extends EffectHandler {
-	process(sample, settings, effect) {
+	/**
+	 * @param {number} sample
+	 * @param {*} settings
+	 * @param {*} effect
+	 * @param {number} channel
+	 */
+	processChannel(sample, settings, effect, channel) {
 		const sampleRate = this.getSampleRate();
 		const filterFreq = settings.frequency !== undefined ? Math.max(0, Math.min(1, settings.frequency)) : 0.5;
 		const filterResonance = settings.resonance !== undefined ? Math.max(0, Math.min(1, settings.resonance)) : 0.5;
@@ -160,7 +499,7 @@ class FilterEffect extends EffectHandler {
 		if (!this.effectsProcessor._filterStates) {
 			this.effectsProcessor._filterStates = new Map();
 		}
-		const filterKey = effect.timelineEffectId || 'global';
+		const filterKey = this.getStateKey(effect, channel);
 		
 		if (!this.effectsProcessor._filterStates.has(filterKey)) {
 			this.effectsProcessor._filterStates.set(filterKey, {
@@ -206,7 +545,13 @@ class FilterEffect extends EffectHandler {
  * Distortion effect handler
  */
 class DistortionEffect extends EffectHandler {
-	process(sample, settings, effect) {
+	/**
+	 * @param {number} sample
+	 * @param {*} settings
+	 * @param {*} effect
+	 * @param {number} channel
+	 */
+	processChannel(sample, settings, effect, channel) {
 		const distortionDrive = settings.drive !== undefined ? Math.max(0, Math.min(1, settings.drive)) : 0.5;
 		const distortionAmount = settings.amount !== undefined ? Math.max(0, Math.min(1, settings.amount)) : 0.3;
 		
@@ -225,9 +570,19 @@ class DistortionEffect extends EffectHandler {
 
 /**
  * Compressor effect handler
+ * Stereo-linked: the louder side sets the gain for both, so compression doesn't shift the image.
+ * With a sidechain source set, the level comes from that track's pre-fader signal instead.
  */
 class CompressorEffect extends EffectHandler {
-	process(sample, settings, effect) {
+	/**
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} start
+	 * @param {number} end
+	 * @param {*} settings
+	 * @param {*} effect
+	 */
+	processBlock(left, right, start, end, settings, effect) {
 		const sampleRate = this.getSampleRate();
 		const compThreshold = settings.threshold !== undefined ? Math.max(0, Math.min(1, settings.threshold)) : 0.7;
 		const compRatio = settings.ratio !== undefined ? Math.max(1, Math.min(20, settings.ratio)) : 4;
@@ -259,39 +614,115 @@ class CompressorEffect extends EffectHandler {
 			compState.cachedSampleRate = sampleRate;
 		}
 		
-		const absSample = Math.abs(sample);
-		let targetGain = 1.0;
-		if (absSample > compThreshold) {
-			const excess = absSample - compThreshold;
-			const compressed = compThreshold + excess / compRatio;
-			targetGain = compressed / absSample;
+		// A silent (or missing) key track lets the gain recover
+		const hasSidechain = !!settings.sidechain;
+		const key = hasSidechain ? this.effectsProcessor.getSidechainKey(settings.sidechain) : null;
+		
+		let minGain = 1;
+		for (let i = start; i < end; i++) {
+			let absSample = 0;
+			if (!hasSidechain) {
+				absSample = Math.max(Math.abs(left[i]), Math.abs(right[i]));
+			} else if (key) {
+				absSample = Math.max(Math.abs(key.left[i]), Math.abs(key.right[i]));
+			}
+			let targetGain = 1.0;
+			if (absSample > compThreshold) {
+				const excess = absSample - compThreshold;
+				const compressed = compThreshold + excess / compRatio;
+				targetGain = compressed / absSample;
+			}
+			
+			if (targetGain < compState.envelope) {
+				compState.envelope = targetGain + (compState.envelope - targetGain) * compState.attackCoeff;
+			} else {
+				compState.envelope = targetGain + (compState.envelope - targetGain) * compState.releaseCoeff;
+			}
+			
+			left[i] *= compState.envelope;
+			right[i] *= compState.envelope;
+			if (compState.envelope < minGain) minGain = compState.envelope;
 		}
-		
-		if (targetGain < compState.envelope) {
-			compState.envelope = targetGain + (compState.envelope - targetGain) * compState.attackCoeff;
-		} else {
-			compState.envelope = targetGain + (compState.envelope - targetGain) * compState.releaseCoeff;
+		this.effectsProcessor.reportGainReduction(effect.id, minGain);
+	}
+}
+
+/**
+ * Ducker effect handler
+ * Tempo-synced volume shape: the gain dips at the start of every cycle (rate is the cycle length
+ * in beats) and recovers over the release share of the cycle, like a compressor keyed from a kick
+ * on the same grid.
+ */
+class DuckerEffect extends EffectHandler {
+	/**
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} start
+	 * @param {number} end
+	 * @param {*} settings
+	 * @param {*} effect
+	 */
+	processBlock(left, right, start, end, settings, effect) {
+		const sampleRate = this.getSampleRate();
+		const duckRate = settings.rate !== undefined ? Math.max(0.0625, Math.min(16, settings.rate)) : 1;
+		const duckDepth = settings.depth !== undefined ? Math.max(0, Math.min(1, settings.depth)) : 0.8;
+		const duckRelease = settings.release !== undefined ? Math.max(0.05, Math.min(1, settings.release)) : 0.6;
+		const duckCurve = settings.curve !== undefined ? Math.max(0, Math.min(1, settings.curve)) : 0.5;
+		
+		const startBeat = this.effectsProcessor._blockStartBeat;
+		const beatsPerSample = this.effectsProcessor._beatsPerSample;
+		
+		// A 2ms fall into each dip avoids a click; stopped transport holds the current gain
+		const cycleSamples = beatsPerSample > 0 ? duckRate / beatsPerSample : Infinity;
+		const attackShare = Math.min(0.5, (0.002 * sampleRate) / cycleSamples);
+		const releaseShare = Math.max(1e-6, Math.min(duckRelease, 1 - attackShare));
+		const exponent = 1 + duckCurve * 3;
+		
+		let minGain = 1;
+		for (let i = start; i < end; i++) {
+			const cycles = (startBeat + beatsPerSample * i) / duckRate;
+			const phase = cycles - Math.floor(cycles);
+			let duck = 0;
+			if (phase < attackShare) {
+				duck = phase / attackShare;
+			} else {
+				const recovered = (phase - attackShare) / releaseShare;
+				duck = recovered < 1 ? Math.pow(1 - recovered, exponent) : 0;
+			}
+			const gain = 1 - duckDepth * duck;
+			left[i] *= gain;
+			right[i] *= gain;
+			if (gain < minGain) minGain = gain;
 		}
-		
-		return sample * compState.envelope;
+		this.effectsProcessor.reportGainReduction(effect.id, minGain);
 	}
 }
 
 /**
  * Chorus effect handler
+ * Each side has its own modulated line; the right LFO runs up to a quarter cycle ahead (scaled by
+ * width), so the two sides are always detuned differently. With sync on, one LFO cycle lasts the
+ * note value.
  */
 class ChorusEffect extends EffectHandler {
-	process(sample, settings, effect) {
+	/**
+	 * @param {Float32Array} left
+	 * @param {Float32Array} right
+	 * @param {number} start
+	 * @param {number} end
+	 * @param {*} settings
+	 * @param {*} effect
+	 */
+	processBlock(left, right, start, end, settings, effect) {
 		const sampleRate = this.getSampleRate();
 		const chorusWet = settings.wet !== undefined ? Math.max(0, Math.min(1, settings.wet)) : 0.5;
 		const chorusRate = settings.rate !== undefined ? Math.max(0, Math.min(1, settings.rate)) : 0.5;
 		const chorusDepth = settings.depth !== undefined ? Math.max(0, Math.min(1, settings.depth)) : 0.6;
 		const chorusDelay = settings.delay !== undefined ? Math.max(0, Math.min(0.1, settings.delay)) : 0.02;
+		const chorusWidth = this.getWidth(settings);
 		
 		if (!this.effectsProcessor._chorusBuffers) {
 			this.effectsProcessor._chorusBuffers = new Map();
-			this.effectsProcessor._chorusPhases = new Map();
-			this.effectsProcessor._chorusCache = new Map();
 		}
 		const chorusKey = effect.timelineEffectId || 'global';
 		const maxDelay = 0.1;
@@ -299,55 +730,68 @@ class ChorusEffect extends EffectHandler {
 		
 		if (!this.effectsProcessor._chorusBuffers.has(chorusKey)) {
 			this.effectsProcessor._chorusBuffers.set(chorusKey, {
-				buffer: new Float32Array(chorusBufferSize),
-				writeIndex: 0
-			});
-			this.effectsProcessor._chorusPhases.set(chorusKey, 0);
-			this.effectsProcessor._chorusCache.set(chorusKey, {
-				lfoFreq: 0,
-				delaySamples: 0,
-				cachedRate: -1,
-				cachedDelay: -1,
-				cachedDepth: -1,
-				cachedSampleRate: 0
+				left: new Float32Array(chorusBufferSize),
+				right: new Float32Array(chorusBufferSize),
+				writeIndex: 0,
+				phase: 0
 			});
 		}
 		const chorusState = this.effectsProcessor._chorusBuffers.get(chorusKey);
-		const chorusPhase = this.effectsProcessor._chorusPhases.get(chorusKey);
-		const chorusCache = this.effectsProcessor._chorusCache.get(chorusKey);
 		
-		if (chorusCache.cachedRate !== chorusRate || chorusCache.cachedDelay !== chorusDelay ||
-			chorusCache.cachedDepth !== chorusDepth || chorusCache.cachedSampleRate !== sampleRate) {
-			chorusCache.lfoFreq = 0.1 + (chorusRate * 9.9);
-			chorusCache.delaySamples = chorusDelay * sampleRate;
-			chorusCache.cachedRate = chorusRate;
-			chorusCache.cachedDelay = chorusDelay;
-			chorusCache.cachedDepth = chorusDepth;
-			chorusCache.cachedSampleRate = sampleRate;
+		// Phase is in cycles of the LFO
+		const lfoFreq = settings.sync ? 1 / this.getSyncedSeconds(settings) : 0.1 + (chorusRate * 9.9);
+		const phaseStep = lfoFreq / sampleRate;
+		const rightOffset = chorusWidth * Math.PI * 0.5;
+		const delaySamples = chorusDelay * sampleRate;
+		let writeIndex = chorusState.writeIndex;
+		let phase = chorusState.phase;
+		for (let i = start; i < end; i++) {
+			chorusState.left[writeIndex] = left[i];
+			chorusState.right[writeIndex] = right[i];
+			writeIndex = (writeIndex + 1) % chorusBufferSize;
+			
+			const phaseRadians = phase * 2 * Math.PI;
+			const lfoLeft = Math.sin(phaseRadians);
+			const lfoRight = Math.sin(phaseRadians + rightOffset);
+			phase = (phase + phaseStep) % 1.0;
+			
+			const chorusedLeft = this._readModulated(chorusState.left, writeIndex, delaySamples * (1 + lfoLeft * chorusDepth));
+			const chorusedRight = this._readModulated(chorusState.right, writeIndex, delaySamples * (1 + lfoRight * chorusDepth));
+			
+			left[i] = left[i] * (1 - chorusWet) + chorusedLeft * chorusWet;
+			right[i] = right[i] * (1 - chorusWet) + chorusedRight * chorusWet;
 		}
-		
-		chorusState.buffer[chorusState.writeIndex] = sample;
-		chorusState.writeIndex = (chorusState.writeIndex + 1) % chorusState.buffer.length;
-		
-		const lfo = Math.sin(chorusPhase * 2 * Math.PI * chorusCache.lfoFreq);
-		const modulatedDelay = chorusDelay * (1 + lfo * chorusDepth);
-		const readPos = chorusState.writeIndex - (modulatedDelay * sampleRate);
+		chorusState.writeIndex = writeIndex;
+		chorusState.phase = phase;
+	}
+
+	/**
+	 * The whole line (the longest modulated read)
+	 * @param {*} settings
+	 * @returns {number}
+	 */
+	getTailSeconds(settings) {
+		return 0.1 * 1.5;
+	}
+
+	/**
+	 * Read a line a (fractional) number of samples behind the write position
+	 * @param {Float32Array} buffer
+	 * @param {number} writeIndex
+	 * @param {number} delaySamples
+	 * @returns {number}
+	 */
+	_readModulated(buffer, writeIndex, delaySamples) {
+		const bufferSize = buffer.length;
+		const readPos = writeIndex - delaySamples;
 		const readIndex1 = Math.floor(readPos);
-		const readIndex2 = readIndex1 + 1;
 		const frac = readPos - readIndex1;
 		
-		let idx1 = readIndex1 % chorusBufferSize;
-		if (idx1 < 0) idx1 += chorusBufferSize;
-		let idx2 = readIndex2 % chorusBufferSize;
-		if (idx2 < 0) idx2 += chorusBufferSize;
-		
-		const sample1 = chorusState.buffer[idx1];
-		const sample2 = chorusState.buffer[idx2];
-		const chorusedSample = sample1 * (1 - frac) + sample2 * frac;
-		
-		this.effectsProcessor._chorusPhases.set(chorusKey, (chorusPhase + chorusCache.lfoFreq / sampleRate) % 1.0);
+		let idx1 = readIndex1 % bufferSize;
+		if (idx1 < 0) idx1 += bufferSize;
+		const idx2 = (idx1 + 1) % bufferSize;
 		
-		return sample * (1 - chorusWet) + chorusedSample * chorusWet;
+		return buffer[idx1] * (1 - frac) + buffer[idx2] * frac;
 	}
 }
 
@@ -355,7 +799,13 @@ class ChorusEffect extends EffectHandler {
  * Saturator effect handler
  */
 class SaturatorEffect extends EffectHandler {
-	process(sample, settings, effect) {
+	/**
+	 * @param {number} sample
+	 * @param {*} settings
+	 * @param {*} effect
+	 * @param {number} channel
+	 */
+	processChannel(sample, settings, effect, channel) {
 		const sampleRate = this.getSampleRate();
 		const satAmount = settings.amount !== undefined ? Math.max(0, Math.min(1, settings.amount)) : 0.3;
 		const satDrive = settings.drive !== undefined ? Math.max(0, Math.min(1, settings.drive)) : 0.5;
@@ -365,7 +815,7 @@ class SaturatorEffect extends EffectHandler {
 		if (!this.effectsProcessor._saturatorStates) {
 			this.effectsProcessor._saturatorStates = new Map();
 		}
-		const satKey = effect.timelineEffectId || 'global';
+		const satKey = this.getStateKey(effect, channel);
 		
 		if (!this.effectsProcessor._saturatorStates.has(satKey)) {
 			this.effectsProcessor._saturatorStates.set(satKey, {
@@ -412,14 +862,20 @@ class SaturatorEffect extends EffectHandler {
  * Equalizer effect handler
  */
 class EqualizerEffect extends EffectHandler {
-	process(sample, settings, effect) {
+	/**
+	 * @param {number} sample
+	 * @param {*} settings
+	 * @param {*} effect
+	 * @param {number} channel
+	 */
+	processChannel(sample, settings, effect, channel) {
 		const sampleRate = this.getSampleRate();
 		const hasNewFormat = settings.band0 !== undefined;
 		
 		if (!this.effectsProcessor._eqStates) {
 			this.effectsProcessor._eqStates = new Map();
 		}
-		const eqKey = effect.timelineEffectId || 'global';
+		const eqKey = this.getStateKey(effect, channel);
 		
 		if (!this.effectsProcessor._eqStates.has(eqKey)) {
 			const state = {
@@ -553,6 +1009,7 @@ const EffectHandlers = {
 	filter: FilterEffect,
 	distortion: DistortionEffect,
 	compressor: CompressorEffect,
+	ducker: DuckerEffect,
 	chorus: ChorusEffect,
 	saturator: SaturatorEffect,
 	equalizer: EqualizerEffect
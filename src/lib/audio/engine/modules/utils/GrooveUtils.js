@@ -0,0 +1,100 @@
+/**
+ * Groove (swing and template) utilities for re-flattened events
+ * Mirrors applyGroove in src/lib/audio/utils/eventFlatten.ts so engine-side
+ * re-flattening matches what the main thread schedules and exports
+ */
+
+// Note: This file is concatenated with other modules, so we use a global class
+class GrooveUtils {
+	static get DEFAULT_SWING_SUBDIVISION() {
+		return 0.25; // 16ths
+	}
+
+	static get EPSILON() {
+		return 1e-9;
+	}
+
+	/**
+	 * Whether a groove changes anything (no swing and no template means straight timing)
+	 * @param {*} groove - Groove settings
+	 * @returns {boolean}
+	 */
+	static hasGroove(groove) {
+		if (!groove) return false;
+		const swinging = groove.swing !== undefined && Math.abs(groove.swing - 50) > GrooveUtils.EPSILON;
+		const templated = !!groove.template && Array.isArray(groove.template.steps) && groove.template.steps.length > 0 &&
+			(groove.amount !== undefined ? groove.amount : 1) > 0;
+		return swinging || templated;
+	}
+
+	/**
+	 * Groove to use for a pattern instrument: its own when set, otherwise the pattern's
+	 * @param {*} pattern - Pattern (may carry groove)
+	 * @param {*} instrument - Pattern instrument (may carry groove)
+	 * @returns {*}
+	 */
+	static getEffectiveGroove(pattern, instrument) {
+		if (instrument && instrument.groove) return instrument.groove;
+		return pattern && pattern.groove ? pattern.groove : null;
+	}
+
+	/**
+	 * Swing a time within pairs of steps (midpoint moves to swing% of the pair)
+	 * @param {number} time - Event time in beats
+	 * @param {number} swing - Swing percent (50-75)
+	 * @param {number} step - Swung step length in beats
+	 * @param {number} patternLength - Pattern length in beats
+	 * @returns {number}
+	 */
+	static swingTime(time, swing, step, patternLength) {
+		const pairLength = step * 2;
+		const pairStart = Math.floor(time / pairLength + GrooveUtils.EPSILON) * pairLength;
+		if (pairStart + pairLength > patternLength + GrooveUtils.EPSILON) return time;
+
+		const splitPoint = pairLength * (Math.max(50, Math.min(75, swing)) / 100);
+		const position = time - pairStart;
+		if (position < step) {
+			return pairStart + position * (splitPoint / step);
+		}
+		return pairStart + splitPoint + (position - step) * ((pairLength - splitPoint) / step);
+	}
+
+	/**
+	 * Apply swing and template offsets to pattern-relative events
+	 * @param {Array<*>} events - Flattened events (times in beats from pattern start)
+	 * @param {*} groove - Groove settings
+	 * @param {number} patternLength - Pattern length in beats
+	 * @returns {Array<*>} Grooved events
+	 */
+	static apply(events, groove, patternLength) {
+		if (!groove || !GrooveUtils.hasGroove(groove) || patternLength <= 0) return events;
+
+		const swingStep = groove.swingSubdivision || GrooveUtils.DEFAULT_SWING_SUBDIVISION;
+		const template = groove.template;
+		const amount = Math.max(0, Math.min(1, groove.amount !== undefined ? groove.amount : 1));
+
+		return events.map(event => {
+			let time = event.time;
+			let velocity = event.velocity;
+
+			if (groove.swing !== undefined) {
+				time = GrooveUtils.swingTime(time, groove.swing, swingStep, patternLength);
+			}
+
+			if (template && template.steps && template.steps.length > 0 && template.subdivision > 0 && amount > 0) {
+				// Template steps are matched against the straight grid position
+				const stepCount = template.steps.length;
+				const stepIndex = Math.round(event.time / template.subdivision);
+				const step = template.steps[((stepIndex % stepCount) + stepCount) % stepCount];
+				time += step.timing * template.subdivision * amount;
+				velocity = Math.max(0, Math.min(1, velocity * (1 + step.velocity * amount)));
+			}
+
+			return {
+				...event,
+				time: Math.max(0, Math.min(patternLength - GrooveUtils.EPSILON, time)),
+				velocity
+			};
+		});
+	}
+}
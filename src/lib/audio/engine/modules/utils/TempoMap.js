@@ -0,0 +1,192 @@
+/**
+ * Tempo map for arrangement playback
+ * Mirrors TempoConverter and getBars in src/lib/utils/tempoMap.ts so the engine places
+ * events and clicks where the ruler draws them and exports render them.
+ * Tempo changes are steps, or linear ramps (in beats) that reach their BPM at their beat.
+ * A meter change starts a new bar, cutting the bar before it short.
+ */
+
+// Note: This file is concatenated with other modules, so we use a global class
+class TempoMap {
+	static get EPSILON() {
+		return 1e-9;
+	}
+
+	/**
+	 * @param {number} bpm - Tempo at beat 0 unless a change sits there
+	 * @param {*} tempoMap - { tempos, meters } from the timeline, or null for a constant tempo
+	 */
+	constructor(bpm, tempoMap) {
+		this.segments = [];
+		/** @type {Array<*>} */
+		const tempoChanges = (tempoMap && tempoMap.tempos) || [];
+		const tempos = tempoChanges
+			.filter(change => Number.isFinite(change.beat) && change.bpm > 0)
+			.sort((a, b) => a.beat - b.beat);
+		let startBeat = 0;
+		let startBpm = bpm > 0 ? bpm : 120;
+		let seconds = 0;
+		for (const change of tempos) {
+			if (change.beat <= startBeat + TempoMap.EPSILON) {
+				startBpm = change.bpm;
+				continue;
+			}
+			const segment = {
+				startBeat,
+				endBeat: change.beat,
+				startBpm,
+				endBpm: change.ramp ? change.bpm : startBpm,
+				startSeconds: seconds
+			};
+			seconds += this._getSegmentSeconds(segment, change.beat - startBeat);
+			this.segments.push(segment);
+			startBeat = change.beat;
+			startBpm = change.bpm;
+		}
+		this.segments.push({ startBeat, endBeat: Infinity, startBpm, endBpm: startBpm, startSeconds: seconds });
+
+		/** @type {Array<*>} */
+		const meterChanges = (tempoMap && tempoMap.meters) || [];
+		this.meters = meterChanges
+			.filter(change => Number.isFinite(change.beat) && change.numerator > 0 && change.denominator > 0)
+			.sort((a, b) => a.beat - b.beat);
+	}
+
+	/**
+	 * Whether the tempo never changes (beats and seconds are proportional)
+	 * @returns {boolean}
+	 */
+	isConstant() {
+		return this.segments.length === 1;
+	}
+
+	/**
+	 * Slowest tempo in the map (ramps are linear, so their ends bound them)
+	 * @returns {number} BPM
+	 */
+	getMinTempo() {
+		let minBpm = Infinity;
+		for (const segment of this.segments) {
+			minBpm = Math.min(minBpm, segment.startBpm, segment.endBpm);
+		}
+		return minBpm;
+	}
+
+	/**
+	 * @param {*} segment
+	 * @returns {number} Tempo slope in BPM per beat
+	 */
+	_getSlope(segment) {
+		return segment.endBpm === segment.startBpm ? 0 : (segment.endBpm - segment.startBpm) / (segment.endBeat - segment.startBeat);
+	}
+
+	/**
+	 * Seconds taken by the first `beats` beats of a segment
+	 * @param {*} segment
+	 * @param {number} beats
+	 * @returns {number}
+	 */
+	_getSegmentSeconds(segment, beats) {
+		const slope = this._getSlope(segment);
+		if (slope === 0) {
+			return beats * 60 / segment.startBpm;
+		}
+		return (60 / slope) * Math.log((segment.startBpm + slope * beats) / segment.startBpm);
+	}
+
+	/**
+	 * @param {number} beat
+	 * @returns {*}
+	 */
+	_getSegmentAtBeat(beat) {
+		for (let i = this.segments.length - 1; i > 0; i--) {
+			if (beat >= this.segments[i].startBeat) return this.segments[i];
+		}
+		return this.segments[0];
+	}
+
+	/**
+	 * @param {number} beat
+	 * @returns {number} Tempo in BPM at the beat
+	 */
+	getTempoAt(beat) {
+		const segment = this._getSegmentAtBeat(beat);
+		return segment.startBpm + this._getSlope(segment) * Math.max(0, beat - segment.startBeat);
+	}
+
+	/**
+	 * @param {number} beat - Beats before 0 (count-in) use the starting tempo
+	 * @returns {number}
+	 */
+	beatToSeconds(beat) {
+		if (beat < 0) {
+			return beat * 60 / this.segments[0].startBpm;
+		}
+		const segment = this._getSegmentAtBeat(beat);
+		return segment.startSeconds + this._getSegmentSeconds(segment, beat - segment.startBeat);
+	}
+
+	/**
+	 * @param {number} seconds
+	 * @returns {number}
+	 */
+	secondsToBeat(seconds) {
+		if (seconds < 0) {
+			return seconds * this.segments[0].startBpm / 60;
+		}
+		let segment = this.segments[0];
+		for (let i = this.segments.length - 1; i > 0; i--) {
+			if (seconds >= this.segments[i].startSeconds) {
+				segment = this.segments[i];
+				break;
+			}
+		}
+		const elapsed = seconds - segment.startSeconds;
+		const slope = this._getSlope(segment);
+		if (slope === 0) {
+			return segment.startBeat + elapsed * segment.startBpm / 60;
+		}
+		return segment.startBeat + segment.startBpm * (Math.exp(elapsed * slope / 60) - 1) / slope;
+	}
+
+	/**
+	 * Time signature in effect at a beat (4/4 before any meter change)
+	 * @param {number} beat
+	 * @returns {{ numerator: number, denominator: number }}
+	 */
+	getMeterAt(beat) {
+		let meter = { numerator: 4, denominator: 4 };
+		for (const change of this.meters) {
+			if (change.beat > beat + TempoMap.EPSILON) break;
+			meter = change;
+		}
+		return { numerator: meter.numerator, denominator: meter.denominator };
+	}
+
+	/**
+	 * Bar containing a beat, following meter changes
+	 * @param {number} beat
+	 * @returns {{ barStart: number, barLength: number, numerator: number, denominator: number }}
+	 */
+	getBarAt(beat) {
+		let barStart = 0;
+		let meter = { numerator: 4, denominator: 4 };
+		let index = 0;
+		while (true) {
+			while (index < this.meters.length && this.meters[index].beat <= barStart + TempoMap.EPSILON) {
+				meter = this.meters[index++];
+			}
+			const nextChange = index < this.meters.length ? this.meters[index].beat : Infinity;
+			const fullLength = meter.numerator * 4 / meter.denominator;
+			const barLength = Math.min(fullLength, nextChange - barStart);
+			if (nextChange === Infinity || beat < barStart + barLength - TempoMap.EPSILON) {
+				// Jump straight to the bar once no meter change lies ahead
+				if (nextChange === Infinity && beat >= barStart + fullLength) {
+					barStart += Math.floor((beat - barStart) / fullLength + TempoMap.EPSILON) * fullLength;
+				}
+				return { barStart, barLength, numerator: meter.numerator, denominator: meter.denominator };
+			}
+			barStart += barLength;
+		}
+	}
+}
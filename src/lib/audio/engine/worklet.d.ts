@@ -11,6 +11,7 @@ declare class AudioWorkletProcessor {
 }
 
 declare const sampleRate: number;
+declare const currentFrame: number;
 
 declare function registerProcessor(name: string, processorCtor: typeof AudioWorkletProcessor): void;
 
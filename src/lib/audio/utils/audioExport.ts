@@ -1,7 +1,24 @@
 import type { StandaloneInstrument } from '$lib/types/pattern';
 import { EngineWorklet } from '$lib/audio/engine/EngineWorklet';
+import type { MetronomeSettings } from '$lib/types/transport';
+import { TempoConverter } from '$lib/utils/tempoMap';
 
 const SAMPLE_RATE = 44100;
+const SYNC_TIMEOUT_MS = 10000; // Longest wait for the processor to take the project before giving up
+
+/**
+ * Exports play the range straight through, so the playback loop region is left out
+ */
+function withoutLoopRegion(timeline: any): any {
+	return timeline?.loopRegion ? { ...timeline, loopRegion: undefined } : timeline;
+}
+
+/**
+ * Length of the render in seconds, following the timeline's tempo changes
+ */
+function getDurationInSeconds(durationInBeats: number, bpm: number, timeline?: any): number {
+	return new TempoConverter(bpm, timeline?.tempoMap).beatToSeconds(durationInBeats);
+}
 
 /**
  * Record audio from the engine for a specified duration
@@ -17,7 +34,9 @@ export async function recordProject(
 	patterns?: any[],
 	effects?: any[],
 	envelopes?: any[],
-	automation?: any
+	automation?: any,
+	stemTrackIds?: string[],
+	metronome?: MetronomeSettings | null
 ): Promise<AudioBuffer> {
 	// Create engine instance
 	const engine = new EngineWorklet();
@@ -29,10 +48,10 @@ export async function recordProject(
 	
 	// Load project (use timeline if available, otherwise pattern loop)
 	// Pass effects, envelopes, and automation so they're applied during export
-	await engine.loadProject(standaloneInstruments, bpm, baseMeterTrackId, timeline, patterns, effects, envelopes, automation);
+	await engine.loadProject(standaloneInstruments, bpm, baseMeterTrackId, withoutLoopRegion(timeline), patterns, effects, envelopes, automation);
 	
 	// Calculate duration
-	const durationInSeconds = (durationInBeats * 60) / bpm;
+	const durationInSeconds = getDurationInSeconds(durationInBeats, bpm, timeline);
 	const totalSamples = Math.ceil(durationInSeconds * SAMPLE_RATE);
 	
 	// Create script processor node to capture audio (must use engine's context)
@@ -75,6 +94,16 @@ export async function recordProject(
 	// Note: processor doesn't need to connect to destination for recording
 	// The processor will receive audio from the engine worklet
 	
+	// Restrict the mix to a single stem if requested
+	if (stemTrackIds) {
+		engine.setStemFilter(stemTrackIds);
+	}
+	
+	// The click is left out unless requested (export engines start with the metronome off)
+	if (metronome) {
+		engine.setMetronome({ ...metronome, enabled: true, countInBars: 0 });
+	}
+	
 	// Start playback
 	engine.setTransport('play');
 	
@@ -141,12 +170,96 @@ export async function recordProject(
 	return audioBuffer;
 }
 
+/**
+ * Whether the browser can render the engine offline (OfflineAudioContext with AudioWorklet support)
+ */
+export function supportsOfflineRender(): boolean {
+	return typeof OfflineAudioContext !== 'undefined' && 'audioWorklet' in OfflineAudioContext.prototype;
+}
+
+/**
+ * Render the project faster than real time
+ * Runs the same worklet processor as playback inside an OfflineAudioContext, so the
+ * output is sample-for-sample what the engine produces, starting exactly at beat 0
+ */
+export async function renderProjectOffline(
+	standaloneInstruments: StandaloneInstrument[],
+	bpm: number,
+	baseMeterTrackId: string | undefined,
+	durationInBeats: number,
+	onProgress?: (progress: number) => void,
+	timeline?: any,
+	patterns?: any[],
+	effects?: any[],
+	envelopes?: any[],
+	automation?: any,
+	stemTrackIds?: string[],
+	metronome?: MetronomeSettings | null
+): Promise<AudioBuffer> {
+	// Calculate duration
+	const durationInSeconds = getDurationInSeconds(durationInBeats, bpm, timeline);
+	const totalSamples = Math.max(1, Math.ceil(durationInSeconds * SAMPLE_RATE));
+
+	const offlineContext = new OfflineAudioContext(2, totalSamples, SAMPLE_RATE);
+	const engine = new EngineWorklet(offlineContext);
+
+	try {
+		// Initialize first so sample data reaches the worklet during loadProject
+		await engine.initialize();
+		await engine.loadProject(standaloneInstruments, bpm, baseMeterTrackId, withoutLoopRegion(timeline), patterns, effects, envelopes, automation);
+		if (stemTrackIds) {
+			engine.setStemFilter(stemTrackIds);
+		}
+		if (metronome) {
+			engine.setMetronome({ ...metronome, enabled: true, countInBars: 0 });
+		}
+		engine.setTransport('play');
+
+		// The processor only reads its port while the context renders, so rendering starts and holds
+		// at frame 0 until the processor has applied the project and transport
+		const ready = offlineContext.suspend(0).then(() => engine.sync(SYNC_TIMEOUT_MS));
+
+		// Report progress at render checkpoints (suspend times are rounded to 128-frame render quanta)
+		if (onProgress) {
+			const progressSteps = 20;
+			const renderQuantum = 128;
+			let lastFrame = 0;
+			for (let step = 1; step < progressSteps; step++) {
+				const frame = Math.floor((totalSamples * step) / progressSteps / renderQuantum) * renderQuantum;
+				if (frame <= lastFrame || frame >= totalSamples) continue;
+				lastFrame = frame;
+				const progress = step / progressSteps;
+				offlineContext.suspend(frame / SAMPLE_RATE).then(() => {
+					onProgress(progress);
+					offlineContext.resume();
+				});
+			}
+		}
+
+		const rendering = offlineContext.startRendering();
+		try {
+			await ready;
+		} catch (error) {
+			// Let the held render run out so the context is released; its result is discarded
+			rendering.catch(() => {});
+			offlineContext.resume().catch(() => {});
+			throw error;
+		}
+		offlineContext.resume();
+		const audioBuffer = await rendering;
+		onProgress?.(1);
+		return audioBuffer;
+	} finally {
+		engine.destroy();
+	}
+}
+
 export type ExportFormat = 'wav' | 'ogg' | 'mp3';
 
 /**
- * Export audio buffer to WAV file
+ * Encode an audio buffer as 16-bit PCM WAV data
  */
-export function exportBufferToWAV(buffer: AudioBuffer, filename: string = 'export.wav'): void {
+export function encodeWAV(buffer: AudioBuffer): ArrayBuffer {
 	const numChannels = buffer.numberOfChannels;
 	const length = buffer.length;
 	const sampleRate = buffer.sampleRate;
@@ -186,8 +299,13 @@ export function exportBufferToWAV(buffer: AudioBuffer, filename: string = 'expor
 		}
 	}
 	
-	// Create blob and download
-	const blob = new Blob([arrayBuffer], { type: 'audio/wav' });
+	return arrayBuffer;
+}
+
+/**
+ * Trigger a browser download for a blob
+ */
+export function downloadBlob(blob: Blob, filename: string): void {
 	const url = URL.createObjectURL(blob);
 	const a = document.createElement('a');
 	a.href = url;
@@ -198,6 +316,14 @@ export function exportBufferToWAV(buffer: AudioBuffer, filename: string = 'expor
 	URL.revokeObjectURL(url);
 }
 
+/**
+ * Export audio buffer to WAV file
+ */
+export function exportBufferToWAV(buffer: AudioBuffer, filename: string = 'export.wav'): void {
+	const blob = new Blob([encodeWAV(buffer)], { type: 'audio/wav' });
+	downloadBlob(blob, filename);
+}
+
 /**
  * Export audio buffer to OGG file using MediaRecorder API
  */
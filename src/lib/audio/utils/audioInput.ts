@@ -0,0 +1,222 @@
+/**
+ * Audio input recording
+ * Captures microphone / line input through the engine's AudioContext and cuts the take so it
+ * starts on the beat the transport started on. Every captured block is stamped with its context
+ * frame, so the cut is sample-accurate once the round-trip latency (what the player hears late,
+ * plus how late their playing reaches the graph) is added.
+ */
+
+import type { EngineWorklet } from '$lib/audio/engine/EngineWorklet';
+
+export interface RecordedTake {
+	buffer: AudioBuffer; // Mono take starting at the transport's start beat
+	startBeat: number; // Beat the transport started on
+	latencySeconds: number; // Round-trip latency the take was shifted by
+}
+
+// Collects input in chunks stamped with the context frame they start on
+const RECORDER_PROCESSOR = `
+class InputRecorderProcessor extends AudioWorkletProcessor {
+	constructor() {
+		super();
+		this.recording = true;
+		this.chunk = new Float32Array(8192);
+		this.length = 0;
+		this.chunkFrame = 0;
+		this.port.onmessage = (event) => {
+			if (event.data === 'stop') {
+				this.flush();
+				this.recording = false;
+				this.port.postMessage({ done: true });
+			}
+		};
+	}
+
+	flush() {
+		if (this.length === 0) return;
+		const data = this.chunk.slice(0, this.length);
+		this.port.postMessage({ frame: this.chunkFrame, data }, [data.buffer]);
+		this.length = 0;
+	}
+
+	process(inputs) {
+		if (!this.recording) return false;
+		const input = inputs[0];
+		if (!input || input.length === 0) {
+			// No input this block: start a new chunk when it comes back so frames stay exact
+			this.flush();
+			return true;
+		}
+		const frames = input[0].length;
+		if (this.length + frames > this.chunk.length) this.flush();
+		if (this.length === 0) this.chunkFrame = currentFrame;
+		for (let i = 0; i < frames; i++) {
+			let sum = 0;
+			for (let channel = 0; channel < input.length; channel++) sum += input[channel][i];
+			this.chunk[this.length++] = sum / input.length;
+		}
+		return true;
+	}
+}
+registerProcessor('input-recorder-processor', InputRecorderProcessor);
+`;
+
+// Contexts the recorder processor has been added to
+const loadedContexts = new WeakSet<BaseAudioContext>();
+
+/**
+ * Whether this browser can record audio input
+ */
+export function isAudioInputSupported(): boolean {
+	return typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getUserMedia && typeof AudioWorkletNode !== 'undefined';
+}
+
+export class AudioInputRecorder {
+	private stream: MediaStream | null = null;
+	private source: MediaStreamAudioSourceNode | null = null;
+	private node: AudioWorkletNode | null = null;
+	private chunks: Array<{ frame: number; data: Float32Array }> = [];
+	private transportStart: { frame: number; beat: number } | null = null;
+	private removeTransportListener: (() => void) | null = null;
+
+	/**
+	 * @param engine - Engine whose context and transport the take follows
+	 * @param offsetMs - Extra shift for latency the browser doesn't report (positive moves the take earlier)
+	 */
+	constructor(private engine: EngineWorklet, private offsetMs: number = 0) {}
+
+	/**
+	 * Open the input and start capturing; the take begins once the transport starts moving
+	 * @throws Error if recording is unsupported, the engine runs offline, or input access is denied
+	 */
+	async start(): Promise<void> {
+		if (!isAudioInputSupported()) {
+			throw new Error('Audio recording is not supported in this browser');
+		}
+		const context = this.engine.getAudioContext();
+		if (!(context instanceof AudioContext)) {
+			throw new Error('Audio recording needs a real-time audio context');
+		}
+
+		// Raw input: processing meant for calls colours instruments and voices
+		this.stream = await navigator.mediaDevices.getUserMedia({
+			audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+		});
+		if (!loadedContexts.has(context)) {
+			const url = URL.createObjectURL(new Blob([RECORDER_PROCESSOR], { type: 'application/javascript' }));
+			try {
+				await context.audioWorklet.addModule(url);
+			} catch (error) {
+				// Turn the input (and the browser's recording indicator) back off
+				this.release();
+				throw error;
+			} finally {
+				URL.revokeObjectURL(url);
+			}
+			loadedContexts.add(context);
+		}
+
+		this.chunks = [];
+		this.transportStart = null;
+		this.removeTransportListener = this.engine.onTransportStart((frame, beat) => {
+			// Only the first start counts; later ones are seeks or loops within the take
+			if (!this.transportStart) this.transportStart = { frame, beat };
+		});
+
+		this.source = context.createMediaStreamSource(this.stream);
+		this.node = new AudioWorkletNode(context, 'input-recorder-processor', { numberOfInputs: 1, numberOfOutputs: 0 });
+		this.node.port.onmessage = (event) => {
+			if (event.data.data) {
+				this.chunks.push({ frame: event.data.frame, data: event.data.data });
+			}
+		};
+		this.source.connect(this.node);
+
+		// Already playing: the take starts from where the transport is now
+		if (this.engine.isTransportPlaying()) {
+			this.engine.announceTransport();
+		}
+	}
+
+	isRecording(): boolean {
+		return this.node !== null;
+	}
+
+	/**
+	 * Stop capturing and release the input
+	 * @returns The take, or null if the transport never started while recording
+	 */
+	async stop(): Promise<RecordedTake | null> {
+		const node = this.node;
+		if (!node) return null;
+
+		// Wait for the processor to hand over what it still holds
+		await new Promise<void>((resolve) => {
+			const timeout = setTimeout(resolve, 500);
+			node.port.onmessage = (event) => {
+				if (event.data.data) {
+					this.chunks.push({ frame: event.data.frame, data: event.data.data });
+				}
+				if (event.data.done) {
+					clearTimeout(timeout);
+					resolve();
+				}
+			};
+			node.port.postMessage('stop');
+		});
+
+		const latencySeconds = this.getLatencySeconds();
+		this.release();
+		if (!this.transportStart || this.chunks.length === 0) return null;
+
+		const context = this.engine.getAudioContext() as AudioContext;
+		const takeStart = this.transportStart.frame + Math.round(latencySeconds * context.sampleRate);
+		const last = this.chunks[this.chunks.length - 1];
+		const length = last.frame + last.data.length - takeStart;
+		if (length <= 0) return null;
+
+		// Gaps (blocks without input) stay silent
+		const buffer = new AudioBuffer({ length, numberOfChannels: 1, sampleRate: context.sampleRate });
+		const channel = buffer.getChannelData(0);
+		for (const chunk of this.chunks) {
+			const offset = chunk.frame - takeStart;
+			if (offset + chunk.data.length <= 0) continue;
+			channel.set(offset >= 0 ? chunk.data : chunk.data.subarray(-offset), Math.max(0, offset));
+		}
+		this.chunks = [];
+		return { buffer, startBeat: this.transportStart.beat, latencySeconds };
+	}
+
+	/**
+	 * Throw the take away and release the input
+	 */
+	cancel() {
+		this.node?.port.postMessage('stop');
+		this.release();
+		this.chunks = [];
+	}
+
+	/**
+	 * Output latency plus input latency (where the browser reports it) plus the manual offset
+	 */
+	private getLatencySeconds(): number {
+		const context = this.engine.getAudioContext() as AudioContext;
+		const outputLatency = (context.outputLatency || 0) + (context.baseLatency || 0);
+		const settings = this.stream?.getAudioTracks()[0]?.getSettings() as (MediaTrackSettings & { latency?: number }) | undefined;
+		const inputLatency = settings?.latency || 0;
+		return Math.max(0, outputLatency + inputLatency + this.offsetMs / 1000);
+	}
+
+	private release() {
+		this.removeTransportListener?.();
+		this.removeTransportListener = null;
+		this.source?.disconnect();
+		this.source = null;
+		if (this.node) {
+			this.node.port.onmessage = null;
+			this.node = null;
+		}
+		this.stream?.getTracks().forEach((track) => track.stop());
+		this.stream = null;
+	}
+}
@@ -1,4 +1,13 @@
-import type { PatternNode, AudioEvent } from '$lib/types/pattern';
+import type { PatternNode, AudioEvent, GrooveSettings, GrooveTemplate } from '$lib/types/pattern';
+
+export const MAX_RATCHET = 8;
+
+/**
+ * Number of hits a leaf plays (its ratchet count, clamped to 1-MAX_RATCHET)
+ */
+export function getRatchetCount(node: PatternNode): number {
+	return Math.max(1, Math.min(MAX_RATCHET, Math.round(node.ratchet ?? 1) || 1));
+}
 
 /**
  * Converts a recursive pattern tree into a flat list of timed events for playback.
@@ -33,18 +42,24 @@ export function flattenTree(
 			// This is the root node with no children - empty pattern, return no events
 			return [];
 		}
-		// Otherwise, it's a real leaf node - create event
-		return [{
-			time: startTime,
-			velocity: node.velocity ?? 1.0,
+		// Otherwise, it's a real leaf node - create event(s)
+		// Ratchets repeat the hit evenly inside the leaf's duration, each repeat quieter by ratchetDecay
+		const ratchet = getRatchetCount(node);
+		const decay = Math.max(0, Math.min(1, node.ratchetDecay ?? 0));
+		const velocity = node.velocity ?? 1.0;
+		return Array.from({ length: ratchet }, (_, index) => ({
+			time: startTime + (parentDuration / ratchet) * index,
+			velocity: velocity * Math.pow(1 - decay, index),
 			pitch: node.pitch ?? 60, // Middle C default
 			instrumentId,
 			choke: node.choke, // Pass choke from node (can be undefined, null, or number)
 			attack: node.attack, // Pass ADSR from node
 			decay: node.decay,
 			sustain: node.sustain,
-			release: node.release
-		}];
+			release: node.release,
+			probability: node.probability, // Trig probability and condition are evaluated at schedule time
+			condition: node.condition
+		}));
 	}
 	
 	// Calculate total division sum for proportional distribution
@@ -82,8 +97,9 @@ export function flattenTree(
  * @param rootNode - The root pattern node
  * @param trackId - Track/instrument ID
  * @param baseMeter - Base meter (pattern length in beats), defaults to 4
+ * @param groove - Swing/template applied to the flattened times (see getEffectiveGroove)
  */
-export function flattenTrackPattern(rootNode: PatternNode, trackId: string, baseMeter: number = 4): AudioEvent[] {
+export function flattenTrackPattern(rootNode: PatternNode, trackId: string, baseMeter: number = 4, groove?: GrooveSettings | null): AudioEvent[] {
 	// Pattern length is always baseMeter
 	const patternLength = baseMeter;
 	
@@ -98,12 +114,15 @@ export function flattenTrackPattern(rootNode: PatternNode, trackId: string, base
 	
 	// Start with root division as parent duration, which will be scaled by the ratio
 	// The children will be distributed proportionally within rootDivision, then the whole pattern scales to baseMeter
-	const events = flattenTree(rootNode, rootDivision, 0.0, trackId).map(event => ({
+	const scaledEvents = flattenTree(rootNode, rootDivision, 0.0, trackId).map(event => ({
 		...event,
 		// Scale event times from rootDivision space to baseMeter space
 		time: event.time * (baseMeter / rootDivision)
 	}));
 	
+	// Groove moves events off the grid before durations are measured, so notes still end where the next one starts
+	const events = applyGroove(scaledEvents, groove, patternLength);
+	
 	// Calculate note duration: time until next note starts, or pattern length if last note
 	// Sort events by time to ensure correct duration calculation
 	const sortedEvents = [...events].sort((a, b) => a.time - b.time);
@@ -124,3 +143,221 @@ export function flattenTrackPattern(rootNode: PatternNode, trackId: string, base
 	});
 }
 
+const DEFAULT_SWING_SUBDIVISION = 0.25; // 16ths
+const GROOVE_EPSILON = 1e-9;
+
+/**
+ * Whether a groove changes anything (no swing and no template means straight timing)
+ */
+export function hasGroove(groove: GrooveSettings | null | undefined): groove is GrooveSettings {
+	if (!groove) return false;
+	const swinging = groove.swing !== undefined && Math.abs(groove.swing - 50) > GROOVE_EPSILON;
+	const templated = !!groove.template && groove.template.steps.length > 0 && (groove.amount ?? 1) > 0;
+	return swinging || templated;
+}
+
+/**
+ * Groove to use for a pattern instrument: its own when set, otherwise the pattern's
+ */
+export function getEffectiveGroove(
+	pattern: { groove?: GrooveSettings } | null | undefined,
+	instrument: { groove?: GrooveSettings } | null | undefined
+): GrooveSettings | undefined {
+	if (instrument?.groove) return instrument.groove;
+	return pattern?.groove;
+}
+
+/**
+ * Swing a time within pairs of steps
+ * The midpoint of each pair moves to swing% of the pair and everything between is stretched
+ * linearly, so tuplets and uneven subdivisions keep their order. Pairs that don't fit
+ * entirely inside the pattern are left straight.
+ */
+function swingTime(time: number, swing: number, step: number, patternLength: number): number {
+	const pairLength = step * 2;
+	const pairStart = Math.floor(time / pairLength + GROOVE_EPSILON) * pairLength;
+	if (pairStart + pairLength > patternLength + GROOVE_EPSILON) return time;
+	
+	const splitPoint = pairLength * (Math.max(50, Math.min(75, swing)) / 100);
+	const position = time - pairStart;
+	if (position < step) {
+		return pairStart + position * (splitPoint / step);
+	}
+	return pairStart + splitPoint + (position - step) * ((pairLength - splitPoint) / step);
+}
+
+/**
+ * Apply swing and groove template offsets to flattened pattern events
+ * Times stay relative to the pattern start and within [0, patternLength)
+ * 
+ * @param events - Events from flattenTree, scaled to the pattern length
+ * @param groove - Groove settings (no-op when empty)
+ * @param patternLength - Pattern length in beats
+ */
+export function applyGroove(events: AudioEvent[], groove: GrooveSettings | null | undefined, patternLength: number): AudioEvent[] {
+	if (!hasGroove(groove) || patternLength <= 0) return events;
+	
+	const swingStep = groove.swingSubdivision || DEFAULT_SWING_SUBDIVISION;
+	const template = groove.template;
+	const amount = Math.max(0, Math.min(1, groove.amount ?? 1));
+	
+	return events.map((event) => {
+		let time = event.time;
+		let velocity = event.velocity;
+		
+		if (groove.swing !== undefined) {
+			time = swingTime(time, groove.swing, swingStep, patternLength);
+		}
+		
+		if (template && template.steps.length > 0 && template.subdivision > 0 && amount > 0) {
+			// Template steps are matched against the straight grid position
+			const stepIndex = Math.round(event.time / template.subdivision);
+			const step = template.steps[((stepIndex % template.steps.length) + template.steps.length) % template.steps.length];
+			time += step.timing * template.subdivision * amount;
+			velocity = Math.max(0, Math.min(1, velocity * (1 + step.velocity * amount)));
+		}
+		
+		return {
+			...event,
+			time: Math.max(0, Math.min(patternLength - GROOVE_EPSILON, time)),
+			velocity
+		};
+	});
+}
+
+/**
+ * Build a groove template from existing events
+ * Each event is matched to its nearest grid step; the step records the average timing offset
+ * and velocity relative to the mean velocity of all events
+ * 
+ * @param events - Straight (ungrooved) events, times relative to the pattern start
+ * @param subdivision - Step length in beats
+ * @param patternLength - Pattern length in beats (template spans the whole pattern)
+ * @param name - Template name
+ */
+export function extractGrooveTemplate(events: AudioEvent[], subdivision: number, patternLength: number, name: string): GrooveTemplate {
+	const stepCount = Math.max(1, Math.round(patternLength / subdivision));
+	const totals = Array.from({ length: stepCount }, () => ({ timing: 0, velocity: 0, count: 0 }));
+	const meanVelocity = events.length > 0
+		? events.reduce((sum, event) => sum + (event.velocity ?? 1), 0) / events.length
+		: 1;
+	
+	for (const event of events) {
+		const gridIndex = Math.round(event.time / subdivision);
+		const total = totals[((gridIndex % stepCount) + stepCount) % stepCount];
+		total.timing += (event.time - gridIndex * subdivision) / subdivision;
+		total.velocity += meanVelocity > 0 ? (event.velocity ?? 1) / meanVelocity - 1 : 0;
+		total.count++;
+	}
+	
+	return {
+		name,
+		subdivision,
+		steps: totals.map((total) => total.count > 0
+			? { timing: total.timing / total.count, velocity: Math.max(-1, Math.min(1, total.velocity / total.count)) }
+			: { timing: 0, velocity: 0 })
+	};
+}
+
+/**
+ * How a clip plays its pattern (the playback fields of a TimelineClip)
+ */
+export interface ClipPlayback {
+	startBeat: number;
+	duration: number;
+	offsetBeats?: number;
+	rate?: number;
+	reverse?: boolean;
+	loopLength?: number;
+}
+
+/**
+ * Clip playback rate (pattern beats per timeline beat), 1 when unset or invalid
+ */
+export function getClipRate(clip: Pick<ClipPlayback, 'rate'>): number {
+	return clip.rate !== undefined && Number.isFinite(clip.rate) && clip.rate > 0 ? clip.rate : 1;
+}
+
+/**
+ * Pattern beats a clip plays before looping (its loop length override, or the pattern length)
+ */
+export function getClipLoopLength(clip: Pick<ClipPlayback, 'loopLength'>, patternLength: number): number {
+	return clip.loopLength !== undefined && Number.isFinite(clip.loopLength) && clip.loopLength > 0 ? clip.loopLength : patternLength;
+}
+
+/**
+ * Timeline beats one loop of a clip takes (loop length scaled by the rate)
+ */
+export function getClipLoopBeats(clip: Pick<ClipPlayback, 'rate' | 'loopLength'>, patternLength: number): number {
+	return getClipLoopLength(clip, patternLength) / getClipRate(clip);
+}
+
+/**
+ * Place a pattern's flattened events inside a timeline clip
+ * Each loop plays loopLength pattern beats (cutting the pattern short or padding it with
+ * silence), reversed if the clip is, at `rate` pattern beats per timeline beat. The loop
+ * repeats for the whole clip, offsetBeats (in timeline beats) starts playback that far into
+ * it, and events falling outside the clip are dropped.
+ * Mirrored in the worklet by ProjectManager.expandClipEvents.
+ * 
+ * @param patternEvents - Events from flattenTrackPattern (times relative to pattern start)
+ * @param clip - Clip placement and playback on the timeline
+ * @param patternLength - Pattern length in beats (baseMeter)
+ * @returns Events with absolute timeline times
+ */
+export function expandClipEvents(
+	patternEvents: AudioEvent[],
+	clip: ClipPlayback,
+	patternLength: number
+): AudioEvent[] {
+	const events: AudioEvent[] = [];
+	if (patternLength <= 0) return events;
+	
+	const rate = getClipRate(clip);
+	const loopLength = getClipLoopLength(clip, patternLength);
+	const loopBeats = loopLength / rate;
+	const clipEnd = clip.startBeat + clip.duration;
+	
+	// One loop of events, in timeline beats from the loop start
+	const loopEvents: AudioEvent[] = [];
+	for (const event of patternEvents) {
+		// Wrap events grooved past either end of the pattern back into it
+		let time = event.time;
+		if (time >= patternLength) {
+			time = time % patternLength;
+		} else if (time < 0) {
+			time = patternLength + (time % patternLength);
+		}
+		if (time >= loopLength) continue;
+		
+		const duration = Math.min(event.duration ?? loopLength - time, loopLength - time);
+		// Reversed, a note starts where its mirror image ends
+		const loopTime = clip.reverse ? loopLength - time - duration : time;
+		loopEvents.push({ ...event, time: loopTime / rate, duration: duration / rate });
+	}
+	
+	// Start far enough back that the clip opens offsetBeats into a loop
+	const offset = clip.offsetBeats || 0;
+	const phase = ((offset % loopBeats) + loopBeats) % loopBeats;
+	let loopStart = clip.startBeat - phase;
+	// Pattern repetition within the clip, for trig conditions (a split clip keeps counting)
+	let iteration = Math.max(0, Math.floor(offset / loopBeats));
+	while (loopStart < clipEnd) {
+		for (const event of loopEvents) {
+			const absoluteEventTime = loopStart + event.time;
+			
+			// Only add if event is within clip bounds
+			if (absoluteEventTime >= clip.startBeat && absoluteEventTime < clipEnd) {
+				events.push({
+					...event,
+					time: absoluteEventTime,
+					iteration
+				});
+			}
+		}
+		loopStart += loopBeats;
+		iteration++;
+	}
+	
+	return events;
+}
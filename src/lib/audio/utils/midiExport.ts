@@ -0,0 +1,316 @@
+import type { Pattern, AudioEvent, StandaloneInstrument } from '$lib/types/pattern';
+import type { Project, Timeline, TempoMap } from '$lib/stores/projectStore.types';
+import { flattenTrackPattern, expandClipEvents, getEffectiveGroove } from './eventFlatten';
+import { getPatternInstruments } from '$lib/utils/patternUtils';
+import { TempoConverter } from '$lib/utils/tempoMap';
+
+/**
+ * Standard MIDI File (Type 1) export
+ * Converts flattened pattern events into note tracks with a tempo track up front
+ */
+
+export const DEFAULT_PPQ = 960; // Divisible by 2, 3, 4, 5, 6, 8... so common tuplets land on exact ticks
+
+const DRUM_CHANNEL = 9; // GM percussion channel (channel 10)
+
+// MIDI tempo can't ramp, so tempo ramps are written as a step every this many beats
+const TEMPO_RAMP_STEP = 0.25;
+
+// General MIDI percussion notes for the built-in drum instruments
+const GM_DRUM_NOTES: Record<string, number> = {
+	kick: 36,
+	snare: 38,
+	hihat: 42,
+	clap: 39,
+	tom: 45,
+	cymbal: 49,
+	shaker: 70,
+	rimshot: 37,
+	tr808kick: 36,
+	tr808snare: 38,
+	tr808hihat: 42,
+	tr808openhihat: 46,
+	tr808closedhihat: 42,
+	tr808clap: 39,
+	tr808tom: 45,
+	tr808lowtom: 41,
+	tr808midtom: 47,
+	tr808hightom: 50,
+	tr808cymbal: 49,
+	tr808ride: 51,
+	tr808shaker: 70,
+	tr808cowbell: 56,
+	tr808clave: 75,
+	tr808rimshot: 37
+};
+
+export interface MidiExportOptions {
+	ppq?: number; // Ticks per quarter note (beat)
+	loops?: number; // Pattern view: how many times to repeat the pattern
+	mapDrumsToGM?: boolean; // Write drum instruments as GM percussion on channel 10
+}
+
+interface MidiNote {
+	time: number; // beats
+	duration: number; // beats
+	pitch: number;
+	velocity: number; // 0-1
+	channel: number;
+}
+
+interface MidiTrack {
+	name: string;
+	notes: MidiNote[];
+}
+
+interface TickEvent {
+	tick: number;
+	// Note-offs sort before note-ons on the same tick so repeated notes retrigger cleanly
+	order: number;
+	bytes: number[];
+}
+
+/**
+ * Convert instrument events to MIDI notes, choosing pitch and channel for the instrument type
+ */
+function eventsToNotes(events: AudioEvent[], instrumentType: string | undefined, channel: number, mapDrumsToGM: boolean): MidiNote[] {
+	const drumNote = mapDrumsToGM && instrumentType ? GM_DRUM_NOTES[instrumentType] : undefined;
+	return events.map((event) => ({
+		time: event.time,
+		duration: event.duration ?? 0.25,
+		pitch: drumNote ?? event.pitch ?? 60,
+		velocity: event.velocity ?? 1.0,
+		channel: drumNote !== undefined ? DRUM_CHANNEL : channel
+	}));
+}
+
+/**
+ * Hand out melodic channels in order, skipping the GM drum channel
+ */
+function createChannelAllocator(): () => number {
+	let next = 0;
+	return () => {
+		const channel = next;
+		next = (next + 1) % 16;
+		if (next === DRUM_CHANNEL) next++;
+		return channel;
+	};
+}
+
+/**
+ * Write a variable-length quantity
+ */
+function writeVarLen(value: number, out: number[]): void {
+	let buffer = value & 0x7f;
+	while ((value >>= 7) > 0) {
+		buffer <<= 8;
+		buffer |= (value & 0x7f) | 0x80;
+	}
+	for (;;) {
+		out.push(buffer & 0xff);
+		if (buffer & 0x80) {
+			buffer >>= 8;
+		} else {
+			break;
+		}
+	}
+}
+
+function textMeta(type: number, text: string): number[] {
+	const bytes = Array.from(new TextEncoder().encode(text));
+	const out = [0xff, type];
+	writeVarLen(bytes.length, out);
+	return out.concat(bytes);
+}
+
+/**
+ * Serialize tick events into an MTrk chunk (delta times + end of track)
+ */
+function buildTrackChunk(events: TickEvent[]): number[] {
+	const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+	const data: number[] = [];
+	let lastTick = 0;
+	for (const event of sorted) {
+		writeVarLen(event.tick - lastTick, data);
+		data.push(...event.bytes);
+		lastTick = event.tick;
+	}
+	writeVarLen(0, data);
+	data.push(0xff, 0x2f, 0x00); // End of track
+
+	const length = data.length;
+	return [0x4d, 0x54, 0x72, 0x6b, (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff, ...data];
+}
+
+/**
+ * Build the note events for one track
+ * Start and end ticks are each rounded from absolute beat positions, so tuplets
+ * never accumulate rounding drift across a bar
+ */
+function buildNoteTrack(track: MidiTrack, ppq: number): number[] {
+	const events: TickEvent[] = [{ tick: 0, order: 0, bytes: textMeta(0x03, track.name) }];
+	for (const note of track.notes) {
+		const startTick = Math.round(note.time * ppq);
+		const endTick = Math.max(startTick + 1, Math.round((note.time + note.duration) * ppq));
+		const pitch = Math.max(0, Math.min(127, Math.round(note.pitch)));
+		const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+		events.push({ tick: startTick, order: 2, bytes: [0x90 | note.channel, pitch, velocity] });
+		events.push({ tick: endTick, order: 1, bytes: [0x80 | note.channel, pitch, 0] });
+	}
+	return buildTrackChunk(events);
+}
+
+function tempoMeta(tick: number, bpm: number): TickEvent {
+	const microsecondsPerBeat = Math.round(60000000 / bpm);
+	return { tick, order: 0, bytes: [0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff] };
+}
+
+function timeSignatureMeta(tick: number, numerator: number, denominator: number): TickEvent {
+	// Denominator is written as a power of two; 24 clocks per click, 8 32nds per quarter
+	const denominatorPower = Math.max(0, Math.round(Math.log2(denominator)));
+	return { tick, order: 0, bytes: [0xff, 0x58, 0x04, Math.max(1, Math.min(255, numerator)), denominatorPower, 24, 8] };
+}
+
+/**
+ * Tempo events for a tempo map
+ * Each ramp step gets the average tempo over the step, so every note still lands at the time it plays
+ */
+function tempoMapEvents(bpm: number, tempoMap: TempoMap, ppq: number): TickEvent[] {
+	const converter = new TempoConverter(bpm, tempoMap);
+	const changes = [...tempoMap.tempos].sort((a, b) => a.beat - b.beat);
+	const events: TickEvent[] = [tempoMeta(0, converter.getTempoAt(0))];
+	let previousBeat = 0;
+	for (const change of changes) {
+		if (change.beat <= 0) continue;
+		if (change.ramp) {
+			for (let beat = previousBeat; beat < change.beat - 1e-9; beat += TEMPO_RAMP_STEP) {
+				const stepEnd = Math.min(beat + TEMPO_RAMP_STEP, change.beat);
+				const seconds = converter.beatToSeconds(stepEnd) - converter.beatToSeconds(beat);
+				events.push(tempoMeta(Math.round(beat * ppq), (60 * (stepEnd - beat)) / seconds));
+			}
+		}
+		events.push(tempoMeta(Math.round(change.beat * ppq), change.bpm));
+		previousBeat = change.beat;
+	}
+	return events;
+}
+
+/**
+ * Encode tracks as a Type-1 Standard MIDI File
+ * Track 0 is the conductor track carrying tempo and time signature (and their changes with a tempo map)
+ */
+export function encodeMidiFile(tracks: MidiTrack[], bpm: number, ppq: number = DEFAULT_PPQ, beatsPerBar: number = 4, title?: string, tempoMap?: TempoMap): Uint8Array {
+	const conductor: TickEvent[] = tempoMap?.tempos.length ? tempoMapEvents(bpm, tempoMap, ppq) : [tempoMeta(0, bpm)];
+	const meters = [...(tempoMap?.meters || [])].sort((a, b) => a.beat - b.beat);
+	if (!meters.some((meter) => meter.beat <= 0)) {
+		conductor.push(timeSignatureMeta(0, beatsPerBar, 4));
+	}
+	for (const meter of meters) {
+		conductor.push(timeSignatureMeta(Math.round(Math.max(0, meter.beat) * ppq), meter.numerator, meter.denominator));
+	}
+	if (title) {
+		conductor.unshift({ tick: 0, order: 0, bytes: textMeta(0x03, title) });
+	}
+
+	const trackCount = tracks.length + 1;
+	const header = [
+		0x4d, 0x54, 0x68, 0x64, // MThd
+		0, 0, 0, 6,
+		0, 1, // Format 1
+		(trackCount >> 8) & 0xff, trackCount & 0xff,
+		(ppq >> 8) & 0x7f, ppq & 0xff
+	];
+
+	const bytes = [...header, ...buildTrackChunk(conductor)];
+	for (const track of tracks) {
+		bytes.push(...buildNoteTrack(track, ppq));
+	}
+	return new Uint8Array(bytes);
+}
+
+/**
+ * Pattern view: one MIDI track per pattern instrument
+ */
+export function patternToMidi(pattern: Pattern, bpm: number, options: MidiExportOptions = {}): Uint8Array {
+	const ppq = options.ppq ?? DEFAULT_PPQ;
+	const loops = Math.max(1, options.loops ?? 1);
+	const mapDrumsToGM = options.mapDrumsToGM ?? true;
+	const patternLength = pattern.baseMeter || 4;
+	const nextChannel = createChannelAllocator();
+
+	const tracks: MidiTrack[] = getPatternInstruments(pattern).map((instrument) => {
+		const events = flattenTrackPattern(instrument.patternTree, instrument.id, patternLength, getEffectiveGroove(pattern, instrument));
+		// Repeat the pattern by laying it into a clip that spans every loop
+		const looped = expandClipEvents(events, { startBeat: 0, duration: patternLength * loops }, patternLength);
+		return {
+			name: instrument.instrumentType,
+			notes: eventsToNotes(looped, instrument.instrumentType, nextChannel(), mapDrumsToGM)
+		};
+	});
+
+	const beatsPerBar = Number.isInteger(patternLength) ? patternLength : 4;
+	return encodeMidiFile(tracks, bpm, ppq, beatsPerBar, pattern.name);
+}
+
+/**
+ * Pattern view without a pattern page: one MIDI track per standalone instrument
+ */
+export function instrumentsToMidi(instruments: StandaloneInstrument[], bpm: number, options: MidiExportOptions = {}): Uint8Array {
+	const ppq = options.ppq ?? DEFAULT_PPQ;
+	const mapDrumsToGM = options.mapDrumsToGM ?? true;
+	const nextChannel = createChannelAllocator();
+
+	const tracks: MidiTrack[] = instruments
+		.filter((instrument) => instrument.patternTree)
+		.map((instrument) => ({
+			name: instrument.instrumentType,
+			notes: eventsToNotes(flattenTrackPattern(instrument.patternTree, instrument.id, 4), instrument.instrumentType, nextChannel(), mapDrumsToGM)
+		}));
+
+	return encodeMidiFile(tracks, bpm, ppq);
+}
+
+/**
+ * Arrangement view: one MIDI track per timeline pattern track
+ * Clips honor startBeat, duration and offsetBeats exactly as the engine schedules them,
+ * and the conductor track follows the timeline's tempo and meter changes
+ */
+export function arrangementToMidi(project: Project, timeline: Timeline, options: MidiExportOptions = {}): Uint8Array {
+	const ppq = options.ppq ?? DEFAULT_PPQ;
+	const mapDrumsToGM = options.mapDrumsToGM ?? true;
+	const patternMap = new Map((project.patterns || []).map((p) => [p.id, p]));
+	const nextChannel = createChannelAllocator();
+
+	const timelineTracks = [...(timeline.tracks || [])]
+		.filter((track) => track.type === 'pattern')
+		.sort((a, b) => a.order - b.order);
+
+	const tracks: MidiTrack[] = [];
+	for (const timelineTrack of timelineTracks) {
+		const channel = nextChannel();
+		const notes: MidiNote[] = [];
+		const clips = (timeline.clips || []).filter((clip) => clip.trackId === timelineTrack.id);
+
+		for (const clip of clips) {
+			const pattern = patternMap.get(clip.patternId);
+			if (!pattern) continue;
+			const patternLength = pattern.baseMeter || 4;
+
+			for (const instrument of getPatternInstruments(pattern)) {
+				if (!instrument.patternTree) continue;
+				const patternEvents = flattenTrackPattern(instrument.patternTree, instrument.id, patternLength, getEffectiveGroove(pattern, instrument));
+				// Notes can't ring past the end of their clip
+				const clipEnd = clip.startBeat + clip.duration;
+				const clipEvents = expandClipEvents(patternEvents, clip, patternLength).map((event) => ({
+					...event,
+					duration: Math.min(event.duration ?? 0.25, clipEnd - event.time)
+				}));
+				notes.push(...eventsToNotes(clipEvents, instrument.instrumentType, channel, mapDrumsToGM));
+			}
+		}
+
+		tracks.push({ name: timelineTrack.name, notes });
+	}
+
+	return encodeMidiFile(tracks, project.bpm, ppq, 4, project.title, timeline.tempoMap);
+}
@@ -0,0 +1,504 @@
+import type { PatternNode } from '$lib/types/pattern';
+
+/**
+ * Standard MIDI File import
+ * Parses SMF note data and infers pattern trees (beat -> equal subdivisions) from note onsets
+ */
+
+export interface MidiFileNote {
+	tick: number;
+	durationTicks: number;
+	pitch: number;
+	velocity: number; // 1-127
+	channel: number;
+}
+
+export interface MidiFileTrack {
+	index: number;
+	name: string;
+	notes: MidiFileNote[];
+	channels: number[];
+}
+
+export interface ParsedMidiFile {
+	format: number;
+	ppq: number;
+	bpm: number;
+	// Time signature from the first meter event (defaults to 4/4)
+	numerator: number;
+	denominator: number;
+	tracks: MidiFileTrack[];
+	lengthTicks: number;
+}
+
+export interface MidiImportOptions {
+	trackIndices: number[];
+	startBar: number; // 0-based
+	barCount: number;
+	// Max distance (in beats) between an onset and a grid point for a subdivision to count as a fit
+	tolerance?: number;
+	// Split drum tracks (channel 10) into one instrument per note
+	splitDrums?: boolean;
+}
+
+export interface ImportedInstrument {
+	name: string;
+	instrumentType: string;
+	patternTree: PatternNode;
+	noteCount: number;
+	// Beats (0-based within the range) that didn't fit a clean subdivision and were snapped to the fallback grid
+	fallbackBeats: number[];
+	fallbackDivision: number;
+	maxErrorBeats: number;
+	meanErrorBeats: number;
+	// Notes lost because they landed on an occupied slot (chords, flams)
+	droppedNotes: number;
+}
+
+export interface MidiImportResult {
+	lengthBeats: number;
+	instruments: ImportedInstrument[];
+}
+
+// Candidate subdivisions per beat, tried smallest first (16ths, triplets, quintuplets, sextuplets...)
+const SUBDIVISIONS = [1, 2, 3, 4, 5, 6, 7, 8, 12, 16];
+const MAX_FALLBACK_DIVISION = 48;
+const DEFAULT_TOLERANCE = 1 / 64;
+const DRUM_CHANNEL = 9;
+
+// General MIDI percussion note -> built-in drum instrument
+const GM_DRUM_INSTRUMENTS: Record<number, string> = {
+	35: 'kick',
+	36: 'kick',
+	37: 'rimshot',
+	38: 'snare',
+	39: 'clap',
+	40: 'snare',
+	41: 'tr808lowtom',
+	42: 'hihat',
+	43: 'tr808lowtom',
+	44: 'hihat',
+	45: 'tr808midtom',
+	46: 'tr808openhihat',
+	47: 'tr808midtom',
+	48: 'tr808hightom',
+	49: 'cymbal',
+	50: 'tr808hightom',
+	51: 'tr808ride',
+	56: 'tr808cowbell',
+	57: 'cymbal',
+	70: 'shaker',
+	75: 'tr808clave'
+};
+
+/**
+ * Parse a Standard MIDI File (format 0 or 1)
+ */
+export function parseMidiFile(buffer: ArrayBuffer): ParsedMidiFile {
+	const data = new DataView(buffer);
+	const readString = (offset: number, length: number) =>
+		String.fromCharCode(...new Uint8Array(buffer, offset, length));
+
+	if (buffer.byteLength < 14 || readString(0, 4) !== 'MThd') {
+		throw new Error('Not a Standard MIDI File');
+	}
+
+	const headerLength = data.getUint32(4);
+	const format = data.getUint16(8);
+	const trackCount = data.getUint16(10);
+	const division = data.getUint16(12);
+	if (division & 0x8000) {
+		throw new Error('SMPTE time division is not supported');
+	}
+
+	const result: ParsedMidiFile = {
+		format,
+		ppq: division,
+		bpm: 120,
+		numerator: 4,
+		denominator: 4,
+		tracks: [],
+		lengthTicks: 0
+	};
+	let hasTempo = false;
+	let hasMeter = false;
+
+	let offset = 8 + headerLength;
+	for (let trackIndex = 0; trackIndex < trackCount && offset + 8 <= buffer.byteLength; trackIndex++) {
+		const chunkType = readString(offset, 4);
+		const chunkLength = data.getUint32(offset + 4);
+		const chunkStart = offset + 8;
+		const chunkEnd = Math.min(chunkStart + chunkLength, buffer.byteLength);
+		offset = chunkStart + chunkLength;
+		if (chunkType !== 'MTrk') {
+			trackIndex--;
+			continue;
+		}
+
+		const track: MidiFileTrack = { index: result.tracks.length, name: '', notes: [], channels: [] };
+		// Open notes per channel/pitch, waiting for their note-off
+		const openNotes = new Map<number, MidiFileNote[]>();
+		let position = chunkStart;
+		let tick = 0;
+		let runningStatus = 0;
+
+		const readVarLen = () => {
+			let value = 0;
+			let byte: number;
+			do {
+				byte = data.getUint8(position++);
+				value = (value << 7) | (byte & 0x7f);
+			} while (byte & 0x80 && position < chunkEnd);
+			return value;
+		};
+
+		const closeNote = (channel: number, pitch: number) => {
+			const key = channel * 128 + pitch;
+			const open = openNotes.get(key);
+			const note = open?.shift();
+			if (note) {
+				note.durationTicks = Math.max(1, tick - note.tick);
+			}
+		};
+
+		while (position < chunkEnd) {
+			tick += readVarLen();
+			let status = data.getUint8(position);
+			if (status & 0x80) {
+				position++;
+			} else {
+				status = runningStatus;
+			}
+
+			if (status === 0xff) {
+				// Meta event
+				const type = data.getUint8(position++);
+				const length = readVarLen();
+				if (type === 0x03 && !track.name) {
+					track.name = new TextDecoder().decode(new Uint8Array(buffer, position, length));
+				} else if (type === 0x51 && length === 3 && !hasTempo) {
+					const microsecondsPerBeat = (data.getUint8(position) << 16) | (data.getUint8(position + 1) << 8) | data.getUint8(position + 2);
+					result.bpm = Math.round((60000000 / microsecondsPerBeat) * 100) / 100;
+					hasTempo = true;
+				} else if (type === 0x58 && length >= 2 && !hasMeter) {
+					result.numerator = data.getUint8(position);
+					result.denominator = Math.pow(2, data.getUint8(position + 1));
+					hasMeter = true;
+				}
+				position += length;
+				continue;
+			}
+
+			if (status === 0xf0 || status === 0xf7) {
+				// SysEx - skip
+				position += readVarLen();
+				continue;
+			}
+
+			runningStatus = status;
+			const command = status & 0xf0;
+			const channel = status & 0x0f;
+			const dataLength = command === 0xc0 || command === 0xd0 ? 1 : 2;
+			const data1 = data.getUint8(position);
+			const data2 = dataLength === 2 ? data.getUint8(position + 1) : 0;
+			position += dataLength;
+
+			if (command === 0x90 && data2 > 0) {
+				const note: MidiFileNote = { tick, durationTicks: 0, pitch: data1, velocity: data2, channel };
+				const key = channel * 128 + data1;
+				if (!openNotes.has(key)) openNotes.set(key, []);
+				openNotes.get(key)!.push(note);
+				track.notes.push(note);
+				if (!track.channels.includes(channel)) track.channels.push(channel);
+			} else if (command === 0x80 || command === 0x90) {
+				closeNote(channel, data1);
+			}
+		}
+
+		// Notes never switched off last until the end of the track
+		for (const note of track.notes) {
+			if (note.durationTicks === 0) {
+				note.durationTicks = Math.max(1, tick - note.tick);
+			}
+		}
+
+		result.lengthTicks = Math.max(result.lengthTicks, tick);
+		if (track.notes.length > 0) {
+			track.name = track.name || `Track ${result.tracks.length + 1}`;
+			result.tracks.push(track);
+		}
+	}
+
+	for (const [index, track] of result.tracks.entries()) {
+		track.index = index;
+	}
+
+	return result;
+}
+
+/**
+ * Length of one bar in beats (quarter notes) for the file's time signature
+ */
+export function getBarLengthBeats(midi: ParsedMidiFile): number {
+	return (midi.numerator * 4) / midi.denominator;
+}
+
+interface BeatNote {
+	time: number; // beats from range start
+	end: number;
+	pitch: number;
+	velocity: number; // 0-1
+}
+
+/**
+ * Greatest common divisor / least common multiple helpers for the fallback grid
+ */
+function gcd(a: number, b: number): number {
+	return b === 0 ? a : gcd(b, a % b);
+}
+
+function lcm(a: number, b: number): number {
+	return (a * b) / gcd(a, b);
+}
+
+/**
+ * Group onsets that happen at the same time (chords) - the tree can only hold one note per slot
+ */
+function groupOnsets(notes: BeatNote[], tolerance: number): BeatNote[][] {
+	const groups: BeatNote[][] = [];
+	for (const note of [...notes].sort((a, b) => a.time - b.time)) {
+		const last = groups[groups.length - 1];
+		if (last && Math.abs(note.time - last[0].time) <= tolerance) {
+			last.push(note);
+		} else {
+			groups.push([note]);
+		}
+	}
+	return groups;
+}
+
+/**
+ * Find the smallest subdivision whose grid holds every onset of a beat (distinct slots, within tolerance)
+ */
+function findSubdivision(positions: number[], tolerance: number): number | null {
+	for (const division of SUBDIVISIONS) {
+		const slots = new Set<number>();
+		let fits = true;
+		for (const position of positions) {
+			const slot = Math.round(position * division);
+			if (slot >= division || Math.abs(position - slot / division) > tolerance || slots.has(slot)) {
+				fits = false;
+				break;
+			}
+			slots.add(slot);
+		}
+		if (fits) return division;
+	}
+	return null;
+}
+
+/**
+ * Build a pattern tree from notes in beats
+ * Root = whole range, one child per beat, each beat split into its detected subdivision.
+ * Empty slots extend a still-sounding note (larger division) or become rests (velocity 0).
+ */
+function buildInstrumentTree(
+	notes: BeatNote[],
+	lengthBeats: number,
+	tolerance: number,
+	rootX: number,
+	rootY: number
+): Omit<ImportedInstrument, 'name' | 'instrumentType' | 'noteCount'> {
+	const beatCount = Math.max(1, Math.round(lengthBeats));
+	const groupsByBeat: BeatNote[][][] = Array.from({ length: beatCount }, () => []);
+	let droppedNotes = 0;
+
+	for (const group of groupOnsets(notes, tolerance)) {
+		const beat = Math.floor(group[0].time + tolerance);
+		if (beat < 0 || beat >= beatCount) continue;
+		// Keep the highest note of a chord
+		group.sort((a, b) => b.pitch - a.pitch);
+		droppedNotes += group.length - 1;
+		groupsByBeat[beat].push(group);
+	}
+
+	// First pass: detect a clean subdivision for every beat
+	const divisions: (number | null)[] = groupsByBeat.map((groups, beat) =>
+		groups.length === 0 ? 1 : findSubdivision(groups.map((g) => Math.max(0, g[0].time - beat)), tolerance)
+	);
+
+	// Fallback grid: finest common grid of the clean beats (at least 16ths)
+	const fallbackDivision = Math.min(
+		MAX_FALLBACK_DIVISION,
+		divisions.reduce<number>((acc, division) => (division ? lcm(acc, division) : acc), 4)
+	);
+
+	const fallbackBeats: number[] = [];
+	const errors: number[] = [];
+	const isSounding = (time: number) => notes.some((note) => note.time < time - tolerance && note.end > time + tolerance);
+
+	const beatSpacing = 200;
+	const beatY = rootY + 200;
+	const beatStartX = rootX - (beatSpacing * (beatCount - 1)) / 2;
+
+	const beatNodes: PatternNode[] = [];
+	for (let beat = 0; beat < beatCount; beat++) {
+		let division = divisions[beat];
+		if (division === null) {
+			division = fallbackDivision;
+			fallbackBeats.push(beat);
+		}
+
+		// Place each onset group into its slot
+		const slots: (BeatNote | null)[] = new Array(division).fill(null);
+		for (const group of groupsByBeat[beat]) {
+			const position = Math.max(0, group[0].time - beat);
+			const slot = Math.min(division - 1, Math.round(position * division));
+			if (slots[slot]) {
+				droppedNotes += group.length;
+				continue;
+			}
+			slots[slot] = group[0];
+			errors.push(Math.abs(position - slot / division));
+		}
+
+		const beatX = beatStartX + beat * beatSpacing;
+		const leafSpacing = 40;
+		const leafStartX = beatX - (leafSpacing * (division - 1)) / 2;
+
+		// Build leaves, merging sustained empty slots into the previous leaf
+		const leaves: PatternNode[] = [];
+		for (let slot = 0; slot < division; slot++) {
+			const note = slots[slot];
+			const slotTime = beat + slot / division;
+			if (!note && leaves.length > 0 && isSounding(slotTime)) {
+				leaves[leaves.length - 1].division += 1;
+				continue;
+			}
+			leaves.push({
+				id: crypto.randomUUID(),
+				division: 1,
+				x: leafStartX + slot * leafSpacing,
+				y: beatY + 150,
+				children: [],
+				velocity: note ? note.velocity : 0,
+				pitch: note ? note.pitch : 60,
+				choke: 1.0
+			});
+		}
+
+		if (leaves.length === 1) {
+			// Whole beat is a single note or rest - the beat node itself is the leaf
+			beatNodes.push({ ...leaves[0], division: 1, x: beatX, y: beatY });
+		} else {
+			beatNodes.push({
+				id: crypto.randomUUID(),
+				division: 1,
+				x: beatX,
+				y: beatY,
+				children: leaves
+			});
+		}
+	}
+
+	// Merge whole-beat rests/sustains into the previous beat when a note is still ringing
+	const mergedBeats: PatternNode[] = [];
+	for (let beat = 0; beat < beatNodes.length; beat++) {
+		const node = beatNodes[beat];
+		const previous = mergedBeats[mergedBeats.length - 1];
+		const isEmptyLeaf = node.children.length === 0 && node.velocity === 0;
+		if (isEmptyLeaf && previous && previous.children.length === 0 && (previous.velocity ?? 0) > 0 && isSounding(beat)) {
+			previous.division += 1;
+			continue;
+		}
+		mergedBeats.push(node);
+	}
+
+	const patternTree: PatternNode = {
+		id: crypto.randomUUID(),
+		division: beatCount,
+		x: rootX,
+		y: rootY,
+		children: mergedBeats
+	};
+
+	return {
+		patternTree,
+		fallbackBeats,
+		fallbackDivision,
+		maxErrorBeats: errors.length > 0 ? Math.max(...errors) : 0,
+		meanErrorBeats: errors.length > 0 ? errors.reduce((sum, e) => sum + e, 0) / errors.length : 0,
+		droppedNotes
+	};
+}
+
+/**
+ * Pick a built-in instrument for a melodic part based on its register
+ */
+function guessMelodicInstrument(notes: BeatNote[]): string {
+	const pitches = notes.map((n) => n.pitch).sort((a, b) => a - b);
+	const median = pitches[Math.floor(pitches.length / 2)] ?? 60;
+	return median < 48 ? 'bass' : 'subtractive';
+}
+
+/**
+ * Convert selected tracks and a bar range into pattern instruments
+ */
+export function midiToPatternInstruments(midi: ParsedMidiFile, options: MidiImportOptions): MidiImportResult {
+	const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+	const barLength = getBarLengthBeats(midi);
+	const startBeat = options.startBar * barLength;
+	const lengthBeats = Math.max(1, options.barCount) * barLength;
+	const endBeat = startBeat + lengthBeats;
+	const splitDrums = options.splitDrums ?? true;
+
+	const instruments: ImportedInstrument[] = [];
+	for (const trackIndex of options.trackIndices) {
+		const track = midi.tracks[trackIndex];
+		if (!track) continue;
+
+		const toBeatNote = (note: MidiFileNote): BeatNote => ({
+			time: note.tick / midi.ppq - startBeat,
+			end: (note.tick + note.durationTicks) / midi.ppq - startBeat,
+			pitch: note.pitch,
+			velocity: note.velocity / 127
+		});
+		const inRange = track.notes.filter((note) => {
+			const beat = note.tick / midi.ppq;
+			return beat >= startBeat - tolerance && beat < endBeat - tolerance;
+		});
+		if (inRange.length === 0) continue;
+
+		// Drum tracks become one instrument per drum sound, melodic tracks one instrument each
+		const parts: { name: string; instrumentType: string; notes: BeatNote[] }[] = [];
+		const drumNotes = inRange.filter((note) => note.channel === DRUM_CHANNEL);
+		if (splitDrums && drumNotes.length > 0) {
+			const pitches = [...new Set(drumNotes.map((n) => n.pitch))].sort((a, b) => a - b);
+			for (const pitch of pitches) {
+				parts.push({
+					name: `${track.name} ${pitch}`,
+					instrumentType: GM_DRUM_INSTRUMENTS[pitch] || 'tom',
+					notes: drumNotes.filter((n) => n.pitch === pitch).map(toBeatNote)
+				});
+			}
+		}
+		const melodicNotes = splitDrums ? inRange.filter((note) => note.channel !== DRUM_CHANNEL) : inRange;
+		if (melodicNotes.length > 0) {
+			const notes = melodicNotes.map(toBeatNote);
+			parts.push({ name: track.name, instrumentType: guessMelodicInstrument(notes), notes });
+		}
+
+		for (const part of parts) {
+			const index = instruments.length;
+			const tree = buildInstrumentTree(part.notes, lengthBeats, tolerance, 400 + (index % 3) * 600, 200 + Math.floor(index / 3) * 500);
+			instruments.push({
+				name: part.name,
+				instrumentType: part.instrumentType,
+				noteCount: part.notes.length,
+				...tree
+			});
+		}
+	}
+
+	return { lengthBeats, instruments };
+}
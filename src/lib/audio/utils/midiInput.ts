@@ -0,0 +1,89 @@
+/**
+ * Web MIDI keyboard input
+ * Listens to every connected MIDI input and reports note on/off, so a keyboard can
+ * play instruments through the engine (see midiInputStore).
+ */
+
+export interface MidiInputHandlers {
+	onNoteOn: (pitch: number, velocity: number, channel: number) => void; // velocity 0-1
+	onNoteOff: (pitch: number, channel: number) => void;
+	onInputsChanged?: (inputNames: string[]) => void;
+}
+
+// MIDI status bytes (high nibble; the low nibble is the channel)
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+
+/**
+ * Whether this browser exposes the Web MIDI API
+ */
+export function isMidiInputSupported(): boolean {
+	return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+}
+
+export class MidiInputManager {
+	private access: MIDIAccess | null = null;
+
+	constructor(private handlers: MidiInputHandlers) {}
+
+	/**
+	 * Request MIDI access and start listening to all inputs (including ones plugged in later)
+	 * @returns Names of the connected inputs
+	 * @throws Error if Web MIDI is unsupported or access is denied
+	 */
+	async start(): Promise<string[]> {
+		if (!isMidiInputSupported()) {
+			throw new Error('Web MIDI is not supported in this browser');
+		}
+		this.access = await navigator.requestMIDIAccess();
+		this.access.onstatechange = () => {
+			this.attachInputs();
+			this.handlers.onInputsChanged?.(this.getInputNames());
+		};
+		this.attachInputs();
+		return this.getInputNames();
+	}
+
+	stop() {
+		if (!this.access) return;
+		this.access.onstatechange = null;
+		this.access.inputs.forEach((input) => {
+			input.onmidimessage = null;
+		});
+		this.access = null;
+	}
+
+	getInputNames(): string[] {
+		if (!this.access) return [];
+		const names: string[] = [];
+		this.access.inputs.forEach((input) => {
+			if (input.state === 'connected') {
+				names.push(input.name || 'MIDI input');
+			}
+		});
+		return names;
+	}
+
+	private attachInputs() {
+		this.access?.inputs.forEach((input) => {
+			input.onmidimessage = this.handleMessage;
+		});
+	}
+
+	private handleMessage = (event: MIDIMessageEvent) => {
+		const data = event.data;
+		if (!data || data.length < 3) return;
+
+		const status = data[0] & 0xf0;
+		const channel = data[0] & 0x0f;
+		const pitch = data[1];
+		const velocity = data[2];
+
+		// Note-on with velocity 0 is a note-off (running status keyboards send these)
+		if (status === NOTE_ON && velocity > 0) {
+			this.handlers.onNoteOn(pitch, velocity / 127, channel);
+		} else if (status === NOTE_OFF || status === NOTE_ON) {
+			this.handlers.onNoteOff(pitch, channel);
+		}
+	};
+}
@@ -0,0 +1,180 @@
+import type { Project, Timeline, TimelineClip, TimelineAudioClip } from '$lib/stores/projectStore.types';
+import { getPatternInstruments } from '$lib/utils/patternUtils';
+import { createZip, type ZipEntry } from '$lib/utils/zipArchive';
+import { TempoConverter } from '$lib/utils/tempoMap';
+import { recordProject, renderProjectOffline, supportsOfflineRender, encodeWAV, downloadBlob } from './audioExport';
+
+const SAMPLE_RATE = 44100;
+
+export interface StemExportOptions {
+	// Render one stem per pattern instrument instead of one per timeline track
+	splitInstruments?: boolean;
+}
+
+interface StemDefinition {
+	name: string;
+	timelineTrackId: string;
+	patternId?: string;
+	instrumentId?: string;
+	clips: TimelineClip[];
+	audioClips: TimelineAudioClip[];
+	// Audio track IDs to mix (undefined = every track the clips produce)
+	audioTrackIds?: string[];
+}
+
+export interface StemManifestEntry {
+	file: string;
+	name: string;
+	timelineTrackId: string;
+	patternId?: string;
+	instrumentId?: string;
+	startBeat: number;
+	startSeconds: number;
+}
+
+export interface StemManifest {
+	project: string;
+	bpm: number;
+	sampleRate: number;
+	lengthBeats: number;
+	lengthSeconds: number;
+	stems: StemManifestEntry[];
+}
+
+/**
+ * Work out which stems to render for a timeline
+ * One stem per non-muted pattern track, or one per pattern instrument on that track,
+ * and one per non-muted audio track
+ */
+function collectStems(project: Project, timeline: Timeline, options: StemExportOptions): StemDefinition[] {
+	const stems: StemDefinition[] = [];
+	const patterns = project.patterns || [];
+	const tracks = [...(timeline.tracks || [])]
+		.filter((track) => (track.type === 'pattern' || track.type === 'audio') && !track.mute)
+		.sort((a, b) => a.order - b.order);
+
+	for (const track of tracks) {
+		if (track.type === 'audio') {
+			const audioClips = (timeline.audioClips || []).filter((clip) => clip.trackId === track.id);
+			if (audioClips.length > 0) {
+				stems.push({ name: track.name, timelineTrackId: track.id, clips: [], audioClips });
+			}
+			continue;
+		}
+
+		const clips = (timeline.clips || []).filter((clip) => clip.trackId === track.id);
+		if (clips.length === 0) continue;
+
+		if (!options.splitInstruments) {
+			stems.push({ name: track.name, timelineTrackId: track.id, clips, audioClips: [] });
+			continue;
+		}
+
+		// Audio track IDs follow the engine's __pattern_{patternId}_{instrumentId} convention
+		const patternIds = [...new Set(clips.map((clip) => clip.patternId))];
+		for (const patternId of patternIds) {
+			const pattern = patterns.find((p) => p.id === patternId);
+			if (!pattern) continue;
+			const patternClips = clips.filter((clip) => clip.patternId === patternId);
+			for (const instrument of getPatternInstruments(pattern)) {
+				stems.push({
+					name: `${track.name} - ${pattern.name} - ${instrument.instrumentType}`,
+					timelineTrackId: track.id,
+					patternId,
+					instrumentId: instrument.id,
+					clips: patternClips,
+					audioClips: [],
+					audioTrackIds: [`__pattern_${patternId}_${instrument.id}`]
+				});
+			}
+		}
+	}
+
+	return stems;
+}
+
+/**
+ * Make a stem name safe to use as a file name
+ */
+function toFileName(index: number, name: string): string {
+	const safeName = name.replace(/[^a-z0-9 _-]+/gi, '').trim().replace(/\s+/g, '_') || 'stem';
+	return `${String(index + 1).padStart(2, '0')}-${safeName}.wav`;
+}
+
+/**
+ * Render every stem of a timeline to WAV and bundle them in a ZIP with a manifest
+ * All stems share the same length so they line up when imported side by side
+ */
+export async function exportStems(
+	project: Project,
+	timeline: Timeline,
+	durationInBeats: number,
+	filename: string,
+	options: StemExportOptions = {},
+	onProgress?: (progress: number) => void,
+	automation?: any
+): Promise<StemManifest> {
+	const stems = collectStems(project, timeline, options);
+	if (stems.length === 0) {
+		throw new Error('No unmuted pattern or audio tracks with clips to export as stems');
+	}
+
+	const render = supportsOfflineRender() ? renderProjectOffline : recordProject;
+	const bpm = project.bpm;
+	const tempo = new TempoConverter(bpm, timeline.tempoMap);
+	const entries: ZipEntry[] = [];
+	const manifest: StemManifest = {
+		project: project.title,
+		bpm,
+		sampleRate: SAMPLE_RATE,
+		lengthBeats: durationInBeats,
+		lengthSeconds: tempo.beatToSeconds(durationInBeats),
+		stems: []
+	};
+
+	for (let i = 0; i < stems.length; i++) {
+		const stem = stems[i];
+		// Keep only this stem's clips, and clear solo so other tracks' solo state can't silence it
+		const stemTimeline: Timeline = {
+			...timeline,
+			clips: stem.clips,
+			audioClips: stem.audioClips,
+			tracks: (timeline.tracks || []).map((track) => ({ ...track, solo: false }))
+		};
+
+		const buffer = await render(
+			project.standaloneInstruments || [],
+			bpm,
+			project.baseMeterTrackId,
+			durationInBeats,
+			(progress) => onProgress?.((i + progress) / stems.length),
+			stemTimeline,
+			project.patterns,
+			project.effects,
+			project.envelopes,
+			automation,
+			stem.audioTrackIds
+		);
+
+		const file = toFileName(i, stem.name);
+		const startBeat = Math.min(...[...stem.clips, ...stem.audioClips].map((clip) => clip.startBeat));
+		entries.push({ name: file, data: encodeWAV(buffer) });
+		manifest.stems.push({
+			file,
+			name: stem.name,
+			timelineTrackId: stem.timelineTrackId,
+			patternId: stem.patternId,
+			instrumentId: stem.instrumentId,
+			startBeat,
+			startSeconds: tempo.beatToSeconds(startBeat)
+		});
+	}
+
+	entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+	const baseFilename = filename.replace(/\.(wav|ogg|mp3|zip)$/i, '');
+	downloadBlob(createZip(entries), `${baseFilename}-stems.zip`);
+	onProgress?.(1);
+
+	return manifest;
+}
@@ -1,5 +1,6 @@
 import type { PatternNode } from '$lib/types/pattern';
 import { Viewport } from './Viewport';
+import { getRatchetCount } from '$lib/audio/utils/eventFlatten';
 
 /**
  * Renders pattern tree nodes on canvas
@@ -212,9 +213,39 @@ export class NodeRenderer {
 			this.ctx.textAlign = 'center';
 			this.ctx.textBaseline = 'middle';
 			this.ctx.fillText(displayValue.toString(), sx, sy);
+			
+			if (node.children.length === 0 && getRatchetCount(node) > 1) {
+				this.renderRatchetTicks(node, sx, sy, scaledRadius, isGreyedOut);
+			}
 		}
 	}
 
+	/**
+	 * Ratchet ticks along the bottom of a leaf: one per hit, shorter as the velocity decays
+	 */
+	private renderRatchetTicks(node: PatternNode, sx: number, sy: number, radius: number, isGreyedOut: boolean) {
+		const hits = getRatchetCount(node);
+		const decay = Math.max(0, Math.min(1, node.ratchetDecay ?? 0));
+		// Keep the ticks inside the circle and below the division label
+		const width = radius * 1.2;
+		const baseY = sy + radius * 0.75;
+		const maxHeight = radius * 0.35;
+		
+		this.ctx.save();
+		this.ctx.strokeStyle = isGreyedOut ? 'rgba(160, 160, 160, 0.8)' : 'rgba(255, 255, 255, 0.8)';
+		this.ctx.lineWidth = Math.max(1, 1.5 * this.viewport.zoom);
+		this.ctx.lineCap = 'round';
+		this.ctx.beginPath();
+		for (let i = 0; i < hits; i++) {
+			const x = sx - width / 2 + (width * i) / (hits - 1);
+			const height = maxHeight * Math.max(0.25, Math.pow(1 - decay, i));
+			this.ctx.moveTo(x, baseY);
+			this.ctx.lineTo(x, baseY - height);
+		}
+		this.ctx.stroke();
+		this.ctx.restore();
+	}
+
 	private renderConnections(node: PatternNode, color: string, isPlaying: (id: string) => boolean, isUpcoming: (id: string) => boolean = () => false, playedNodeIds: Set<string> = new Set(), isGreyedOut: boolean = false, isPlaybackActive: boolean = false, isLoopStart: boolean = false) {
 		if (node.x === undefined || node.y === undefined) return;
 
@@ -1,6 +1,6 @@
 /**
  * Context Menu Handlers for Canvas
- * Handles right-click context menu actions (add child, delete, edit, copy)
+ * Handles right-click context menu actions (add child, delete, edit, copy, fill)
  */
 
 import { projectStore } from '$lib/stores/projectStore';
@@ -26,12 +26,22 @@ export interface ContextActionContext {
 }
 
 /**
- * Handles context menu actions (add child, delete, edit, copy)
+ * Node targeted by an action that needs a dialog first (edit division, rhythm fill)
+ */
+export interface NodeActionTarget {
+	node: any;
+	patternId: string | null;
+	trackId: string | null;
+	instrumentId?: string | null;
+}
+
+/**
+ * Handles context menu actions (add child, delete, edit, copy, fill)
  */
 export function handleContextAction(
 	event: CustomEvent,
 	context: ContextActionContext
-): { editingNode: any | null; editValue: string } {
+): { editingNode: NodeActionTarget | null; editValue: string; fillingNode?: NodeActionTarget } {
 	const { type } = event.detail;
 	const { menu, project, engine } = context;
 	
@@ -65,6 +75,18 @@ export function handleContextAction(
 				},
 				editValue: node.division.toString()
 			};
+		case 'fill':
+			// Fill opens a dialog; the canvas applies it with applyRhythmFill
+			return {
+				editingNode: null,
+				editValue: '',
+				fillingNode: {
+					node,
+					patternId: menu.patternId,
+					trackId: menu.trackId,
+					instrumentId: menu.instrumentId
+				}
+			};
 	}
 	
 	return { editingNode: null, editValue: '' };
@@ -238,3 +260,31 @@ function handleDelete(
 	}
 }
 
+
+/**
+ * Replace the target node's children with a generated rhythm (one step per velocity, 0 = muted)
+ * A single store update, so the whole fill is one undo step
+ */
+export function applyRhythmFill(
+	target: NodeActionTarget,
+	steps: number[],
+	engine: EngineWorklet | null
+): void {
+	if (steps.length === 0) return;
+	
+	if (target.patternId) {
+		projectStore.fillPatternNode(target.patternId, target.node.id, steps, target.instrumentId);
+	} else if (target.trackId) {
+		projectStore.fillNode(target.trackId, target.node.id, steps);
+	} else {
+		return;
+	}
+	
+	// Old children are gone, so drop them from the selection
+	selectionStore.clearSelection();
+	
+	// Update pattern tree in engine for real-time audio updates
+	setTimeout(() => {
+		updateEnginePatternTree(engine, createUpdateContext({ editingNode: target }));
+	}, 0);
+}
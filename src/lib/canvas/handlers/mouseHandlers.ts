@@ -381,9 +381,6 @@ function handleNodeDrag(
 		// Update the instrument in the pattern
 		if (dragState.draggedNode.instrumentId) {
 			projectStore.updatePatternInstrument(dragState.draggedNode.patternId, dragState.draggedNode.instrumentId, { patternTree: newTree }, true);
-		} else {
-			// Legacy: update pattern directly
-			projectStore.updatePattern(dragState.draggedNode.patternId, { patternTree: newTree }, true);
 		}
 		return {
 			patternId: dragState.draggedNode.patternId,
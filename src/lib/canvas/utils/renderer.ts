@@ -157,7 +157,6 @@ function renderTracks(
 
 /**
  * Renders all instruments in a pattern
- * Uses shared utility to handle both new and legacy formats
  */
 function renderPatternInstruments(
 	ctx: CanvasRenderingContext2D,
@@ -1,8 +1,9 @@
 import { writable } from 'svelte/store';
+import type { Effect } from '$lib/types/effects';
 
 export interface OpenEffectPluginWindow {
 	id: string; // Effect ID
-	effectType: 'equalizer';
+	effectType: Effect['type'];
 	effectId: string;
 	label: string; // Display name
 }
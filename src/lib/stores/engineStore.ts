@@ -1,5 +1,6 @@
 import { writable } from 'svelte/store';
 import type { EngineWorklet } from '$lib/audio/engine/EngineWorklet';
+import { getPatternInstruments } from '$lib/utils/patternUtils';
 
 function createEngineStore() {
 	const { subscribe, set } = writable<EngineWorklet | null>(null);
@@ -57,20 +58,7 @@ function createEngineStore() {
 								const instrumentId = parts.slice(1).join('_'); // Handle IDs that might contain underscores
 								const pattern = project.patterns?.find((p: any) => p.id === patternId);
 								if (pattern) {
-									const instruments = pattern.instruments && Array.isArray(pattern.instruments) && pattern.instruments.length > 0
-										? pattern.instruments
-										: (pattern.instrumentType && pattern.patternTree ? [{
-											id: pattern.id,
-											instrumentType: pattern.instrumentType,
-											patternTree: pattern.patternTree,
-											settings: pattern.settings || {},
-											instrumentSettings: pattern.instrumentSettings,
-											color: pattern.color || '#7ab8ff',
-											volume: pattern.volume ?? 1.0,
-											pan: pattern.pan ?? 0.0,
-											mute: pattern.mute,
-											solo: pattern.solo
-										}] : []);
+									const instruments = getPatternInstruments(pattern);
 									track = instruments.find((inst: any) => inst.id === instrumentId);
 									if (track) {
 										// Create full track object for engine
@@ -85,7 +73,8 @@ function createEngineStore() {
 											pan: track.pan ?? 0.0,
 											color: track.color || '#7ab8ff',
 											mute: track.mute ?? false,
-											solo: track.solo ?? false
+											solo: track.solo ?? false,
+											inserts: track.inserts || []
 										};
 									}
 								}
@@ -0,0 +1,53 @@
+import { writable } from 'svelte/store';
+import type { EngineWorklet } from '$lib/audio/engine/EngineWorklet';
+import { DEFAULT_METRONOME_SETTINGS, type MetronomeSettings } from '$lib/types/transport';
+import { engineStore } from './engineStore';
+
+// Metronome settings are a user preference, not part of the project
+const STORAGE_KEY = 'metronome';
+
+function loadSettings(): MetronomeSettings {
+	if (typeof localStorage === 'undefined') {
+		return { ...DEFAULT_METRONOME_SETTINGS };
+	}
+	try {
+		const saved = localStorage.getItem(STORAGE_KEY);
+		return saved ? { ...DEFAULT_METRONOME_SETTINGS, ...JSON.parse(saved) } : { ...DEFAULT_METRONOME_SETTINGS };
+	} catch {
+		return { ...DEFAULT_METRONOME_SETTINGS };
+	}
+}
+
+function getEngine(): EngineWorklet | null {
+	let engine: EngineWorklet | null = null;
+	engineStore.subscribe((e) => (engine = e))();
+	return engine;
+}
+
+function createMetronomeStore() {
+	const { subscribe, update } = writable<MetronomeSettings>(loadSettings());
+
+	let settings: MetronomeSettings;
+	subscribe((s) => (settings = s));
+
+	// Keep the playback engine in sync, including when it is created after the settings were loaded
+	engineStore.subscribe((engine: EngineWorklet | null) => {
+		engine?.setMetronome(settings);
+	});
+
+	const updateSettings = (updates: Partial<MetronomeSettings>) => {
+		update((s) => ({ ...s, ...updates }));
+		getEngine()?.setMetronome(settings);
+		if (typeof localStorage !== 'undefined') {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+		}
+	};
+
+	return {
+		subscribe,
+		updateSettings,
+		toggle: () => updateSettings({ enabled: !settings.enabled })
+	};
+}
+
+export const metronomeStore = createMetronomeStore();
@@ -0,0 +1,128 @@
+import { writable } from 'svelte/store';
+import type { EngineWorklet } from '$lib/audio/engine/EngineWorklet';
+import { MidiInputManager } from '$lib/audio/utils/midiInput';
+import { engineStore } from './engineStore';
+import { selectionStore } from './selectionStore';
+import { projectStore } from './projectStore';
+import { getPatternInstruments } from '$lib/utils/patternUtils';
+import { midiRecordStore } from './midiRecordStore';
+
+export interface MidiInputState {
+	enabled: boolean;
+	inputs: string[]; // Names of connected MIDI inputs
+	error: string | null;
+}
+
+function getEngine(): EngineWorklet | null {
+	let engine: EngineWorklet | null = null;
+	engineStore.subscribe((e) => (engine = e))();
+	return engine;
+}
+
+/**
+ * Engine track ID of the selected instrument (what live notes play)
+ * Pattern instruments use __pattern_{patternId}_{instrumentId}; a selected pattern with no
+ * instrument selected falls back to its first instrument
+ */
+export function getSelectedEngineTrackId(): string | null {
+	let selection: any = null;
+	selectionStore.subscribe((s) => (selection = s))();
+	if (!selection) return null;
+
+	if (selection.selectedPatternId) {
+		if (selection.selectedInstrumentId) {
+			return `__pattern_${selection.selectedPatternId}_${selection.selectedInstrumentId}`;
+		}
+		let project: any = null;
+		projectStore.subscribe((p) => (project = p))();
+		const pattern = project?.patterns?.find((p: any) => p.id === selection.selectedPatternId);
+		const first = pattern ? getPatternInstruments(pattern)[0] : null;
+		return first ? `__pattern_${pattern.id}_${first.id}` : null;
+	}
+
+	return selection.selectedTrackId ?? null;
+}
+
+/**
+ * Play a short note on an instrument (e.g. when a leaf is clicked)
+ */
+export function auditionNote(trackId: string, pitch: number, velocity: number = 1, lengthMs: number = 250) {
+	const engine = getEngine();
+	if (!engine) return;
+	engine.noteOn(trackId, pitch, velocity);
+	setTimeout(() => engine.noteOff(trackId, pitch), lengthMs);
+}
+
+function createMidiInputStore() {
+	const { subscribe, set, update } = writable<MidiInputState>({
+		enabled: false,
+		inputs: [],
+		error: null
+	});
+
+	let manager: MidiInputManager | null = null;
+	// Track each held pitch was sent to, so note-off reaches it even if the selection changed
+	const heldTracks = new Map<number, string>();
+
+	const releaseAll = () => {
+		const engine = getEngine();
+		for (const [pitch, trackId] of heldTracks) {
+			engine?.noteOff(trackId, pitch);
+		}
+		heldTracks.clear();
+	};
+
+	const handlers = {
+		onNoteOn: (pitch: number, velocity: number) => {
+			const engine = getEngine();
+			// While recording, play the armed instrument rather than whatever is selected
+			const trackId = midiRecordStore.getArmedTrackId() ?? getSelectedEngineTrackId();
+			if (!engine || !trackId) return;
+
+			const previous = heldTracks.get(pitch);
+			if (previous && previous !== trackId) {
+				engine.noteOff(previous, pitch);
+			}
+			heldTracks.set(pitch, trackId);
+			engine.noteOn(trackId, pitch, velocity);
+			midiRecordStore.recordNote(pitch, velocity);
+		},
+		onNoteOff: (pitch: number) => {
+			const trackId = heldTracks.get(pitch);
+			if (!trackId) return;
+			heldTracks.delete(pitch);
+			getEngine()?.noteOff(trackId, pitch);
+		},
+		onInputsChanged: (inputs: string[]) => {
+			update((state) => ({ ...state, inputs }));
+		}
+	};
+
+	const disable = () => {
+		manager?.stop();
+		manager = null;
+		releaseAll();
+		set({ enabled: false, inputs: [], error: null });
+	};
+
+	const enable = async () => {
+		if (manager) return;
+		manager = new MidiInputManager(handlers);
+		try {
+			const inputs = await manager.start();
+			set({ enabled: true, inputs, error: null });
+		} catch (error) {
+			manager = null;
+			set({ enabled: false, inputs: [], error: error instanceof Error ? error.message : 'MIDI access was denied' });
+		}
+	};
+
+	return {
+		subscribe,
+		enable,
+		disable,
+		toggle: () => (manager ? disable() : enable())
+	};
+}
+
+export const midiInputStore = createMidiInputStore();
@@ -0,0 +1,228 @@
+import { writable } from 'svelte/store';
+import type { EngineWorklet } from '$lib/audio/engine/EngineWorklet';
+import type { PatternNode } from '$lib/types/pattern';
+import { engineStore } from './engineStore';
+import { selectionStore } from './selectionStore';
+import { projectStore } from './projectStore';
+import { viewStore, type ViewMode } from './viewStore';
+import { getPatternInstruments } from '$lib/utils/patternUtils';
+import { updateEnginePatternTree } from '$lib/utils/patternTreeUpdater';
+import {
+	getLeafTimings,
+	quantizeToLeaf,
+	isRecordGrid,
+	buildRecordGrid,
+	type RecordMode
+} from '$lib/utils/midiRecording';
+
+export interface MidiRecordState {
+	armed: { patternId: string; instrumentId: string } | null; // Pattern instrument notes are recorded into
+	mode: RecordMode;
+	grid: number | null; // Steps per pattern to record onto, null = the existing tree
+	stepIndex: number; // Next target in step mode
+	stepCount: number; // Number of step targets (0 until the first step note)
+}
+
+function getEngine(): EngineWorklet | null {
+	let engine: EngineWorklet | null = null;
+	engineStore.subscribe((e) => (engine = e))();
+	return engine;
+}
+
+function createMidiRecordStore() {
+	const { subscribe, update } = writable<MidiRecordState>({
+		armed: null,
+		mode: 'realtime',
+		grid: null,
+		stepIndex: 0,
+		stepCount: 0
+	});
+
+	let state: MidiRecordState;
+	subscribe((s) => (state = s));
+
+	// Leaf IDs step input walks through, captured on the first step note
+	let stepTargets: string[] = [];
+
+	const resetSteps = () => {
+		stepTargets = [];
+		update((s) => ({ ...s, stepIndex: 0, stepCount: 0 }));
+	};
+
+	const getArmedInstrument = () => {
+		if (!state.armed) return null;
+		const pattern = projectStore.getPattern(state.armed.patternId);
+		const instrument = pattern
+			? getPatternInstruments(pattern).find((inst) => inst.id === state.armed?.instrumentId)
+			: null;
+		return pattern && instrument?.patternTree ? { pattern, instrument } : null;
+	};
+
+	/**
+	 * Replace the tree with the chosen grid unless it already is one (existing notes move to their nearest step)
+	 * @returns The tree to record into
+	 */
+	const ensureGrid = (patternId: string, instrumentId: string, tree: PatternNode, baseMeter: number): PatternNode => {
+		if (!state.grid || isRecordGrid(tree, state.grid)) {
+			return tree;
+		}
+
+		const { velocities, pitches } = buildRecordGrid(tree, state.grid, baseMeter);
+		projectStore.fillPatternNode(patternId, tree.id, velocities, instrumentId);
+		const filled = getArmedInstrument()?.instrument.patternTree ?? tree;
+		filled.children.forEach((step, index) => {
+			const pitch = pitches[index];
+			if (pitch !== null && pitch !== step.pitch) {
+				projectStore.updatePatternNodePitch(patternId, step.id, pitch, instrumentId);
+			}
+		});
+		resetSteps();
+		return getArmedInstrument()?.instrument.patternTree ?? filled;
+	};
+
+	// One undo step per recorded note (including creating the grid)
+	const batched = (fn: () => void) => {
+		projectStore.startBatch();
+		try {
+			fn();
+		} finally {
+			projectStore.endBatch();
+		}
+	};
+
+	const writeNote = (patternId: string, instrumentId: string, nodeId: string, pitch: number, velocity: number) => {
+		projectStore.updatePatternNodePitch(patternId, nodeId, pitch, instrumentId);
+		projectStore.updatePatternNodeVelocity(patternId, nodeId, Math.round(velocity * 100) / 100, instrumentId);
+		updateEnginePatternTree(getEngine(), { patternId, instrumentId });
+	};
+
+	/**
+	 * Leaves step input fills: the selected leaves of the armed tree, or every leaf if none are selected
+	 */
+	const getStepTargets = (patternId: string, instrumentId: string, tree: PatternNode, baseMeter: number): string[] => {
+		let selection: any = null;
+		selectionStore.subscribe((s) => (selection = s))();
+		const leafIds = getLeafTimings(tree, baseMeter).map((leaf) => leaf.node.id);
+		const isArmedSelection = selection?.selectedPatternId === patternId && selection?.selectedInstrumentId === instrumentId;
+		const selected = isArmedSelection ? leafIds.filter((id) => selection.selectedNodes.has(id)) : [];
+		return selected.length > 0 ? selected : leafIds;
+	};
+
+	const recordRealtime = (pitch: number, velocity: number) => {
+		const engine = getEngine();
+		const armed = getArmedInstrument();
+		if (!engine || !armed || !engine.isTransportPlaying()) return;
+
+		// Only the pattern loop maps playback position onto the armed pattern
+		let viewMode = 'arrangement' as ViewMode;
+		viewStore.subscribe((v) => (viewMode = v))();
+		if (viewMode !== 'pattern') return;
+
+		const { pattern, instrument } = armed;
+		const baseMeter = pattern.baseMeter || 4;
+		// Nothing to quantize onto in an empty tree unless a grid is chosen
+		if (!state.grid && getLeafTimings(instrument.patternTree, baseMeter).length === 0) return;
+
+		// Notes during the count-in aren't recorded; ones just before the downbeat land on it
+		const beat = engine.getPlaybackBeat();
+		if (beat < -0.5) return;
+		const position = ((beat % baseMeter) + baseMeter) % baseMeter;
+		batched(() => {
+			const tree = ensureGrid(pattern.id, instrument.id, instrument.patternTree, baseMeter);
+			const leaf = quantizeToLeaf(getLeafTimings(tree, baseMeter), position, baseMeter);
+			if (leaf) {
+				writeNote(pattern.id, instrument.id, leaf.node.id, pitch, velocity);
+			}
+		});
+	};
+
+	const recordStep = (pitch: number, velocity: number) => {
+		const armed = getArmedInstrument();
+		if (!armed) return;
+
+		const { pattern, instrument } = armed;
+		const baseMeter = pattern.baseMeter || 4;
+		// Nothing to fill in an empty tree unless a grid is chosen
+		if (!state.grid && getLeafTimings(instrument.patternTree, baseMeter).length === 0) return;
+
+		let index = 0;
+		batched(() => {
+			const tree = ensureGrid(pattern.id, instrument.id, instrument.patternTree, baseMeter);
+
+			// Recapture targets if the tree changed under us (e.g. a target leaf was deleted)
+			const leafIds = new Set(getLeafTimings(tree, baseMeter).map((leaf) => leaf.node.id));
+			if (stepTargets.length === 0 || stepTargets.some((id) => !leafIds.has(id))) {
+				stepTargets = getStepTargets(pattern.id, instrument.id, tree, baseMeter);
+				update((s) => ({ ...s, stepIndex: 0, stepCount: stepTargets.length }));
+			}
+
+			index = state.stepIndex % stepTargets.length;
+			writeNote(pattern.id, instrument.id, stepTargets[index], pitch, velocity);
+		});
+
+		// Advance and select the next target so the canvas shows where the next note goes
+		const nextIndex = (index + 1) % stepTargets.length;
+		update((s) => ({ ...s, stepIndex: nextIndex }));
+		selectionStore.selectNode(stepTargets[nextIndex], null, false, false, pattern.id, instrument.id);
+	};
+
+	return {
+		subscribe,
+		/**
+		 * Arm the selected pattern instrument (or the selected pattern's first instrument)
+		 * @returns false if no pattern is selected
+		 */
+		arm: (): boolean => {
+			let selection: any = null;
+			selectionStore.subscribe((s) => (selection = s))();
+			const pattern = selection?.selectedPatternId ? projectStore.getPattern(selection.selectedPatternId) : null;
+			if (!pattern) return false;
+			const instruments = getPatternInstruments(pattern);
+			const instrument = instruments.find((inst) => inst.id === selection.selectedInstrumentId) ?? instruments[0];
+			if (!instrument) return false;
+
+			stepTargets = [];
+			update((s) => ({ ...s, armed: { patternId: pattern.id, instrumentId: instrument.id }, stepIndex: 0, stepCount: 0 }));
+			return true;
+		},
+		disarm: () => {
+			stepTargets = [];
+			update((s) => ({ ...s, armed: null, stepIndex: 0, stepCount: 0 }));
+		},
+		setMode: (mode: RecordMode) => {
+			update((s) => ({ ...s, mode }));
+			resetSteps();
+		},
+		setGrid: (grid: number | null) => {
+			update((s) => ({ ...s, grid }));
+			resetSteps();
+		},
+		/**
+		 * Engine track ID of the armed instrument, so live notes play what is being recorded
+		 */
+		getArmedTrackId: (): string | null => {
+			return state.armed ? `__pattern_${state.armed.patternId}_${state.armed.instrumentId}` : null;
+		},
+		/**
+		 * Record a played note into the armed instrument
+		 * Real-time: quantized to the leaf nearest the playhead (pattern view, while playing)
+		 * Step: fills the next target leaf in time order and advances
+		 */
+		recordNote: (pitch: number, velocity: number) => {
+			if (!state.armed) return;
+			if (!getArmedInstrument()) {
+				// Armed instrument was deleted
+				stepTargets = [];
+				update((s) => ({ ...s, armed: null, stepIndex: 0, stepCount: 0 }));
+				return;
+			}
+			if (state.mode === 'step') {
+				recordStep(pitch, velocity);
+			} else {
+				recordRealtime(pitch, velocity);
+			}
+		}
+	};
+}
+
+export const midiRecordStore = createMidiRecordStore();
@@ -10,12 +10,13 @@ export function createEffectsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 			
 			// Default settings based on type
 			const defaultSettings: Record<string, Record<string, any>> = {
-				reverb: { roomSize: 0.7, dampening: 0.5, wet: 0.5, dry: 0.5 },
-				delay: { time: 0.25, feedback: 0.5, wet: 0.5, dry: 0.5 },
+				reverb: { roomSize: 0.7, dampening: 0.5, wet: 0.5, dry: 0.5, width: 1 },
+				delay: { time: 0.25, feedback: 0.5, wet: 0.5, dry: 0.5, width: 1, mode: 'stereo', taps: 3, sync: false, syncNote: 8, syncFeel: 'straight', syncTuplet: 3 },
 				filter: { type: 'lowpass', frequency: 0.5, resonance: 0.5 },
 				distortion: { amount: 0.3, drive: 0.5 },
-				compressor: { threshold: 0.7, ratio: 4, attack: 0.01, release: 0.1 },
-				chorus: { rate: 0.5, depth: 0.6, delay: 0.02, wet: 0.5 },
+				compressor: { threshold: 0.7, ratio: 4, attack: 0.01, release: 0.1, sidechain: '' },
+				ducker: { rate: 1, depth: 0.8, release: 0.6, curve: 0.5 },
+				chorus: { rate: 0.5, depth: 0.6, delay: 0.02, wet: 0.5, width: 1, sync: false, syncNote: 1, syncFeel: 'straight', syncTuplet: 3 },
 				saturator: { amount: 0.3, drive: 0.5, tone: 0.5, wet: 0.5 },
 				equalizer: { 
 					lowGain: 0, midGain: 0, highGain: 0,
@@ -67,7 +68,18 @@ export function createEffectsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 				if (!project) return project;
 				return {
 					...project,
-					effects: (project.effects || []).filter((e: Effect) => e.id !== effectId)
+					effects: (project.effects || []).filter((e: Effect) => e.id !== effectId),
+					// Drop the effect from every instrument's insert chain too
+					patterns: (project.patterns || []).map((pattern) => {
+						const usesEffect = (pattern.instruments || []).some((inst) => inst.inserts?.some((insert) => insert.effectId === effectId));
+						if (!usesEffect) return pattern;
+						return {
+							...pattern,
+							instruments: pattern.instruments.map((inst) =>
+								inst.inserts ? { ...inst, inserts: inst.inserts.filter((insert) => insert.effectId !== effectId) } : inst
+							)
+						};
+					})
 				};
 			});
 		}
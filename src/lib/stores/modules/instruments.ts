@@ -1,6 +1,7 @@
 import type { Project } from '../projectStore.types';
-import type { StandaloneInstrument, PatternNode } from '$lib/types/pattern';
+import type { StandaloneInstrument, PatternNode, TrigCondition } from '$lib/types/pattern';
 import type { UpdateFn, GetCurrent } from './types';
+import { buildFillChildren } from '$lib/utils/rhythmFill';
 
 /**
  * Standalone Instrument Management Module
@@ -327,6 +328,30 @@ export function createInstrumentsModule(updateFn: UpdateFn, getCurrent: GetCurre
 				};
 			});
 		},
+		// Replace a node's children with one equal-division step per velocity (0 = muted step)
+		fillNode: (instrumentId: string, nodeId: string, steps: number[]) => {
+			updateFn((project) => {
+				if (!project) return project;
+				return {
+					...project,
+					standaloneInstruments: project.standaloneInstruments.map((instrument) => {
+						if (instrument.id !== instrumentId) return instrument;
+						
+						const fill = (node: PatternNode): PatternNode => {
+							if (node.id === nodeId) {
+								return { ...node, children: buildFillChildren(node, steps) };
+							}
+							return { ...node, children: node.children.map(fill) };
+						};
+						
+						return {
+							...instrument,
+							patternTree: fill(instrument.patternTree)
+						};
+					})
+				};
+			});
+		},
 		// Delete node and all its children
 		deleteNode: (instrumentId: string, nodeId: string) => {
 			updateFn((project) => {
@@ -496,6 +521,72 @@ export function createInstrumentsModule(updateFn: UpdateFn, getCurrent: GetCurre
 				};
 			});
 		},
+		// Update node trig probability/condition (and inherit to all children), null condition clears it
+		updateNodeTrig: (instrumentId: string, nodeId: string, trig: { probability?: number; condition?: TrigCondition | null }) => {
+			updateFn((project) => {
+				if (!project) return project;
+				return {
+					...project,
+					standaloneInstruments: project.standaloneInstruments.map((instrument) => {
+						if (instrument.id !== instrumentId) return instrument;
+						
+						const updateNode = (node: PatternNode): PatternNode => {
+							if (node.id === nodeId) {
+								const updateChildren = (n: PatternNode): PatternNode => ({
+									...n,
+									probability: trig.probability !== undefined ? trig.probability : n.probability,
+									condition: trig.condition !== undefined ? trig.condition ?? undefined : n.condition,
+									children: n.children.map(updateChildren)
+								});
+								return updateChildren(node);
+							}
+							return {
+								...node,
+								children: node.children.map(updateNode)
+							};
+						};
+						
+						return {
+							...instrument,
+							patternTree: updateNode(instrument.patternTree)
+						};
+					})
+				};
+			});
+		},
+		// Update node ratchet count/velocity decay (and inherit to all children)
+		updateNodeRatchet: (instrumentId: string, nodeId: string, ratchet: { ratchet?: number; ratchetDecay?: number }) => {
+			updateFn((project) => {
+				if (!project) return project;
+				return {
+					...project,
+					standaloneInstruments: project.standaloneInstruments.map((instrument) => {
+						if (instrument.id !== instrumentId) return instrument;
+						
+						const updateNode = (node: PatternNode): PatternNode => {
+							if (node.id === nodeId) {
+								const updateChildren = (n: PatternNode): PatternNode => ({
+									...n,
+									ratchet: ratchet.ratchet !== undefined ? ratchet.ratchet : n.ratchet,
+									ratchetDecay: ratchet.ratchetDecay !== undefined ? ratchet.ratchetDecay : n.ratchetDecay,
+									children: n.children.map(updateChildren)
+								});
+								return updateChildren(node);
+							}
+							return {
+								...node,
+								children: node.children.map(updateNode)
+							};
+						};
+						
+						return {
+							...instrument,
+							patternTree: updateNode(instrument.patternTree)
+						};
+					})
+				};
+			});
+		},
 		// Update node ADSR parameters
 		updateNodeADSR: (instrumentId: string, nodeId: string, adsr: { attack?: number; decay?: number; sustain?: number; release?: number }) => {
 			updateFn((project) => {
@@ -1,7 +1,8 @@
 import type { Project } from '../projectStore.types';
-import type { Pattern, PatternNode, Instrument, StandaloneInstrument } from '$lib/types/pattern';
-import { normalizePattern, getPatternInstruments } from '$lib/utils/patternUtils';
+import type { Pattern, PatternNode, Instrument, StandaloneInstrument, TrigCondition } from '$lib/types/pattern';
+import { getPatternInstruments } from '$lib/utils/patternUtils';
 import type { UpdateFn, GetCurrent } from './types';
+import { buildFillChildren } from '$lib/utils/rhythmFill';
 
 /**
  * Pattern Management Module
@@ -11,12 +12,7 @@ import type { UpdateFn, GetCurrent } from './types';
 export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent) {
 	return {
 		/**
-		 * Helper: Convert legacy pattern (single instrument) to new format (instruments array)
-		 * Delegates to shared utility function
-		 */
-		normalizePattern,
-		/**
-		 * Get all instruments from a pattern (handles both new and legacy formats)
+		 * Get all instruments from a pattern
 		 * Delegates to shared utility function
 		 */
 		getPatternInstruments,
@@ -39,21 +35,7 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 				createdAt: now,
 				updatedAt: now,
 				// Start with empty instruments array - no default instruments
-				instruments: [],
-				// LEGACY: Keep single instrument fields empty for backward compatibility
-				instrumentType: '',
-				patternTree: {
-					id: crypto.randomUUID(),
-					division: 4,
-					x: 0,
-					y: 0,
-					children: []
-				},
-				settings: {},
-				instrumentSettings: undefined,
-				color: '#7ab8ff',
-				volume: 1.0,
-				pan: 0.0
+				instruments: []
 			};
 		},
 		addPattern: (pattern: Pattern) => {
@@ -73,7 +55,7 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					};
 				};
 				
-				// Deep copy instruments array if present
+				// Deep copy instruments array
 				const deepCopyInstruments = (instruments: Instrument[]): Instrument[] => {
 					return instruments.map(inst => ({
 						...inst,
@@ -88,17 +70,7 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 				
 				const independentPattern: Pattern = {
 					...pattern,
-					// Deep copy instruments array if present
-					instruments: pattern.instruments && Array.isArray(pattern.instruments) 
-						? deepCopyInstruments(pattern.instruments)
-						: undefined,
-					// Legacy: deep copy patternTree if present (for backward compatibility)
-					patternTree: pattern.patternTree ? deepCopyPatternTree(pattern.patternTree) : undefined,
-					settings: { ...pattern.settings },
-					instrumentSettings: pattern.instrumentSettings ? Object.keys(pattern.instrumentSettings).reduce((acc, key) => {
-						acc[key] = { ...pattern.instrumentSettings![key] };
-						return acc;
-					}, {} as Record<string, Record<string, unknown>>) : undefined
+					instruments: deepCopyInstruments(pattern.instruments || [])
 				};
 				
 				return {
@@ -134,7 +106,7 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					return JSON.parse(JSON.stringify(settings));
 				};
 				
-				// Get all instruments from pattern (handles both new and legacy formats)
+				// Get all instruments from pattern
 				const patternInstruments = getPatternInstruments(patternToCopy);
 				
 				// Deep copy all instruments with new IDs
@@ -155,7 +127,8 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 						volume: instrument.volume,
 						pan: instrument.pan,
 						mute: instrument.mute ?? false,
-						solo: instrument.solo ?? false
+						solo: instrument.solo ?? false,
+						inserts: instrument.inserts?.map((insert) => ({ ...insert }))
 					};
 				});
 				
@@ -170,21 +143,7 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					solo: patternToCopy.solo ?? false,
 					createdAt: now,
 					updatedAt: now,
-					instruments: duplicatedInstruments,
-					// Legacy fields for backward compatibility
-					instrumentType: '',
-					patternTree: {
-						id: crypto.randomUUID(),
-						division: 4,
-						x: 0,
-						y: 0,
-						children: []
-					},
-					settings: {},
-					instrumentSettings: undefined,
-					color: '#7ab8ff',
-					volume: 1.0,
-					pan: 0.0
+					instruments: duplicatedInstruments
 				};
 				
 				// Add the duplicated pattern to the project
@@ -200,7 +159,7 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 			updateFn((project) => {
 				if (!project) return project;
 				
-				// Deep copy patternTree if it's being updated to prevent reference sharing
+				// Deep copy instrument trees being updated to prevent reference sharing
 				const deepCopyPatternTree = (node: PatternNode): PatternNode => {
 					return {
 						...node,
@@ -222,22 +181,9 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 				};
 				
 				const processedUpdates = { ...updates };
-				if (updates.patternTree) {
-					processedUpdates.patternTree = deepCopyPatternTree(updates.patternTree);
-				}
 				if (updates.instruments && Array.isArray(updates.instruments)) {
 					processedUpdates.instruments = deepCopyInstruments(updates.instruments);
 				}
-				// Deep copy settings and instrumentSettings to prevent reference sharing
-				if (updates.settings) {
-					processedUpdates.settings = { ...updates.settings };
-				}
-				if (updates.instrumentSettings) {
-					processedUpdates.instrumentSettings = Object.keys(updates.instrumentSettings).reduce((acc, key) => {
-						acc[key] = { ...updates.instrumentSettings![key] };
-						return acc;
-					}, {} as Record<string, Record<string, unknown>>);
-				}
 				
 				const updatedPatterns = (project.patterns || []).map((pattern) =>
 					pattern.id === patternId 
@@ -263,12 +209,10 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					patterns: (project.patterns || []).map((pattern) => {
 						if (pattern.id !== patternId) return pattern;
 						
-						// Normalize pattern to ensure it has instruments array
-						const normalized = normalizePattern(pattern);
-						const instruments = [...(normalized.instruments || []), instrument];
+						const instruments = [...(pattern.instruments || []), instrument];
 						
 						return {
-							...normalized,
+							...pattern,
 							instruments,
 							updatedAt: Date.now()
 						};
@@ -287,12 +231,10 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					patterns: (project.patterns || []).map((pattern) => {
 						if (pattern.id !== patternId) return pattern;
 						
-						// Normalize pattern to ensure it has instruments array
-						const normalized = normalizePattern(pattern);
-						const instruments = (normalized.instruments || []).filter(inst => inst.id !== instrumentId);
+						const instruments = (pattern.instruments || []).filter(inst => inst.id !== instrumentId);
 						
 						return {
-							...normalized,
+							...pattern,
 							instruments,
 							updatedAt: Date.now()
 						};
@@ -311,14 +253,12 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					patterns: (project.patterns || []).map((pattern) => {
 						if (pattern.id !== patternId) return pattern;
 						
-						// Normalize pattern to ensure it has instruments array
-						const normalized = normalizePattern(pattern);
-						const instruments = (normalized.instruments || []).map(inst => 
+						const instruments = (pattern.instruments || []).map(inst => 
 							inst.id === instrumentId ? { ...inst, ...updates } : inst
 						);
 						
 						return {
-							...normalized,
+							...pattern,
 							instruments,
 							updatedAt: Date.now()
 						};
@@ -389,7 +329,8 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					volume: instrumentToCopy.volume,
 					pan: instrumentToCopy.pan,
 					mute: instrumentToCopy.mute ?? false,
-					solo: instrumentToCopy.solo ?? false
+					solo: instrumentToCopy.solo ?? false,
+					inserts: instrumentToCopy.inserts?.map((insert) => ({ ...insert }))
 				};
 				
 				// Add the new instrument to the pattern
@@ -398,12 +339,10 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					patterns: (project.patterns || []).map((p: Pattern) => {
 						if (p.id !== patternId) return p;
 						
-						// Normalize pattern to ensure it has instruments array
-						const normalized = normalizePattern(p);
-						const instruments = [...(normalized.instruments || []), newInstrument];
+						const instruments = [...(p.instruments || []), newInstrument];
 						
 						return {
-							...normalized,
+							...p,
 							instruments,
 							updatedAt: Date.now()
 						};
@@ -516,16 +455,13 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					patterns: (project.patterns || []).map((pattern) => {
 						if (pattern.id !== patternId) return pattern;
 						
-						// If instrumentId is provided, update that instrument's tree
-						if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-							const instruments = pattern.instruments.map(inst =>
-								inst.id === instrumentId ? { ...inst, patternTree } : inst
-							);
-							return { ...pattern, instruments, updatedAt: Date.now() };
-						}
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
 						
-						// Legacy: update pattern directly (for backward compatibility during transition)
-						return { ...pattern, patternTree, updatedAt: Date.now() };
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId ? { ...inst, patternTree } : inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
 					})
 				};
 			});
@@ -548,22 +484,15 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 							};
 						};
 						
-						// If instrumentId is provided, update that instrument's tree
-						if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-							const instruments = pattern.instruments.map(inst =>
-								inst.id === instrumentId 
-									? { ...inst, patternTree: updateNode(inst.patternTree) }
-									: inst
-							);
-							return { ...pattern, instruments, updatedAt: Date.now() };
-						}
-						
-						// Legacy: update pattern directly
-						return {
-							...pattern,
-							patternTree: updateNode(pattern.patternTree || { id: crypto.randomUUID(), division: 4, children: [] }),
-							updatedAt: Date.now()
-						};
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: updateNode(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
 					})
 				};
 			});
@@ -588,11 +517,8 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 						
 						// Get the tree to search
 						const getTree = (): PatternNode | null => {
-							if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-								const instrument = pattern.instruments.find(inst => inst.id === instrumentId);
-								return instrument?.patternTree || null;
-							}
-							return pattern.patternTree || null;
+							const instrument = pattern.instruments.find(inst => inst.id === instrumentId);
+							return instrument?.patternTree || null;
 						};
 						
 						const tree = getTree();
@@ -621,22 +547,15 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 							};
 						};
 						
-						// If instrumentId is provided, update that instrument's tree
-						if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-							const instruments = pattern.instruments.map(inst =>
-								inst.id === instrumentId 
-									? { ...inst, patternTree: updateNode(inst.patternTree) }
-									: inst
-							);
-							return { ...pattern, instruments, updatedAt: Date.now() };
-						}
-						
-						// Legacy: update pattern directly
-						return {
-							...pattern,
-							patternTree: updateNode(pattern.patternTree || { id: crypto.randomUUID(), division: 4, children: [] }),
-							updatedAt: Date.now()
-						};
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: updateNode(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
 					})
 				};
 			});
@@ -665,22 +584,15 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 							};
 						};
 						
-						// If instrumentId is provided, update that instrument's tree
-						if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-							const instruments = pattern.instruments.map(inst =>
-								inst.id === instrumentId 
-									? { ...inst, patternTree: updateNode(inst.patternTree) }
-									: inst
-							);
-							return { ...pattern, instruments, updatedAt: Date.now() };
-						}
-						
-						// Legacy: update pattern directly
-						return {
-							...pattern,
-							patternTree: updateNode(pattern.patternTree || { id: crypto.randomUUID(), division: 4, children: [] }),
-							updatedAt: Date.now()
-						};
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: updateNode(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
 					})
 				};
 			});
@@ -703,22 +615,15 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 							};
 						};
 						
-						// If instrumentId is provided, update that instrument's tree
-						if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-							const instruments = pattern.instruments.map(inst =>
-								inst.id === instrumentId 
-									? { ...inst, patternTree: updateNode(inst.patternTree) }
-									: inst
-							);
-							return { ...pattern, instruments, updatedAt: Date.now() };
-						}
-						
-						// Legacy: update pattern directly
-						return {
-							...pattern,
-							patternTree: updateNode(pattern.patternTree || { id: crypto.randomUUID(), division: 4, children: [] }),
-							updatedAt: Date.now()
-						};
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: updateNode(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
 					})
 				};
 			});
@@ -747,22 +652,96 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 							};
 						};
 						
-						// If instrumentId is provided, update that instrument's tree
-						if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-							const instruments = pattern.instruments.map(inst =>
-								inst.id === instrumentId 
-									? { ...inst, patternTree: updateNode(inst.patternTree) }
-									: inst
-							);
-							return { ...pattern, instruments, updatedAt: Date.now() };
-						}
-						
-						// Legacy: update pattern directly
-						return {
-							...pattern,
-							patternTree: updateNode(pattern.patternTree || { id: crypto.randomUUID(), division: 4, children: [] }),
-							updatedAt: Date.now()
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: updateNode(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
+					})
+				};
+			});
+		},
+		/**
+		 * Set trig probability and/or condition on a node and all its children (leaves are what play)
+		 * A null condition clears it so the node plays on every loop
+		 */
+		updatePatternNodeTrig: (patternId: string, nodeId: string, trig: { probability?: number; condition?: TrigCondition | null }, instrumentId?: string | null) => {
+			updateFn((project) => {
+				if (!project) return project;
+				return {
+					...project,
+					patterns: (project.patterns || []).map((pattern) => {
+						if (pattern.id !== patternId) return pattern;
+						
+						const updateNode = (node: PatternNode): PatternNode => {
+							if (node.id === nodeId) {
+								const updateChildren = (n: PatternNode): PatternNode => ({
+									...n,
+									probability: trig.probability !== undefined ? trig.probability : n.probability,
+									condition: trig.condition !== undefined ? trig.condition ?? undefined : n.condition,
+									children: n.children.map(updateChildren)
+								});
+								return updateChildren(node);
+							}
+							return {
+								...node,
+								children: node.children.map(updateNode)
+							};
 						};
+						
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: updateNode(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
+					})
+				};
+			});
+		},
+		/**
+		 * Set ratchet count and/or velocity decay on a node and all its children (leaves are what play)
+		 */
+		updatePatternNodeRatchet: (patternId: string, nodeId: string, ratchet: { ratchet?: number; ratchetDecay?: number }, instrumentId?: string | null) => {
+			updateFn((project) => {
+				if (!project) return project;
+				return {
+					...project,
+					patterns: (project.patterns || []).map((pattern) => {
+						if (pattern.id !== patternId) return pattern;
+						
+						const updateNode = (node: PatternNode): PatternNode => {
+							if (node.id === nodeId) {
+								const updateChildren = (n: PatternNode): PatternNode => ({
+									...n,
+									ratchet: ratchet.ratchet !== undefined ? ratchet.ratchet : n.ratchet,
+									ratchetDecay: ratchet.ratchetDecay !== undefined ? ratchet.ratchetDecay : n.ratchetDecay,
+									children: n.children.map(updateChildren)
+								});
+								return updateChildren(node);
+							}
+							return {
+								...node,
+								children: node.children.map(updateNode)
+							};
+						};
+						
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: updateNode(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
 					})
 				};
 			});
@@ -837,22 +816,47 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 							};
 						};
 						
-						// If instrumentId is provided, update that instrument's tree
-						if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-							const instruments = pattern.instruments.map(inst =>
-								inst.id === instrumentId 
-									? { ...inst, patternTree: addChild(inst.patternTree) }
-									: inst
-							);
-							return { ...pattern, instruments, updatedAt: Date.now() };
-						}
-						
-						// Legacy: update pattern directly
-						return {
-							...pattern,
-							patternTree: addChild(pattern.patternTree || { id: crypto.randomUUID(), division: 4, children: [] }),
-							updatedAt: Date.now()
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: addChild(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
+					})
+				};
+			});
+		},
+		/**
+		 * Replace a node's children with one equal-division step per velocity (0 = muted step)
+		 * Used by the rhythm fill (Euclidean/random/pattern string) context menu action
+		 */
+		fillPatternNode: (patternId: string, nodeId: string, steps: number[], instrumentId?: string | null) => {
+			updateFn((project) => {
+				if (!project) return project;
+				return {
+					...project,
+					patterns: (project.patterns || []).map((pattern) => {
+						if (pattern.id !== patternId) return pattern;
+						
+						const fill = (node: PatternNode): PatternNode => {
+							if (node.id === nodeId) {
+								return { ...node, children: buildFillChildren(node, steps) };
+							}
+							return { ...node, children: node.children.map(fill) };
 						};
+						
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
+						
+						const instruments = pattern.instruments.map(inst =>
+							inst.id === instrumentId 
+								? { ...inst, patternTree: fill(inst.patternTree) }
+								: inst
+						);
+						return { ...pattern, instruments, updatedAt: Date.now() };
 					})
 				};
 			});
@@ -875,52 +879,28 @@ export function createPatternsModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 							};
 						};
 						
-						// If instrumentId is provided, update that instrument's tree
-						if (instrumentId && pattern.instruments && Array.isArray(pattern.instruments)) {
-							const instruments = pattern.instruments.map(inst => {
-								if (inst.id !== instrumentId) return inst;
-								const newTree = deleteNode(inst.patternTree);
-								if (!newTree) {
-									// If root was deleted, create a new empty root
-									return {
-										...inst,
-										patternTree: {
-											id: crypto.randomUUID(),
-											division: pattern.baseMeter || 4,
-											x: 0,
-											y: 0,
-											children: []
-										}
-									};
-								}
-								return { ...inst, patternTree: newTree };
-							});
-							return { ...pattern, instruments, updatedAt: Date.now() };
-						}
-						
-						// Legacy: update pattern directly
-						const patternTree = pattern.patternTree || { id: crypto.randomUUID(), division: 4, children: [] };
-						const newTree = deleteNode(patternTree);
-						if (!newTree) {
-							// If root was deleted, create a new empty root
-							return {
-								...pattern,
-								patternTree: {
-									id: crypto.randomUUID(),
-									division: pattern.baseMeter || 4,
-									x: 0,
-									y: 0,
-									children: []
-								},
-								updatedAt: Date.now()
-							};
-						}
+						// Trees live on the pattern's instruments; nothing to update without one
+						if (!instrumentId) return pattern;
 						
-						return {
-							...pattern,
-							patternTree: newTree,
-							updatedAt: Date.now()
-						};
+						const instruments = pattern.instruments.map(inst => {
+							if (inst.id !== instrumentId) return inst;
+							const newTree = deleteNode(inst.patternTree);
+							if (!newTree) {
+								// If root was deleted, create a new empty root
+								return {
+									...inst,
+									patternTree: {
+										id: crypto.randomUUID(),
+										division: pattern.baseMeter || 4,
+										x: 0,
+										y: 0,
+										children: []
+									}
+								};
+							}
+							return { ...inst, patternTree: newTree };
+						});
+						return { ...pattern, instruments, updatedAt: Date.now() };
 					})
 				};
 			});
@@ -1,11 +1,12 @@
 import type { Project } from '../projectStore.types';
-import type { TimelineTrack, TimelineClip } from '../projectStore.types';
+import type { TimelineTrack, TimelineClip, TimelineAudioClip, TimelineMarker, TempoMap, TempoChange, MeterChange, MixerBus, TrackSend } from '../projectStore.types';
 import type { TimelineEffect, TimelineEnvelope } from '$lib/types/effects';
 import type { UpdateFn, GetCurrent } from './types';
+import { insertSection, deleteSection, duplicateSection, MARKER_COLORS, type SectionEditResult } from '$lib/utils/timelineSections';
 
 /**
  * Timeline Management Module
- * Handles timeline tracks, clips, effects, and envelopes
+ * Handles timeline tracks, clips, audio clips, effects, and envelopes
  */
 
 // Performance limits to prevent excessive data
@@ -13,6 +14,29 @@ const MAX_TIMELINE_LENGTH = 10000; // Maximum timeline length in beats
 const MAX_CLIPS_PER_TRACK = 500; // Maximum clips per track
 const MAX_TOTAL_CLIPS = 2000; // Maximum total clips across all tracks
 
+function applySectionEdit(project: Project, edit: SectionEditResult): Project {
+	return {
+		...project,
+		timeline: edit.timeline,
+		automation: edit.automation
+	};
+}
+
+function withTempoMap(project: Project, update: (tempoMap: TempoMap) => TempoMap): Project {
+	const timeline = project.timeline || { tracks: [], clips: [], effects: [], envelopes: [], totalLength: 64 };
+	const tempoMap = update({ tempos: timeline.tempoMap?.tempos || [], meters: timeline.tempoMap?.meters || [] });
+	return {
+		...project,
+		timeline: {
+			...timeline,
+			tempoMap: {
+				tempos: [...tempoMap.tempos].sort((a, b) => a.beat - b.beat),
+				meters: [...tempoMap.meters].sort((a, b) => a.beat - b.beat)
+			}
+		}
+	};
+}
+
 export function createTimelineModule(updateFn: UpdateFn, getCurrent: GetCurrent) {
 	return {
 		// Timeline clip management
@@ -109,6 +133,71 @@ export function createTimelineModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 				};
 			});
 		},
+		// Timeline audio clip management (samples on audio tracks)
+		addTimelineAudioClip: (clip: TimelineAudioClip) => {
+			updateFn((project) => {
+				if (!project) return project;
+				const timeline = project.timeline || { tracks: [], clips: [], effects: [], envelopes: [], totalLength: 64 };
+				const currentClips = timeline.audioClips || [];
+				
+				// Performance check: Limit clips per track
+				if (currentClips.filter((c: TimelineAudioClip) => c.trackId === clip.trackId).length >= MAX_CLIPS_PER_TRACK) {
+					console.warn(`[Timeline] Maximum clips per track limit reached (${MAX_CLIPS_PER_TRACK}) for track ${clip.trackId}. Cannot add more clips.`);
+					return project;
+				}
+				
+				// Performance check: Limit timeline length
+				const newEndBeat = clip.startBeat + clip.duration;
+				if (newEndBeat > MAX_TIMELINE_LENGTH) {
+					console.warn(`[Timeline] Maximum timeline length reached (${MAX_TIMELINE_LENGTH} beats). Cannot add clip beyond this limit.`);
+					return project;
+				}
+				
+				return {
+					...project,
+					timeline: {
+						...timeline,
+						audioClips: [...currentClips, clip],
+						totalLength: Math.min(Math.max(timeline.totalLength, newEndBeat), MAX_TIMELINE_LENGTH)
+					}
+				};
+			});
+		},
+		updateTimelineAudioClip: (clipId: string, updates: Partial<TimelineAudioClip>) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.audioClips) return project;
+				const clip = project.timeline.audioClips.find((c: TimelineAudioClip) => c.id === clipId);
+				if (!clip) return project;
+				
+				const updatedClip = { ...clip, ...updates };
+				if (updatedClip.startBeat + updatedClip.duration > MAX_TIMELINE_LENGTH) {
+					console.warn(`[Timeline] Cannot move/resize clip beyond maximum timeline length (${MAX_TIMELINE_LENGTH} beats).`);
+					updatedClip.startBeat = Math.min(updatedClip.startBeat, Math.max(0, MAX_TIMELINE_LENGTH - updatedClip.duration));
+					updatedClip.duration = Math.min(updatedClip.duration, MAX_TIMELINE_LENGTH - updatedClip.startBeat);
+				}
+				
+				return {
+					...project,
+					timeline: {
+						...project.timeline,
+						audioClips: project.timeline.audioClips.map((c: TimelineAudioClip) => (c.id === clipId ? updatedClip : c)),
+						totalLength: Math.min(Math.max(project.timeline.totalLength, updatedClip.startBeat + updatedClip.duration), MAX_TIMELINE_LENGTH)
+					}
+				};
+			});
+		},
+		deleteTimelineAudioClip: (clipId: string) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.audioClips) return project;
+				return {
+					...project,
+					timeline: {
+						...project.timeline,
+						audioClips: project.timeline.audioClips.filter((clip: TimelineAudioClip) => clip.id !== clipId)
+					}
+				};
+			});
+		},
 		updateTimelineLength: (length: number) => {
 			updateFn((project) => {
 				if (!project) return project;
@@ -129,6 +218,184 @@ export function createTimelineModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 				};
 			});
 		},
+		// Loop region management
+		setLoopRegion: (startBeat: number, endBeat: number) => {
+			updateFn((project) => {
+				if (!project) return project;
+				const timeline = project.timeline || { tracks: [], clips: [], effects: [], envelopes: [], totalLength: 64 };
+				
+				const start = Math.max(0, Math.min(startBeat, endBeat));
+				const end = Math.min(Math.max(startBeat, endBeat), MAX_TIMELINE_LENGTH);
+				if (end <= start) return project;
+				
+				return {
+					...project,
+					timeline: {
+						...timeline,
+						loopRegion: { startBeat: start, endBeat: end, enabled: true }
+					}
+				};
+			});
+		},
+		setLoopEnabled: (enabled: boolean) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.loopRegion) return project;
+				if (project.timeline.loopRegion.enabled === enabled) return project;
+				
+				return {
+					...project,
+					timeline: {
+						...project.timeline,
+						loopRegion: { ...project.timeline.loopRegion, enabled }
+					}
+				};
+			});
+		},
+		// Marker management
+		addTimelineMarker: (beat: number, name?: string): TimelineMarker | null => {
+			const project = getCurrent();
+			if (!project) return null;
+			const markers: TimelineMarker[] = project.timeline?.markers || [];
+			const marker: TimelineMarker = {
+				id: crypto.randomUUID(),
+				beat: Math.max(0, beat),
+				name: name || `Marker ${markers.length + 1}`,
+				color: MARKER_COLORS[markers.length % MARKER_COLORS.length]
+			};
+			updateFn((project) => {
+				if (!project) return project;
+				const timeline = project.timeline || { tracks: [], clips: [], effects: [], envelopes: [], totalLength: 64 };
+				return {
+					...project,
+					timeline: {
+						...timeline,
+						markers: [...(timeline.markers || []), marker]
+					}
+				};
+			});
+			return marker;
+		},
+		updateTimelineMarker: (markerId: string, updates: Partial<Omit<TimelineMarker, 'id'>>) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.markers) return project;
+				return {
+					...project,
+					timeline: {
+						...project.timeline,
+						markers: project.timeline.markers.map((marker: TimelineMarker) =>
+							marker.id === markerId ? { ...marker, ...updates } : marker
+						)
+					}
+				};
+			});
+		},
+		deleteTimelineMarker: (markerId: string) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.markers) return project;
+				return {
+					...project,
+					timeline: {
+						...project.timeline,
+						markers: project.timeline.markers.filter((marker: TimelineMarker) => marker.id !== markerId)
+					}
+				};
+			});
+		},
+		// Tempo map: tempo and meter changes (a new change replaces one at the same beat)
+		addTempoChange: (beat: number, bpm: number, ramp: boolean = false): TempoChange => {
+			const change: TempoChange = { id: crypto.randomUUID(), beat: Math.max(0, beat), bpm: Math.max(20, Math.min(999, bpm)), ramp };
+			updateFn((project) => {
+				if (!project) return project;
+				return withTempoMap(project, (tempoMap) => ({
+					...tempoMap,
+					tempos: [...tempoMap.tempos.filter((tempo) => tempo.beat !== change.beat), change]
+				}));
+			});
+			return change;
+		},
+		updateTempoChange: (changeId: string, updates: Partial<Omit<TempoChange, 'id'>>) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.tempoMap) return project;
+				return withTempoMap(project, (tempoMap) => ({
+					...tempoMap,
+					tempos: tempoMap.tempos.map((tempo) =>
+						tempo.id === changeId
+							? {
+									...tempo,
+									...updates,
+									beat: Math.max(0, updates.beat ?? tempo.beat),
+									bpm: Math.max(20, Math.min(999, updates.bpm ?? tempo.bpm))
+								}
+							: tempo
+					)
+				}));
+			});
+		},
+		deleteTempoChange: (changeId: string) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.tempoMap) return project;
+				return withTempoMap(project, (tempoMap) => ({
+					...tempoMap,
+					tempos: tempoMap.tempos.filter((tempo) => tempo.id !== changeId)
+				}));
+			});
+		},
+		addMeterChange: (beat: number, numerator: number, denominator: number): MeterChange => {
+			const change: MeterChange = { id: crypto.randomUUID(), beat: Math.max(0, beat), numerator, denominator };
+			updateFn((project) => {
+				if (!project) return project;
+				return withTempoMap(project, (tempoMap) => ({
+					...tempoMap,
+					meters: [...tempoMap.meters.filter((meter) => meter.beat !== change.beat), change]
+				}));
+			});
+			return change;
+		},
+		updateMeterChange: (changeId: string, updates: Partial<Omit<MeterChange, 'id'>>) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.tempoMap) return project;
+				return withTempoMap(project, (tempoMap) => ({
+					...tempoMap,
+					meters: tempoMap.meters.map((meter) => (meter.id === changeId ? { ...meter, ...updates } : meter))
+				}));
+			});
+		},
+		deleteMeterChange: (changeId: string) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.tempoMap) return project;
+				return withTempoMap(project, (tempoMap) => ({
+					...tempoMap,
+					meters: tempoMap.meters.filter((meter) => meter.id !== changeId)
+				}));
+			});
+		},
+		// Section editing: moves clips, audio clips, effect/envelope clips, automation, markers and the loop region after the edit
+		insertTimelineSection: (atBeat: number, length: number) => {
+			updateFn((project) => {
+				if (!project || !project.timeline || length <= 0) return project;
+				if (project.timeline.totalLength + length > MAX_TIMELINE_LENGTH) {
+					console.warn(`[Timeline] Cannot insert section beyond maximum timeline length (${MAX_TIMELINE_LENGTH} beats).`);
+					return project;
+				}
+				return applySectionEdit(project, insertSection(project.timeline, project.automation, atBeat, length, project.bpm));
+			});
+		},
+		deleteTimelineSection: (startBeat: number, endBeat: number) => {
+			updateFn((project) => {
+				if (!project || !project.timeline || endBeat <= startBeat) return project;
+				return applySectionEdit(project, deleteSection(project.timeline, project.automation, startBeat, endBeat, project.bpm));
+			});
+		},
+		duplicateTimelineSection: (startBeat: number, endBeat: number) => {
+			updateFn((project) => {
+				if (!project || !project.timeline || endBeat <= startBeat) return project;
+				if (project.timeline.totalLength + (endBeat - startBeat) > MAX_TIMELINE_LENGTH) {
+					console.warn(`[Timeline] Cannot duplicate section beyond maximum timeline length (${MAX_TIMELINE_LENGTH} beats).`);
+					return project;
+				}
+				return applySectionEdit(project, duplicateSection(project.timeline, project.automation, startBeat, endBeat, project.bpm));
+			});
+		},
 		// Timeline effect management
 		addTimelineEffect: (effect: TimelineEffect) => {
 			updateFn((project) => {
@@ -253,22 +520,24 @@ export function createTimelineModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 		},
 		/**
 		 * Create a TRACK (TimelineTrack) - the actual track in arrangement view
-		 * Tracks are where patterns, effects, and envelopes are manipulated to create songs.
+		 * Tracks are where patterns, samples, effects, and envelopes are manipulated to create songs.
 		 * Tracks exist ONLY in the arrangement view timeline editor.
 		 */
-		createTimelineTrack: (type: 'pattern' | 'effect' | 'envelope', patternId?: string, name?: string): TimelineTrack => {
+		createTimelineTrack: (type: TimelineTrack['type'], patternId?: string, name?: string): TimelineTrack => {
 			const now = Date.now();
 			const defaultNames = {
 				pattern: 'Pattern Track',
 				effect: 'Effect Track',
-				envelope: 'Envelope Track'
+				envelope: 'Envelope Track',
+				audio: 'Audio Track'
 			};
 			
 			// Default colors for each track type
 			const defaultColors = {
 				pattern: '#7ab8ff', // Blue
 				effect: '#9b59b6', // Purple
-				envelope: '#2ecc71' // Green
+				envelope: '#2ecc71', // Green
+				audio: '#f39c12' // Orange
 			};
 			
 			// Get order number based on track type
@@ -276,9 +545,9 @@ export function createTimelineModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 			const existingTracks: TimelineTrack[] = project?.timeline?.tracks || [];
 			
 			let order: number;
-			if (type === 'pattern') {
-				// Pattern tracks go at the top - use negative or low positive numbers
-				const patternTracks = existingTracks.filter((t: TimelineTrack) => t.type === 'pattern');
+			if (type === 'pattern' || type === 'audio') {
+				// Pattern and audio tracks go at the top - use negative or low positive numbers
+				const patternTracks = existingTracks.filter((t: TimelineTrack) => t.type === 'pattern' || t.type === 'audio');
 				if (patternTracks.length === 0) {
 					order = 0; // First pattern track
 				} else {
@@ -323,11 +592,12 @@ export function createTimelineModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 		deleteTimelineTrack: (trackId: string) => {
 			updateFn((project) => {
 				if (!project || !project.timeline) return project;
-				// Also remove all clips/effects/envelopes that belong to this track
+				// Also remove all clips/audio clips/effects/envelopes that belong to this track
 				const updatedTimeline = {
 					...project.timeline,
 					tracks: (project.timeline.tracks || []).filter((track: TimelineTrack) => track.id !== trackId),
 					clips: (project.timeline.clips || []).filter((clip: TimelineClip) => clip.trackId !== trackId),
+					audioClips: (project.timeline.audioClips || []).filter((clip: TimelineAudioClip) => clip.trackId !== trackId),
 					effects: (project.timeline.effects || []).filter((effect: TimelineEffect) => effect.trackId !== trackId),
 					envelopes: (project.timeline.envelopes || []).filter((envelope: TimelineEnvelope) => envelope.trackId !== trackId)
 				};
@@ -351,6 +621,96 @@ export function createTimelineModule(updateFn: UpdateFn, getCurrent: GetCurrent)
 					timeline: updatedTimeline
 				};
 			});
+		},
+		// Mixer buses: group buses and send/return buses
+		addMixerBus: (type: MixerBus['type'], name?: string): MixerBus | null => {
+			const project = getCurrent();
+			if (!project) return null;
+			const sameType = (project.timeline?.buses || []).filter((bus: MixerBus) => bus.type === type);
+			const bus: MixerBus = {
+				id: crypto.randomUUID(),
+				type,
+				name: name || `${type === 'group' ? 'Group' : 'Return'} ${sameType.length + 1}`,
+				volume: 1.0,
+				mute: false,
+				effectIds: [],
+				createdAt: Date.now()
+			};
+			updateFn((project) => {
+				if (!project) return project;
+				const timeline = project.timeline || { tracks: [], clips: [], effects: [], envelopes: [], totalLength: 64 };
+				return {
+					...project,
+					timeline: {
+						...timeline,
+						buses: [...(timeline.buses || []), bus]
+					}
+				};
+			});
+			return bus;
+		},
+		updateMixerBus: (busId: string, updates: Partial<Omit<MixerBus, 'id' | 'type'>>) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.buses) return project;
+				return {
+					...project,
+					timeline: {
+						...project.timeline,
+						buses: project.timeline.buses.map((bus: MixerBus) =>
+							bus.id === busId ? { ...bus, ...updates } : bus
+						)
+					}
+				};
+			});
+		},
+		deleteMixerBus: (busId: string) => {
+			updateFn((project) => {
+				if (!project || !project.timeline?.buses) return project;
+				// Tracks routed to the bus go back to the master; sends to it are dropped
+				return {
+					...project,
+					timeline: {
+						...project.timeline,
+						buses: project.timeline.buses.filter((bus: MixerBus) => bus.id !== busId),
+						tracks: (project.timeline.tracks || []).map((track: TimelineTrack) => {
+							if (track.busId !== busId && !track.sends?.some((send: TrackSend) => send.busId === busId)) return track;
+							const { busId: _busId, ...rest } = track;
+							const sends = (track.sends || []).filter((send: TrackSend) => send.busId !== busId);
+							return {
+								...(track.busId === busId ? rest : track),
+								sends: sends.length > 0 ? sends : undefined
+							};
+						})
+					}
+				};
+			});
+		},
+		/**
+		 * Set (or with null, remove) a track's send to a return bus
+		 */
+		setTimelineTrackSend: (trackId: string, busId: string, send: Omit<TrackSend, 'busId'> | null) => {
+			updateFn((project) => {
+				if (!project || !project.timeline) return project;
+				return {
+					...project,
+					timeline: {
+						...project.timeline,
+						tracks: (project.timeline.tracks || []).map((track: TimelineTrack) => {
+							if (track.id !== trackId) return track;
+							const others = (track.sends || []).filter((existing: TrackSend) => existing.busId !== busId);
+							let sends = others;
+							if (send) {
+								const updated: TrackSend = { busId, level: Math.max(0, Math.min(1, send.level)), preFader: send.preFader || undefined };
+								// Keep an existing send in place so the list doesn't reorder while a level is dragged
+								sends = track.sends?.some((existing: TrackSend) => existing.busId === busId)
+									? track.sends.map((existing: TrackSend) => (existing.busId === busId ? updated : existing))
+									: [...others, updated];
+							}
+							return { ...track, sends: sends.length > 0 ? sends : undefined };
+						})
+					}
+				};
+			});
 		}
 	};
 }
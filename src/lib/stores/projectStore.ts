@@ -3,7 +3,7 @@ import type { Project } from './projectStore.types';
 import { cloneProject } from './projectStore.helpers';
 
 // Export types from centralized location
-export type { Project, Timeline, TimelineTrack, TimelineClip } from './projectStore.types';
+export type { Project, Timeline, TimelineTrack, TimelineClip, TimelineAudioClip, MixerBus, TrackSend } from './projectStore.types';
 export { cloneProject, deepCopySettings } from './projectStore.helpers';
 
 // Import modules
@@ -7,14 +7,15 @@ import type { Effect, Envelope } from '$lib/types/effects';
  * This is the actual "Track" - where patterns, effects, and envelopes are manipulated
  * to create songs. Tracks exist ONLY in the arrangement view timeline editor.
  * 
- * Tracks can be of three types:
+ * Tracks can be of four types:
  * - 'pattern': Displays and plays patterns (which contain instruments)
  * - 'effect': Displays and applies effects
  * - 'envelope': Displays and applies envelopes
+ * - 'audio': Displays and plays recorded samples (vocals, loops)
  */
 export interface TimelineTrack {
 	id: string;
-	type: 'pattern' | 'effect' | 'envelope';
+	type: 'pattern' | 'effect' | 'envelope' | 'audio';
 	name: string;
 	patternId?: string; // For pattern tracks, which pattern this track displays/plays
 	order: number; // Display order
@@ -23,6 +24,32 @@ export interface TimelineTrack {
 	solo?: boolean; // Track solo state
 	color?: string; // Track header color
 	collapsed?: boolean; // Track collapsed state (1/4 height when true)
+	busId?: string; // Group bus this track plays through (pattern/audio tracks; master when unset)
+	sends?: TrackSend[]; // Sends to return buses
+	createdAt: number;
+}
+
+/**
+ * TrackSend - A copy of a track's signal sent to a return bus
+ */
+export interface TrackSend {
+	busId: string; // Return bus
+	level: number; // Send level (0.0 to 1.0)
+	preFader?: boolean; // Take the signal before the track volume instead of after it
+}
+
+/**
+ * MixerBus - A stereo bus in the arrangement mixer
+ * Group buses take the output of the tracks routed to them; return buses take sends.
+ * Both run their insert effects (in order) on the summed signal, then go to the master.
+ */
+export interface MixerBus {
+	id: string;
+	type: 'group' | 'return';
+	name: string;
+	volume?: number; // Bus volume (0.0 to 2.0, default 1.0)
+	mute?: boolean;
+	effectIds?: string[]; // Insert effects (project effect definitions)
 	createdAt: number;
 }
 
@@ -37,6 +64,26 @@ export interface TimelineClip {
 	startBeat: number; // When to start playing (in beats from timeline start)
 	duration: number; // How long to play (in beats) - can be extended/contracted
 	offsetBeats?: number; // Offset into the pattern (start playing from a specific beat)
+	rate?: number; // Pattern beats per timeline beat (e.g. 1.5 plays the pattern 3:2 against the grid)
+	reverse?: boolean; // Play each loop of the pattern backwards
+	loopLength?: number; // Pattern beats per loop, overriding the pattern's baseMeter (cuts short or pads with silence)
+}
+
+/**
+ * TimelineAudioClip - A sample placed on an audio track
+ * The sample always plays at its own speed; duration only decides where it is cut off
+ */
+export interface TimelineAudioClip {
+	id: string;
+	sampleId: string; // Sample from sampleStorage
+	trackId: string; // Which audio track this clip belongs to
+	startBeat: number; // When the clip starts (in beats from timeline start)
+	duration: number; // How long the clip plays (in beats)
+	trimStart?: number; // Seconds skipped at the start of the sample
+	fadeIn?: number; // Fade-in length in seconds
+	fadeOut?: number; // Fade-out length in seconds
+	gain?: number; // Clip gain (0.0 to 2.0, default 1.0)
+	fileName?: string; // Sample name shown on the clip
 }
 
 /**
@@ -44,11 +91,65 @@ export interface TimelineClip {
  * Contains tracks where patterns, effects, and envelopes are arranged to create songs
  */
 export interface Timeline {
-	tracks: TimelineTrack[]; // Timeline tracks (pattern, effect, envelope tracks) - these are the actual "Tracks"
+	tracks: TimelineTrack[]; // Timeline tracks (pattern, effect, envelope, audio tracks) - these are the actual "Tracks"
 	clips: TimelineClip[]; // Clips of patterns placed on tracks
+	audioClips?: TimelineAudioClip[]; // Samples placed on audio tracks
 	effects: import('$lib/types/effects').TimelineEffect[]; // Effects placed on timeline
 	envelopes: import('$lib/types/effects').TimelineEnvelope[]; // Envelopes placed on timeline
 	totalLength: number; // Total timeline length in beats
+	loopRegion?: LoopRegion; // Arrangement playback loop
+	markers?: TimelineMarker[]; // Named positions (song sections), in any order
+	tempoMap?: TempoMap; // Tempo and meter changes (project.bpm and 4/4 apply until the first change)
+	buses?: MixerBus[]; // Group and return buses
+}
+
+/**
+ * TempoChange - A tempo change on the arrangement
+ * A step change jumps to bpm at beat; a ramp glides from the previous tempo and reaches bpm at beat
+ */
+export interface TempoChange {
+	id: string;
+	beat: number;
+	bpm: number;
+	ramp: boolean;
+}
+
+/**
+ * MeterChange - A time signature change; a new bar starts at beat
+ */
+export interface MeterChange {
+	id: string;
+	beat: number;
+	numerator: number;
+	denominator: number; // Note value of one beat (4 = quarter, 8 = eighth)
+}
+
+/**
+ * TempoMap - The arrangement's tempo/meter track (beats are always quarter notes)
+ */
+export interface TempoMap {
+	tempos: TempoChange[];
+	meters: MeterChange[];
+}
+
+/**
+ * TimelineMarker - A named position on the arrangement (e.g. "Verse", "Chorus")
+ * Its section runs to the next marker, or the end of the timeline
+ */
+export interface TimelineMarker {
+	id: string;
+	beat: number;
+	name: string;
+	color: string;
+}
+
+/**
+ * LoopRegion - Range of the arrangement that playback repeats while enabled
+ */
+export interface LoopRegion {
+	startBeat: number;
+	endBeat: number;
+	enabled: boolean;
 }
 
 /**
@@ -56,6 +157,7 @@ export interface Timeline {
  */
 export interface Project {
 	id: string;
+	schemaVersion?: number; // Data shape version, see projectMigrations.ts
 	title: string;
 	bpm: number;
 	standaloneInstruments: StandaloneInstrument[]; // Standalone instruments for arrangement editing (NOT tracks - tracks are TimelineTrack)
@@ -16,6 +16,24 @@ export interface PatternNode {
 	decay?: number; // Decay time in seconds, leaf nodes only
 	sustain?: number; // Sustain level (0-1), leaf nodes only
 	release?: number; // Release time in seconds, leaf nodes only
+	ratchet?: number; // Repeats of the hit spread evenly over the leaf's duration (1-8, default 1), leaf nodes only
+	ratchetDecay?: number; // Velocity lost on each repeat (0-1, 0 = all repeats equal), leaf nodes only
+	probability?: number; // Chance to play on each pass (0-1, default 1), leaf nodes only
+	condition?: TrigCondition; // Which pattern loops the node plays on, leaf nodes only
+}
+
+/**
+ * Trig condition (Elektron-style) - decides which passes of a pattern a leaf plays on
+ * - ratio: plays on loop a of every b (1:4 = first of every 4 loops, 2:2 = every other loop)
+ * - first: plays only on the first loop after playback starts
+ * - fill: plays only while fill mode is on
+ * negate inverts the condition (e.g. not on fill)
+ */
+export interface TrigCondition {
+	type: 'ratio' | 'first' | 'fill';
+	a?: number; // Ratio: loop to play on (1-based)
+	b?: number; // Ratio: cycle length in loops
+	negate?: boolean;
 }
 
 /**
@@ -32,6 +50,48 @@ export interface AudioEvent {
 	decay?: number; // Decay time in seconds
 	sustain?: number; // Sustain level (0-1)
 	release?: number; // Release time in seconds
+	probability?: number; // Chance to play (0-1), evaluated by the worklet's EventScheduler
+	condition?: TrigCondition; // Trig condition, evaluated by the worklet's EventScheduler
+	iteration?: number; // Which repetition of its pattern the event belongs to (for trig conditions)
+	iterationsPerLoop?: number; // Pattern repetitions per transport loop in pattern view
+	patternId?: string; // Pattern the event came from (arrangement clips)
+}
+
+/**
+ * One step of a groove template
+ */
+export interface GrooveStep {
+	timing: number; // Offset from the grid position as a fraction of a step (-0.5 to 0.5)
+	velocity: number; // Relative velocity change (-1 to 1, 0 = unchanged)
+}
+
+/**
+ * GROOVE TEMPLATE - Timing and velocity offsets for each grid step
+ * The steps repeat every steps.length * subdivision beats
+ */
+export interface GrooveTemplate {
+	name: string;
+	subdivision: number; // Step length in beats (0.25 = 16ths)
+	steps: GrooveStep[];
+}
+
+/**
+ * GROOVE - Swing and template offsets applied to events after the tree is flattened
+ */
+export interface GrooveSettings {
+	swing?: number; // Share of each step pair taken by the first step, in percent (50 = straight, 66.7 = triplet, 75 = dotted)
+	swingSubdivision?: number; // Swung step length in beats (0.5 = 8ths, 0.25 = 16ths)
+	template?: GrooveTemplate;
+	amount?: number; // How strongly the template is applied (0-1, default 1)
+}
+
+/**
+ * INSERT - One slot in an instrument's effect chain, pointing at a project Effect definition
+ */
+export interface InstrumentInsert {
+	id: string; // Unique within the chain
+	effectId: string; // Effect definition the slot runs
+	bypass?: boolean; // Skipped while true
 }
 
 /**
@@ -53,6 +113,8 @@ export interface Instrument {
 	pan: number;
 	mute?: boolean; // Instrument mute state
 	solo?: boolean; // Instrument solo state
+	groove?: GrooveSettings; // Overrides the pattern's groove when set
+	inserts?: InstrumentInsert[]; // Effect chain in processing order, applied in pattern and arrangement view
 }
 
 /**
@@ -61,8 +123,8 @@ export interface Instrument {
  * Patterns are bins that store a bunch of instruments. All instruments in a pattern
  * play simultaneously. Patterns can be loaded into timeline tracks in arrangement view.
  * 
- * Backward compatibility: If `instruments` array is not present, treat the pattern
- * as having a single instrument using the legacy fields (instrumentType, patternTree, etc.)
+ * Older projects stored a single instrument directly on the pattern; those are
+ * upgraded to an instruments array by the project migrations on load/import.
  */
 export interface Pattern {
 	id: string;
@@ -71,20 +133,10 @@ export interface Pattern {
 	baseMeter: number; // Base meter/division for this pattern (default loop length)
 	mute?: boolean; // Pattern mute state
 	solo?: boolean; // Pattern solo state
+	groove?: GrooveSettings; // Groove for every instrument without its own
 	createdAt: number; // Timestamp
 	updatedAt: number; // Timestamp
-	
-	// NEW: Array of instruments (preferred)
-	instruments?: Instrument[];
-	
-	// LEGACY: Single instrument fields (for backward compatibility)
-	instrumentType?: string; // Legacy: single instrument type
-	patternTree?: PatternNode; // Legacy: single instrument pattern tree
-	settings?: Record<string, any>; // Legacy: single instrument settings
-	instrumentSettings?: Record<string, Record<string, any>>; // Legacy: single instrument settings
-	color?: string; // Legacy: single instrument color
-	volume?: number; // Legacy: single instrument volume
-	pan?: number; // Legacy: single instrument pan
+	instruments: Instrument[];
 }
 
 /**
@@ -0,0 +1,13 @@
+export interface MetronomeSettings {
+	enabled: boolean; // Click while playing (the count-in plays either way)
+	volume: number; // 0-1
+	accent: boolean; // Higher, louder click on the first beat of each bar
+	countInBars: number; // Bars of clicks before playback starts (0 = no count-in)
+}
+
+export const DEFAULT_METRONOME_SETTINGS: MetronomeSettings = {
+	enabled: false,
+	volume: 0.5,
+	accent: true,
+	countInBars: 0
+};
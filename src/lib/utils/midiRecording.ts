@@ -0,0 +1,100 @@
+/**
+ * MIDI Recording
+ * Maps played notes onto pattern tree leaves: leaf timing, quantizing a loop position to
+ * the nearest leaf, and building an equal-step grid for recording into a fixed resolution.
+ * The recording state itself lives in midiRecordStore.
+ */
+
+import type { PatternNode } from '$lib/types/pattern';
+
+export type RecordMode = 'realtime' | 'step';
+
+// Grid resolutions offered for recording (steps per pattern); null = the existing tree
+export const RECORD_GRIDS: Array<{ value: number | null; label: string }> = [
+	{ value: null, label: 'Tree' },
+	{ value: 4, label: '4 steps' },
+	{ value: 8, label: '8 steps' },
+	{ value: 16, label: '16 steps' },
+	{ value: 32, label: '32 steps' }
+];
+
+export interface LeafTiming {
+	node: PatternNode;
+	time: number; // Start in beats within the pattern
+	duration: number; // Length in beats
+}
+
+/**
+ * Leaves of a pattern tree with their start and length, in time order
+ * Uses the same proportional division timing as flattenTrackPattern (before groove)
+ */
+export function getLeafTimings(root: PatternNode, baseMeter: number = 4): LeafTiming[] {
+	if (!root.children || root.children.length === 0) {
+		return []; // Empty pattern - the root is not a note
+	}
+
+	const leaves: LeafTiming[] = [];
+	const visit = (node: PatternNode, time: number, duration: number) => {
+		if (!node.children || node.children.length === 0) {
+			leaves.push({ node, time, duration });
+			return;
+		}
+		const totalDivision = node.children.reduce((sum, child) => sum + (child.division || 1), 0);
+		if (totalDivision === 0) return;
+		let childTime = time;
+		for (const child of node.children) {
+			const childDuration = duration * ((child.division || 1) / totalDivision);
+			visit(child, childTime, childDuration);
+			childTime += childDuration;
+		}
+	};
+	visit(root, 0, baseMeter);
+	return leaves;
+}
+
+/**
+ * Leaf whose start is closest to a loop position (in beats)
+ * Distances wrap around the pattern, so a note played just before the loop point lands on the first leaf
+ */
+export function quantizeToLeaf(leaves: LeafTiming[], position: number, patternLength: number): LeafTiming | null {
+	let closest: LeafTiming | null = null;
+	let closestDistance = Infinity;
+	for (const leaf of leaves) {
+		const distance = Math.abs(leaf.time - position);
+		const wrappedDistance = Math.min(distance, patternLength - distance);
+		if (wrappedDistance < closestDistance) {
+			closest = leaf;
+			closestDistance = wrappedDistance;
+		}
+	}
+	return closest;
+}
+
+/**
+ * Whether the root is already a flat grid of equal steps
+ */
+export function isRecordGrid(root: PatternNode, steps: number): boolean {
+	const children = root.children || [];
+	return children.length === steps && children.every((child) =>
+		(!child.children || child.children.length === 0) && (child.division || 1) === (children[0].division || 1)
+	);
+}
+
+/**
+ * Carry the existing notes over to a new grid: each audible leaf moves to its nearest step
+ * @returns Velocity and pitch per step (velocity 0 = rest, pitch null = inherit from the root)
+ */
+export function buildRecordGrid(root: PatternNode, steps: number, baseMeter: number = 4): { velocities: number[]; pitches: Array<number | null> } {
+	const velocities: number[] = new Array(steps).fill(0);
+	const pitches: Array<number | null> = new Array(steps).fill(null);
+	const stepLength = baseMeter / steps;
+
+	for (const leaf of getLeafTimings(root, baseMeter)) {
+		const velocity = leaf.node.velocity ?? 1.0;
+		if (velocity <= 0) continue;
+		const step = Math.round(leaf.time / stepLength) % steps;
+		velocities[step] = velocity;
+		pitches[step] = leaf.node.pitch ?? null;
+	}
+	return { velocities, pitches };
+}
@@ -9,7 +9,7 @@
 import type { Pattern, StandaloneInstrument, Instrument } from '$lib/types/pattern';
 import type { EngineWorklet } from '$lib/audio/engine/EngineWorklet';
 import { projectStore } from '$lib/stores/projectStore';
-import { flattenTrackPattern } from '$lib/audio/utils/eventFlatten';
+import { flattenTrackPattern, getEffectiveGroove } from '$lib/audio/utils/eventFlatten';
 
 export interface UpdateContext {
 	patternId?: string | null;
@@ -100,7 +100,7 @@ function updatePatternInstrument(
 	// Get baseMeter from pattern (always set, defaults to 4)
 	const baseMeter = pattern.baseMeter || 4;
 
-	engine.updatePatternTree(patternTrackId, instrument.patternTree, baseMeter);
+	engine.updatePatternTree(patternTrackId, instrument.patternTree, baseMeter, getEffectiveGroove(pattern, instrument));
 	return true;
 }
 
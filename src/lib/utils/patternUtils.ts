@@ -1,84 +1,19 @@
 /**
  * Pattern Utilities
  * Shared utilities for working with patterns and their instruments
- * Handles both new format (instruments array) and legacy format (single instrument)
  */
 
 import type { Pattern, Instrument } from '$lib/types/pattern';
 
+// Patterns don't have their own color; lists and clips use this one
+export const DEFAULT_PATTERN_COLOR = '#7ab8ff';
+
 /**
- * Get all instruments from a pattern (handles both new and legacy formats)
+ * Get all instruments from a pattern
  * This is the canonical way to extract instruments from a pattern
  */
 export function getPatternInstruments(pattern: Pattern): Instrument[] {
-	if (pattern.instruments && Array.isArray(pattern.instruments) && pattern.instruments.length > 0) {
-		return pattern.instruments;
-	}
-	
-	// Legacy format: convert single instrument
-	if (pattern.instrumentType && pattern.patternTree) {
-		return [{
-			id: pattern.id || crypto.randomUUID(),
-			instrumentType: pattern.instrumentType,
-			patternTree: pattern.patternTree,
-			settings: pattern.settings || {},
-			instrumentSettings: pattern.instrumentSettings,
-			color: pattern.color || '#7ab8ff',
-			volume: pattern.volume ?? 1.0,
-			pan: pattern.pan ?? 0.0,
-			mute: pattern.mute,
-			solo: pattern.solo
-		}];
-	}
-	
-	return [];
-}
-
-/**
- * Normalize a pattern to ensure it has an instruments array
- * Converts legacy format (single instrument) to new format (instruments array)
- * while preserving backward compatibility
- */
-export function normalizePattern(pattern: Pattern): Pattern {
-	// If already has instruments array, return as-is
-	if (pattern.instruments && Array.isArray(pattern.instruments) && pattern.instruments.length > 0) {
-		return pattern;
-	}
-	
-	// Convert legacy format to new format
-	if (pattern.instrumentType && pattern.patternTree) {
-		const instrument: Instrument = {
-			id: crypto.randomUUID(),
-			instrumentType: pattern.instrumentType,
-			patternTree: pattern.patternTree,
-			settings: pattern.settings || {},
-			instrumentSettings: pattern.instrumentSettings,
-			color: pattern.color || '#7ab8ff',
-			volume: pattern.volume ?? 1.0,
-			pan: pattern.pan ?? 0.0,
-			mute: pattern.mute,
-			solo: pattern.solo
-		};
-		
-		return {
-			...pattern,
-			instruments: [instrument],
-			// Keep legacy fields for backward compatibility during transition
-			instrumentType: pattern.instrumentType,
-			patternTree: pattern.patternTree,
-			settings: pattern.settings,
-			instrumentSettings: pattern.instrumentSettings,
-			color: pattern.color,
-			volume: pattern.volume,
-			pan: pattern.pan
-		};
-	}
-	
-	// No instruments, create empty array
-	return {
-		...pattern,
-		instruments: []
-	};
+	return Array.isArray(pattern.instruments) ? pattern.instruments : [];
 }
 
 /**
@@ -101,7 +36,9 @@ export function normalizeInstrument(inst: Partial<Instrument>): Instrument | nul
 		volume: inst.volume ?? 1.0,
 		pan: inst.pan ?? 0.0,
 		mute: inst.mute ?? false,
-		solo: inst.solo ?? false
+		solo: inst.solo ?? false,
+		groove: inst.groove,
+		inserts: Array.isArray(inst.inserts) ? inst.inserts : undefined
 	};
 }
 
@@ -5,8 +5,8 @@
  */
 
 import type { Pattern, Instrument } from '$lib/types/pattern';
-import { flattenTree } from '$lib/audio/utils/eventFlatten';
-import { getPatternInstruments, normalizeInstrument } from './patternUtils';
+import { flattenTree, getClipRate, getClipLoopLength, type ClipPlayback } from '$lib/audio/utils/eventFlatten';
+import { getPatternInstruments } from './patternUtils';
 import { 
 	VISUALIZATION_SAMPLE_RATE, 
 	MAX_WAVEFORM_WIDTH, 
@@ -24,6 +24,7 @@ import { getEnvelopeParams, calculateEnvelope } from './waveform/envelope';
  * @param duration - Duration in beats
  * @param bpm - BPM for time calculation
  * @param width - Width of the visualization in pixels
+ * @param playback - Clip rate, reverse, loop length and offset (see expandClipEvents)
  * @returns Array of amplitude values (0-1) for each pixel
  */
 export function generatePatternWaveform(
@@ -31,7 +32,8 @@ export function generatePatternWaveform(
 	duration: number,
 	bpm: number = 120,
 	width: number = 200,
-	trackVolume: number = 1.0
+	trackVolume: number = 1.0,
+	playback: Pick<ClipPlayback, 'rate' | 'reverse' | 'loopLength' | 'offsetBeats'> = {}
 ): number[] {
 	// Safety checks for edge cases (extreme zoom levels)
 	if (!pattern || duration <= 0 || width <= 0 || bpm <= 0) {
@@ -42,12 +44,7 @@ export function generatePatternWaveform(
 	const clampedWidth = Math.max(1, Math.min(width, MAX_WAVEFORM_WIDTH));
 	
 	// Get all instruments in the pattern using shared utility
-	const rawInstruments = getPatternInstruments(pattern);
-	
-	// Validate and normalize each instrument
-	const patternInstruments: Instrument[] = rawInstruments
-		.map(normalizeInstrument)
-		.filter((inst): inst is Instrument => inst !== null);
+	const patternInstruments: Instrument[] = getPatternInstruments(pattern);
 	
 	// Early return if no instruments
 	if (patternInstruments.length === 0) {
@@ -56,22 +53,23 @@ export function generatePatternWaveform(
 	
 	// Get base meter from pattern (defaults to 4)
 	const baseMeter = pattern.baseMeter || 4;
-	const patternLength = baseMeter; // Pattern length in beats
+	// Pattern beats per loop and pattern beats per timeline beat, as the engine plays the clip
+	const patternLength = getClipLoopLength(playback, baseMeter);
+	const rate = getClipRate(playback);
+	const loopBeats = patternLength / rate; // Timeline beats per loop
 	
 		// Pre-calculate pattern length in samples using exact floating point math
 		// This is critical for preventing drift when looping - NEVER round this value!
-		const patternLengthSeconds = (patternLength * 60) / bpm;
+		const patternLengthSeconds = (loopBeats * 60) / bpm;
 		const patternLengthSamplesExact = patternLengthSeconds * VISUALIZATION_SAMPLE_RATE;
 		
-		// Calculate how many complete pattern loops fit in the clip duration
-		const numCompleteLoops = Math.floor(duration / patternLength);
-		const remainderBeats = duration % patternLength;
+		// offsetBeats starts the clip that far into a loop, so the first loop begins before the clip
+		const offset = playback.offsetBeats || 0;
+		const phaseBeats = ((offset % loopBeats) + loopBeats) % loopBeats;
+		const phaseSamplesExact = ((phaseBeats * 60) / bpm) * VISUALIZATION_SAMPLE_RATE;
 		
-		// Calculate total samples from exact pattern loops to prevent drift
-		// Use exact floating point math throughout, only floor at the very end
-		const remainderSeconds = (remainderBeats * 60) / bpm;
-		const remainderSamplesExact = remainderSeconds * VISUALIZATION_SAMPLE_RATE;
-		const totalSamplesExact = (numCompleteLoops * patternLengthSamplesExact) + remainderSamplesExact;
+		// Use exact floating point math throughout, only round at the very end
+		const totalSamplesExact = ((duration * 60) / bpm) * VISUALIZATION_SAMPLE_RATE;
 		const totalSamples = Math.ceil(totalSamplesExact); // Use ceil to ensure we have enough samples
 	
 	// Safety check for extremely long durations
@@ -159,7 +157,7 @@ export function generatePatternWaveform(
 		baseEvents.sort((a, b) => a.time - b.time);
 		
 		// Filter out invalid events
-		const validEvents = baseEvents.filter(e => {
+		const cycleEvents = baseEvents.filter(e => {
 			const time = e.time;
 			return time >= 0 && 
 				time < patternLength && // Events at patternLength belong to next cycle
@@ -168,6 +166,13 @@ export function generatePatternWaveform(
 				isFinite(e.pitch ?? 60);
 		});
 		
+		// Into timeline beats: reversed notes start where their mirror image ends (at the next note)
+		const validEvents = cycleEvents.map((e) => {
+			const end = cycleEvents.find((next) => next.time > e.time)?.time ?? patternLength;
+			const time = playback.reverse ? patternLength - end : e.time;
+			return { ...e, time: time / rate };
+		});
+		
 		// If no valid events, skip this instrument entirely
 		if (validEvents.length === 0) {
 			continue;
@@ -350,44 +355,20 @@ export function generatePatternWaveform(
 		// STEP 2: Place the generated audio buffer at the correct times in the final amplitude array
 		// This prevents drift because we're copying the same audio, not recalculating it
 		
-		// Process complete loops
-		for (let loopIndex = 0; loopIndex < numCompleteLoops; loopIndex++) {
-			// Calculate exact loop start position using floating point, then floor
-			const loopStartSamplesExact = loopIndex * patternLengthSamplesExact;
-			const loopStartSample = Math.floor(loopStartSamplesExact);
+		// Each loop starts at an exact floating point position, floored once
+		for (let loopIndex = 0; loopIndex * patternLengthSamplesExact - phaseSamplesExact < totalSamples; loopIndex++) {
+			const loopStartSample = Math.floor(loopIndex * patternLengthSamplesExact - phaseSamplesExact);
 			
 			// Copy instrument buffer to the correct position
 			// CRITICAL: Only copy exactly patternCycleSamples samples (the exact pattern length)
 			// This ensures we don't copy any audio beyond the pattern boundary
 			const samplesToCopy = Math.min(patternCycleSamples, totalSamples - loopStartSample);
 			
-			for (let i = 0; i < samplesToCopy && i < patternCycleSamples; i++) {
-				const targetSample = loopStartSample + i;
-				if (targetSample >= 0 && targetSample < totalSamples) {
-					// Only add if the source buffer has actual audio (not just silence)
-					// This prevents adding zero values that might cause issues
-					const bufferValue = instrumentBuffer[i];
-					if (isFinite(bufferValue) && bufferValue !== 0) {
-						amplitude[targetSample] += bufferValue;
-					}
-				}
-			}
-		}
-		
-		// Process remainder (partial loop at the end)
-		if (remainderBeats > 0) {
-			const loopStartSamplesExact = numCompleteLoops * patternLengthSamplesExact;
-			const loopStartSample = Math.floor(loopStartSamplesExact);
-			
-			// Calculate how many samples we need for the remainder
-			const remainderSamples = Math.floor(remainderSamplesExact);
-			// CRITICAL: Only copy up to the remainder length, and never beyond patternCycleSamples
-			const samplesToCopy = Math.min(remainderSamples, patternCycleSamples, totalSamples - loopStartSample);
-			
 			for (let i = 0; i < samplesToCopy; i++) {
 				const targetSample = loopStartSample + i;
 				if (targetSample >= 0 && targetSample < totalSamples) {
 					// Only add if the source buffer has actual audio (not just silence)
+					// This prevents adding zero values that might cause issues
 					const bufferValue = instrumentBuffer[i];
 					if (isFinite(bufferValue) && bufferValue !== 0) {
 						amplitude[targetSample] += bufferValue;
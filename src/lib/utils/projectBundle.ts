@@ -0,0 +1,461 @@
+/**
+ * Portable project files (.dawd)
+ * A single JSON document holding the whole project plus the audio of every sample it uses,
+ * so projects can be backed up, shared or versioned outside Supabase
+ */
+
+import type { Project } from '$lib/stores/projectStore.types';
+import type { Pattern } from '$lib/types/pattern';
+import type { ProjectAutomation } from '$lib/types/effects';
+import { getPatternInstruments } from './patternUtils';
+import { deepCopy } from './deepCopy';
+import { downloadSampleFile, uploadSample } from './sampleStorage';
+import { saveProject } from './projectSaveLoad';
+import { migrateProject } from './projectMigrations';
+import { downloadBlob } from '$lib/audio/utils/audioExport';
+
+export const DAWD_FORMAT = 'dawd';
+export const DAWD_VERSION = 1;
+export const DAWD_EXTENSION = '.dawd';
+
+/**
+ * Sample audio carried by a bundle
+ * Embedded samples carry the original file as base64; referenced samples only
+ * point at the storage object and rely on the importer having access to it
+ */
+export interface DawdSample {
+	id: string;
+	fileName: string;
+	mimeType?: string;
+	duration?: number;
+	sampleRate?: number;
+	storagePath?: string;
+	data?: string; // base64
+}
+
+export interface DawdBundle {
+	format: typeof DAWD_FORMAT;
+	version: number;
+	exportedAt: string;
+	project: Project;
+	samples: DawdSample[];
+}
+
+export interface BundleExportOptions {
+	embedSamples?: boolean; // Include sample audio in the file (default true)
+}
+
+export interface BundleImportOptions {
+	projectId: string; // ID for the imported project
+	persist?: boolean; // Save to Supabase and upload embedded samples (requires sign-in)
+}
+
+/**
+ * Migrations from each bundle version to the next
+ * Version 0 is a bare project object, as kept in localStorage for sandbox projects
+ */
+const BUNDLE_MIGRATIONS: Record<number, (bundle: any) => any> = {
+	0: (project: any) => {
+		if (!isObject(project)) {
+			throw new Error('Invalid project file: expected a project object');
+		}
+		return {
+			format: DAWD_FORMAT,
+			version: 1,
+			exportedAt: new Date().toISOString(),
+			project,
+			samples: []
+		};
+	}
+};
+
+/**
+ * Bring a parsed bundle up to the current version
+ */
+function migrateBundle(raw: any): any {
+	let bundle = raw;
+	let version = raw?.format === DAWD_FORMAT ? Number(raw.version) : 0;
+
+	if (!Number.isInteger(version) || version < 0) {
+		throw new Error('Invalid project file: unknown version');
+	}
+	if (version > DAWD_VERSION) {
+		throw new Error(`This project file was created by a newer version of Dawduction (format v${version})`);
+	}
+
+	while (version < DAWD_VERSION) {
+		const migrate = BUNDLE_MIGRATIONS[version];
+		if (!migrate) {
+			throw new Error(`Cannot migrate project file from format v${version}`);
+		}
+		bundle = migrate(bundle);
+		version = bundle.version;
+	}
+	return bundle;
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateTree(node: any, path: string, errors: string[]): void {
+	if (!isObject(node) || typeof node.id !== 'string' || typeof node.division !== 'number' || !Array.isArray(node.children)) {
+		errors.push(`${path} is not a valid pattern node`);
+		return;
+	}
+	node.children.forEach((child: any, i: number) => validateTree(child, `${path}.children[${i}]`, errors));
+}
+
+/**
+ * Check the structure of a (migrated) bundle
+ * Returns a list of problems, empty when the bundle is usable
+ */
+export function validateBundle(bundle: any): string[] {
+	const errors: string[] = [];
+	if (!isObject(bundle) || !isObject(bundle.project)) {
+		return ['missing project'];
+	}
+
+	const project = bundle.project;
+	if (typeof project.title !== 'string') errors.push('project.title must be a string');
+	if (typeof project.bpm !== 'number' || !(project.bpm > 0)) errors.push('project.bpm must be a positive number');
+
+	for (const key of ['patterns', 'standaloneInstruments', 'effects', 'envelopes']) {
+		if (project[key] !== undefined && !Array.isArray(project[key])) {
+			errors.push(`project.${key} must be an array`);
+		}
+	}
+	if (errors.length > 0) return errors;
+
+	const patternIds = new Set<string>();
+	(project.patterns || []).forEach((pattern: any, i: number) => {
+		if (!isObject(pattern) || typeof pattern.id !== 'string') {
+			errors.push(`patterns[${i}] has no id`);
+			return;
+		}
+		patternIds.add(pattern.id);
+		if (!Array.isArray(pattern.instruments)) {
+			errors.push(`patterns[${i}].instruments must be an array`);
+			return;
+		}
+		getPatternInstruments(pattern as Pattern).forEach((instrument, j) => {
+			validateTree(instrument.patternTree, `patterns[${i}].instruments[${j}].patternTree`, errors);
+		});
+	});
+
+	(project.standaloneInstruments || []).forEach((instrument: any, i: number) => {
+		if (!isObject(instrument) || typeof instrument.id !== 'string') {
+			errors.push(`standaloneInstruments[${i}] has no id`);
+			return;
+		}
+		validateTree(instrument.patternTree, `standaloneInstruments[${i}].patternTree`, errors);
+	});
+
+	const effectIds = new Set((project.effects || []).map((effect: any) => effect?.id));
+	const envelopeIds = new Set((project.envelopes || []).map((envelope: any) => envelope?.id));
+
+	if (project.timeline !== undefined) {
+		const timeline = project.timeline;
+		if (!isObject(timeline) || !Array.isArray(timeline.tracks) || !Array.isArray(timeline.clips)) {
+			errors.push('timeline must have tracks and clips arrays');
+		} else {
+			const trackIds = new Set(timeline.tracks.map((track: any) => track?.id));
+			timeline.clips.forEach((clip: any, i: number) => {
+				if (!trackIds.has(clip?.trackId)) errors.push(`timeline.clips[${i}] references a missing track`);
+				if (!patternIds.has(clip?.patternId)) errors.push(`timeline.clips[${i}] references a missing pattern`);
+			});
+			(timeline.effects || []).forEach((effect: any, i: number) => {
+				if (!effectIds.has(effect?.effectId)) errors.push(`timeline.effects[${i}] references a missing effect`);
+			});
+			(timeline.envelopes || []).forEach((envelope: any, i: number) => {
+				if (!envelopeIds.has(envelope?.envelopeId)) errors.push(`timeline.envelopes[${i}] references a missing envelope`);
+			});
+		}
+	}
+
+	if (!Array.isArray(bundle.samples)) {
+		errors.push('samples must be an array');
+	} else {
+		bundle.samples.forEach((sample: any, i: number) => {
+			if (!isObject(sample) || typeof sample.id !== 'string') {
+				errors.push(`samples[${i}] has no id`);
+			} else if (sample.data !== undefined && typeof sample.data !== 'string') {
+				errors.push(`samples[${i}].data must be a base64 string`);
+			}
+		});
+	}
+
+	return errors;
+}
+
+/**
+ * Parse, migrate and validate the contents of a .dawd file
+ */
+export function parseProjectBundle(text: string): DawdBundle {
+	let raw: unknown;
+	try {
+		raw = JSON.parse(text);
+	} catch {
+		throw new Error('Invalid project file: not valid JSON');
+	}
+
+	const bundle = migrateBundle(raw);
+	if (isObject(bundle.project)) {
+		// The bundle format and the project schema are versioned separately
+		bundle.project = migrateProject(bundle.project);
+	}
+	const errors = validateBundle(bundle);
+	if (errors.length > 0) {
+		throw new Error(`Invalid project file: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+	}
+	return bundle as DawdBundle;
+}
+
+function bytesToBase64(bytes: Uint8Array): string {
+	let binary = '';
+	// Chunked so large samples don't overflow the argument limit of fromCharCode
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+function base64ToBytes(base64: string): Uint8Array {
+	const binary = atob(base64);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
+
+/**
+ * Every object in the project that can reference a sample by sampleId
+ * (standalone and pattern instrument settings, and audio clips on the timeline)
+ */
+function collectSampleReferences(project: Project): Record<string, any>[] {
+	const settings: Record<string, any>[] = [];
+	for (const instrument of project.standaloneInstruments || []) {
+		if (instrument.settings) settings.push(instrument.settings);
+	}
+	for (const pattern of project.patterns || []) {
+		for (const instrument of getPatternInstruments(pattern)) {
+			if (instrument.settings) settings.push(instrument.settings);
+		}
+	}
+	settings.push(...(project.timeline?.audioClips || []));
+	return settings;
+}
+
+/**
+ * Build a bundle for a project
+ * Samples that can't be downloaded (e.g. in sandbox mode) are kept as references
+ */
+export async function createProjectBundle(project: Project, options: BundleExportOptions = {}): Promise<DawdBundle> {
+	const embedSamples = options.embedSamples ?? true;
+	const samples: DawdSample[] = [];
+	const seen = new Set<string>();
+
+	for (const settings of collectSampleReferences(project)) {
+		const sampleId = settings.sampleId;
+		if (!sampleId || seen.has(sampleId)) continue;
+		seen.add(sampleId);
+
+		const sample: DawdSample = {
+			id: sampleId,
+			fileName: settings.fileName || `${sampleId}.wav`,
+			duration: settings.duration,
+			sampleRate: settings.sampleRate
+		};
+
+		const file = await downloadSampleFile(sampleId);
+		if (file) {
+			sample.fileName = file.sample.fileName;
+			sample.duration = file.sample.duration;
+			sample.sampleRate = file.sample.sampleRate;
+			sample.storagePath = file.sample.storagePath;
+			if (embedSamples) {
+				sample.mimeType = file.blob.type || undefined;
+				sample.data = bytesToBase64(new Uint8Array(await file.blob.arrayBuffer()));
+			}
+		} else {
+			console.warn(`Sample ${sampleId} could not be downloaded, exporting it as a reference`);
+		}
+		samples.push(sample);
+	}
+
+	return {
+		format: DAWD_FORMAT,
+		version: DAWD_VERSION,
+		exportedAt: new Date().toISOString(),
+		project: deepCopy(project),
+		samples
+	};
+}
+
+/**
+ * Export a project as a .dawd file download
+ */
+export async function exportProjectBundle(project: Project, filename: string, options: BundleExportOptions = {}): Promise<DawdBundle> {
+	const bundle = await createProjectBundle(project, options);
+	const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+	const baseFilename = filename.replace(/\.dawd$/i, '');
+
+	downloadBlob(blob, `${baseFilename}${DAWD_EXTENSION}`);
+
+	return bundle;
+}
+
+/**
+ * Give every entity in a project a fresh ID and rewrite all references to match
+ * Pattern node IDs are left alone - they are only unique within their tree
+ */
+export function remapProjectIds(source: Project, projectId: string): Project {
+	const project = deepCopy(source);
+	const ids = new Map<string, string>();
+	const fresh = (id: string) => {
+		const next = crypto.randomUUID();
+		ids.set(id, next);
+		return next;
+	};
+	const remap = (id: string | undefined) => (id !== undefined ? ids.get(id) ?? id : id);
+
+	project.id = projectId;
+
+	project.standaloneInstruments = (project.standaloneInstruments || []).map((instrument) => ({
+		...instrument,
+		id: fresh(instrument.id),
+		projectId
+	}));
+
+	project.patterns = (project.patterns || []).map((pattern) => ({
+		...pattern,
+		id: fresh(pattern.id),
+		projectId,
+		instruments: pattern.instruments?.map((instrument) => ({ ...instrument, id: fresh(instrument.id) }))
+	}));
+
+	project.effects = (project.effects || []).map((effect) => ({ ...effect, id: fresh(effect.id), projectId }));
+	project.envelopes = (project.envelopes || []).map((envelope) => ({ ...envelope, id: fresh(envelope.id), projectId }));
+
+	if (project.timeline) {
+		const timeline = project.timeline;
+		// Assign track and instance IDs first so cross references resolve regardless of order
+		const tracks = timeline.tracks.map((track) => ({ ...track, id: fresh(track.id) }));
+		const timelineEffects = (timeline.effects || []).map((effect) => ({ ...effect, id: fresh(effect.id) }));
+		const timelineEnvelopes = (timeline.envelopes || []).map((envelope) => ({ ...envelope, id: fresh(envelope.id) }));
+
+		project.timeline = {
+			...timeline,
+			tracks: tracks.map((track) => ({ ...track, patternId: remap(track.patternId) })),
+			clips: timeline.clips.map((clip) => ({
+				...clip,
+				id: crypto.randomUUID(),
+				patternId: remap(clip.patternId)!,
+				trackId: remap(clip.trackId)!
+			})),
+			audioClips: timeline.audioClips?.map((clip) => ({
+				...clip,
+				id: crypto.randomUUID(),
+				trackId: remap(clip.trackId)!
+			})),
+			effects: timelineEffects.map((effect) => ({
+				...effect,
+				effectId: remap(effect.effectId)!,
+				trackId: remap(effect.trackId)!,
+				targetTrackId: remap(effect.targetTrackId)
+			})),
+			envelopes: timelineEnvelopes.map((envelope) => ({
+				...envelope,
+				envelopeId: remap(envelope.envelopeId)!,
+				trackId: remap(envelope.trackId)!,
+				targetTrackId: remap(envelope.targetTrackId)
+			}))
+		};
+	}
+
+	if (project.automation) {
+		// Automation keys embed target and instance IDs, so rebuild them
+		const automation: ProjectAutomation = {};
+		for (const entry of Object.values(project.automation)) {
+			const targetId = remap(entry.targetId)!;
+			const timelineInstanceId = remap(entry.timelineInstanceId);
+			const key = timelineInstanceId
+				? `${entry.targetType}:${targetId}:${timelineInstanceId}:${entry.parameterKey}`
+				: `${entry.targetType}:${targetId}:${entry.parameterKey}`;
+			automation[key] = { ...entry, targetId, timelineInstanceId };
+		}
+		project.automation = automation;
+	}
+
+	project.baseMeterTrackId = remap(project.baseMeterTrackId);
+
+	return project;
+}
+
+/**
+ * Rewrite sample IDs in instrument settings and audio clips after samples were re-uploaded
+ */
+function remapSampleIds(project: Project, sampleIds: Map<string, string>): void {
+	for (const settings of collectSampleReferences(project)) {
+		const next = settings.sampleId && sampleIds.get(settings.sampleId);
+		if (next) settings.sampleId = next;
+	}
+}
+
+/**
+ * Turn a parsed bundle into a new project
+ * With persist, the project is saved to Supabase and embedded samples are uploaded to it;
+ * otherwise (sandbox) samples keep their original IDs and only load if still accessible
+ */
+export async function importProjectBundle(
+	bundle: DawdBundle,
+	options: BundleImportOptions
+): Promise<{ project: Project; warnings: string[] }> {
+	const warnings: string[] = [];
+	const project = remapProjectIds(bundle.project, options.projectId);
+
+	if (!options.persist) {
+		if (bundle.samples.some((sample) => sample.data)) {
+			warnings.push('Embedded samples can only be restored when signed in');
+		}
+		return { project, warnings };
+	}
+
+	// Samples can only be uploaded into a project that already exists
+	const saved = await saveProject(project);
+	if (!saved.success) {
+		throw new Error(saved.error || 'Failed to save imported project');
+	}
+
+	const sampleIds = new Map<string, string>();
+	for (const sample of bundle.samples) {
+		if (!sample.data) continue;
+		const file = new File([base64ToBytes(sample.data) as BlobPart], sample.fileName, {
+			type: sample.mimeType || 'application/octet-stream'
+		});
+		const { success, sample: uploaded, error } = await uploadSample(file, project.id);
+		if (success && uploaded) {
+			sampleIds.set(sample.id, uploaded.id);
+		} else {
+			warnings.push(`Sample "${sample.fileName}" could not be uploaded: ${error || 'unknown error'}`);
+		}
+	}
+
+	if (sampleIds.size > 0) {
+		remapSampleIds(project, sampleIds);
+		const resaved = await saveProject(project);
+		if (!resaved.success) {
+			warnings.push(resaved.error || 'Failed to save sample references');
+		}
+	}
+
+	return { project, warnings };
+}
+
+/**
+ * Read a .dawd file chosen by the user
+ */
+export async function readProjectBundle(file: File): Promise<DawdBundle> {
+	return parseProjectBundle(await file.text());
+}
@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import { CURRENT_SCHEMA_VERSION, migrateProject } from './projectMigrations';
+import legacyProject from './__fixtures__/projects/legacy-v0.json';
+import currentProject from './__fixtures__/projects/current-v1.json';
+
+// Fixtures are imported once per file, so every test works on its own copy
+const load = (fixture: unknown): any => structuredClone(fixture);
+
+const patternById = (project: any, id: string) => project.patterns.find((pattern: any) => pattern.id === id);
+
+describe('migrateProject', () => {
+	describe('v0 -> v1', () => {
+		it('stamps the current schema version', () => {
+			const migrated = migrateProject(load(legacyProject));
+			expect(CURRENT_SCHEMA_VERSION).toBe(1);
+			expect(migrated.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+		});
+
+		it('moves a legacy pattern instrument into instruments[] under the pattern ID', () => {
+			const source = patternById(load(legacyProject), 'pattern-kick');
+			const kick = patternById(migrateProject(load(legacyProject)), 'pattern-kick');
+
+			expect(kick.instruments).toHaveLength(1);
+			expect(kick.instruments[0]).toMatchObject({
+				id: 'pattern-kick',
+				instrumentType: 'kick',
+				settings: { attack: 0.001, decay: 0.4 },
+				color: '#ff6b6b',
+				volume: 0.8,
+				pan: -0.25,
+				mute: false,
+				solo: false
+			});
+			expect(kick.instruments[0].patternTree).toEqual(source.patternTree);
+		});
+
+		it('strips the legacy fields from patterns', () => {
+			const migrated = migrateProject(load(legacyProject));
+			for (const pattern of migrated.patterns as any[]) {
+				for (const field of ['instrumentType', 'patternTree', 'settings', 'instrumentSettings', 'color', 'volume', 'pan']) {
+					expect(pattern).not.toHaveProperty(field);
+				}
+			}
+		});
+
+		it('fills in defaults for legacy instruments that left them out', () => {
+			const hats = patternById(migrateProject(load(legacyProject)), 'pattern-hats');
+
+			expect(hats.instruments).toHaveLength(1);
+			expect(hats.instruments[0]).toMatchObject({
+				id: 'pattern-hats',
+				instrumentType: 'hihat',
+				patternTree: { id: 'root-hats', division: 8, children: [] },
+				color: '#ffe66d',
+				volume: 1,
+				pan: 0
+			});
+		});
+
+		it('ignores stale legacy fields when the pattern already has instruments', () => {
+			const keys = patternById(migrateProject(load(legacyProject)), 'pattern-keys');
+
+			// keys-broken has no pattern tree, so it can't be played and is dropped
+			expect(keys.instruments.map((instrument: any) => instrument.id)).toEqual(['keys-piano']);
+			expect(keys.instruments[0].patternTree.id).toBe('root-piano');
+		});
+
+		it('leaves patterns with no instrument empty', () => {
+			const empty = patternById(migrateProject(load(legacyProject)), 'pattern-empty');
+			expect(empty.instruments).toEqual([]);
+		});
+
+		it('removes the arrangement shims and the unused tracks array', () => {
+			const migrated: any = migrateProject(load(legacyProject));
+
+			expect(migrated).not.toHaveProperty('tracks');
+			expect(migrated.standaloneInstruments.map((instrument: any) => instrument.id)).toEqual(['standalone-bass']);
+		});
+
+		it('keeps the rest of the project as it was', () => {
+			const source = load(legacyProject);
+			const migrated = migrateProject(load(legacyProject));
+
+			expect(migrated.timeline).toEqual(source.timeline);
+			expect(patternById(migrated, 'pattern-kick').name).toBe('Kick');
+		});
+	});
+
+	describe('current projects', () => {
+		it('leaves a v1 project unchanged', () => {
+			expect(migrateProject(load(currentProject))).toEqual(load(currentProject));
+		});
+
+		it('refuses projects from a newer schema', () => {
+			const future = { ...load(currentProject), schemaVersion: CURRENT_SCHEMA_VERSION + 1 };
+			expect(() => migrateProject(future)).toThrow(/newer/);
+		});
+	});
+
+	describe('idempotence', () => {
+		it.each([
+			['legacy', legacyProject],
+			['current', currentProject]
+		])('gives the same result when a %s project is migrated twice', (_name, fixture) => {
+			const once = migrateProject(load(fixture));
+			const twice = migrateProject(load(once));
+			expect(twice).toEqual(once);
+		});
+
+		// loadProject migrates Supabase rows from 0 every time, since they don't store a version
+		it.each([
+			['legacy', legacyProject],
+			['current', currentProject]
+		])('gives the same result when a migrated %s project is migrated again from v0', (_name, fixture) => {
+			const once = migrateProject(load(fixture));
+			const { schemaVersion, ...unversioned } = load(once);
+			expect(migrateProject(unversioned)).toEqual(once);
+		});
+	});
+});
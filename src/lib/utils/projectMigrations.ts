@@ -0,0 +1,88 @@
+/**
+ * Project schema migrations
+ * Each step upgrades a project from one schemaVersion to the next, so the rest of the
+ * codebase only ever sees the current shape.
+ *
+ * Supabase rows don't record a version, so loadProject always migrates from 0 -
+ * every step must leave data that is already in the newer shape unchanged.
+ */
+
+import type { Project } from '$lib/stores/projectStore.types';
+import type { Instrument } from '$lib/types/pattern';
+import { normalizeInstrument } from './patternUtils';
+
+export const CURRENT_SCHEMA_VERSION = 1;
+
+type Migration = (project: any) => any;
+
+/**
+ * v0 -> v1: patterns keep their instruments in `instruments[]`
+ * Older patterns stored a single instrument in instrumentType/patternTree/settings/color/volume/pan
+ */
+const migrateLegacyPatternInstruments: Migration = (project) => {
+	const { tracks, ...rest } = project; // Unused top-level array from early sandbox projects
+	if (!Array.isArray(project.patterns)) return rest;
+
+	// Arrangement view used to mirror each legacy pattern as a __pattern_{patternId} standalone instrument
+	const shimIds = new Set(project.patterns.map((pattern: any) => `__pattern_${pattern.id}`));
+	if (Array.isArray(rest.standaloneInstruments)) {
+		rest.standaloneInstruments = rest.standaloneInstruments.filter((instrument: any) => !shimIds.has(instrument?.id));
+	}
+
+	const patterns = project.patterns.map((pattern: any) => {
+		const { instrumentType, patternTree, settings, instrumentSettings, color, volume, pan, ...patternRest } = pattern;
+		let instruments: any[] = Array.isArray(pattern.instruments) ? pattern.instruments : [];
+
+		// The legacy fields only ever described the pattern's instrument when the array was empty
+		if (instruments.length === 0 && instrumentType && patternTree) {
+			instruments = [{
+				// Keep the pattern ID so engine track IDs (__pattern_{patternId}_{instrumentId}) stay the same
+				id: pattern.id,
+				instrumentType,
+				patternTree,
+				settings,
+				instrumentSettings,
+				color,
+				volume,
+				pan
+			}];
+		}
+
+		return {
+			...patternRest,
+			instruments: instruments.map(normalizeInstrument).filter((inst): inst is Instrument => inst !== null)
+		};
+	});
+
+	return { ...rest, patterns };
+};
+
+/**
+ * Migration steps keyed by the version they upgrade from
+ */
+const MIGRATIONS: Record<number, Migration> = {
+	0: migrateLegacyPatternInstruments
+};
+
+/**
+ * Upgrade a project to CURRENT_SCHEMA_VERSION
+ * Projects without a schemaVersion are treated as version 0
+ */
+export function migrateProject(project: any): Project {
+	let version = typeof project?.schemaVersion === 'number' ? project.schemaVersion : 0;
+	if (version > CURRENT_SCHEMA_VERSION) {
+		throw new Error(`Project uses schema v${version}, which is newer than this version of Dawduction supports`);
+	}
+
+	let migrated = project;
+	while (version < CURRENT_SCHEMA_VERSION) {
+		const migrate = MIGRATIONS[version];
+		if (!migrate) {
+			throw new Error(`No migration from project schema v${version}`);
+		}
+		migrated = migrate(migrated);
+		version++;
+	}
+
+	return { ...migrated, schemaVersion: CURRENT_SCHEMA_VERSION };
+}
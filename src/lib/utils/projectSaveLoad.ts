@@ -3,6 +3,7 @@ import type { Project } from '$lib/stores/projectStore.types';
 import type { StandaloneInstrument } from '$lib/types/pattern';
 import type { Pattern } from '$lib/types/pattern';
 import type { Effect, Envelope } from '$lib/types/effects';
+import { migrateProject } from './projectMigrations';
 
 /**
  * Save a project to Supabase
@@ -110,7 +111,7 @@ export async function saveProject(project: Project): Promise<{ success: boolean;
 		// Save effects
 		if (project.effects && project.effects.length > 0) {
 			// Valid effect types according to TypeScript types
-			const validEffectTypes = ['reverb', 'delay', 'filter', 'distortion', 'compressor', 'chorus', 'saturator', 'equalizer'];
+			const validEffectTypes = ['reverb', 'delay', 'filter', 'distortion', 'compressor', 'chorus', 'saturator', 'equalizer', 'ducker'];
 			
 			// Filter and validate effects before saving
 			const validEffects = project.effects.filter((effect: Effect) => {
@@ -318,8 +319,8 @@ export async function loadProject(projectId: string): Promise<{ project: Project
 			.select('*')
 			.eq('project_id', projectId);
 
-		// Reconstruct project
-		const project: Project = {
+		// Reconstruct project (migrated to the current schema below)
+		const project: Project = migrateProject({
 			id: projectData.id,
 			title: projectData.title,
 			bpm: projectData.bpm,
@@ -378,7 +379,7 @@ export async function loadProject(projectId: string): Promise<{ project: Project
 			},
 			automation: projectData.automation || undefined,
 			baseMeterTrackId: projectData.base_meter_track_id || undefined
-		};
+		});
 
 		return { project };
 	} catch (error: any) {
@@ -0,0 +1,146 @@
+/**
+ * Rhythm Fill
+ * Generates step rhythms (Euclidean, seeded random, pattern strings) and turns them into
+ * pattern node children. Each step becomes one equal-division child; rests are children
+ * with velocity 0 (muted), so the grid stays editable afterwards.
+ */
+
+import type { PatternNode } from '$lib/types/pattern';
+
+export type RhythmFillSpec =
+	| { mode: 'euclidean'; pulses: number; steps: number; rotation: number }
+	| { mode: 'random'; steps: number; density: number; seed: number }
+	| { mode: 'string'; pattern: string };
+
+export const MAX_FILL_STEPS = 64;
+
+// Pattern string characters and the velocity they produce
+const STRING_STEPS: Record<string, number> = {
+	X: 1.0, // Accent
+	x: 1.0, // Hit
+	o: 0.5, // Ghost note
+	'.': 0, // Rest
+	'-': 0
+};
+
+function clampSteps(steps: number): number {
+	return Math.max(1, Math.min(MAX_FILL_STEPS, Math.round(steps) || 1));
+}
+
+/**
+ * Euclidean rhythm: spread pulses as evenly as possible over steps
+ * Rotation shifts the pattern right, wrapping around
+ *
+ * @returns Velocity per step (1 = hit, 0 = rest)
+ */
+export function euclideanSteps(pulses: number, steps: number, rotation: number = 0): number[] {
+	const stepCount = clampSteps(steps);
+	const pulseCount = Math.max(0, Math.min(stepCount, Math.round(pulses) || 0));
+	// Bresenham form of Bjorklund's algorithm - same patterns, starting on a hit
+	const pattern = Array.from({ length: stepCount }, (_, i) => ((i * pulseCount) % stepCount) < pulseCount && pulseCount > 0 ? 1 : 0);
+	const shift = ((Math.round(rotation) % stepCount) + stepCount) % stepCount;
+	return pattern.map((_, i) => pattern[(i - shift + stepCount) % stepCount]);
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) so a seed always gives the same rhythm
+ */
+function createRandom(seed: number): () => number {
+	let state = Math.floor(seed) >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Random rhythm: each step is a hit with probability density, hits get velocities in 0.5-1.0
+ *
+ * @returns Velocity per step (0 = rest)
+ */
+export function randomSteps(steps: number, density: number, seed: number): number[] {
+	const stepCount = clampSteps(steps);
+	const probability = Math.max(0, Math.min(1, density));
+	const random = createRandom(seed);
+	return Array.from({ length: stepCount }, () => {
+		const hit = random() < probability;
+		const velocity = 0.5 + random() * 0.5; // Always drawn so hits don't shift the sequence
+		return hit ? Math.round(velocity * 100) / 100 : 0;
+	});
+}
+
+/**
+ * Parse a pattern string like "x..x..x." (X/x = hit, o = ghost, . or - = rest)
+ * Spaces and | are ignored so bars can be separated
+ *
+ * @returns Velocity per step
+ * @throws Error if the string has unknown characters or no steps
+ */
+export function parsePatternString(pattern: string): number[] {
+	const steps: number[] = [];
+	for (const char of pattern.replace(/[\s|]/g, '')) {
+		if (!(char in STRING_STEPS)) {
+			throw new Error(`Unknown step "${char}" - use x for hits, o for ghost notes and . for rests`);
+		}
+		steps.push(STRING_STEPS[char]);
+	}
+	if (steps.length === 0) {
+		throw new Error('Pattern is empty');
+	}
+	if (steps.length > MAX_FILL_STEPS) {
+		throw new Error(`Pattern has more than ${MAX_FILL_STEPS} steps`);
+	}
+	return steps;
+}
+
+/**
+ * Generate the step velocities for a fill spec
+ */
+export function generateRhythm(spec: RhythmFillSpec): number[] {
+	switch (spec.mode) {
+		case 'euclidean':
+			return euclideanSteps(spec.pulses, spec.steps, spec.rotation);
+		case 'random':
+			return randomSteps(spec.steps, spec.density, spec.seed);
+		case 'string':
+			return parsePatternString(spec.pattern);
+	}
+}
+
+/**
+ * Render step velocities as a pattern string (for previews)
+ */
+export function formatRhythm(steps: number[]): string {
+	return steps.map((velocity) => (velocity <= 0 ? '.' : velocity < 0.75 ? 'o' : 'x')).join('');
+}
+
+/**
+ * Build equal-division children for a node from step velocities
+ * Children inherit pitch and choke from the node and are laid out on the same arc as Add Child
+ */
+export function buildFillChildren(parent: PatternNode, steps: number[]): PatternNode[] {
+	const radius = 160;
+	const spreadAngle = Math.PI / 3; // 60 degrees total spread
+	const centerAngle = Math.PI / 2; // Bottom center
+	const startAngle = centerAngle - spreadAngle / 2;
+
+	return steps.map((velocity, index) => {
+		// Same arc and ordering as Add Child
+		const angle = steps.length === 1
+			? centerAngle
+			: startAngle + spreadAngle * (1 - index / (steps.length - 1));
+		return {
+			id: crypto.randomUUID(),
+			division: 1,
+			x: (parent.x || 0) + Math.cos(angle) * radius,
+			y: (parent.y || 0) + Math.sin(angle) * radius,
+			children: [],
+			velocity,
+			pitch: parent.pitch !== undefined ? parent.pitch : 60,
+			choke: parent.choke !== undefined ? parent.choke : 1.0
+		};
+	});
+}
@@ -39,6 +39,37 @@ export async function loadSampleToEngine(
 	}
 }
 
+/**
+ * Load a sample used by audio clips to the AudioWorklet engine
+ * Clips play in stereo, so every channel is sent. The worklet keeps the sample by ID and reads it
+ * at its own sample rate, so it isn't resampled.
+ * @param engine - The EngineWorklet instance
+ * @param sampleId - The sample ID the clips reference
+ * @param audioBuffer - The decoded audio (its channels are copied, since the buffer is shared with the waveforms)
+ */
+export function loadAudioClipSampleToEngine(
+	engine: EngineWorklet,
+	sampleId: string,
+	audioBuffer: AudioBuffer
+): boolean {
+	const workletNode = (engine as any).workletNode;
+	if (!workletNode?.port) {
+		console.error('Cannot load sample: worklet node not available');
+		return false;
+	}
+	const channelData: ArrayBuffer[] = [];
+	for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+		channelData.push(new Float32Array(audioBuffer.getChannelData(channel)).buffer);
+	}
+	workletNode.port.postMessage({
+		type: 'loadAudioClipSample',
+		sampleId,
+		channelData,
+		sampleRate: audioBuffer.sampleRate
+	}, channelData); // Transfer list - moves the copies to the worklet thread
+	return true;
+}
+
 /**
  * Simple linear resampling
  * For production, you'd want a better resampling algorithm (e.g., using a library)
@@ -15,6 +15,92 @@ export interface SampleMetadata {
 	createdAt: string;
 }
 
+// Samples of sandbox projects are kept in the browser (IndexedDB) instead, marked by this ID prefix
+const LOCAL_SAMPLE_PREFIX = 'local-';
+const LOCAL_DB_NAME = 'dawduction-samples';
+const LOCAL_STORE_NAME = 'samples';
+
+interface LocalSampleRecord {
+	sample: SampleMetadata;
+	blob: Blob;
+}
+
+function isLocalSample(sampleId: string): boolean {
+	return sampleId.startsWith(LOCAL_SAMPLE_PREFIX);
+}
+
+/**
+ * Run one request against the local sample store
+ */
+function localSampleRequest<T>(
+	mode: IDBTransactionMode,
+	run: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> {
+	return new Promise((resolve, reject) => {
+		const open = indexedDB.open(LOCAL_DB_NAME, 1);
+		open.onupgradeneeded = () => open.result.createObjectStore(LOCAL_STORE_NAME);
+		open.onerror = () => reject(open.error);
+		open.onsuccess = () => {
+			const db = open.result;
+			const request = run(db.transaction(LOCAL_STORE_NAME, mode).objectStore(LOCAL_STORE_NAME));
+			request.onsuccess = () => {
+				db.close();
+				resolve(request.result);
+			};
+			request.onerror = () => {
+				db.close();
+				reject(request.error);
+			};
+		};
+	});
+}
+
+async function getLocalSample(sampleId: string): Promise<LocalSampleRecord | null> {
+	if (typeof indexedDB === 'undefined') return null;
+	return ((await localSampleRequest('readonly', (store) => store.get(sampleId))) as LocalSampleRecord | undefined) || null;
+}
+
+/**
+ * Save a sample file in this browser, for projects that can't upload (sandbox mode)
+ * @param file - The audio file to save
+ * @param projectId - The project ID this sample belongs to
+ * @returns Sample metadata (the ID starts with 'local-')
+ */
+export async function saveLocalSample(
+	file: File,
+	projectId: string
+): Promise<{ success: boolean; sample?: SampleMetadata; error?: string }> {
+	try {
+		if (typeof indexedDB === 'undefined') {
+			return { success: false, error: 'Local sample storage is not available' };
+		}
+
+		// Decode audio to get metadata (duration, sample rate)
+		const audioContext = new AudioContext();
+		const audioBuffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+
+		const sampleId = LOCAL_SAMPLE_PREFIX + crypto.randomUUID();
+		const sample: SampleMetadata = {
+			id: sampleId,
+			projectId,
+			userId: 'local',
+			fileName: file.name,
+			fileSize: file.size,
+			duration: audioBuffer.duration,
+			sampleRate: audioBuffer.sampleRate,
+			storagePath: sampleId,
+			createdAt: new Date().toISOString()
+		};
+		const record: LocalSampleRecord = { sample, blob: file };
+		await localSampleRequest('readwrite', (store) => store.put(record, sampleId));
+
+		return { success: true, sample };
+	} catch (error: any) {
+		console.error('Error saving local sample:', error);
+		return { success: false, error: error.message || 'Failed to save sample' };
+	}
+}
+
 /**
  * Upload a sample file to Supabase Storage
  * @param file - The audio file to upload
@@ -125,6 +211,22 @@ export async function uploadSample(
  * Get all samples for a project
  */
 export async function getProjectSamples(projectId: string): Promise<SampleMetadata[]> {
+	const [remote, local] = await Promise.all([getRemoteProjectSamples(projectId), getLocalProjectSamples(projectId)]);
+	return [...local, ...remote].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function getLocalProjectSamples(projectId: string): Promise<SampleMetadata[]> {
+	if (typeof indexedDB === 'undefined') return [];
+	try {
+		const records = (await localSampleRequest('readonly', (store) => store.getAll())) as LocalSampleRecord[];
+		return records.map((record) => record.sample).filter((sample) => sample.projectId === projectId);
+	} catch (error) {
+		console.error('Error fetching local samples:', error);
+		return [];
+	}
+}
+
+async function getRemoteProjectSamples(projectId: string): Promise<SampleMetadata[]> {
 	try {
 		const { data, error } = await supabase
 			.from('samples')
@@ -161,6 +263,13 @@ export async function getProjectSamples(projectId: string): Promise<SampleMetada
  */
 export async function loadSampleAudio(sampleId: string): Promise<AudioBuffer | null> {
 	try {
+		if (isLocalSample(sampleId)) {
+			const record = await getLocalSample(sampleId);
+			if (!record) return null;
+			const audioContext = new AudioContext();
+			return await audioContext.decodeAudioData(await record.blob.arrayBuffer());
+		}
+
 		// Get sample metadata
 		const { data: sampleData, error: fetchError } = await supabase
 			.from('samples')
@@ -197,11 +306,87 @@ export async function loadSampleAudio(sampleId: string): Promise<AudioBuffer | n
 	}
 }
 
+// Decoded samples shared by audio clip playback and waveforms (samples never change once uploaded)
+const sampleAudioCache = new Map<string, Promise<AudioBuffer | null>>();
+
+/**
+ * Download and decode a sample once, reusing the result afterwards
+ * A failed load isn't cached so it can be retried
+ * @param sampleId - The sample ID
+ * @returns Decoded audio buffer
+ */
+export function getSampleAudio(sampleId: string): Promise<AudioBuffer | null> {
+	let audio = sampleAudioCache.get(sampleId);
+	if (!audio) {
+		audio = loadSampleAudio(sampleId).then((buffer) => {
+			if (!buffer) sampleAudioCache.delete(sampleId);
+			return buffer;
+		});
+		sampleAudioCache.set(sampleId, audio);
+	}
+	return audio;
+}
+
+/**
+ * Download a sample's original file along with its metadata
+ * Used when a project is exported with its sample audio embedded
+ */
+export async function downloadSampleFile(sampleId: string): Promise<{ sample: SampleMetadata; blob: Blob } | null> {
+	try {
+		if (isLocalSample(sampleId)) {
+			return await getLocalSample(sampleId);
+		}
+
+		const { data: row, error: fetchError } = await supabase
+			.from('samples')
+			.select('*')
+			.eq('id', sampleId)
+			.single();
+
+		if (fetchError || !row) {
+			console.error('Error fetching sample metadata:', fetchError);
+			return null;
+		}
+
+		const { data: fileData, error: downloadError } = await supabase.storage
+			.from('samples')
+			.download(row.storage_path);
+
+		if (downloadError || !fileData) {
+			console.error('Error downloading sample:', downloadError);
+			return null;
+		}
+
+		return {
+			sample: {
+				id: row.id,
+				projectId: row.project_id,
+				userId: row.user_id,
+				fileName: row.file_name,
+				fileSize: row.file_size,
+				duration: row.duration,
+				sampleRate: row.sample_rate,
+				storagePath: row.storage_path,
+				createdAt: row.created_at
+			},
+			blob: fileData
+		};
+	} catch (error) {
+		console.error('Error downloading sample file:', error);
+		return null;
+	}
+}
+
 /**
  * Delete a sample
  */
 export async function deleteSample(sampleId: string): Promise<{ success: boolean; error?: string }> {
 	try {
+		if (isLocalSample(sampleId)) {
+			await localSampleRequest('readwrite', (store) => store.delete(sampleId));
+			return { success: true };
+		}
+
 		// Get sample metadata to find storage path
 		const { data: sampleData, error: fetchError } = await supabase
 			.from('samples')
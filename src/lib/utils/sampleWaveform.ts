@@ -0,0 +1,75 @@
+/**
+ * Waveform of an audio clip drawn from its sample's decoded audio
+ * Pixels follow the tempo map like the grid does, and the clip's trim, fades and gain
+ * are applied so the drawing matches what plays.
+ */
+
+import type { TimelineAudioClip } from '$lib/stores/projectStore.types';
+import type { TempoConverter } from './tempoMap';
+
+// Samples checked per pixel at most (enough for a peak, cheap for long clips)
+const MAX_READS_PER_PIXEL = 256;
+
+/**
+ * Fade multiplier at a point in a clip (fades shortened so they never overlap, as in playback)
+ * @param elapsed - Seconds into the clip
+ * @param length - Clip length in seconds
+ * @param fadeIn - Fade-in in seconds
+ * @param fadeOut - Fade-out in seconds
+ */
+export function getAudioClipFadeGain(elapsed: number, length: number, fadeIn: number, fadeOut: number): number {
+	const scale = fadeIn + fadeOut > length ? length / (fadeIn + fadeOut) : 1;
+	const scaledFadeIn = fadeIn * scale;
+	const scaledFadeOut = fadeOut * scale;
+	const remaining = length - elapsed;
+	let gain = 1;
+	if (elapsed < scaledFadeIn) gain *= elapsed / scaledFadeIn;
+	if (remaining < scaledFadeOut) gain *= remaining / scaledFadeOut;
+	return Math.max(0, gain);
+}
+
+/**
+ * Peak amplitude (0-1) under each pixel of an audio clip
+ * @param audio - The clip's decoded sample
+ * @param clip - The audio clip
+ * @param tempo - Converter for the arrangement's tempo map
+ * @param width - Number of pixels
+ */
+export function generateAudioClipWaveform(
+	audio: AudioBuffer,
+	clip: TimelineAudioClip,
+	tempo: TempoConverter,
+	width: number
+): number[] {
+	const result = new Array<number>(width).fill(0);
+	if (width <= 0 || clip.duration <= 0) return result;
+
+	const channels: Float32Array[] = [];
+	for (let c = 0; c < audio.numberOfChannels; c++) {
+		channels.push(audio.getChannelData(c));
+	}
+	const clipStartSeconds = tempo.beatToSeconds(clip.startBeat);
+	const length = tempo.beatToSeconds(clip.startBeat + clip.duration) - clipStartSeconds;
+	const trimStart = clip.trimStart || 0;
+	const gain = clip.gain ?? 1;
+	const beatsPerPixel = clip.duration / width;
+
+	let elapsedStart = 0;
+	for (let x = 0; x < width; x++) {
+		const elapsedEnd = tempo.beatToSeconds(clip.startBeat + (x + 1) * beatsPerPixel) - clipStartSeconds;
+		const from = Math.floor((trimStart + elapsedStart) * audio.sampleRate);
+		const to = Math.min(audio.length, Math.ceil((trimStart + elapsedEnd) * audio.sampleRate));
+		const step = Math.max(1, Math.floor((to - from) / MAX_READS_PER_PIXEL));
+		let peak = 0;
+		for (let i = from; i < to; i += step) {
+			for (const data of channels) {
+				const value = Math.abs(data[i]);
+				if (value > peak) peak = value;
+			}
+		}
+		const fade = getAudioClipFadeGain((elapsedStart + elapsedEnd) / 2, length, clip.fadeIn || 0, clip.fadeOut || 0);
+		result[x] = Math.min(1, peak * fade * gain);
+		elapsedStart = elapsedEnd;
+	}
+	return result;
+}
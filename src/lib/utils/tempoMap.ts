@@ -0,0 +1,206 @@
+/**
+ * Tempo Map
+ * Converts between beats and seconds through the arrangement's tempo changes (steps and
+ * linear ramps) and lays out bars through its meter changes. Beats are always quarter notes.
+ * Mirrored in the worklet by modules/utils/TempoMap.js, so playback, the ruler and exports agree.
+ */
+
+import type { TempoMap, TempoChange, MeterChange } from '$lib/stores/projectStore.types';
+
+export const DEFAULT_METER = { numerator: 4, denominator: 4 };
+
+const EPSILON = 1e-9;
+
+interface TempoSegment {
+	startBeat: number;
+	endBeat: number; // Infinity for the last segment
+	startBpm: number;
+	endBpm: number; // Tempo rises or falls linearly (in beats) from startBpm to endBpm
+	startSeconds: number;
+}
+
+export interface Meter {
+	numerator: number;
+	denominator: number;
+}
+
+export interface Bar extends Meter {
+	index: number; // 0-based bar number
+	startBeat: number;
+	length: number; // In beats (a bar cut short by a meter change is shorter)
+}
+
+export function hasTempoChanges(tempoMap: TempoMap | null | undefined): boolean {
+	return !!tempoMap && ((tempoMap.tempos?.length || 0) > 0 || (tempoMap.meters?.length || 0) > 0);
+}
+
+function getSortedTempos(tempoMap: TempoMap | null | undefined): TempoChange[] {
+	return (tempoMap?.tempos || [])
+		.filter((change) => Number.isFinite(change.beat) && change.bpm > 0)
+		.sort((a, b) => a.beat - b.beat);
+}
+
+/**
+ * Beats <-> seconds through a tempo map (a constant tempo when the map is empty)
+ */
+export class TempoConverter {
+	private segments: TempoSegment[] = [];
+
+	constructor(bpm: number, tempoMap?: TempoMap | null) {
+		let startBeat = 0;
+		let startBpm = bpm > 0 ? bpm : 120;
+		let seconds = 0;
+		for (const change of getSortedTempos(tempoMap)) {
+			if (change.beat <= startBeat + EPSILON) {
+				// A change at the start (or stacked on another) just sets the tempo
+				startBpm = change.bpm;
+				continue;
+			}
+			const segment = {
+				startBeat,
+				endBeat: change.beat,
+				startBpm,
+				endBpm: change.ramp ? change.bpm : startBpm,
+				startSeconds: seconds
+			};
+			seconds += this.getSegmentSeconds(segment, change.beat - startBeat);
+			this.segments.push(segment);
+			startBeat = change.beat;
+			startBpm = change.bpm;
+		}
+		this.segments.push({ startBeat, endBeat: Infinity, startBpm, endBpm: startBpm, startSeconds: seconds });
+	}
+
+	// Tempo slope in BPM per beat
+	private getSlope(segment: TempoSegment): number {
+		return segment.endBpm === segment.startBpm ? 0 : (segment.endBpm - segment.startBpm) / (segment.endBeat - segment.startBeat);
+	}
+
+	// Seconds taken by the first `beats` beats of a segment (integral of 60 / tempo)
+	private getSegmentSeconds(segment: TempoSegment, beats: number): number {
+		const slope = this.getSlope(segment);
+		if (slope === 0) {
+			return (beats * 60) / segment.startBpm;
+		}
+		return (60 / slope) * Math.log((segment.startBpm + slope * beats) / segment.startBpm);
+	}
+
+	private getSegmentAtBeat(beat: number): TempoSegment {
+		for (let i = this.segments.length - 1; i > 0; i--) {
+			if (beat >= this.segments[i].startBeat) return this.segments[i];
+		}
+		return this.segments[0];
+	}
+
+	getTempoAt(beat: number): number {
+		const segment = this.getSegmentAtBeat(beat);
+		const offset = Math.max(0, beat - segment.startBeat);
+		return segment.startBpm + this.getSlope(segment) * offset;
+	}
+
+	beatToSeconds(beat: number): number {
+		if (beat < 0) {
+			// Before the timeline (count-in): the starting tempo
+			return (beat * 60) / this.segments[0].startBpm;
+		}
+		const segment = this.getSegmentAtBeat(beat);
+		return segment.startSeconds + this.getSegmentSeconds(segment, beat - segment.startBeat);
+	}
+
+	secondsToBeat(seconds: number): number {
+		if (seconds < 0) {
+			return (seconds * this.segments[0].startBpm) / 60;
+		}
+		let segment = this.segments[0];
+		for (let i = this.segments.length - 1; i > 0; i--) {
+			if (seconds >= this.segments[i].startSeconds) {
+				segment = this.segments[i];
+				break;
+			}
+		}
+		const elapsed = seconds - segment.startSeconds;
+		const slope = this.getSlope(segment);
+		if (slope === 0) {
+			return segment.startBeat + (elapsed * segment.startBpm) / 60;
+		}
+		return segment.startBeat + (segment.startBpm * (Math.exp((elapsed * slope) / 60) - 1)) / slope;
+	}
+}
+
+/**
+ * Length of one bar in beats (quarter notes), e.g. 3.5 for 7/8
+ */
+export function getBarLength(meter: Meter): number {
+	return (meter.numerator * 4) / meter.denominator;
+}
+
+function getSortedMeters(tempoMap: TempoMap | null | undefined): MeterChange[] {
+	return (tempoMap?.meters || [])
+		.filter((change) => Number.isFinite(change.beat) && change.numerator > 0 && change.denominator > 0)
+		.sort((a, b) => a.beat - b.beat);
+}
+
+/**
+ * Time signature in effect at a beat
+ */
+export function getMeterAt(tempoMap: TempoMap | null | undefined, beat: number): Meter {
+	let meter: Meter = DEFAULT_METER;
+	for (const change of getSortedMeters(tempoMap)) {
+		if (change.beat > beat + EPSILON) break;
+		meter = change;
+	}
+	return { numerator: meter.numerator, denominator: meter.denominator };
+}
+
+/**
+ * Bars covering the timeline, following meter changes (a change cuts the bar before it short)
+ */
+export function getBars(tempoMap: TempoMap | null | undefined, totalLength: number): Bar[] {
+	const changes = getSortedMeters(tempoMap);
+	const bars: Bar[] = [];
+	let meter: Meter = DEFAULT_METER;
+	let changeIndex = 0;
+	let beat = 0;
+	while (beat < totalLength - EPSILON) {
+		while (changeIndex < changes.length && changes[changeIndex].beat <= beat + EPSILON) {
+			meter = changes[changeIndex++];
+		}
+		const nextChange = changeIndex < changes.length ? changes[changeIndex].beat : Infinity;
+		const length = Math.min(getBarLength(meter), nextChange - beat);
+		bars.push({ index: bars.length, startBeat: beat, length, numerator: meter.numerator, denominator: meter.denominator });
+		beat += length;
+	}
+	return bars;
+}
+
+/**
+ * Start of the bar containing a beat
+ */
+export function getBarStartAt(tempoMap: TempoMap | null | undefined, beat: number): number {
+	const bar = getBars(tempoMap, beat + 1).filter((bar) => bar.startBeat <= beat + EPSILON).pop();
+	return bar ? bar.startBeat : 0;
+}
+
+/**
+ * Tempo map for a range starting at startBeat, moved to start at beat 0 (for range exports)
+ * The tempo and meter in effect at startBeat become changes at beat 0
+ */
+export function sliceTempoMap(bpm: number, tempoMap: TempoMap | null | undefined, startBeat: number): TempoMap | undefined {
+	if (!hasTempoChanges(tempoMap)) return undefined;
+	const converter = new TempoConverter(bpm, tempoMap);
+	const meter = getMeterAt(tempoMap, startBeat);
+	return {
+		tempos: [
+			{ id: 'start', beat: 0, bpm: converter.getTempoAt(startBeat), ramp: false },
+			...getSortedTempos(tempoMap)
+				.filter((change) => change.beat > startBeat + EPSILON)
+				.map((change) => ({ ...change, beat: change.beat - startBeat }))
+		],
+		meters: [
+			{ id: 'start', beat: 0, ...meter },
+			...getSortedMeters(tempoMap)
+				.filter((change) => change.beat > startBeat + EPSILON)
+				.map((change) => ({ ...change, beat: change.beat - startBeat }))
+		]
+	};
+}
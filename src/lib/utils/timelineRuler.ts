@@ -1,6 +1,8 @@
 // Timeline ruler and grid generation utilities
 
 import { TIMELINE_CONSTANTS } from './timelineUtils';
+import { getBars } from './tempoMap';
+import type { TempoMap } from '$lib/stores/projectStore.types';
 
 export interface RulerMark {
 	beat: number;
@@ -49,6 +51,47 @@ function pixelToBeat(pixel: number, pixelsPerBeat: number): number {
 	return pixel / pixelsPerBeat;
 }
 
+interface MeterBeat {
+	beat: number;
+	isBar: boolean;
+	barNumber: number;
+	beatInBar: number;
+}
+
+/**
+ * Beats laid out by the tempo map's meter changes (one per meter beat, e.g. eighths in 7/8)
+ * Returns null when there are no meter changes, so callers keep the fixed 4/4 grid
+ */
+function getMeterBeats(tempoMap: TempoMap | null | undefined, totalLength: number, startBeat: number, endBeat: number): MeterBeat[] | null {
+	if (!tempoMap?.meters?.length) return null;
+	const beats: MeterBeat[] = [];
+	const bars = getBars(tempoMap, totalLength);
+	for (const bar of bars) {
+		if (bar.startBeat + bar.length < startBeat) continue;
+		if (bar.startBeat > endBeat) break;
+		const unit = 4 / bar.denominator;
+		for (let index = 0; index * unit < bar.length - 1e-9; index++) {
+			const beat = bar.startBeat + index * unit;
+			if (beat >= startBeat && beat <= endBeat && beat < totalLength - 1e-9) {
+				beats.push({ beat, isBar: index === 0, barNumber: bar.index, beatInBar: index });
+			}
+		}
+	}
+	// Closing line at the end of the timeline (a bar line unless the timeline ends mid-bar)
+	const lastBar = bars[bars.length - 1];
+	if (lastBar && totalLength >= startBeat && totalLength <= endBeat) {
+		const endsOnBar = Math.abs(lastBar.startBeat + lastBar.length - totalLength) < 1e-9;
+		const beatInBar = Math.round((totalLength - lastBar.startBeat) / (4 / lastBar.denominator));
+		beats.push({
+			beat: totalLength,
+			isBar: endsOnBar,
+			barNumber: endsOnBar ? bars.length : lastBar.index,
+			beatInBar: endsOnBar ? 0 : beatInBar
+		});
+	}
+	return beats;
+}
+
 /**
  * Generate ruler marks only for visible range
  * Performance optimization: Only creates marks for beats in viewport + padding
@@ -56,7 +99,8 @@ function pixelToBeat(pixel: number, pixelsPerBeat: number): number {
 export function generateRulerMarks(
 	totalLength: number, 
 	pixelsPerBeat: number,
-	viewportRange?: ViewportRange
+	viewportRange?: ViewportRange,
+	tempoMap?: TempoMap | null
 ): RulerMark[] {
 	if (!totalLength) return [];
 	
@@ -64,6 +108,17 @@ export function generateRulerMarks(
 	const MAX_MARKS = 2000;
 	const { BEATS_PER_BAR } = TIMELINE_CONSTANTS;
 	
+	// Meter changes: bars follow the tempo map instead of the fixed 4/4 grid
+	const meterBeats = getMeterBeats(
+		tempoMap,
+		totalLength,
+		viewportRange ? viewportRange.startBeat : 0,
+		viewportRange ? Math.min(viewportRange.endBeat, totalLength) : Math.min(MAX_MARKS, totalLength)
+	);
+	if (meterBeats) {
+		return meterBeats.map((meterBeat) => ({ ...meterBeat, x: meterBeat.beat * pixelsPerBeat, isBeat: true }));
+	}
+	
 	// If no viewport range provided or total length is reasonable, generate all
 	if (!viewportRange && totalLength <= MAX_MARKS) {
 		return generateRulerMarksFull(totalLength, pixelsPerBeat);
@@ -128,7 +183,8 @@ function generateRulerMarksFull(totalLength: number, pixelsPerBeat: number): Rul
 export function generateGridLines(
 	totalLength: number, 
 	pixelsPerBeat: number,
-	viewportRange?: ViewportRange
+	viewportRange?: ViewportRange,
+	tempoMap?: TempoMap | null
 ): GridLine[] {
 	if (!totalLength) return [];
 	
@@ -136,6 +192,17 @@ export function generateGridLines(
 	const MAX_LINES = 2000;
 	const { BEATS_PER_BAR } = TIMELINE_CONSTANTS;
 	
+	// Meter changes: bar lines follow the tempo map instead of the fixed 4/4 grid
+	const meterBeats = getMeterBeats(
+		tempoMap,
+		totalLength,
+		viewportRange ? viewportRange.startBeat : 0,
+		viewportRange ? Math.min(viewportRange.endBeat, totalLength) : Math.min(MAX_LINES, totalLength)
+	);
+	if (meterBeats) {
+		return meterBeats.map((meterBeat) => ({ beat: meterBeat.beat, x: meterBeat.beat * pixelsPerBeat, isBar: meterBeat.isBar, isBeat: true }));
+	}
+	
 	// If no viewport range provided or total length is reasonable, generate all
 	if (!viewportRange && totalLength <= MAX_LINES) {
 		return generateGridLinesFull(totalLength, pixelsPerBeat);
@@ -0,0 +1,400 @@
+/**
+ * Timeline markers and sections
+ * Markers name positions on the arrangement ("Verse", "Chorus"); a marker's section runs to the
+ * next marker, or the end of the timeline. Section edits insert, delete or duplicate a range of
+ * beats and move everything after it: clips, audio clips, effect and envelope clips, automation points,
+ * markers, tempo and meter changes and the loop region.
+ */
+
+import type { Timeline, TimelineClip, TimelineAudioClip, TimelineMarker, LoopRegion, TempoMap, TempoChange, MeterChange } from '$lib/stores/projectStore.types';
+import type { TimelineEffect, TimelineEnvelope, ProjectAutomation, ParameterAutomation } from '$lib/types/effects';
+import { TempoConverter, getMeterAt } from './tempoMap';
+
+// Marker colors, assigned in turn to new markers
+export const MARKER_COLORS = ['#ffb347', '#7ab8ff', '#ff6b6b', '#2ecc71', '#9b59b6', '#f1c40f'];
+
+// Edits offered from a marker's menu in the ruler
+export type MarkerAction = 'delete' | 'insertBarBefore' | 'duplicateSection' | 'deleteSection';
+
+const EPSILON = 1e-6;
+
+export interface SectionRange {
+	startBeat: number;
+	endBeat: number;
+}
+
+export interface SectionEditResult {
+	timeline: Timeline;
+	automation: ProjectAutomation | undefined;
+}
+
+type TimelineItem = TimelineClip | TimelineAudioClip | TimelineEffect | TimelineEnvelope;
+
+// Everything a section edit moves, besides markers and the loop region
+interface SectionState {
+	clips: TimelineClip[];
+	audioClips: TimelineAudioClip[];
+	effects: TimelineEffect[];
+	envelopes: TimelineEnvelope[];
+	automation: ProjectAutomation;
+}
+
+export function sortMarkers(markers: TimelineMarker[] | undefined): TimelineMarker[] {
+	return [...(markers || [])].sort((a, b) => a.beat - b.beat);
+}
+
+/**
+ * Beats covered by a marker's section (from the marker to the next one, or the timeline end)
+ */
+export function getMarkerSection(timeline: Timeline, markerId: string): SectionRange | null {
+	const markers = sortMarkers(timeline.markers);
+	const index = markers.findIndex((marker) => marker.id === markerId);
+	if (index === -1) return null;
+	const startBeat = markers[index].beat;
+	const next = markers.slice(index + 1).find((marker) => marker.beat > startBeat + EPSILON);
+	const endBeat = next ? next.beat : timeline.totalLength;
+	return endBeat > startBeat ? { startBeat, endBeat } : null;
+}
+
+/**
+ * Nearest marker after (direction 1) or before (direction -1) a beat
+ */
+export function getAdjacentMarker(markers: TimelineMarker[] | undefined, beat: number, direction: 1 | -1): TimelineMarker | null {
+	const sorted = sortMarkers(markers);
+	if (direction > 0) {
+		return sorted.find((marker) => marker.beat > beat + EPSILON) ?? null;
+	}
+	return [...sorted].reverse().find((marker) => marker.beat < beat - EPSILON) ?? null;
+}
+
+function getAutomationId(curve: ParameterAutomation, timelineInstanceId: string): string {
+	return `${curve.targetType}:${curve.targetId}:${timelineInstanceId}:${curve.parameterKey}`;
+}
+
+function shiftPoints(curve: ParameterAutomation, delta: number): ParameterAutomation {
+	return { ...curve, points: curve.points.map((point) => ({ ...point, beat: point.beat + delta })) };
+}
+
+/**
+ * Copy the automation curves of a timeline effect/envelope instance onto another instance
+ */
+function copyInstanceAutomation(automation: ProjectAutomation, fromId: string, toId: string, delta: number) {
+	for (const curve of Object.values(automation)) {
+		if (curve.timelineInstanceId !== fromId) continue;
+		automation[getAutomationId(curve, toId)] = { ...shiftPoints(curve, delta), timelineInstanceId: toId };
+	}
+}
+
+/**
+ * Split every clip crossing a beat into two, so edits can treat each side separately
+ * Clips keep playing the same notes (the second half starts further into the pattern, or the sample);
+ * effect and envelope halves share the original's automation curves
+ */
+function splitAt(state: SectionState, beat: number, tempo: TempoConverter): SectionState {
+	const automation = { ...state.automation };
+	const crosses = (item: TimelineItem) => item.startBeat < beat - EPSILON && item.startBeat + item.duration > beat + EPSILON;
+	const split = <T extends TimelineItem>(item: T): [T, T] => [
+		{ ...item, duration: beat - item.startBeat },
+		{ ...item, id: crypto.randomUUID(), startBeat: beat, duration: item.startBeat + item.duration - beat }
+	];
+
+	const clips = state.clips.flatMap((clip) => {
+		if (!crosses(clip)) return [clip];
+		const [first, second] = split(clip);
+		return [first, { ...second, offsetBeats: (clip.offsetBeats || 0) + (beat - clip.startBeat) }];
+	});
+	// Samples play in seconds, so the second half skips the time the first half plays for
+	const audioClips = state.audioClips.flatMap((clip) => {
+		if (!crosses(clip)) return [clip];
+		const [first, second] = split(clip);
+		const skipped = tempo.beatToSeconds(beat) - tempo.beatToSeconds(clip.startBeat);
+		return [{ ...first, fadeOut: undefined }, { ...second, fadeIn: undefined, trimStart: (clip.trimStart || 0) + skipped }];
+	});
+	const splitInstances = <T extends TimelineEffect | TimelineEnvelope>(items: T[]) =>
+		items.flatMap((item) => {
+			if (!crosses(item)) return [item];
+			const [first, second] = split(item);
+			copyInstanceAutomation(automation, item.id, second.id, 0);
+			return [first, second];
+		});
+
+	return { clips, audioClips, effects: splitInstances(state.effects), envelopes: splitInstances(state.envelopes), automation };
+}
+
+/**
+ * Move everything starting at or after a beat by delta beats
+ * Instance automation moves with its effect/envelope clip; project-wide curves move their points after the beat
+ */
+function shiftFrom(state: SectionState, beat: number, delta: number): SectionState {
+	const moves = (item: TimelineItem) => item.startBeat >= beat - EPSILON;
+	const movedInstances = new Set(
+		[...state.effects, ...state.envelopes].filter(moves).map((item) => item.id)
+	);
+
+	const automation: ProjectAutomation = {};
+	for (const [id, curve] of Object.entries(state.automation)) {
+		if (curve.timelineInstanceId) {
+			automation[id] = movedInstances.has(curve.timelineInstanceId) ? shiftPoints(curve, delta) : curve;
+		} else {
+			automation[id] = {
+				...curve,
+				points: curve.points.map((point) => (point.beat >= beat - EPSILON ? { ...point, beat: point.beat + delta } : point))
+			};
+		}
+	}
+
+	const shift = <T extends TimelineItem>(items: T[]) =>
+		items.map((item) => (moves(item) ? { ...item, startBeat: item.startBeat + delta } : item));
+	return {
+		clips: shift(state.clips),
+		audioClips: shift(state.audioClips),
+		effects: shift(state.effects),
+		envelopes: shift(state.envelopes),
+		automation
+	};
+}
+
+const startsIn = (item: TimelineItem, range: SectionRange) =>
+	item.startBeat >= range.startBeat - EPSILON && item.startBeat < range.endBeat - EPSILON;
+
+const pointIn = (beat: number, range: SectionRange) =>
+	beat >= range.startBeat - EPSILON && beat < range.endBeat - EPSILON;
+
+/**
+ * Remove everything starting inside a range (split at its edges first)
+ */
+function removeRange(state: SectionState, range: SectionRange): SectionState {
+	const removedInstances = new Set(
+		[...state.effects, ...state.envelopes].filter((item) => startsIn(item, range)).map((item) => item.id)
+	);
+
+	const automation: ProjectAutomation = {};
+	for (const [id, curve] of Object.entries(state.automation)) {
+		if (curve.timelineInstanceId) {
+			if (!removedInstances.has(curve.timelineInstanceId)) {
+				automation[id] = curve;
+			}
+		} else {
+			automation[id] = { ...curve, points: curve.points.filter((point) => !pointIn(point.beat, range)) };
+		}
+	}
+
+	return {
+		clips: state.clips.filter((clip) => !startsIn(clip, range)),
+		audioClips: state.audioClips.filter((clip) => !startsIn(clip, range)),
+		effects: state.effects.filter((effect) => !startsIn(effect, range)),
+		envelopes: state.envelopes.filter((envelope) => !startsIn(envelope, range)),
+		automation
+	};
+}
+
+/**
+ * Add copies of everything starting inside a range, moved by delta beats (split at its edges first)
+ */
+function copyRange(state: SectionState, range: SectionRange, delta: number): SectionState {
+	const automation = { ...state.automation };
+	for (const [id, curve] of Object.entries(state.automation)) {
+		if (curve.timelineInstanceId) continue;
+		const copiedPoints = curve.points
+			.filter((point) => pointIn(point.beat, range))
+			.map((point) => ({ ...point, beat: point.beat + delta }));
+		if (copiedPoints.length > 0) {
+			automation[id] = { ...curve, points: [...curve.points, ...copiedPoints].sort((a, b) => a.beat - b.beat) };
+		}
+	}
+
+	const copy = <T extends TimelineItem>(items: T[], withAutomation: boolean) =>
+		items.filter((item) => startsIn(item, range)).map((item) => {
+			const copied = { ...item, id: crypto.randomUUID(), startBeat: item.startBeat + delta };
+			if (withAutomation) {
+				copyInstanceAutomation(automation, item.id, copied.id, delta);
+			}
+			return copied;
+		});
+
+	return {
+		clips: [...state.clips, ...copy(state.clips, false)],
+		audioClips: [...state.audioClips, ...copy(state.audioClips, false)],
+		effects: [...state.effects, ...copy(state.effects, true)],
+		envelopes: [...state.envelopes, ...copy(state.envelopes, true)],
+		automation
+	};
+}
+
+function getState(timeline: Timeline, automation: ProjectAutomation | undefined): SectionState {
+	return {
+		clips: timeline.clips || [],
+		audioClips: timeline.audioClips || [],
+		effects: timeline.effects || [],
+		envelopes: timeline.envelopes || [],
+		automation: automation || {}
+	};
+}
+
+function toResult(timeline: Timeline, state: SectionState, changes: Partial<Timeline>, hadAutomation: boolean): SectionEditResult {
+	return {
+		timeline: {
+			...timeline,
+			clips: state.clips,
+			audioClips: state.audioClips,
+			effects: state.effects,
+			envelopes: state.envelopes,
+			...changes
+		},
+		automation: hadAutomation || Object.keys(state.automation).length > 0 ? state.automation : undefined
+	};
+}
+
+function mapLoopRegion(loopRegion: LoopRegion | undefined, mapBeat: (beat: number, isEnd: boolean) => number): LoopRegion | undefined {
+	if (!loopRegion) return undefined;
+	const startBeat = mapBeat(loopRegion.startBeat, false);
+	const endBeat = mapBeat(loopRegion.endBeat, true);
+	return endBeat > startBeat ? { ...loopRegion, startBeat, endBeat } : undefined;
+}
+
+function mapTempoMap(
+	tempoMap: TempoMap | undefined,
+	mapTempos: (tempos: TempoChange[]) => TempoChange[],
+	mapMeters: (meters: MeterChange[]) => MeterChange[]
+): TempoMap | undefined {
+	if (!tempoMap) return undefined;
+	const byBeat = (a: { beat: number }, b: { beat: number }) => a.beat - b.beat;
+	return {
+		tempos: mapTempos([...(tempoMap.tempos || [])].sort(byBeat)).sort(byBeat),
+		meters: mapMeters([...(tempoMap.meters || [])].sort(byBeat)).sort(byBeat)
+	};
+}
+
+/**
+ * Tempo or meter changes after deleting a range (changes are sorted by beat)
+ * The last change inside the range moves to its start, so what plays after the cut keeps its tempo and meter
+ */
+function deleteChanges<T extends TempoChange | MeterChange>(changes: T[], range: SectionRange, settle: (change: T) => T): T[] {
+	const length = range.endBeat - range.startBeat;
+	const kept = changes
+		.filter((change) => !pointIn(change.beat, range))
+		.map((change) => (change.beat >= range.endBeat - EPSILON ? { ...change, beat: change.beat - length } : change));
+	const lastRemoved = changes.filter((change) => pointIn(change.beat, range)).pop();
+	if (lastRemoved && !kept.some((change) => Math.abs(change.beat - range.startBeat) < EPSILON)) {
+		kept.push(settle({ ...lastRemoved, beat: range.startBeat }));
+	}
+	return kept;
+}
+
+/**
+ * Tempo or meter changes after duplicating a range (changes are sorted by beat)
+ * When the range changes tempo or meter, the copy starts again from what was in effect at the range's start
+ */
+function duplicateChanges<T extends TempoChange | MeterChange>(changes: T[], range: SectionRange, atStart: T): T[] {
+	const length = range.endBeat - range.startBeat;
+	const shifted = changes.map((change) => (change.beat >= range.endBeat - EPSILON ? { ...change, beat: change.beat + length } : change));
+	const copied = changes
+		.filter((change) => pointIn(change.beat, range))
+		.map((change) => ({ ...change, id: crypto.randomUUID(), beat: change.beat + length }));
+	if (copied.length > 0 && !copied.some((change) => Math.abs(change.beat - range.endBeat) < EPSILON)) {
+		copied.push({ ...atStart, id: crypto.randomUUID(), beat: range.endBeat });
+	}
+	return [...shifted, ...copied];
+}
+
+/**
+ * Insert empty beats at a position, pushing everything after it later
+ * @param bpm - Project tempo (the tempo before the first tempo change)
+ */
+export function insertSection(
+	timeline: Timeline,
+	automation: ProjectAutomation | undefined,
+	atBeat: number,
+	length: number,
+	bpm: number = 120
+): SectionEditResult {
+	const tempo = new TempoConverter(bpm, timeline.tempoMap);
+	const state = shiftFrom(splitAt(getState(timeline, automation), atBeat, tempo), atBeat, length);
+	// A loop ending exactly at the insert point keeps its end
+	const shiftBeat = (beat: number, isEnd: boolean) => (isEnd ? beat > atBeat + EPSILON : beat >= atBeat - EPSILON) ? beat + length : beat;
+
+	const shiftChanges = <T extends TempoChange | MeterChange>(changes: T[]) =>
+		changes.map((change) => ({ ...change, beat: shiftBeat(change.beat, false) }));
+
+	return toResult(timeline, state, {
+		markers: (timeline.markers || []).map((marker) => ({ ...marker, beat: shiftBeat(marker.beat, false) })),
+		tempoMap: mapTempoMap(timeline.tempoMap, shiftChanges, shiftChanges),
+		loopRegion: mapLoopRegion(timeline.loopRegion, shiftBeat),
+		totalLength: timeline.totalLength + length
+	}, !!automation);
+}
+
+/**
+ * Remove a range of beats, pulling everything after it earlier
+ * Clips crossing the edges are cut; markers inside the range are removed
+ * @param bpm - Project tempo (the tempo before the first tempo change)
+ */
+export function deleteSection(
+	timeline: Timeline,
+	automation: ProjectAutomation | undefined,
+	startBeat: number,
+	endBeat: number,
+	bpm: number = 120
+): SectionEditResult {
+	const range = { startBeat, endBeat };
+	const length = endBeat - startBeat;
+	const tempo = new TempoConverter(bpm, timeline.tempoMap);
+	let state = splitAt(splitAt(getState(timeline, automation), startBeat, tempo), endBeat, tempo);
+	state = shiftFrom(removeRange(state, range), endBeat, -length);
+	const mapBeat = (beat: number) => (beat >= endBeat - EPSILON ? beat - length : Math.min(beat, startBeat));
+
+	return toResult(timeline, state, {
+		markers: (timeline.markers || [])
+			.filter((marker) => !pointIn(marker.beat, range))
+			.map((marker) => ({ ...marker, beat: mapBeat(marker.beat) })),
+		tempoMap: mapTempoMap(
+			timeline.tempoMap,
+			// A moved ramp would glide over a different stretch, so it lands as a step
+			(tempos) => deleteChanges(tempos, range, (tempo) => ({ ...tempo, ramp: false })),
+			(meters) => deleteChanges(meters, range, (meter) => meter)
+		),
+		loopRegion: mapLoopRegion(timeline.loopRegion, mapBeat),
+		totalLength: Math.max(timeline.totalLength - length, 4)
+	}, !!automation);
+}
+
+/**
+ * Repeat a range of beats right after itself, pushing everything after it later
+ * Markers and tempo and meter changes inside the range are repeated too
+ * @param bpm - Project tempo (the tempo before the first tempo change)
+ */
+export function duplicateSection(
+	timeline: Timeline,
+	automation: ProjectAutomation | undefined,
+	startBeat: number,
+	endBeat: number,
+	bpm: number = 120
+): SectionEditResult {
+	const range = { startBeat, endBeat };
+	const length = endBeat - startBeat;
+	const tempo = new TempoConverter(bpm, timeline.tempoMap);
+	let state = splitAt(splitAt(getState(timeline, automation), startBeat, tempo), endBeat, tempo);
+	state = copyRange(shiftFrom(state, endBeat, length), range, length);
+	const shiftBeat = (beat: number, isEnd: boolean) => (isEnd ? beat > endBeat + EPSILON : beat >= endBeat - EPSILON) ? beat + length : beat;
+
+	const markers = timeline.markers || [];
+	const copiedMarkers = markers
+		.filter((marker) => pointIn(marker.beat, range))
+		.map((marker) => ({ ...marker, id: crypto.randomUUID(), beat: marker.beat + length }));
+
+	return toResult(timeline, state, {
+		markers: [...markers.map((marker) => ({ ...marker, beat: shiftBeat(marker.beat, false) })), ...copiedMarkers],
+		tempoMap: mapTempoMap(
+			timeline.tempoMap,
+			(tempos) => duplicateChanges(tempos, range, {
+				id: '',
+				beat: startBeat,
+				bpm: tempo.getTempoAt(startBeat),
+				ramp: false
+			}),
+			(meters) => duplicateChanges(meters, range, { id: '', beat: startBeat, ...getMeterAt(timeline.tempoMap, startBeat) })
+		),
+		loopRegion: mapLoopRegion(timeline.loopRegion, shiftBeat),
+		totalLength: timeline.totalLength + length
+	}, !!automation);
+}
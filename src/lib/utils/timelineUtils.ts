@@ -1,10 +1,13 @@
 // Timeline utility functions for beat/pixel conversion, zoom, and snapping
 
+import type { Timeline } from '$lib/stores/projectStore.types';
+
 export const TIMELINE_CONSTANTS = {
 	ROW_LABEL_WIDTH: 200,
 	BASE_ZOOM: 8,
 	BASE_PIXELS_PER_BEAT: 4,
 	RULER_HEIGHT: 50,
+	TEMPO_TRACK_HEIGHT: 32,
 	PATTERN_ROW_HEIGHT: 80,
 	BEATS_PER_BAR: 4
 } as const;
@@ -29,3 +32,25 @@ export function clampZoomLevel(zoomLevel: number, delta: number, min: number = 0
 	return Math.max(min, Math.min(max, zoomLevel + delta));
 }
 
+
+// Clip playback rates as pattern:grid ratios (3:2 plays three pattern beats in two grid beats)
+export const CLIP_RATE_PRESETS = [
+	[1, 2],
+	[2, 3],
+	[3, 4],
+	[1, 1],
+	[5, 4],
+	[4, 3],
+	[3, 2],
+	[2, 1]
+] as const;
+
+export function formatClipRate(rate: number): string {
+	const preset = CLIP_RATE_PRESETS.find(([pattern, grid]) => Math.abs(pattern / grid - rate) < 1e-6);
+	return preset ? `${preset[0]}:${preset[1]}` : `×${Math.round(rate * 100) / 100}`;
+}
+
+// Whether the arrangement has anything to play (pattern clips or audio clips)
+export function hasTimelineClips(timeline: Pick<Timeline, 'clips' | 'audioClips'> | null | undefined): boolean {
+	return !!timeline && ((timeline.clips?.length ?? 0) > 0 || (timeline.audioClips?.length ?? 0) > 0);
+}
@@ -0,0 +1,75 @@
+/**
+ * Trig Conditions
+ * Naming and building Elektron-style trig conditions for the note editors.
+ * The conditions themselves are evaluated in the worklet's EventScheduler.
+ */
+
+import type { TrigCondition } from '$lib/types/pattern';
+
+export type TrigConditionKind = 'always' | 'ratio' | 'notRatio' | 'first' | 'notFirst' | 'fill' | 'notFill';
+
+export const TRIG_CONDITION_KINDS: Array<{ value: TrigConditionKind; label: string }> = [
+	{ value: 'always', label: 'Always' },
+	{ value: 'ratio', label: 'A:B (loop A of every B)' },
+	{ value: 'notRatio', label: 'Not A:B' },
+	{ value: 'first', label: 'First loop' },
+	{ value: 'notFirst', label: 'Not first loop' },
+	{ value: 'fill', label: 'Fill' },
+	{ value: 'notFill', label: 'Not fill' }
+];
+
+export const MAX_TRIG_RATIO = 16;
+
+/**
+ * Which dropdown entry a condition corresponds to
+ */
+export function getTrigConditionKind(condition?: TrigCondition | null): TrigConditionKind {
+	if (!condition) return 'always';
+	switch (condition.type) {
+		case 'ratio':
+			return condition.negate ? 'notRatio' : 'ratio';
+		case 'first':
+			return condition.negate ? 'notFirst' : 'first';
+		case 'fill':
+			return condition.negate ? 'notFill' : 'fill';
+	}
+}
+
+/**
+ * Build a condition from a dropdown entry (null = always play)
+ * A and B are clamped so A is always one of the B loops
+ */
+export function buildTrigCondition(kind: TrigConditionKind, a: number = 1, b: number = 2): TrigCondition | null {
+	switch (kind) {
+		case 'always':
+			return null;
+		case 'ratio':
+		case 'notRatio': {
+			const length = Math.max(1, Math.min(MAX_TRIG_RATIO, Math.round(b) || 1));
+			const position = Math.max(1, Math.min(length, Math.round(a) || 1));
+			return { type: 'ratio', a: position, b: length, negate: kind === 'notRatio' };
+		}
+		case 'first':
+		case 'notFirst':
+			return { type: 'first', negate: kind === 'notFirst' };
+		case 'fill':
+		case 'notFill':
+			return { type: 'fill', negate: kind === 'notFill' };
+	}
+}
+
+/**
+ * Short label for a condition, e.g. "1:4", "!FILL" (empty for always)
+ */
+export function formatTrigCondition(condition?: TrigCondition | null): string {
+	if (!condition) return '';
+	const prefix = condition.negate ? '!' : '';
+	switch (condition.type) {
+		case 'ratio':
+			return `${prefix}${condition.a ?? 1}:${condition.b ?? 1}`;
+		case 'first':
+			return `${prefix}1ST`;
+		case 'fill':
+			return `${prefix}FILL`;
+	}
+}
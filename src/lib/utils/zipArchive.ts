@@ -0,0 +1,108 @@
+/**
+ * Minimal ZIP archive writer
+ * Files are stored uncompressed (method 0) - audio data barely compresses anyway,
+ * and this keeps the writer small and dependency-free
+ */
+
+export interface ZipEntry {
+	name: string;
+	data: Uint8Array | ArrayBuffer | string;
+}
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * Build the CRC-32 lookup table on first use
+ */
+function getCrcTable(): Uint32Array {
+	if (crcTable) return crcTable;
+	crcTable = new Uint32Array(256);
+	for (let n = 0; n < 256; n++) {
+		let c = n;
+		for (let k = 0; k < 8; k++) {
+			c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+		}
+		crcTable[n] = c >>> 0;
+	}
+	return crcTable;
+}
+
+function crc32(data: Uint8Array): number {
+	const table = getCrcTable();
+	let crc = 0xffffffff;
+	for (let i = 0; i < data.length; i++) {
+		crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toBytes(data: ZipEntry['data']): Uint8Array {
+	if (typeof data === 'string') return new TextEncoder().encode(data);
+	return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+/**
+ * Create a ZIP archive blob from a list of entries
+ */
+export function createZip(entries: ZipEntry[]): Blob {
+	const encoder = new TextEncoder();
+	const parts: Uint8Array[] = [];
+	const centralDirectory: Uint8Array[] = [];
+	let offset = 0;
+
+	for (const entry of entries) {
+		const nameBytes = encoder.encode(entry.name);
+		const data = toBytes(entry.data);
+		const crc = crc32(data);
+
+		// Local file header
+		const header = new Uint8Array(30 + nameBytes.length);
+		const headerView = new DataView(header.buffer);
+		headerView.setUint32(0, 0x04034b50, true); // signature
+		headerView.setUint16(4, 20, true); // version needed
+		headerView.setUint16(6, 0x0800, true); // flags (UTF-8 names)
+		headerView.setUint16(8, 0, true); // method: store
+		headerView.setUint16(10, 0, true); // mod time
+		headerView.setUint16(12, 0x21, true); // mod date (1980-01-01)
+		headerView.setUint32(14, crc, true);
+		headerView.setUint32(18, data.length, true); // compressed size
+		headerView.setUint32(22, data.length, true); // uncompressed size
+		headerView.setUint16(26, nameBytes.length, true);
+		headerView.setUint16(28, 0, true); // extra length
+		header.set(nameBytes, 30);
+
+		// Central directory record
+		const record = new Uint8Array(46 + nameBytes.length);
+		const recordView = new DataView(record.buffer);
+		recordView.setUint32(0, 0x02014b50, true); // signature
+		recordView.setUint16(4, 20, true); // version made by
+		recordView.setUint16(6, 20, true); // version needed
+		recordView.setUint16(8, 0x0800, true); // flags
+		recordView.setUint16(10, 0, true); // method
+		recordView.setUint16(12, 0, true); // mod time
+		recordView.setUint16(14, 0x21, true); // mod date
+		recordView.setUint32(16, crc, true);
+		recordView.setUint32(20, data.length, true);
+		recordView.setUint32(24, data.length, true);
+		recordView.setUint16(28, nameBytes.length, true);
+		recordView.setUint32(42, offset, true); // local header offset
+		record.set(nameBytes, 46);
+
+		parts.push(header, data);
+		centralDirectory.push(record);
+		offset += header.length + data.length;
+	}
+
+	const centralSize = centralDirectory.reduce((sum, record) => sum + record.length, 0);
+
+	// End of central directory record
+	const end = new Uint8Array(22);
+	const endView = new DataView(end.buffer);
+	endView.setUint32(0, 0x06054b50, true);
+	endView.setUint16(8, entries.length, true);
+	endView.setUint16(10, entries.length, true);
+	endView.setUint32(12, centralSize, true);
+	endView.setUint32(16, offset, true);
+
+	return new Blob([...parts, ...centralDirectory, end] as BlobPart[], { type: 'application/zip' });
+}
@@ -1,5 +1,5 @@
 import { sveltekit } from '@sveltejs/kit/vite';
-import { defineConfig } from 'vite';
+import { defineConfig } from 'vitest/config';
 
 export default defineConfig({
 	plugins: [sveltekit()],
@@ -21,6 +21,9 @@ export default defineConfig({
 	},
 	optimizeDeps: {
 		exclude: ['lamejs'] // Exclude from optimization - will be loaded dynamically
+	},
+	test: {
+		include: ['src/**/*.{test,spec}.{js,ts}']
 	}
 });
 